@@ -2,6 +2,10 @@ import { useState, useEffect } from 'react';
 import socket from './socket';
 import Lobby from './components/Lobby';
 import Table from './components/Table';
+import Replayer from './components/Replayer';
+import OddsCalculator from './components/OddsCalculator';
+import { getClientSeed } from './utils/fairness';
+import { loadSession, saveSession, clearSession } from './utils/session';
 import './App.css';
 
 function App() {
@@ -13,13 +17,36 @@ function App() {
   const [myHand, setMyHand] = useState([]);
   const [error, setError] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
+  const [replay, setReplay] = useState(null);
+  const [showOdds, setShowOdds] = useState(false);
 
   useEffect(() => {
     socket.on('connect', () => {
       console.log('Connected to server');
-      setMyPlayerId(socket.id);
       setIsConnected(true);
       setError(null);
+
+      // Take back our seat after a refresh or a dropped connection
+      const session = loadSession();
+      if (session) {
+        socket.emit('resumeSession', { token: session.token });
+      }
+    });
+
+    socket.on('sessionStarted', ({ roomId, playerId, token }) => {
+      saveSession({ roomId, playerId, token });
+      setMyPlayerId(playerId);
+      setRoomId(roomId);
+    });
+
+    socket.on('sessionExpired', ({ message }) => {
+      clearSession();
+      setRoomId(null);
+      setGameState(null);
+      setHandState(null);
+      setMyHand([]);
+      setError(message);
+      setTimeout(() => setError(null), 5000);
     });
 
     socket.on('disconnect', () => {
@@ -48,6 +75,20 @@ function App() {
       setError('Unable to reconnect to server. Please refresh the page.');
     });
 
+    // A full table: watch it from the waiting list until a seat is offered
+    socket.on('waitingListJoined', ({ roomId, waitingId }) => {
+      setMyPlayerId(waitingId);
+      setRoomId(roomId);
+      setError(null);
+    });
+
+    socket.on('waitingListLeft', () => {
+      setRoomId(null);
+      setGameState(null);
+      setHandState(null);
+      setMyHand([]);
+    });
+
     socket.on('roomCreated', ({ roomId }) => {
       setRoomId(roomId);
       setError(null);
@@ -70,6 +111,10 @@ function App() {
       }
     });
 
+    socket.on('handHistories', ({ hands, viewerId }) => {
+      setReplay({ hands, viewerId });
+    });
+
     socket.on('error', ({ message }) => {
       setError(message);
       setTimeout(() => setError(null), 5000);
@@ -82,39 +127,67 @@ function App() {
       socket.off('reconnect');
       socket.off('reconnect_attempt');
       socket.off('reconnect_failed');
+      socket.off('sessionStarted');
+      socket.off('sessionExpired');
+      socket.off('waitingListJoined');
+      socket.off('waitingListLeft');
       socket.off('roomCreated');
       socket.off('gameStateUpdate');
       socket.off('handStateUpdate');
+      socket.off('handHistories');
       socket.off('error');
     };
   }, []);
 
-  const handleJoinRoom = (name, id) => {
+  const handleJoinRoom = (name, id, settings = null) => {
     setPlayerName(name);
+    const clientSeed = getClientSeed();
     if (id) {
-      socket.emit('joinRoom', { roomId: id, playerName: name });
+      socket.emit('joinRoom', { roomId: id, playerName: name, clientSeed });
     } else {
-      socket.emit('createRoom', { playerName: name });
+      socket.emit('createRoom', { playerName: name, clientSeed, settings });
+    }
+  };
+
+  const handleLoadHistory = (hands) => {
+    if (hands.length === 0) {
+      setError('No hands found in that file');
+      setTimeout(() => setError(null), 5000);
+      return;
     }
+    setReplay({ hands, viewerId: null });
   };
 
   return (
     <div className="app">
       {/* Connection status only in Lobby - when in room it's shown inside table header */}
-      {!roomId && (
+      {!roomId && !replay && (
         <div className={`connection-status ${isConnected ? 'connected' : 'disconnected'}`}>
           {isConnected ? '🟢 Connected' : '🔴 Disconnected'}
         </div>
       )}
       {error && <div className="error-message">{error}</div>}
-      {!isConnected && !roomId && (
+      {!isConnected && !roomId && !replay && (
         <div className="connection-warning">
           <p>Connecting to server...</p>
           <p className="hint">Make sure the server is running on http://localhost:3001</p>
         </div>
       )}
-      {!roomId ? (
-        <Lobby onJoinRoom={handleJoinRoom} isConnected={isConnected} />
+      {replay ? (
+        <Replayer
+          hands={replay.hands}
+          viewerId={replay.viewerId}
+          onExit={() => setReplay(null)}
+        />
+      ) : !roomId && showOdds ? (
+        <OddsCalculator isConnected={isConnected} onExit={() => setShowOdds(false)} />
+      ) : !roomId ? (
+        <Lobby
+          onJoinRoom={handleJoinRoom}
+          onLoadHistory={handleLoadHistory}
+          onOpenOdds={() => setShowOdds(true)}
+          isConnected={isConnected}
+        />
       ) : (
         <Table
           gameState={gameState}
@@ -0,0 +1,103 @@
+import { useState, useEffect, useRef } from 'react';
+import socket from '../socket';
+import './Chat.css';
+
+const MAX_MESSAGE_LENGTH = 200; // Mirrors server/chat.js
+const MAX_MESSAGES = 100;
+
+/**
+ * Table chat, with joins, leaves and big wins shown inline. The host can mute
+ * and unmute other players from their messages.
+ *
+ * @param {string} roomId - Room whose chat is shown
+ * @param {string} myPlayerId - This player's (or waiting list entry's) ID
+ * @param {string|null} hostId - Player who can mute others
+ * @param {Array} people - Players and waiting list entries, with isMuted
+ */
+function Chat({ roomId, myPlayerId, hostId, people }) {
+  const [messages, setMessages] = useState([]);
+  const [draft, setDraft] = useState('');
+  const entriesRef = useRef(null);
+
+  useEffect(() => {
+    const handleHistory = (data) => {
+      if (data.roomId === roomId) setMessages(data.messages);
+    };
+    const handleMessage = (data) => {
+      if (data.roomId === roomId) setMessages(prev => [...prev, data.message].slice(-MAX_MESSAGES));
+    };
+    // Catch up on anything missed while reconnecting
+    const requestHistory = () => socket.emit('getChatHistory', { roomId });
+
+    socket.on('chatHistory', handleHistory);
+    socket.on('chatMessage', handleMessage);
+    socket.on('sessionStarted', requestHistory);
+    requestHistory();
+    return () => {
+      socket.off('chatHistory', handleHistory);
+      socket.off('chatMessage', handleMessage);
+      socket.off('sessionStarted', requestHistory);
+    };
+  }, [roomId]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (entriesRef.current) entriesRef.current.scrollTop = entriesRef.current.scrollHeight;
+  }, [messages]);
+
+  const isHost = hostId === myPlayerId;
+  const isMutedMe = people.some(p => p.id === myPlayerId && p.isMuted);
+
+  const handleSend = (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text) return;
+    socket.emit('sendChat', { roomId, text });
+    setDraft('');
+  };
+
+  const renderMuteButton = (message) => {
+    const author = people.find(p => p.id === message.playerId);
+    if (!isHost || !author || author.id === myPlayerId) return null;
+    return (
+      <button
+        className="chat-mute"
+        onClick={() => socket.emit('mutePlayer', { roomId, playerId: author.id, muted: !author.isMuted })}
+        title={author.isMuted ? `Let ${author.name} chat again` : `Mute ${author.name}`}
+      >
+        {author.isMuted ? '🔈' : '🔇'}
+      </button>
+    );
+  };
+
+  return (
+    <div className="chat-panel">
+      <div className="game-log-title">Chat</div>
+      <div className="chat-entries" ref={entriesRef}>
+        {messages.map(message => (
+          message.type === 'system' ? (
+            <div key={message.id} className="chat-entry chat-system">{message.text}</div>
+          ) : (
+            <div key={message.id} className={`chat-entry ${message.playerId === myPlayerId ? 'chat-me' : ''}`}>
+              {renderMuteButton(message)}
+              <span className="chat-name">{message.name}{message.playerId === hostId && ' ★'}:</span> {message.text}
+            </div>
+          )
+        ))}
+      </div>
+      <form className="chat-form" onSubmit={handleSend}>
+        <input
+          type="text"
+          className="chat-input"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          maxLength={MAX_MESSAGE_LENGTH}
+          placeholder={isMutedMe ? 'The host has muted you' : 'Say something...'}
+          disabled={isMutedMe}
+        />
+      </form>
+    </div>
+  );
+}
+
+export default Chat;
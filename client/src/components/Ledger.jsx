@@ -0,0 +1,95 @@
+import { useState, useEffect } from 'react';
+import socket from '../socket';
+import './Standings.css';
+import './Ledger.css';
+
+/**
+ * Session ledger: what each player bought in for, took out and is up or down,
+ * with the fewest payments that settle the game. Chips still on a cash table
+ * count as if cashed out now.
+ *
+ * @param {string} roomId - Room whose ledger is shown
+ * @param {Array} ledger - Ledger summary from the server's game state
+ * @param {string} myPlayerId - Highlights this player's row
+ * @param {Function} onClose - Hide the ledger
+ */
+function Ledger({ roomId, ledger, myPlayerId, onClose }) {
+  const [settlement, setSettlement] = useState(null);
+
+  // The settlement is worked out on request; ask again whenever results change
+  const ledgerKey = ledger.map(row => `${row.playerId}:${row.net}`).join(',');
+  useEffect(() => {
+    const handleLedger = (data) => {
+      if (data.roomId === roomId) setSettlement(data.settlement);
+    };
+    socket.on('ledger', handleLedger);
+    socket.emit('getLedger', { roomId });
+    return () => {
+      socket.off('ledger', handleLedger);
+    };
+  }, [roomId, ledgerKey]);
+
+  const formatNet = (net) => (net > 0 ? `+$${net}` : net < 0 ? `-$${-net}` : '$0');
+
+  return (
+    <div className="standings-overlay">
+      <div className="standings-panel ledger-panel">
+        <div className="standings-header">
+          <h3>Session Ledger</h3>
+          <button className="standings-close" onClick={onClose} title="Close">✕</button>
+        </div>
+        <table className="standings-table">
+          <thead>
+            <tr>
+              <th>Player</th>
+              <th>Buy-in</th>
+              <th>Rebuys</th>
+              <th>Out</th>
+              <th>Stack</th>
+              <th>Net</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ledger.map(row => (
+              <tr key={row.playerId} className={row.playerId === myPlayerId ? 'standings-me' : ''}>
+                <td>{row.name}</td>
+                <td>${row.buyIns}</td>
+                <td>{row.rebuys > 0 ? `$${row.rebuys}` : '-'}</td>
+                <td>{row.cashedOut > 0 ? `$${row.cashedOut}` : '-'}</td>
+                <td>{row.stack > 0 ? `$${row.stack}` : '-'}</td>
+                <td className={row.net > 0 ? 'ledger-up' : row.net < 0 ? 'ledger-down' : ''}>{formatNet(row.net)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="ledger-settlement">
+          <div className="ledger-settlement-title">Settle Up</div>
+          {!settlement ? (
+            <div className="standings-summary">Working it out...</div>
+          ) : settlement.transfers.length === 0 ? (
+            <div className="standings-summary">Everyone is square</div>
+          ) : (
+            settlement.transfers.map((t, idx) => (
+              <div key={idx} className="ledger-transfer">
+                {t.fromName} pays {t.toName} <strong>${t.amount}</strong>
+              </div>
+            ))
+          )}
+          {settlement && settlement.unsettled !== 0 && (
+            <div className="standings-summary">
+              Results are ${Math.abs(settlement.unsettled)} {settlement.unsettled < 0 ? 'short' : 'over'} (chips in play or prizes not yet paid)
+            </div>
+          )}
+        </div>
+
+        <div className="ledger-export">
+          <button className="btn-bot" onClick={() => socket.emit('exportLedger', { roomId, format: 'csv' })}>CSV</button>
+          <button className="btn-bot" onClick={() => socket.emit('exportLedger', { roomId, format: 'json' })}>JSON</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Ledger;
@@ -1,14 +1,63 @@
 import { useState } from 'react';
+import { DEFAULT_TOURNAMENT_FORM, buildTournamentSettings } from '../utils/tournament';
 import './Lobby.css';
 
-function Lobby({ onJoinRoom, isConnected }) {
+// Mirrors DEFAULT_SETTINGS in server/settings.js, which validates them
+const DEFAULT_SETTINGS = {
+  smallBlind: 10,
+  bigBlind: 20,
+  startingChips: 1000,
+  maxBuyIn: '', // Empty: the starting chips
+  maxSeats: 7,
+  turnTimeLimit: 30,
+  game: 'holdem',
+  bettingStructure: 'no-limit',
+  mode: 'cash',
+  sitOutBlinds: 'miss'
+};
+
+// Tournaments take their blinds from the schedule instead
+const SETTING_FIELDS = [
+  { key: 'smallBlind', label: 'Small Blind', min: 1, cashOnly: true },
+  { key: 'bigBlind', label: 'Big Blind', min: 2, cashOnly: true },
+  { key: 'startingChips', label: 'Starting Chips', min: 100 },
+  { key: 'maxBuyIn', label: 'Max Buy-in', min: 100, cashOnly: true, placeholder: 'Starting chips' },
+  { key: 'maxSeats', label: 'Max Seats', min: 2, max: 9 },
+  { key: 'turnTimeLimit', label: 'Action Timer (s)', min: 10, max: 300 }
+];
+
+const GAMES = [
+  { value: 'holdem', label: "Texas Hold'em", bettingStructure: 'no-limit' },
+  { value: 'omaha', label: 'Omaha', bettingStructure: 'pot-limit' }
+];
+
+// Tournaments always blind away players who sit out
+const SIT_OUT_BLINDS = [
+  { value: 'miss', label: 'Miss blinds, post on return' },
+  { value: 'post', label: 'Keep posting blinds' }
+];
+
+const BETTING_STRUCTURES = [
+  { value: 'no-limit', label: 'No Limit' },
+  { value: 'pot-limit', label: 'Pot Limit' },
+  { value: 'fixed-limit', label: 'Fixed Limit' }
+];
+
+function Lobby({ onJoinRoom, onLoadHistory, onOpenOdds, isConnected }) {
   const [playerName, setPlayerName] = useState('');
   const [roomId, setRoomId] = useState('');
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [tournamentForm, setTournamentForm] = useState(DEFAULT_TOURNAMENT_FORM);
+  const [showSettings, setShowSettings] = useState(false);
+  const isTournament = settings.mode === 'tournament';
+  const [loadError, setLoadError] = useState(null);
 
   const handleCreateRoom = (e) => {
     e.preventDefault();
     if (playerName.trim()) {
-      onJoinRoom(playerName.trim(), null);
+      onJoinRoom(playerName.trim(), null, isTournament
+        ? { ...settings, tournament: buildTournamentSettings(tournamentForm) }
+        : settings);
     }
   };
 
@@ -19,6 +68,27 @@ function Lobby({ onJoinRoom, isConnected }) {
     }
   };
 
+  // Replay a JSON hand history exported from the table, no server needed
+  const handleLoadHistory = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const parsed = JSON.parse(reader.result);
+        const hands = (Array.isArray(parsed) ? parsed : [parsed])
+          .filter(h => h && Array.isArray(h.seats) && Array.isArray(h.actions));
+        setLoadError(null);
+        onLoadHistory(hands);
+      } catch (err) {
+        setLoadError('Not a valid hand history file');
+      }
+    };
+    reader.readAsText(file);
+  };
+
   return (
     <div className="lobby">
       <div className="lobby-container">
@@ -46,6 +116,175 @@ function Lobby({ onJoinRoom, isConnected }) {
               maxLength={6}
             />
           </div>
+          <button
+            type="button"
+            className="settings-toggle"
+            onClick={() => setShowSettings(show => !show)}
+          >
+            {showSettings ? '▾' : '▸'} Table settings (new rooms)
+          </button>
+          {showSettings && (
+            <div className="settings-grid">
+              <div className="form-group">
+                <label htmlFor="game">Game:</label>
+                <select
+                  id="game"
+                  value={settings.game}
+                  onChange={(e) => {
+                    // Each game starts on its usual betting structure (PLO, NLHE)
+                    const game = GAMES.find(g => g.value === e.target.value);
+                    setSettings({ ...settings, game: game.value, bettingStructure: game.bettingStructure });
+                  }}
+                >
+                  {GAMES.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="mode">Format:</label>
+                <select
+                  id="mode"
+                  value={settings.mode}
+                  onChange={(e) => setSettings({ ...settings, mode: e.target.value })}
+                >
+                  <option value="cash">Cash Game</option>
+                  <option value="tournament">Tournament</option>
+                </select>
+              </div>
+              {SETTING_FIELDS.filter(field => !(isTournament && field.cashOnly)).map(({ key, label, min, max, placeholder }) => (
+                <div className="form-group" key={key}>
+                  <label htmlFor={key}>{label}:</label>
+                  <input
+                    type="number"
+                    id={key}
+                    min={min}
+                    max={max}
+                    value={settings[key]}
+                    placeholder={placeholder}
+                    onChange={(e) => setSettings({ ...settings, [key]: e.target.value === '' ? '' : Number(e.target.value) })}
+                  />
+                </div>
+              ))}
+              <div className="form-group">
+                <label htmlFor="bettingStructure">Betting:</label>
+                <select
+                  id="bettingStructure"
+                  value={settings.bettingStructure}
+                  onChange={(e) => setSettings({ ...settings, bettingStructure: e.target.value })}
+                >
+                  {BETTING_STRUCTURES.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              {!isTournament && (
+                <div className="form-group">
+                  <label htmlFor="sitOutBlinds">Sitting Out:</label>
+                  <select
+                    id="sitOutBlinds"
+                    value={settings.sitOutBlinds}
+                    onChange={(e) => setSettings({ ...settings, sitOutBlinds: e.target.value })}
+                  >
+                    {SIT_OUT_BLINDS.map(({ value, label }) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              {isTournament && (
+                <>
+                  <div className="form-group">
+                    <label htmlFor="buyIn">Buy-in:</label>
+                    <input
+                      type="number"
+                      id="buyIn"
+                      min={1}
+                      value={tournamentForm.buyIn}
+                      onChange={(e) => setTournamentForm({ ...tournamentForm, buyIn: e.target.value })}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="maxEntrants">Max Entrants:</label>
+                    <input
+                      type="number"
+                      id="maxEntrants"
+                      min={2}
+                      max={100}
+                      value={tournamentForm.maxEntrants}
+                      onChange={(e) => setTournamentForm({ ...tournamentForm, maxEntrants: e.target.value })}
+                      placeholder={`${settings.maxSeats} (one table)`}
+                      title="More entrants than seats spreads the tournament over several tables"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="rebuyLevels">Rebuy Levels:</label>
+                    <input
+                      type="number"
+                      id="rebuyLevels"
+                      min={0}
+                      value={tournamentForm.rebuyLevels}
+                      onChange={(e) => setTournamentForm({ ...tournamentForm, rebuyLevels: e.target.value })}
+                      title="Players can rebuy a starting stack during this many levels; 0 is a freezeout"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="addOnChips">Add-on Chips:</label>
+                    <input
+                      type="number"
+                      id="addOnChips"
+                      min={0}
+                      value={tournamentForm.addOnChips}
+                      onChange={(e) => setTournamentForm({ ...tournamentForm, addOnChips: e.target.value })}
+                      title="One add-on per player in the last rebuy level; 0 for none"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="payouts">Payouts (%):</label>
+                    <input
+                      type="text"
+                      id="payouts"
+                      value={tournamentForm.payouts}
+                      onChange={(e) => setTournamentForm({ ...tournamentForm, payouts: e.target.value })}
+                      placeholder="50, 30, 20"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="levelBy">Levels Go Up By:</label>
+                    <select
+                      id="levelBy"
+                      value={tournamentForm.levelBy}
+                      onChange={(e) => setTournamentForm({ ...tournamentForm, levelBy: e.target.value })}
+                    >
+                      <option value="time">Time</option>
+                      <option value="hands">Hands</option>
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="levelLength">
+                      {tournamentForm.levelBy === 'time' ? 'Minutes' : 'Hands'} per Level:
+                    </label>
+                    <input
+                      type="number"
+                      id="levelLength"
+                      min={1}
+                      value={tournamentForm.levelLength}
+                      onChange={(e) => setTournamentForm({ ...tournamentForm, levelLength: e.target.value })}
+                    />
+                  </div>
+                  <div className="form-group settings-wide">
+                    <label htmlFor="blindSchedule">Blind Schedule (small/big/ante):</label>
+                    <textarea
+                      id="blindSchedule"
+                      rows={3}
+                      value={tournamentForm.blindSchedule}
+                      onChange={(e) => setTournamentForm({ ...tournamentForm, blindSchedule: e.target.value })}
+                    />
+                  </div>
+                </>
+              )}
+            </div>
+          )}
           <div className="button-group">
             <button 
               onClick={handleCreateRoom} 
@@ -65,6 +304,14 @@ function Lobby({ onJoinRoom, isConnected }) {
           {!isConnected && (
             <p className="connection-hint">Please wait for connection to server...</p>
           )}
+          <label className="replay-upload">
+            Replay a hand history (.json)
+            <input type="file" accept=".json,application/json" onChange={handleLoadHistory} />
+          </label>
+          {loadError && <p className="connection-hint">{loadError}</p>}
+          <button type="button" className="replay-upload odds-open" onClick={onOpenOdds}>
+            Odds calculator
+          </button>
         </div>
       </div>
     </div>
@@ -0,0 +1,179 @@
+import { useState, useEffect } from 'react';
+import socket from '../socket';
+import './OddsCalculator.css';
+
+const MIN_HANDS = 2;
+const MAX_HANDS = 9;
+
+// Mirrors GAMES in server/settings.js
+const GAMES = [
+  { value: 'holdem', label: "Texas Hold'em", placeholder: 'As Kd, or a range: QQ+, AKs' },
+  { value: 'omaha', label: 'Omaha', placeholder: 'As Ad Kh Qh' }
+];
+
+function formatPercent(chance) {
+  return `${(chance * 100).toFixed(2)}%`;
+}
+
+/**
+ * Standalone odds calculator: win/tie chances for 2-9 hands or ranges on a
+ * partial board, worked out by the server's equity engine
+ *
+ * @param {boolean} isConnected - Calculating needs the server
+ * @param {Function} onExit - Back to the lobby
+ */
+function OddsCalculator({ isConnected, onExit }) {
+  const [game, setGame] = useState('holdem');
+  const [hands, setHands] = useState(['', '']);
+  const [board, setBoard] = useState('');
+  const [result, setResult] = useState(null);
+  const [isCalculating, setIsCalculating] = useState(false);
+
+  useEffect(() => {
+    const handleResult = (data) => {
+      setResult(data);
+      setIsCalculating(false);
+    };
+    // Errors are shown by the app; just stop waiting
+    const handleError = () => setIsCalculating(false);
+
+    socket.on('equityResult', handleResult);
+    socket.on('error', handleError);
+    return () => {
+      socket.off('equityResult', handleResult);
+      socket.off('error', handleError);
+    };
+  }, []);
+
+  const updateHand = (idx, value) => {
+    setHands(hands.map((hand, i) => (i === idx ? value : hand)));
+    setResult(null);
+  };
+
+  const calculate = (e) => {
+    e.preventDefault();
+    setIsCalculating(true);
+    socket.emit('calculateEquity', { game, hands, board });
+  };
+
+  const placeholder = GAMES.find(g => g.value === game).placeholder;
+
+  return (
+    <div className="odds-calculator">
+      <form className="odds-container" onSubmit={calculate}>
+        <div className="odds-header">
+          <h2>Odds Calculator</h2>
+          <button type="button" className="odds-link" onClick={onExit}>← Lobby</button>
+        </div>
+
+        <div className="odds-row">
+          <label htmlFor="odds-game">Game</label>
+          <select
+            id="odds-game"
+            value={game}
+            onChange={(e) => {
+              setGame(e.target.value);
+              setResult(null);
+            }}
+          >
+            {GAMES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="odds-row">
+          <label htmlFor="odds-board">Board</label>
+          <input
+            id="odds-board"
+            type="text"
+            value={board}
+            onChange={(e) => {
+              setBoard(e.target.value);
+              setResult(null);
+            }}
+            placeholder="Empty, or up to 5 cards: 2c 7d 9h"
+          />
+        </div>
+
+        <table className="odds-hands">
+          <thead>
+            <tr>
+              <th>Hand</th>
+              <th>Win</th>
+              <th>Tie</th>
+              <th>Equity</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {hands.map((hand, idx) => {
+              const odds = result && result.players[idx];
+              return (
+                <tr key={idx}>
+                  <td>
+                    <input
+                      type="text"
+                      value={hand}
+                      onChange={(e) => updateHand(idx, e.target.value)}
+                      placeholder={idx === 0 ? placeholder : 'Cards, a range, or empty for random'}
+                      aria-label={`Hand ${idx + 1}`}
+                    />
+                  </td>
+                  <td className="odds-number">{odds ? formatPercent(odds.win) : '–'}</td>
+                  <td className="odds-number">{odds ? formatPercent(odds.tie) : '–'}</td>
+                  <td className="odds-number odds-equity">
+                    {odds && <span className="odds-bar" style={{ width: formatPercent(odds.equity) }} />}
+                    <span>{odds ? formatPercent(odds.equity) : '–'}</span>
+                  </td>
+                  <td>
+                    {hands.length > MIN_HANDS && (
+                      <button
+                        type="button"
+                        className="odds-link"
+                        onClick={() => {
+                          setHands(hands.filter((_, i) => i !== idx));
+                          setResult(null);
+                        }}
+                        title="Remove hand"
+                      >
+                        ✕
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <div className="odds-actions">
+          <button
+            type="button"
+            className="odds-link"
+            disabled={hands.length >= MAX_HANDS}
+            onClick={() => {
+              setHands([...hands, '']);
+              setResult(null);
+            }}
+          >
+            + Add hand
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={!isConnected || isCalculating}>
+            {isCalculating ? 'Calculating...' : 'Calculate'}
+          </button>
+        </div>
+
+        {result && (
+          <p className="odds-method">
+            {result.method === 'exact'
+              ? `Exact: every one of ${result.trials.toLocaleString()} boards dealt out`
+              : `Estimate from ${result.trials.toLocaleString()} random deals`}
+          </p>
+        )}
+      </form>
+    </div>
+  );
+}
+
+export default OddsCalculator;
@@ -0,0 +1,52 @@
+import { formatRate, formatAggression, TENDENCY_LABELS } from '../utils/stats';
+import './Standings.css';
+import './PlayerStats.css';
+
+/**
+ * One player's session stats in full, with how many chances each rate
+ * is based on
+ *
+ * @param {Object} player - Player from the game state, with stats
+ * @param {Function} onClose - Hide the popup
+ */
+function PlayerStats({ player, onClose }) {
+  const { stats } = player;
+  const percent = (rate) => (rate === null ? '-' : `${formatRate(rate)}%`);
+  const rows = [
+    { label: 'VPIP', value: percent(stats.vpip), basis: `${stats.hands} hands`, hint: 'Put chips in voluntarily preflop' },
+    { label: 'PFR', value: percent(stats.pfr), basis: `${stats.hands} hands`, hint: 'Raised preflop' },
+    { label: '3-Bet', value: percent(stats.threeBet), basis: `${stats.threeBetChances} chances`, hint: 'Re-raised a single preflop raise' },
+    { label: 'Aggression', value: formatAggression(stats.aggression), basis: 'postflop', hint: 'Bets and raises per call after the flop' },
+    { label: 'Fold to C-Bet', value: percent(stats.foldToCbet), basis: `${stats.cbetsFaced} faced`, hint: "Folded to the preflop raiser's flop bet" },
+    { label: 'WTSD', value: percent(stats.wentToShowdown), basis: `${stats.flopsSeen} flops`, hint: 'Went to showdown after seeing the flop' },
+    { label: 'W$SD', value: percent(stats.wonAtShowdown), basis: `${stats.showdownCount} showdowns`, hint: 'Won at showdown' }
+  ];
+
+  return (
+    <div className="standings-overlay" onClick={onClose}>
+      <div className="standings-panel player-stats-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="standings-header">
+          <h3>{player.name}</h3>
+          <button className="standings-close" onClick={onClose} title="Close">✕</button>
+        </div>
+        <div className="standings-summary">
+          {stats.hands} hand{stats.hands === 1 ? '' : 's'} this session
+          {stats.tendencies.length > 0 && ` · ${stats.tendencies.map(t => TENDENCY_LABELS[t] || t).join(', ')}`}
+        </div>
+        <table className="standings-table">
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.label} title={row.hint}>
+                <td>{row.label}</td>
+                <td className="player-stats-value">{row.value}</td>
+                <td className="player-stats-basis">{row.basis}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default PlayerStats;
@@ -0,0 +1,141 @@
+import { useState, useEffect, useMemo } from 'react';
+import Table from './Table';
+import { buildReplayFrames, getStreetStarts, guessViewerId } from '../utils/replay';
+import { getSuitSymbol } from '../utils/cards';
+import './Replayer.css';
+
+const AUTOPLAY_DELAY = 1200;
+const JUMPS = [
+  { street: 'preflop', label: 'Preflop' },
+  { street: 'flop', label: 'Flop' },
+  { street: 'turn', label: 'Turn' },
+  { street: 'river', label: 'River' },
+  { street: 'showdown', label: 'Showdown' }
+];
+
+function formatCards(cards) {
+  return cards.map(card => `${card.rank}${getSuitSymbol(card.suit)}`).join(' ');
+}
+
+/**
+ * Step through recorded hands on the regular table view
+ *
+ * @param {Array} hands - Hand history records, oldest first
+ * @param {string|null} viewerId - Player the hands were recorded for
+ * @param {Function} onExit - Close the replayer
+ */
+function Replayer({ hands, viewerId = null, onExit }) {
+  const [handIndex, setHandIndex] = useState(hands.length - 1);
+  const [frameIndex, setFrameIndex] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  const hand = hands[handIndex];
+  const heroId = viewerId || guessViewerId(hand);
+  const frames = useMemo(() => buildReplayFrames(hand, heroId), [hand, heroId]);
+  const streetStarts = useMemo(() => getStreetStarts(frames), [frames]);
+  const frame = frames[Math.min(frameIndex, frames.length - 1)];
+  const isLastFrame = frameIndex >= frames.length - 1;
+
+  // Autoplay stops by itself on the last frame
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (isLastFrame) {
+      setIsPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => setFrameIndex(idx => idx + 1), AUTOPLAY_DELAY);
+    return () => clearTimeout(timer);
+  }, [isPlaying, isLastFrame, frameIndex]);
+
+  const selectHand = (idx) => {
+    setHandIndex(idx);
+    setFrameIndex(0);
+    setIsPlaying(false);
+  };
+
+  const step = (delta) => {
+    setIsPlaying(false);
+    setFrameIndex(idx => Math.min(Math.max(idx + delta, 0), frames.length - 1));
+  };
+
+  const heroCards = hand.holeCards[heroId];
+
+  const controls = (
+    <div className="replay-controls">
+      <div className="replay-row">
+        <select
+          className="replay-select"
+          value={handIndex}
+          onChange={(e) => selectHand(Number(e.target.value))}
+        >
+          {hands.map((h, idx) => (
+            <option key={h.handId} value={idx}>
+              Hand #{h.handNumber} · pot ${h.pots.reduce((sum, pot) => sum + pot.amount, 0)}
+            </option>
+          ))}
+        </select>
+        {heroCards && (
+          <span className="replay-hero">Your cards: {formatCards(heroCards)}</span>
+        )}
+      </div>
+      <div className="replay-row">
+        <button className="btn-bot" onClick={() => step(-frames.length)} disabled={frameIndex === 0} title="First action">
+          ⏮
+        </button>
+        <button className="btn-bot" onClick={() => step(-1)} disabled={frameIndex === 0} title="Step back">
+          ◀
+        </button>
+        <button
+          className="btn-bot replay-play"
+          onClick={() => {
+            if (isLastFrame) setFrameIndex(0);
+            setIsPlaying(playing => !playing);
+          }}
+        >
+          {isPlaying ? 'Pause' : 'Play'}
+        </button>
+        <button className="btn-bot" onClick={() => step(1)} disabled={isLastFrame} title="Step forward">
+          ▶
+        </button>
+        <button className="btn-bot" onClick={() => step(frames.length)} disabled={isLastFrame} title="Last action">
+          ⏭
+        </button>
+        <span className="replay-position">{frameIndex + 1} / {frames.length}</span>
+      </div>
+      <div className="replay-row">
+        {JUMPS.map(({ street, label }) => (
+          <button
+            key={street}
+            className={`btn-bot ${frame.street === street ? 'replay-jump-active' : ''}`}
+            disabled={streetStarts[street] === undefined}
+            onClick={() => {
+              setIsPlaying(false);
+              setFrameIndex(streetStarts[street]);
+            }}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className="replay-description">{frame.description}</div>
+    </div>
+  );
+
+  return (
+    <Table
+      key={hand.handId}
+      gameState={frame.gameState}
+      handState={frame.handState}
+      myPlayerId={heroId}
+      myHand={frame.myHand}
+      isConnected
+      replay={{
+        title: `Replay: Hand #${hand.handNumber}`,
+        controls,
+        onExit
+      }}
+    />
+  );
+}
+
+export default Replayer;
@@ -0,0 +1,45 @@
+import { formatPlace } from '../utils/tournament';
+import './Standings.css';
+
+/**
+ * Final tournament standings with prizes
+ *
+ * @param {Object} tournament - Tournament info from the server's game state
+ * @param {string} myPlayerId - Highlights this player's row
+ * @param {Function} onClose - Hide the standings
+ */
+function Standings({ tournament, myPlayerId, onClose }) {
+  return (
+    <div className="standings-overlay">
+      <div className="standings-panel">
+        <div className="standings-header">
+          <h3>Final Standings</h3>
+          <button className="standings-close" onClick={onClose} title="Close">✕</button>
+        </div>
+        <div className="standings-summary">
+          {tournament.entrants} players · Prize pool ${tournament.prizePool}
+        </div>
+        <table className="standings-table">
+          <thead>
+            <tr>
+              <th>Place</th>
+              <th>Player</th>
+              <th>Prize</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tournament.standings.map(entry => (
+              <tr key={entry.playerId} className={entry.playerId === myPlayerId ? 'standings-me' : ''}>
+                <td>{formatPlace(entry.place)}</td>
+                <td>{entry.name}</td>
+                <td>{entry.prize > 0 ? `$${entry.prize}` : '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default Standings;
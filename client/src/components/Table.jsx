@@ -1,11 +1,36 @@
 import { useState, useEffect, useRef } from 'react';
 import socket from '../socket';
 import { useCardDealing } from '../hooks/useCardDealing';
+import VerifyHand from './VerifyHand';
+import TournamentStatus from './TournamentStatus';
+import Standings from './Standings';
+import TournamentLobby from './TournamentLobby';
+import Ledger from './Ledger';
+import PlayerStats from './PlayerStats';
+import Chat from './Chat';
+import { getCardDisplay, getHoleCardCount } from '../utils/cards';
+import { clearSession } from '../utils/session';
+import { formatPlace } from '../utils/tournament';
+import { getHudLine } from '../utils/stats';
+import { BOT_STRATEGIES, BOT_DIFFICULTIES, EXTERNAL_BOT_PREFIX, getBotTag } from '../utils/bots';
 import './Table.css';
 
-function Table({ gameState, handState, myPlayerId, myHand, playerName, isConnected }) {
+/**
+ * @param {Object} [replay] - Replay mode: {title, controls, onExit}. Renders the
+ *   given controls in place of the betting actions and hides live-game buttons.
+ */
+function Table({ gameState, handState, myPlayerId, myHand, playerName, isConnected, replay = null }) {
   // All hooks must be declared at the top, before any conditional returns
   const [raiseAmount, setRaiseAmount] = useState(20);
+  const [revealedHand, setRevealedHand] = useState(null);
+  const [showVerify, setShowVerify] = useState(false);
+  const [showStandings, setShowStandings] = useState(false);
+  const [showTables, setShowTables] = useState(false);
+  const [showLedger, setShowLedger] = useState(false);
+  const [showHud, setShowHud] = useState(true);
+  const [statsPlayerId, setStatsPlayerId] = useState(null);
+  const [botStrategy, setBotStrategy] = useState('casual');
+  const [botDifficulty, setBotDifficulty] = useState('medium');
   const tableRef = useRef(null);
   const prevPhaseRef = useRef(null);
 
@@ -41,23 +66,117 @@ function Table({ gameState, handState, myPlayerId, myHand, playerName, isConnect
     }
   }, [handState?.phase, myHand, myPlayerId, dealPlayerHand, isDealing]);
 
+  // Keep the last hand whose server seed was revealed so it can be verified
+  // after the next hand has started
+  const revealedSeed = gameState?.handState?.fairness?.serverSeed;
+  useEffect(() => {
+    if (!revealedSeed || !gameState?.handState) return;
+    setRevealedHand({
+      fairness: gameState.handState.fairness,
+      communityCards: gameState.handState.communityCards,
+      // Both boards when the hand was run twice (communityCards is the second)
+      boards: gameState.handState.boards || [],
+      sharedBoardSize: gameState.handState.sharedBoardSize,
+      myHand,
+      myPlayerId,
+      players: gameState.players.map(p => ({ id: p.id, name: p.name }))
+    });
+    // Snapshot once per revealed seed
+  }, [revealedSeed]);
+
+  // Pop up the final standings when the tournament ends
+  const isTournamentComplete = !!gameState?.tournament?.isComplete;
+  useEffect(() => {
+    if (isTournamentComplete) setShowStandings(true);
+  }, [isTournamentComplete]);
+
+  // Save exported hand histories and ledgers as a file download
+  useEffect(() => {
+    const handleExport = ({ filename, content, format }) => {
+      const type = { json: 'application/json', csv: 'text/csv' }[format] || 'text/plain';
+      const url = URL.createObjectURL(new Blob([content], { type }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    };
+    socket.on('handHistoryExport', handleExport);
+    socket.on('ledgerExport', handleExport);
+    return () => {
+      socket.off('handHistoryExport', handleExport);
+      socket.off('ledgerExport', handleExport);
+    };
+  }, []);
+
   // Early returns after all hooks
   if (!gameState) {
     return <div className="loading">Loading game state...</div>;
   }
 
   const myPlayer = gameState.players.find(p => p.id === myPlayerId);
+  const tournament = replay ? null : gameState.tournament;
+  const statsPlayer = replay ? null : gameState.players.find(p => p.id === statsPlayerId && p.stats);
+  const myFinish = tournament?.standings.find(entry => entry.playerId === myPlayerId);
+  // Tournaments register more players than seats before they start
+  const capacity = gameState.settings?.mode === 'tournament' && !gameState.gameStarted
+    ? gameState.settings.tournament.maxEntrants
+    : gameState.settings?.maxSeats || 7;
 
-  // Calculate raise bounds for slider
-  const minRaise = handState && myPlayer
-    ? Math.max(handState.currentBet - (myPlayer.currentBet || 0) + 1, 1)
-    : 1;
-  const maxRaise = myPlayer?.chips || 1000;
-  const isMyTurn = handState && handState.currentPlayerIndex !== undefined &&
-    gameState.players.filter(p => !p.hasFolded && p.chips > 0)[handState.currentPlayerIndex]?.id === myPlayerId;
-  const canAct = isMyTurn && !myPlayer?.hasActed && !myPlayer?.isAllIn;
+  const holeCardCount = getHoleCardCount(gameState.settings);
+
+  // Raise range the server's betting structure allows on our turn (see
+  // server/betting.js); null when we can only call or fold
+  const raiseLimits = handState?.raiseLimits || null;
+  const minRaise = raiseLimits ? raiseLimits.min : 1;
+  const maxRaise = raiseLimits ? raiseLimits.max : myPlayer?.chips || 0;
+  const raiseValue = Math.min(Math.max(raiseAmount, minRaise), maxRaise);
+  const isMaxAllIn = !!myPlayer && maxRaise === myPlayer.chips;
+  const maxLabel = isMaxAllIn ? 'ALL-IN' : (gameState.settings?.bettingStructure === 'pot-limit' ? 'POT' : 'MAX');
   const activePlayers = gameState.players.filter(p => !p.hasFolded && p.chips > 0);
-  const currentPlayer = handState && activePlayers[handState.currentPlayerIndex];
+  const currentPlayer = handState && (handState.currentPlayerId !== undefined
+    ? gameState.players.find(p => p.id === handState.currentPlayerId)
+    : activePlayers[handState.currentPlayerIndex]);
+  const isMyTurn = !replay && !!currentPlayer && currentPlayer.id === myPlayerId;
+  const canAct = isMyTurn && !myPlayer?.hasActed && !myPlayer?.isAllIn;
+  const dealerId = handState?.dealerId ?? null;
+  // Players sit by seat number, so empty seats keep their place round the table
+  const seatCount = Math.max(gameState.settings?.maxSeats || 7, gameState.players.length, ...gameState.players.map(p => p.seat || 0));
+  const getSeatNumber = (player, idx) => player.seat || idx + 1;
+  const emptySeats = Array.from({ length: seatCount }, (_, i) => i + 1)
+    .filter(seat => !gameState.players.some((p, idx) => getSeatNumber(p, idx) === seat));
+  const canChangeSeat = !replay && !!myPlayer && gameState.settings?.mode !== 'tournament';
+  // Our place on the waiting list when the table was full as we arrived
+  const waitingList = gameState.waitingList || [];
+  const waitingPosition = waitingList.findIndex(w => w.id === myPlayerId);
+  const myWaitingEntry = waitingPosition === -1 ? null : waitingList[waitingPosition];
+  // Buying more chips: cash top-ups up to the max buy-in, tournament rebuys and
+  // add-ons while their window is open. All of them wait until we are out of the hand.
+  const isTournamentTable = gameState.settings?.mode === 'tournament';
+  const isHoldingCards = !!myPlayer && !!handState && handState.phase !== 'showdown' &&
+    !myPlayer.hasFolded && myHand.length > 0;
+  const isBusted = !replay && !!myPlayer && gameState.gameStarted && myPlayer.chips === 0 && !isHoldingCards;
+  const canTopUp = !replay && !!myPlayer && !isTournamentTable && myPlayer.chips > 0 &&
+    myPlayer.chips < gameState.settings.maxBuyIn && !isHoldingCards;
+  const canRebuy = !!tournament?.isRebuyOpen && !!myPlayer && !myFinish &&
+    myPlayer.chips <= gameState.settings.startingChips && !isHoldingCards;
+  const canAddOn = !!tournament?.isAddOnOpen && !!myPlayer && !myFinish &&
+    !tournament.addOnPlayerIds.includes(myPlayerId) && !isHoldingCards;
+  // Everyone still in is all-in: hands are face up while the board is dealt
+  const isRunout = !!handState?.isRunout && handState.phase !== 'showdown';
+  const handsFaceUp = !!handState && (handState.phase === 'showdown' || !!handState.isRunout);
+  const firstBoard = handState?.runItTwice && handState.boards?.length > 0 ? handState.boards[0] : null;
+  // Winners of a board run twice are listed board by board
+  const winnerGroups = (handState?.winners || []).reduce((groups, winner) => {
+    const board = winner.board || null;
+    const group = groups.find(g => g.board === board);
+    if (group) {
+      group.winners.push(winner);
+    } else {
+      groups.push({ board, winners: [winner] });
+    }
+    return groups;
+  }, []);
 
   const handleAction = (actionType, amount = null) => {
     if (!gameState.roomId) return;
@@ -67,48 +186,19 @@ function Table({ gameState, handState, myPlayerId, myHand, playerName, isConnect
     });
   };
 
+  const handleExit = () => {
+    socket.emit('leaveRoom', { roomId: gameState.roomId });
+    clearSession();
+    window.location.reload();
+  };
+
   const handleStartGame = () => {
     if (!gameState.roomId) return;
     socket.emit('startGame', { roomId: gameState.roomId });
   };
 
-  const getCardDisplay = (card, isHidden = false) => {
-    if (!card) return null;
-
-    if (isHidden) {
-      return (
-        <div className="card card-back">
-          <img src="/cards/back.svg" alt="Card Back" className="card-image" />
-        </div>
-      );
-    }
-
-    const cardFileName = `${card.rank}${card.suit}.svg`;
-    return (
-      <div className="card">
-        <img
-          src={`/cards/${cardFileName}`}
-          alt={`${card.rank} of ${card.suit}`}
-          className="card-image"
-          onError={(e) => {
-            // Fallback to text if image fails to load
-            e.target.style.display = 'none';
-            e.target.parentElement.innerHTML = `
-              <span class="card-rank">${card.rank}</span>
-              <span class="card-suit">${getSuitSymbol(card.suit)}</span>
-            `;
-          }}
-        />
-      </div>
-    );
-  };
-
-  const getSuitSymbol = (suit) => {
-    const suitSymbols = { 'S': '♠', 'H': '♥', 'D': '♦', 'C': '♣' };
-    return suitSymbols[suit] || suit;
-  };
-
-  const getPlayerPosition = (index, total) => {
+  const getPlayerPosition = (seat, total) => {
+    const index = seat - 1;
     const angle = (index / total) * 2 * Math.PI - Math.PI / 2;
     const radius = 200;
     return {
@@ -118,24 +208,17 @@ function Table({ gameState, handState, myPlayerId, myHand, playerName, isConnect
     };
   };
 
-  // Get dealer position
+  // Get dealer position: the button's seat, which may be empty (dead button)
   const getDealerPosition = () => {
     if (!handState || !gameState || gameState.players.length === 0) return null;
 
-    const activePlayers = gameState.players.filter(p => !p.hasFolded && p.chips > 0);
-    if (activePlayers.length === 0) return null;
-
-    const dealerIndex = handState.dealerIndex % activePlayers.length;
-    const dealerPlayer = activePlayers[dealerIndex];
-    const playerIndex = gameState.players.findIndex(p => p.id === dealerPlayer.id);
+    const playerIndex = gameState.players.findIndex(p => p.id === dealerId);
+    const buttonSeat = handState.buttonSeat
+      || (playerIndex === -1 ? null : getSeatNumber(gameState.players[playerIndex], playerIndex));
 
-    if (playerIndex === -1) return null;
+    if (!buttonSeat) return null;
 
-    const position = getPlayerPosition(playerIndex, gameState.players.length);
-    return {
-      ...position,
-      playerIndex: playerIndex
-    };
+    return getPlayerPosition(buttonSeat, seatCount);
   };
 
   if (!isConnected) {
@@ -156,15 +239,47 @@ function Table({ gameState, handState, myPlayerId, myHand, playerName, isConnect
           <span className={`header-connection ${isConnected ? 'connected' : 'disconnected'}`}>
             {isConnected ? '🟢 Connected' : '🔴 Disconnected'}
           </span>
-          <h2 className="header-room">Room: {gameState.roomId}</h2>
-          {!gameState.gameStarted && (
+          <h2 className="header-room">{replay ? replay.title : `Room: ${gameState.roomId}`}</h2>
+          {!replay && !gameState.gameStarted && (
             <div className="bot-controls">
+              <select
+                className="bot-strategy-select"
+                value={botStrategy}
+                onChange={(e) => setBotStrategy(e.target.value)}
+                title="How the next bot plays"
+              >
+                {BOT_STRATEGIES.map(strategy => (
+                  <option key={strategy.id} value={strategy.id}>{strategy.label}</option>
+                ))}
+                {(gameState.botAgents || []).length > 0 && (
+                  <optgroup label="External">
+                    {gameState.botAgents.map(name => (
+                      <option key={name} value={`${EXTERNAL_BOT_PREFIX}${name}`}>{name}</option>
+                    ))}
+                  </optgroup>
+                )}
+              </select>
+              <select
+                className="bot-strategy-select"
+                value={botDifficulty}
+                onChange={(e) => setBotDifficulty(e.target.value)}
+                title="How well the next bot plays"
+                disabled={botStrategy.startsWith(EXTERNAL_BOT_PREFIX)}
+              >
+                {BOT_DIFFICULTIES.map(difficulty => (
+                  <option key={difficulty.id} value={difficulty.id}>{difficulty.label}</option>
+                ))}
+              </select>
               <button
                 onClick={() => {
-                  socket.emit('addBot', { roomId: gameState.roomId });
+                  if (botStrategy.startsWith(EXTERNAL_BOT_PREFIX)) {
+                    socket.emit('addBot', { roomId: gameState.roomId, agent: botStrategy.slice(EXTERNAL_BOT_PREFIX.length) });
+                  } else {
+                    socket.emit('addBot', { roomId: gameState.roomId, strategy: botStrategy, difficulty: botDifficulty });
+                  }
                 }}
                 className="btn btn-bot"
-                disabled={gameState.players.length >= 7}
+                disabled={gameState.players.length >= capacity}
               >
                 + Add Bot
               </button>
@@ -173,16 +288,159 @@ function Table({ gameState, handState, myPlayerId, myHand, playerName, isConnect
         </div>
         <div className="pot-display">
           Pot: ${handState?.pot || 0}
+          {!tournament && gameState.settings && (
+            <span className="stakes-display">
+              Blinds ${gameState.settings.smallBlind}/${gameState.settings.bigBlind}
+            </span>
+          )}
         </div>
+        {tournament && (
+          <TournamentStatus
+            tournament={tournament}
+            onShowTables={tournament.tableNumber ? () => setShowTables(true) : null}
+          />
+        )}
+        {!replay && (
+          <>
+            <div className="history-controls">
+              <span className="history-label">History</span>
+              <button
+                className="btn-bot"
+                onClick={() => socket.emit('getHandHistories', { roomId: gameState.roomId })}
+                title="Step through completed hands"
+              >
+                Replay
+              </button>
+              <button
+                className="btn-bot"
+                onClick={() => socket.emit('exportHandHistory', { roomId: gameState.roomId, format: 'pokerstars' })}
+                title="Download completed hands in PokerStars text format"
+              >
+                TXT
+              </button>
+              <button
+                className="btn-bot"
+                onClick={() => socket.emit('exportHandHistory', { roomId: gameState.roomId, format: 'json' })}
+                title="Download completed hands as JSON"
+              >
+                JSON
+              </button>
+            </div>
+            <button
+              className="btn-bot"
+              onClick={() => setShowVerify(true)}
+              disabled={!revealedHand}
+              title="Rebuild the last hand's deck from its revealed seed"
+            >
+              Verify Hand
+            </button>
+            <label className="run-twice-toggle" title="Deal the rest of the board twice when everyone still in is all-in and agrees">
+              <input
+                type="checkbox"
+                checked={!!myPlayer?.runItTwice}
+                onChange={(e) => socket.emit('setRunItTwice', { roomId: gameState.roomId, enabled: e.target.checked })}
+              />
+              Run it twice
+            </label>
+            <label className="run-twice-toggle" title="Show each player's session stats (VPIP/PFR/3-bet · aggression · hands) at their seat">
+              <input
+                type="checkbox"
+                checked={showHud}
+                onChange={(e) => setShowHud(e.target.checked)}
+              />
+              HUD
+            </label>
+            {canTopUp && (
+              <button
+                className="btn-bot"
+                onClick={() => socket.emit('topUp', { roomId: gameState.roomId })}
+                title={`Add chips up to the max buy-in of $${gameState.settings.maxBuyIn}`}
+              >
+                Top Up ${gameState.settings.maxBuyIn - myPlayer.chips}
+              </button>
+            )}
+            {canRebuy && myPlayer.chips > 0 && (
+              <button
+                className="btn-bot"
+                onClick={() => socket.emit('rebuy', { roomId: gameState.roomId })}
+                title={`Another ${gameState.settings.startingChips} chips for the $${gameState.settings.tournament.buyIn} buy-in`}
+              >
+                Rebuy
+              </button>
+            )}
+            {canAddOn && (
+              <button
+                className="btn-bot"
+                onClick={() => socket.emit('rebuy', { roomId: gameState.roomId, addOn: true })}
+                title={`${tournament.addOnChips} chips for the $${gameState.settings.tournament.buyIn} buy-in, once`}
+              >
+                Add-on
+              </button>
+            )}
+            {gameState.ledger?.length > 0 && (
+              <button className="btn-bot" onClick={() => setShowLedger(true)} title="Buy-ins and results this session">
+                Ledger
+              </button>
+            )}
+            {myPlayer && (
+              <label className="run-twice-toggle" title="Skip hands from the next deal on until you come back">
+                <input
+                  type="checkbox"
+                  checked={!!myPlayer.isSittingOut}
+                  onChange={(e) => socket.emit('setSittingOut', { roomId: gameState.roomId, sittingOut: e.target.checked })}
+                />
+                Sit out next hand
+              </label>
+            )}
+          </>
+        )}
         <button
           className="btn-exit"
-          onClick={() => window.location.reload()}
-          title="Exit to Lobby"
+          onClick={replay ? replay.onExit : handleExit}
+          title={replay ? 'Close the replayer' : 'Exit to Lobby'}
         >
-          Exit Game
+          {replay ? 'Exit Replay' : 'Exit Game'}
         </button>
       </div>
 
+      {showVerify && revealedHand && (
+        <VerifyHand hand={revealedHand} onClose={() => setShowVerify(false)} />
+      )}
+
+      {showStandings && tournament && (
+        <Standings tournament={tournament} myPlayerId={myPlayerId} onClose={() => setShowStandings(false)} />
+      )}
+
+      {showLedger && gameState.ledger && (
+        <Ledger
+          roomId={gameState.roomId}
+          ledger={gameState.ledger}
+          myPlayerId={myPlayerId}
+          onClose={() => setShowLedger(false)}
+        />
+      )}
+
+      {statsPlayer && (
+        <PlayerStats player={statsPlayer} onClose={() => setStatsPlayerId(null)} />
+      )}
+
+      {showTables && tournament && (
+        <TournamentLobby
+          roomId={gameState.roomId}
+          myPlayerId={myPlayerId}
+          onClose={() => setShowTables(false)}
+        />
+      )}
+
+      {!replay && (
+        <Chat
+          roomId={gameState.roomId}
+          myPlayerId={myPlayerId}
+          hostId={gameState.hostId}
+          people={[...gameState.players, ...waitingList]}
+        />
+      )}
+
       {/* Game Log Panel */}
       {gameState.gameLog && gameState.gameLog.length > 0 && (
         <div className="game-log-panel">
@@ -195,18 +453,34 @@ function Table({ gameState, handState, myPlayerId, myHand, playerName, isConnect
         </div>
       )}
 
+      {waitingList.length > 0 && (
+        <div className="waiting-list-panel">
+          <div className="game-log-title">Waiting List</div>
+          {waitingList.map((entry, idx) => (
+            <div key={entry.id} className={`waiting-list-entry ${entry.id === myPlayerId ? 'me' : ''}`}>
+              {idx + 1}. {entry.name}{entry.offeredSeat ? ` - offered seat ${entry.offeredSeat}` : ''}
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="table-area">
         {/* Winner Display - Overlay on table */}
         {handState?.winners && handState.winners.length > 0 && (
           <div className="winner-display">
             <h3>🏆 Winner{handState.winners.length > 1 ? 's' : ''}!</h3>
-            {handState.winners.map((winner, idx) => (
-              <div key={idx} className="winner-info">
-                <span className="winner-name">{winner.playerName}</span>
-                {winner.hand && (
-                  <span className="winner-hand"> - {winner.hand.rank}</span>
-                )}
-                <span className="winner-share"> (+${winner.share})</span>
+            {winnerGroups.map(({ board, winners }) => (
+              <div key={board || 'board'} className="winner-board">
+                {board && <div className="winner-board-label">Board {board}</div>}
+                {winners.map((winner, idx) => (
+                  <div key={idx} className="winner-info">
+                    <span className="winner-name">{winner.playerName}</span>
+                    {winner.hand && (
+                      <span className="winner-hand"> - {winner.hand.rank}</span>
+                    )}
+                    <span className="winner-share"> (+${winner.share})</span>
+                  </div>
+                ))}
               </div>
             ))}
           </div>
@@ -232,6 +506,16 @@ function Table({ gameState, handState, myPlayerId, myHand, playerName, isConnect
             <span className="dealer-icon">Deck</span>
           </div>
 
+          {/* First board of a run-twice runout, above the second one being dealt */}
+          {firstBoard && (
+            <div className="first-board">
+              <span className="board-label">Board 1</span>
+              {firstBoard.map((card, idx) => (
+                <div key={idx} className="first-board-card">{getCardDisplay(card)}</div>
+              ))}
+            </div>
+          )}
+
           {/* Community Cards: dealt face-down, then flip after brief pause */}
           {handState && (
             <div className="community-cards">
@@ -262,19 +546,43 @@ function Table({ gameState, handState, myPlayerId, myHand, playerName, isConnect
                 );
               })}
               {handState.phase && (
-                <div className="phase-indicator">{handState.phase.toUpperCase()}</div>
+                <div className="phase-indicator">
+                  {firstBoard ? 'BOARD 2 · ' : ''}{handState.phase.toUpperCase()}
+                </div>
               )}
             </div>
           )}
 
+          {/* Empty seats: a seated cash player can move to one */}
+          {!replay && emptySeats.map(seat => {
+            const position = getPlayerPosition(seat, seatCount);
+            return (
+              <div key={`empty-${seat}`} className="empty-seat" style={{ left: position.left, top: position.top }}>
+                <span className="empty-seat-label">Seat {seat}</span>
+                {canChangeSeat && (
+                  <button
+                    className="btn-bot"
+                    onClick={() => socket.emit('changeSeat', { roomId: gameState.roomId, seat })}
+                  >
+                    Sit here
+                  </button>
+                )}
+              </div>
+            );
+          })}
+
           {/* Players around table */}
           {gameState.players.map((player, idx) => {
-            const position = getPlayerPosition(idx, gameState.players.length);
+            const position = getPlayerPosition(getSeatNumber(player, idx), seatCount);
             const isActive = !player.hasFolded && player.chips > 0;
             const isCurrent = currentPlayer?.id === player.id;
             const isMe = player.id === myPlayerId;
-            const showCards = handState && !player.hasFolded && (isMe || handState.phase === 'showdown');
-            const isDealer = handState && gameState.players.filter(p => !p.hasFolded && p.chips > 0)[handState.dealerIndex]?.id === player.id;
+            const showCards = handState && !player.hasFolded && (isMe || handsFaceUp);
+            const equity = isRunout && !player.hasFolded ? handState.equity?.[player.id] : undefined;
+            const isDealer = handState && dealerId === player.id;
+            // Out of this hand without having folded: sitting out or no chips
+            const isOutOfHand = player.isSittingOut || (player.chips === 0 && !player.isAllIn);
+            const isInHand = !!handState && handState.phase !== 'showdown' && !player.hasFolded;
 
             return (
               <div
@@ -289,15 +597,38 @@ function Table({ gameState, handState, myPlayerId, myHand, playerName, isConnect
                   <div className="player-name">
                     {player.name} {isMe && '(You)'} {player.isBot && '🤖'}
                   </div>
+                  {getBotTag(player) && <div className="bot-tag">{getBotTag(player)}</div>}
+                  {showHud && !replay && player.stats && (
+                    <button
+                      className="hud-stats"
+                      onClick={() => setStatsPlayerId(player.id)}
+                      title="VPIP/PFR/3-bet · aggression · hands. Click for details"
+                    >
+                      {getHudLine(player.stats)}
+                    </button>
+                  )}
                   <div className="player-chips">Chips: ${player.chips}</div>
                   {handState && player.currentBet > 0 && (
                     <div className="player-bet">Bet: ${player.currentBet}</div>
                   )}
-                  {player.hasFolded && <div className="folded-indicator">FOLDED</div>}
+                  {player.hasFolded && !isOutOfHand && <div className="folded-indicator">FOLDED</div>}
+                  {player.isSittingOut && (
+                    <div className="sitout-indicator">{isInHand ? 'SITTING OUT NEXT HAND' : 'SITTING OUT'}</div>
+                  )}
+                  {!player.isSittingOut && player.chips === 0 && !player.isAllIn && (
+                    <div className="sitout-indicator">OUT OF CHIPS</div>
+                  )}
+                  {!player.isSittingOut && player.missedBlind && (
+                    <div className="missed-blind-indicator">POSTS BIG BLIND TO PLAY</div>
+                  )}
                   {player.isAllIn && <div className="allin-indicator">ALL IN</div>}
+                  {player.isConnected === false && <div className="disconnected-indicator">DISCONNECTED</div>}
                   {isCurrent && <div className="turn-indicator">→</div>}
+                  {equity !== undefined && (
+                    <div className="equity-indicator">{(equity * 100).toFixed(1)}%</div>
+                  )}
                   {showCards && handState && (
-                    <div className="player-cards">
+                    <div className={`player-cards ${holeCardCount === 4 ? 'four-cards' : ''}`}>
                       {isMe ? (
                         myHand.map((card, cardIdx) => {
                           const cardId = `player_${player.id}_${cardIdx}`;
@@ -326,8 +657,8 @@ function Table({ gameState, handState, myPlayerId, myHand, playerName, isConnect
                           );
                         })
                       ) : (
-                        // Show card backs for other players until showdown
-                        handState.phase === 'showdown' && player.hand ? (
+                        // Show card backs for other players until showdown or an all-in runout
+                        handsFaceUp && player.hand ? (
                           player.hand.map((card, cardIdx) => {
                             const cardId = `player_${player.id}_${cardIdx}`;
                             const isDealt = dealtCardIds.has(cardId);
@@ -348,10 +679,9 @@ function Table({ gameState, handState, myPlayerId, myHand, playerName, isConnect
                             );
                           })
                         ) : (
-                          <>
-                            <div className="player-card">{getCardDisplay(null, true)}</div>
-                            <div className="player-card">{getCardDisplay(null, true)}</div>
-                          </>
+                          Array.from({ length: holeCardCount }, (_, cardIdx) => (
+                            <div key={cardIdx} className="player-card">{getCardDisplay(null, true)}</div>
+                          ))
                         )
                       )}
                     </div>
@@ -367,13 +697,53 @@ function Table({ gameState, handState, myPlayerId, myHand, playerName, isConnect
 
       {/* Action Buttons */}
       <div className="action-panel">
-        {!gameState.gameStarted ? (
+        {replay ? (
+          replay.controls
+        ) : tournament?.isComplete ? (
+          <div className="waiting-message">
+            Tournament complete{myFinish ? ` - you finished ${formatPlace(myFinish.place)}` : ''}{' '}
+            <button className="btn-bot" onClick={() => setShowStandings(true)}>Standings</button>
+          </div>
+        ) : myFinish ? (
+          <div className="waiting-message">
+            You finished {formatPlace(myFinish.place)}{myFinish.prize > 0 ? ` ($${myFinish.prize})` : ''} - watching the rest of the tournament
+          </div>
+        ) : myWaitingEntry ? (
+          <div className="waiting-message">
+            {myWaitingEntry.offeredSeat ? (
+              <>
+                Seat {myWaitingEntry.offeredSeat} is free{' '}
+                <button className="btn-bot" onClick={() => socket.emit('acceptSeat', { roomId: gameState.roomId })}>
+                  Take Seat
+                </button>{' '}
+                <button className="btn-bot" onClick={() => socket.emit('declineSeat', { roomId: gameState.roomId })}>
+                  Decline
+                </button>
+              </>
+            ) : (
+              `The table is full - you are number ${waitingPosition + 1} on the waiting list`
+            )}
+          </div>
+        ) : isBusted && (!isTournamentTable || canRebuy) ? (
+          <div className="waiting-message">
+            You are out of chips{' '}
+            <button
+              className="btn-bot"
+              onClick={() => socket.emit(isTournamentTable ? 'rebuy' : 'topUp', { roomId: gameState.roomId })}
+            >
+              {isTournamentTable
+                ? `Rebuy ${gameState.settings.startingChips} chips ($${gameState.settings.tournament.buyIn})`
+                : `Rebuy $${gameState.settings.maxBuyIn}`}
+            </button>{' '}
+            <button className="btn-bot" onClick={handleExit}>Leave Table</button>
+          </div>
+        ) : !gameState.gameStarted ? (
           <button
             onClick={handleStartGame}
             className="btn btn-start"
             disabled={isDealing}
           >
-            Start Game
+            {gameState.settings?.mode === 'tournament' ? 'Start Tournament' : 'Start Game'}
           </button>
         ) : (
           <>
@@ -403,50 +773,64 @@ function Table({ gameState, handState, myPlayerId, myHand, playerName, isConnect
                     Call ${Math.min(handState?.currentBet - (myPlayer?.currentBet || 0) || 0, myPlayer?.chips || 0)}
                   </button>
                 )}
-                {/* Raise Controls with Slider - Modern, tactile betting interface */}
-                <div className="raise-controls">
-                  <div className="raise-slider-container">
-                    <label className="raise-label">
-                      Raise: ${raiseAmount}
-                    </label>
-                    <input
-                      type="range"
-                      min={minRaise}
-                      max={maxRaise}
-                      value={Math.min(Math.max(raiseAmount, minRaise), maxRaise)}
-                      onChange={(e) => {
-                        const newAmount = parseInt(e.target.value) || minRaise;
-                        setRaiseAmount(Math.min(Math.max(newAmount, minRaise), maxRaise));
-                      }}
-                      className="raise-slider"
+                {/* Raise Controls with Slider - Modern, tactile betting interface.
+                    Fixed limit has a single raise size, so just the button. */}
+                {raiseLimits && (
+                  <div className="raise-controls">
+                    {minRaise < maxRaise && (
+                      <div className="raise-slider-container">
+                        <label className="raise-label">
+                          Raise: ${raiseValue}
+                        </label>
+                        <input
+                          type="range"
+                          min={minRaise}
+                          max={maxRaise}
+                          value={raiseValue}
+                          onChange={(e) => {
+                            const newAmount = parseInt(e.target.value) || minRaise;
+                            setRaiseAmount(Math.min(Math.max(newAmount, minRaise), maxRaise));
+                          }}
+                          className="raise-slider"
+                          disabled={isDealing}
+                        />
+                        <div className="raise-range-labels">
+                          <span>${minRaise}</span>
+                          <span>${maxRaise}</span>
+                        </div>
+                      </div>
+                    )}
+                    <button
+                      onClick={() => handleAction('raise', raiseValue)}
+                      className="btn btn-raise"
                       disabled={isDealing}
-                    />
-                    <div className="raise-range-labels">
-                      <span>${minRaise}</span>
-                      <span>${maxRaise}</span>
-                    </div>
+                    >
+                      Raise ${raiseValue}
+                    </button>
+                  </div>
+                )}
+
+                {/* A short all-in leaves players who already acted calling or folding */}
+                {!raiseLimits && handState?.canReraise === false && (
+                  <div className="raise-closed-note">
+                    All-in for less than a full raise: betting is not reopened
                   </div>
+                )}
+
+                {/* ALL-IN Button - One-click, decisive action. Bets the most the
+                    structure allows: the whole stack, or the pot in pot limit */}
+                {raiseLimits && minRaise < maxRaise && (
                   <button
-                    onClick={() => handleAction('raise', raiseAmount)}
-                    className="btn btn-raise"
-                    disabled={isDealing || raiseAmount < (handState ? handState.currentBet - (myPlayer?.currentBet || 0) + 1 : 1)}
+                    onClick={() => {
+                      setRaiseAmount(maxRaise);
+                      handleAction('raise', maxRaise);
+                    }}
+                    className="btn btn-allin"
+                    disabled={isDealing}
                   >
-                    Raise ${raiseAmount}
+                    {maxLabel} ${maxRaise}
                   </button>
-                </div>
-
-                {/* ALL-IN Button - One-click, decisive action */}
-                <button
-                  onClick={() => {
-                    const allInAmount = myPlayer?.chips || 0;
-                    setRaiseAmount(allInAmount);
-                    handleAction('raise', allInAmount);
-                  }}
-                  className="btn btn-allin"
-                  disabled={isDealing || !myPlayer || myPlayer.chips === 0}
-                >
-                  ALL-IN ${myPlayer?.chips || 0}
-                </button>
+                )}
               </>
             )}
             {(!canAct || isDealing) && handState && (
@@ -0,0 +1,87 @@
+import { useState, useEffect } from 'react';
+import socket from '../socket';
+import './TournamentLobby.css';
+
+const REFRESH_INTERVAL = 5000;
+
+/**
+ * Every table of a multi-table tournament with its players and chip counts.
+ * Refreshes from the server while open.
+ *
+ * @param {string} roomId - Any table of the tournament
+ * @param {string} myPlayerId - Highlights this player's row
+ * @param {Function} onClose - Hide the lobby
+ */
+function TournamentLobby({ roomId, myPlayerId, onClose }) {
+  const [lobby, setLobby] = useState(null);
+
+  useEffect(() => {
+    const handleLobby = (data) => setLobby(data);
+    const refresh = () => socket.emit('getTournamentLobby', { roomId });
+
+    socket.on('tournamentLobby', handleLobby);
+    refresh();
+    const timer = setInterval(refresh, REFRESH_INTERVAL);
+    return () => {
+      clearInterval(timer);
+      socket.off('tournamentLobby', handleLobby);
+    };
+  }, [roomId]);
+
+  const players = lobby ? lobby.tables.flatMap(table => table.players) : [];
+  const averageStack = players.length > 0
+    ? Math.round(players.reduce((sum, p) => sum + p.chips, 0) / players.length)
+    : 0;
+
+  return (
+    <div className="tournament-lobby-overlay">
+      <div className="tournament-lobby-panel">
+        <div className="tournament-lobby-header">
+          <h3>Tournament Lobby</h3>
+          <button className="tournament-lobby-close" onClick={onClose} title="Close">✕</button>
+        </div>
+        {!lobby ? (
+          <div className="tournament-lobby-summary">Loading tables...</div>
+        ) : (
+          <>
+            <div className="tournament-lobby-summary">
+              {lobby.tournament.playersRemaining}/{lobby.tournament.entrants} left
+              {' · '}Average stack {averageStack}
+              {' · '}Prize pool ${lobby.tournament.prizePool}
+            </div>
+            <div className="tournament-lobby-tables">
+              {lobby.tables.filter(table => !table.isClosed).map(table => (
+                <div
+                  key={table.roomId}
+                  className={`tournament-lobby-table ${table.roomId === roomId ? 'tournament-lobby-current' : ''}`}
+                >
+                  <div className="tournament-lobby-table-title">
+                    Table {table.number}
+                    <span className="tournament-lobby-room">{table.roomId}</span>
+                  </div>
+                  <table>
+                    <tbody>
+                      {[...table.players].sort((a, b) => b.chips - a.chips).map(player => (
+                        <tr key={player.id} className={player.id === myPlayerId ? 'tournament-lobby-me' : ''}>
+                          <td>{player.isBot ? '🤖 ' : ''}{player.name}</td>
+                          <td className="tournament-lobby-chips">{player.chips}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+            </div>
+            {lobby.tables.some(table => table.isClosed) && (
+              <div className="tournament-lobby-summary">
+                Broken: {lobby.tables.filter(table => table.isClosed).map(table => `Table ${table.number}`).join(', ')}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TournamentLobby;
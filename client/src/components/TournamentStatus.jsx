@@ -0,0 +1,59 @@
+import { useState, useEffect } from 'react';
+import { formatClock } from '../utils/tournament';
+import './TournamentStatus.css';
+
+/**
+ * Tournament level, blinds, time (or hands) to the next level and players left
+ *
+ * @param {Object} tournament - Tournament info from the server's game state
+ * @param {Function} [onShowTables] - Open the tournament lobby (multi-table tournaments)
+ */
+function TournamentStatus({ tournament, onShowTables = null }) {
+  // msToNextLevel is relative to when the update arrived; count down from there
+  const [receivedAt, setReceivedAt] = useState(Date.now());
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    setReceivedAt(Date.now());
+    setNow(Date.now());
+  }, [tournament.msToNextLevel]);
+
+  useEffect(() => {
+    if (tournament.msToNextLevel === null || tournament.isComplete) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [tournament.msToNextLevel, tournament.isComplete]);
+
+  let nextLevel = 'Final level';
+  if (tournament.msToNextLevel !== null) {
+    nextLevel = `Next level ${formatClock(tournament.msToNextLevel - (now - receivedAt))}`;
+  } else if (tournament.handsToNextLevel !== null) {
+    const hands = tournament.handsToNextLevel;
+    nextLevel = `Next level in ${hands} hand${hands === 1 ? '' : 's'}`;
+  }
+
+  return (
+    <div className="tournament-status">
+      <span className="tournament-level">Level {tournament.level}</span>
+      <span className="tournament-blinds">
+        {tournament.smallBlind}/{tournament.bigBlind}
+        {tournament.ante > 0 && ` ante ${tournament.ante}`}
+      </span>
+      {tournament.isStarted && !tournament.isComplete && (
+        <span className="tournament-next">{nextLevel}</span>
+      )}
+      <span className="tournament-players">
+        {tournament.isStarted
+          ? `${tournament.playersRemaining}/${tournament.entrants} left`
+          : 'Not started'}
+      </span>
+      {onShowTables && (
+        <button className="btn-bot" onClick={onShowTables} title="All tables and chip counts">
+          Table {tournament.tableNumber} · {tournament.tablesRemaining} running
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default TournamentStatus;
@@ -0,0 +1,135 @@
+import { useState, useEffect } from 'react';
+import { verifyHand, isSameCard } from '../utils/fairness';
+import { getSuitSymbol } from '../utils/cards';
+import './VerifyHand.css';
+
+function formatCard(card) {
+  if (!card) return '?';
+  return `${card.rank}${getSuitSymbol(card.suit)}`;
+}
+
+function CardList({ cards, expected }) {
+  return (
+    <span className="verify-cards">
+      {cards.map((card, idx) => {
+        const mismatch = expected && expected[idx] && !isSameCard(card, expected[idx]);
+        const isRed = card && (card.suit === 'H' || card.suit === 'D');
+        return (
+          <span key={idx} className={`verify-card ${isRed ? 'red' : ''} ${mismatch ? 'mismatch' : ''}`}>
+            {formatCard(card)}
+          </span>
+        );
+      })}
+    </span>
+  );
+}
+
+/**
+ * "Verify this hand" view: rebuilds the deck from the revealed seed and
+ * compares it with the cards that were actually dealt.
+ */
+function VerifyHand({ hand, onClose }) {
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  // After running it twice communityCards holds only the second board
+  const isRunTwice = !!hand.boards && hand.boards.length > 1;
+  const dealtBoards = isRunTwice ? hand.boards : [hand.communityCards || []];
+
+  useEffect(() => {
+    let cancelled = false;
+    setResult(null);
+    setError(null);
+    verifyHand(hand.fairness, isRunTwice ? hand.sharedBoardSize : null)
+      .then((verification) => {
+        if (!cancelled) setResult(verification);
+      })
+      .catch((err) => {
+        console.error('Hand verification failed:', err);
+        if (!cancelled) setError('Verification needs a secure (https or localhost) connection.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [hand]);
+
+  const seededBoards = result ? dealtBoards.map((board, idx) => result.boards[idx].slice(0, board.length)) : [];
+  const seededMyHand = result ? result.holeCards[hand.myPlayerId] || [] : [];
+  const boardMatches = result && seededBoards.every((board, boardIdx) => (
+    board.every((card, idx) => isSameCard(card, dealtBoards[boardIdx][idx]))
+  ));
+  const myHandMatches = result && (hand.myHand || []).every((card, idx) => isSameCard(card, seededMyHand[idx]));
+  const playerName = (playerId) => hand.players.find(p => p.id === playerId)?.name || playerId;
+
+  return (
+    <div className="verify-overlay" onClick={onClose}>
+      <div className="verify-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="verify-header">
+          <h3>Verify Hand</h3>
+          <button className="verify-close" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="verify-field">
+          <span className="verify-label">Commitment (published before the deal)</span>
+          <code>{hand.fairness.commitment}</code>
+        </div>
+        <div className="verify-field">
+          <span className="verify-label">Server seed (revealed after showdown)</span>
+          <code>{hand.fairness.serverSeed}</code>
+        </div>
+        <div className="verify-field">
+          <span className="verify-label">Client seeds</span>
+          <code>{hand.fairness.clientSeeds.length > 0 ? hand.fairness.clientSeeds.join(', ') : 'none'}</code>
+        </div>
+
+        {error && <div className="verify-result fail">{error}</div>}
+        {!result && !error && <div className="verify-pending">Rebuilding deck…</div>}
+
+        {result && (
+          <>
+            <div className={`verify-result ${result.commitmentMatches ? 'pass' : 'fail'}`}>
+              {result.commitmentMatches ? '✓ Seeds match the commitment' : '✗ Seeds do not match the commitment'}
+            </div>
+            {dealtBoards.map((board, idx) => {
+              const label = isRunTwice ? `Board ${idx + 1}` : 'Board';
+              return (
+                <div key={idx}>
+                  <div className="verify-field">
+                    <span className="verify-label">{label} dealt</span>
+                    <CardList cards={board} />
+                  </div>
+                  <div className="verify-field">
+                    <span className="verify-label">{label} from seed</span>
+                    <CardList cards={seededBoards[idx]} expected={board} />
+                  </div>
+                </div>
+              );
+            })}
+            {hand.myHand && hand.myHand.length > 0 && (
+              <div className="verify-field">
+                <span className="verify-label">Your cards dealt / from seed</span>
+                <span>
+                  <CardList cards={hand.myHand} /> / <CardList cards={seededMyHand} expected={hand.myHand} />
+                </span>
+              </div>
+            )}
+            <div className={`verify-result ${boardMatches && myHandMatches ? 'pass' : 'fail'}`}>
+              {boardMatches && myHandMatches ? '✓ Dealt cards match the seeded deck' : '✗ Dealt cards differ from the seeded deck'}
+            </div>
+            <div className="verify-field">
+              <span className="verify-label">All hole cards from seed</span>
+              {Object.entries(result.holeCards).map(([playerId, cards]) => (
+                <div key={playerId} className="verify-seat">
+                  <span>{playerName(playerId)}</span>
+                  <CardList cards={cards} />
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default VerifyHand;
@@ -223,11 +223,22 @@ export function useCardDealing({
 
   const communityCardsLength = (communityCards || []).length;
 
-  /* Reset flip state when a new hand starts (community cards cleared). */
+  /*
+   * Forget community cards that are no longer on the board: a new hand clears
+   * them, and the replayer steps backwards through streets. Without this the
+   * next flop would be treated as already dealt and never flip face-up.
+   */
   useEffect(() => {
-    if (communityCardsLength === 0) {
-      setFlippedCardIds(new Set());
-    }
+    const prevLength = (prevCommunityCardsRef.current || []).length;
+    if (communityCardsLength >= prevLength) return;
+
+    prevCommunityCardsRef.current = (communityCardsRef.current || []).slice(0, communityCardsLength);
+    const isRemoved = (id) => {
+      if (!id.startsWith('community_')) return false;
+      return Number(id.slice('community_'.length)) >= communityCardsLength;
+    };
+    setDealtCardIds((prev) => new Set([...prev].filter((id) => !isRemoved(id))));
+    setFlippedCardIds((prev) => new Set([...prev].filter((id) => !isRemoved(id))));
   }, [communityCardsLength]);
 
   /* Auto-deal community cards when count increases (flop/turn/river). Stable deps to avoid update loop. */
@@ -0,0 +1,38 @@
+/**
+ * Bot Helpers
+ *
+ * The bot strategies and difficulties the host can pick from, and the short
+ * tag shown on a bot's seat. External agents are listed by the server.
+ */
+
+// Mirrors STRATEGIES and DIFFICULTIES in server/strategies.js
+export const BOT_STRATEGIES = [
+  { id: 'casual', label: 'Casual', short: 'Casual' },
+  { id: 'equity', label: 'Equity', short: 'Equity' },
+  { id: 'tight-aggressive', label: 'Tight-aggressive', short: 'TAG' },
+  { id: 'loose-aggressive', label: 'Loose-aggressive', short: 'LAG' },
+  { id: 'calling-station', label: 'Calling station', short: 'Station' },
+  { id: 'random', label: 'Random', short: 'Random' }
+];
+
+export const BOT_DIFFICULTIES = [
+  { id: 'easy', label: 'Easy' },
+  { id: 'medium', label: 'Medium' },
+  { id: 'hard', label: 'Hard' }
+];
+
+// Select value prefix for the server's external agents (see server/external.js)
+export const EXTERNAL_BOT_PREFIX = 'agent:';
+
+/**
+ * Seat tag for a bot, e.g. "TAG · Hard", or "External" for an external agent
+ * @param {Object} player - Player from the game state
+ * @returns {string|null} The tag, or null for human players
+ */
+export function getBotTag(player) {
+  if (!player.isBot || !player.strategy) return null;
+  if (player.strategy === 'external') return 'External';
+  const strategy = BOT_STRATEGIES.find(s => s.id === player.strategy);
+  const difficulty = BOT_DIFFICULTIES.find(d => d.id === player.difficulty);
+  return [strategy ? strategy.short : player.strategy, difficulty && difficulty.label].filter(Boolean).join(' · ');
+}
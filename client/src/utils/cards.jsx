@@ -0,0 +1,61 @@
+/**
+ * Card rendering helpers shared by the table, replayer and verify views
+ */
+
+const SUIT_SYMBOLS = { 'S': '♠', 'H': '♥', 'D': '♦', 'C': '♣' };
+
+/**
+ * @param {string} suit - 'S', 'H', 'D' or 'C'
+ * @returns {string} Suit symbol
+ */
+export function getSuitSymbol(suit) {
+  return SUIT_SYMBOLS[suit] || suit;
+}
+
+/**
+ * Hole cards per player (mirrors HOLE_CARDS in server/settings.js)
+ *
+ * @param {Object} [settings] - Table settings from the game state
+ * @returns {number}
+ */
+export function getHoleCardCount(settings) {
+  return settings?.game === 'omaha' ? 4 : 2;
+}
+
+/**
+ * Render a card image, or the card back when hidden
+ *
+ * @param {Object|null} card - {rank, suit}
+ * @param {boolean} isHidden - Show the back of the card
+ * @returns {JSX.Element|null}
+ */
+export function getCardDisplay(card, isHidden = false) {
+  if (isHidden) {
+    return (
+      <div className="card card-back">
+        <img src="/cards/back.svg" alt="Card Back" className="card-image" />
+      </div>
+    );
+  }
+
+  if (!card) return null;
+
+  const cardFileName = `${card.rank}${card.suit}.svg`;
+  return (
+    <div className="card">
+      <img
+        src={`/cards/${cardFileName}`}
+        alt={`${card.rank} of ${card.suit}`}
+        className="card-image"
+        onError={(e) => {
+          // Fallback to text if image fails to load
+          e.target.style.display = 'none';
+          e.target.parentElement.innerHTML = `
+            <span class="card-rank">${card.rank}</span>
+            <span class="card-suit">${getSuitSymbol(card.suit)}</span>
+          `;
+        }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+/**
+ * Provably Fair Hand Verification
+ *
+ * Mirrors server/fairness.js and Deck.shuffle() on the server: recomputes a
+ * hand's seed commitment and rebuilds the exact deck order from the revealed
+ * server seed, using the browser's Web Crypto API.
+ */
+
+const SUITS = ['S', 'H', 'D', 'C'];
+const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+const CLIENT_SEED_KEY = 'pokerClientSeed';
+const encoder = new TextEncoder();
+
+/**
+ * Get this browser's client seed, creating and storing one on first use
+ * @returns {string} 32 hex characters
+ */
+export function getClientSeed() {
+  let seed = null;
+  try {
+    seed = localStorage.getItem(CLIENT_SEED_KEY);
+  } catch {
+    // Storage unavailable (private mode); fall through to a fresh seed
+  }
+  if (!seed) {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    seed = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    try {
+      localStorage.setItem(CLIENT_SEED_KEY, seed);
+    } catch {
+      // Not persisted; a new seed next session is fine
+    }
+  }
+  return seed;
+}
+
+/**
+ * The seed the deck was shuffled with (same format as the server)
+ */
+export function combineSeeds(serverSeed, clientSeeds = []) {
+  return [serverSeed, ...clientSeeds].join(':');
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function sha256Hex(text) {
+  return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(text)));
+}
+
+/**
+ * Seeded random integers: HMAC-SHA256(seed, counter) blocks read as big-endian
+ * uint32s with rejection sampling, exactly like createSeededRandom on the server.
+ * @returns {Function} async (max) => integer in [0, max)
+ */
+async function createSeededRandom(seed) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(seed),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  let counter = 0;
+  let block = null;
+  let offset = 0;
+
+  const nextUint32 = async () => {
+    if (!block || offset + 4 > block.byteLength) {
+      block = new DataView(await crypto.subtle.sign('HMAC', key, encoder.encode(String(counter++))));
+      offset = 0;
+    }
+    const value = block.getUint32(offset, false);
+    offset += 4;
+    return value;
+  };
+
+  return async (max) => {
+    const limit = Math.floor(0x100000000 / max) * max;
+    let value;
+    do {
+      value = await nextUint32();
+    } while (value >= limit);
+    return value % max;
+  };
+}
+
+/**
+ * Rebuild the shuffled deck for a seed
+ * @param {string} seed - Combined seed
+ * @returns {Promise<Array>} Cards in deck order (the server deals from the end)
+ */
+export async function rebuildDeck(seed) {
+  const cards = [];
+  for (const suit of SUITS) {
+    for (const rank of RANKS) {
+      cards.push({ suit, rank });
+    }
+  }
+
+  const random = await createSeededRandom(seed);
+  for (let i = cards.length - 1; i > 0; i--) {
+    const j = await random(i + 1);
+    [cards[i], cards[j]] = [cards[j], cards[i]];
+  }
+  return cards;
+}
+
+/**
+ * Verify a revealed hand
+ * @param {Object} fairness - { commitment, serverSeed, clientSeeds, seatOrder, holeCards } from the server
+ * @param {number|null} sharedBoardSize - Board cards both runs share when the board was run twice
+ * @returns {Promise<Object>} { commitmentMatches, computedCommitment, deck, holeCards, boards }
+ */
+export async function verifyHand(fairness, sharedBoardSize = null) {
+  const seed = combineSeeds(fairness.serverSeed, fairness.clientSeeds);
+  const computedCommitment = await sha256Hex(seed);
+  const deck = await rebuildDeck(seed);
+
+  // Replay the deal: each seat's hole cards in seat order (two in Hold'em,
+  // four in Omaha), then five board cards. A second run keeps the shared
+  // cards and is dealt on from where the first board stopped.
+  const remaining = [...deck];
+  const holeCards = {};
+  (fairness.seatOrder || []).forEach(playerId => {
+    holeCards[playerId] = Array.from({ length: fairness.holeCards || 2 }, () => remaining.pop());
+  });
+  const dealBoard = (shared) => [...shared, ...Array.from({ length: 5 - shared.length }, () => remaining.pop())];
+  const boards = [dealBoard([])];
+  if (sharedBoardSize !== null && sharedBoardSize !== undefined) {
+    boards.push(dealBoard(boards[0].slice(0, sharedBoardSize)));
+  }
+
+  return {
+    commitmentMatches: computedCommitment === fairness.commitment,
+    computedCommitment,
+    deck,
+    holeCards,
+    boards
+  };
+}
+
+/**
+ * Check whether two cards are the same card
+ */
+export function isSameCard(a, b) {
+  return !!a && !!b && a.rank === b.rank && a.suit === b.suit;
+}
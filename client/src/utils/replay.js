@@ -0,0 +1,262 @@
+/**
+ * Hand Replay Utilities
+ *
+ * Turns a recorded hand history (see server/history.js) into a list of
+ * frames. Each frame carries the same gameState/handState shape the live
+ * table receives from the server, so the Table component can render it as is.
+ */
+
+const STREETS = ['preflop', 'flop', 'turn', 'river'];
+const BOARD_SIZE = { preflop: 0, flop: 3, turn: 4, river: 5 };
+
+/**
+ * Guess whose point of view an exported record was saved from: the only
+ * player with hole cards who did not show them down
+ *
+ * @param {Object} hand - Hand history record
+ * @returns {string|null} Player ID
+ */
+export function guessViewerId(hand) {
+  const shown = new Set((hand.showdown || []).map(s => s.playerId));
+  return Object.keys(hand.holeCards || {}).find(id => !shown.has(id)) || null;
+}
+
+function formatStreet(street) {
+  return street.charAt(0).toUpperCase() + street.slice(1);
+}
+
+function describeAction(action, name) {
+  const allIn = action.isAllIn ? ' (all-in)' : '';
+  switch (action.type) {
+    case 'post':
+      return action.blind === 'ante'
+        ? `${name} posts ante $${action.amount}${allIn}`
+        : `${name} posts ${action.blind} blind $${action.amount}${allIn}`;
+    case 'fold':
+      return `${name} folds`;
+    case 'check':
+      return `${name} checks`;
+    case 'call':
+      return `${name} calls $${action.amount}${allIn}`;
+    case 'bet':
+      return `${name} bets $${action.to}${allIn}`;
+    case 'raise':
+      return `${name} raises to $${action.to}${allIn}`;
+    default:
+      return `${name} ${action.type}`;
+  }
+}
+
+/**
+ * Build the replay frames for a hand
+ *
+ * @param {Object} hand - Hand history record
+ * @param {string|null} viewerId - Player whose hole cards are shown face up
+ * @returns {Array} Frames {gameState, handState, myHand, description, street}
+ */
+export function buildReplayFrames(hand, viewerId = null) {
+  const players = hand.seats.map(seat => ({
+    id: seat.playerId,
+    name: seat.name,
+    chips: seat.stack,
+    currentBet: 0,
+    hasFolded: false,
+    isAllIn: false,
+    isBot: seat.isBot,
+    seat: seat.seat
+  }));
+  const byId = Object.fromEntries(players.map(p => [p.id, p]));
+  const nameOf = (playerId) => byId[playerId]?.name || playerId;
+  const dealerId = hand.seats.find(s => s.seat === hand.buttonSeat)?.playerId || null;
+  const myHand = (viewerId && hand.holeCards[viewerId]) || [];
+
+  const table = {
+    street: 'preflop',
+    communityCards: [],
+    pot: 0,
+    currentBet: 0,
+    log: []
+  };
+  const frames = [];
+
+  const pushFrame = (description, currentPlayerId, extra = {}) => {
+    table.log.push(description);
+    frames.push({
+      description,
+      street: extra.phase || table.street,
+      myHand,
+      gameState: {
+        roomId: hand.roomId,
+        settings: {
+          game: hand.gameType === 'Omaha' ? 'omaha' : 'holdem',
+          smallBlind: hand.smallBlind,
+          bigBlind: hand.bigBlind,
+          maxSeats: hand.maxSeats
+        },
+        gameStarted: true,
+        players: players.map(p => ({ ...p })),
+        gameLog: [...table.log]
+      },
+      handState: {
+        phase: table.street,
+        communityCards: [...table.communityCards],
+        pot: table.pot,
+        currentBet: table.currentBet,
+        currentPlayerId,
+        dealerId,
+        buttonSeat: hand.buttonSeat,
+        winners: [],
+        ...extra
+      }
+    });
+  };
+
+  const dealStreet = (street, nextPlayerId) => {
+    table.street = street;
+    table.communityCards = hand.board.slice(0, BOARD_SIZE[street]);
+    table.currentBet = 0;
+    players.forEach(p => {
+      p.currentBet = 0;
+    });
+    const newCards = table.communityCards.slice(BOARD_SIZE[STREETS[STREETS.indexOf(street) - 1]]);
+    pushFrame(`${formatStreet(street)}: ${newCards.map(c => c.rank + c.suit).join(' ')}`, nextPlayerId);
+  };
+
+  // Deal every street up to the given one that has not been dealt yet
+  const advanceTo = (street, nextPlayerId) => {
+    while (STREETS.indexOf(table.street) < STREETS.indexOf(street)) {
+      dealStreet(STREETS[STREETS.indexOf(table.street) + 1], nextPlayerId);
+    }
+  };
+
+  const posts = hand.actions.filter(a => a.type === 'post');
+  const actions = hand.actions.filter(a => a.type !== 'post');
+
+  posts.forEach(post => {
+    const player = byId[post.playerId];
+    player.chips -= post.amount;
+    player.isAllIn = !!post.isAllIn;
+    table.pot += post.amount;
+    // Antes go straight into the pot; blinds count toward the preflop bet
+    if (post.blind !== 'ante') {
+      player.currentBet += post.amount;
+      table.currentBet = Math.max(table.currentBet, player.currentBet);
+    }
+  });
+  pushFrame(
+    posts.length > 0
+      ? posts.map(post => describeAction(post, nameOf(post.playerId))).join(', ')
+      : `Hand #${hand.handNumber} starts`,
+    actions[0]?.playerId || null
+  );
+
+  actions.forEach((action, idx) => {
+    advanceTo(action.street, action.playerId);
+
+    const player = byId[action.playerId];
+    if (action.type === 'fold') {
+      player.hasFolded = true;
+    } else if (action.type === 'call') {
+      player.chips -= action.amount;
+      player.currentBet += action.amount;
+      table.pot += action.amount;
+    } else if (action.type === 'bet' || action.type === 'raise') {
+      const added = action.to - player.currentBet;
+      player.chips -= added;
+      player.currentBet = action.to;
+      table.pot += added;
+      table.currentBet = action.to;
+    }
+    player.isAllIn = player.isAllIn || !!action.isAllIn;
+
+    const next = actions[idx + 1];
+    pushFrame(describeAction(action, nameOf(action.playerId)), next && next.street === action.street ? next.playerId : null);
+  });
+
+  // Streets dealt with no betting left (everyone all-in) still get a frame each
+  const lastStreet = STREETS.find(street => BOARD_SIZE[street] === hand.board.length) || 'preflop';
+  advanceTo(lastStreet, null);
+
+  // A board run twice: the second one is dealt from the cards both share
+  const boardExtra = hand.secondBoard ? { runItTwice: true, boards: [hand.board] } : {};
+  if (hand.secondBoard) {
+    STREETS.filter(street => BOARD_SIZE[street] > hand.sharedBoardSize).forEach(street => {
+      table.street = street;
+      table.communityCards = hand.secondBoard.slice(0, BOARD_SIZE[street]);
+      const newCards = table.communityCards.slice(BOARD_SIZE[STREETS[STREETS.indexOf(street) - 1]]);
+      pushFrame(`Second ${street}: ${newCards.map(c => c.rank + c.suit).join(' ')}`, null, boardExtra);
+    });
+  }
+
+  // Showdown: the uncalled bet goes back, winners collect, shown cards turn over
+  if (hand.uncalledBet) {
+    byId[hand.uncalledBet.playerId].chips += hand.uncalledBet.amount;
+    table.pot -= hand.uncalledBet.amount;
+  }
+  players.forEach(p => {
+    p.currentBet = 0;
+  });
+  const shownBy = Object.fromEntries((hand.showdown || []).map(s => [s.playerId, s]));
+  Object.values(shownBy).forEach(shown => {
+    byId[shown.playerId].hand = shown.cards;
+  });
+  hand.winners.forEach(w => {
+    byId[w.playerId].chips += w.amount;
+  });
+
+  let winners;
+  if (hand.secondBoard) {
+    // Each board's pot winners, one entry per player and board
+    winners = [];
+    hand.pots.flatMap(pot => pot.winners).forEach(w => {
+      const existing = winners.find(e => e.playerId === w.playerId && e.board === w.board);
+      if (existing) {
+        existing.share += w.amount;
+        return;
+      }
+      const shown = hand.showdown.find(s => s.playerId === w.playerId && s.board === w.board);
+      winners.push({
+        playerId: w.playerId,
+        playerName: nameOf(w.playerId),
+        hand: shown ? { rank: shown.description } : null,
+        share: w.amount,
+        board: w.board
+      });
+    });
+  } else {
+    winners = hand.winners.map(w => ({
+      playerId: w.playerId,
+      playerName: w.name,
+      hand: shownBy[w.playerId] ? { rank: shownBy[w.playerId].description } : null,
+      share: w.amount
+    }));
+  }
+  const summary = winners
+    .map(w => `${w.playerName} wins $${w.share}${w.hand ? ` with ${w.hand.rank}` : ''}${w.board ? ` on board ${w.board}` : ''}`)
+    .join(', ');
+
+  table.currentBet = 0;
+  pushFrame(summary || 'Hand over', null, {
+    phase: 'showdown',
+    winners,
+    ...(hand.secondBoard ? { runItTwice: true, boards: [hand.board, hand.secondBoard] } : {})
+  });
+
+  return frames;
+}
+
+/**
+ * Index of the first frame of each street, for jumping straight to it
+ *
+ * @param {Array} frames - Frames from buildReplayFrames
+ * @returns {Object} Map of street (or 'showdown') to frame index
+ */
+export function getStreetStarts(frames) {
+  const starts = {};
+  frames.forEach((frame, idx) => {
+    if (starts[frame.street] === undefined) {
+      starts[frame.street] = idx;
+    }
+  });
+  return starts;
+}
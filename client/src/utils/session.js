@@ -0,0 +1,40 @@
+/**
+ * Seat Session Storage
+ *
+ * The server issues a token when this client takes a seat. It is kept in
+ * sessionStorage so a refresh (or a dropped connection) can resume the same
+ * seat, while a second tab still joins as a separate player.
+ */
+
+const SESSION_KEY = 'pokerSession';
+
+/**
+ * @returns {Object|null} {roomId, playerId, token}
+ */
+export function loadSession() {
+  try {
+    const stored = sessionStorage.getItem(SESSION_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {Object} session - {roomId, playerId, token}
+ */
+export function saveSession(session) {
+  try {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } catch {
+    // Storage unavailable; the seat just won't survive a refresh
+  }
+}
+
+export function clearSession() {
+  try {
+    sessionStorage.removeItem(SESSION_KEY);
+  } catch {
+    // Nothing stored
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Player Stats Helpers
+ *
+ * Formatting for the session stats the server sends with each player (see
+ * OpponentModel in server/opponents.js). Rates arrive as 0-1, or null when
+ * there is nothing to count yet.
+ */
+
+/**
+ * A rate as a whole percentage, e.g. 0.237 -> "24"
+ * @param {number|null} rate - Rate from 0 to 1
+ * @returns {string} The percentage, or "-" without data
+ */
+export function formatRate(rate) {
+  return rate === null || rate === undefined ? '-' : String(Math.round(rate * 100));
+}
+
+/**
+ * Aggression factor (bets and raises per call) to one decimal
+ * @param {number|null} aggression - Aggression factor
+ * @returns {string} The factor, or "-" without data
+ */
+export function formatAggression(aggression) {
+  return aggression === null || aggression === undefined ? '-' : aggression.toFixed(1);
+}
+
+/**
+ * The HUD line on a seat: VPIP/PFR/3-bet, aggression and hands, e.g. "24/18/6 · 2.1 · 52"
+ * @param {Object} stats - Player stats from the game state
+ * @returns {string} The HUD line
+ */
+export function getHudLine(stats) {
+  const preflop = [stats.vpip, stats.pfr, stats.threeBet].map(formatRate).join('/');
+  return `${preflop} · ${formatAggression(stats.aggression)} · ${stats.hands}`;
+}
+
+// How the opponent model's tendencies read in the stats popup
+export const TENDENCY_LABELS = {
+  'calling-station': 'Calling station',
+  tight: 'Tight',
+  aggressive: 'Aggressive',
+  'folds-to-cbet': 'Folds to c-bets'
+};
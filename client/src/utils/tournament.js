@@ -0,0 +1,88 @@
+/**
+ * Tournament Helpers
+ *
+ * Text formats for the lobby's tournament fields and display helpers for the
+ * tournament clock. The server validates whatever these produce.
+ */
+
+// Mirrors DEFAULT_TOURNAMENT in server/tournament.js
+export const DEFAULT_BLIND_SCHEDULE =
+  '10/20, 15/30, 25/50, 50/100/10, 75/150/15, 100/200/25, 150/300/25, ' +
+  '200/400/50, 300/600/75, 400/800/100, 600/1200/150, 800/1600/200, 1000/2000/300';
+
+export const DEFAULT_TOURNAMENT_FORM = {
+  buyIn: 100,
+  levelBy: 'time',
+  levelLength: 10,
+  payouts: '50, 30, 20',
+  maxEntrants: '', // Empty: one table's worth (the seat count)
+  rebuyLevels: 0,
+  addOnChips: 0,
+  blindSchedule: DEFAULT_BLIND_SCHEDULE
+};
+
+/**
+ * Parse "small/big[/ante]" levels separated by commas or new lines
+ * @param {string} text - e.g. "10/20, 15/30, 50/100/10"
+ * @returns {Array} Levels {smallBlind, bigBlind, ante}
+ */
+export function parseBlindSchedule(text) {
+  return text
+    .split(/[,\n]/)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [smallBlind, bigBlind, ante = 0] = part.split('/').map(n => Number(n.trim()));
+      return { smallBlind, bigBlind, ante };
+    });
+}
+
+/**
+ * @param {string} text - Percentages, e.g. "50, 30, 20"
+ * @returns {Array<number>}
+ */
+export function parsePayouts(text) {
+  return text
+    .split(/[,\s]+/)
+    .filter(Boolean)
+    .map(Number);
+}
+
+/**
+ * Turn the lobby's tournament fields into the settings the server expects
+ * @param {Object} form - DEFAULT_TOURNAMENT_FORM shape
+ * @returns {Object} Tournament settings
+ */
+export function buildTournamentSettings(form) {
+  return {
+    buyIn: Number(form.buyIn),
+    levelBy: form.levelBy,
+    levelLength: Number(form.levelLength),
+    payouts: parsePayouts(form.payouts),
+    maxEntrants: form.maxEntrants ? Number(form.maxEntrants) : null,
+    rebuyLevels: Number(form.rebuyLevels || 0),
+    addOnChips: Number(form.addOnChips || 0),
+    blindLevels: parseBlindSchedule(form.blindSchedule)
+  };
+}
+
+/**
+ * @param {number} ms - Milliseconds
+ * @returns {string} m:ss
+ */
+export function formatClock(ms) {
+  const totalSeconds = Math.max(Math.ceil(ms / 1000), 0);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * @param {number} place - Finishing place
+ * @returns {string} 1st, 2nd, 3rd, 4th...
+ */
+export function formatPlace(place) {
+  const lastTwo = place % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) return `${place}th`;
+  return `${place}${{ 1: 'st', 2: 'nd', 3: 'rd' }[place % 10] || 'th'}`;
+}
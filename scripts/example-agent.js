@@ -0,0 +1,28 @@
+// A minimal external bot (see server/external.js) to copy from
+//
+//   [{ "name": "Example", "command": "node", "args": ["scripts/example-agent.js"] }]
+//
+// Reads one JSON message per line on stdin and answers each 'decide' with one
+// line on stdout. It checks when it can, calls small bets and raises the
+// minimum with a pocket pair. Logs go to stderr; stdout is only for answers.
+
+import readline from 'readline';
+
+function decide(view) {
+  const isPair = view.hand.length === 2 && view.hand[0].rank === view.hand[1].rank;
+  if (isPair && view.raiseLimits) {
+    return { type: 'raise', amount: view.raiseLimits.min };
+  }
+  if (view.canCheck) return { type: 'check' };
+  return view.toCall <= view.bigBlind * 2 ? { type: 'call' } : { type: 'fold' };
+}
+
+const lines = readline.createInterface({ input: process.stdin });
+lines.on('line', line => {
+  const message = JSON.parse(line);
+  if (message.type === 'hello') {
+    console.error(`Seated as ${message.name} in room ${message.roomId}`);
+  } else if (message.type === 'decide') {
+    console.log(JSON.stringify({ id: message.id, action: decide(message.view) }));
+  }
+});
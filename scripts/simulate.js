@@ -0,0 +1,115 @@
+// Play bots against each other without a server and report how each did
+//
+//   node scripts/simulate.js [options] strategy[:difficulty] ...
+//
+//   node scripts/simulate.js --hands 5000 equity:hard tight-aggressive calling-station:easy
+//
+// Options:
+//   --hands N         Hands to play (default 1000)
+//   --seed TEXT       Same seed, same cards and decisions (default "simulation")
+//   --blinds S/B      Small and big blind (default 10/20)
+//   --chips N         Starting stack and rebuy (default 1000)
+//   --game NAME       holdem or omaha
+//   --structure NAME  no-limit, pot-limit or fixed-limit
+//   --json            Print the raw results as JSON
+//
+// Exits with code 1 if any hand lost or made chips or a bot action was rejected
+// or a bot raise was out of range.
+
+import { simulate } from '../server/simulation.js';
+import { STRATEGIES } from '../server/strategies.js';
+
+const DEFAULT_BOTS = ['equity:hard', 'tight-aggressive', 'loose-aggressive', 'calling-station'];
+
+function parseArgs(argv) {
+  const options = { hands: 1000, seed: 'simulation', settings: {}, json: false, bots: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--hands': options.hands = Number(value()); break;
+      case '--seed': options.seed = value(); break;
+      case '--chips': options.settings.startingChips = Number(value()); break;
+      case '--game': options.settings.game = value(); break;
+      case '--structure': options.settings.bettingStructure = value(); break;
+      case '--json': options.json = true; break;
+      case '--blinds': {
+        const [smallBlind, bigBlind] = value().split('/').map(Number);
+        options.settings.smallBlind = smallBlind;
+        options.settings.bigBlind = bigBlind;
+        break;
+      }
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        options.bots.push(arg);
+    }
+  }
+  if (!Number.isInteger(options.hands) || options.hands < 1) {
+    throw new Error('--hands must be a positive whole number');
+  }
+  if (options.bots.length === 0) options.bots = DEFAULT_BOTS;
+  options.bots = options.bots.map(text => {
+    const [strategy, difficulty = 'medium'] = text.split(':');
+    return { strategy, difficulty };
+  });
+  return options;
+}
+
+const percent = (count, total) => (total > 0 ? `${Math.round((count / total) * 100)}%` : '-');
+const pad = (value, width) => String(value).padEnd(width);
+const padStart = (value, width) => String(value).padStart(width);
+
+function printReport(result, elapsed) {
+  const { settings } = result;
+  console.log(`${result.hands} hands of ${settings.bettingStructure} ${settings.game}, blinds ${settings.smallBlind}/${settings.bigBlind}, ` +
+    `${settings.startingChips} chip buy-ins (${(elapsed / 1000).toFixed(1)}s)\n`);
+
+  const nameWidth = Math.max(...result.players.map(p => `${p.strategy} (${p.difficulty})`.length), 3) + 2;
+  console.log(pad('Seat', 6) + pad('Bot', nameWidth) + padStart('bb/100', 8) + padStart('Net', 9) + padStart('Buy-ins', 9) +
+    padStart('VPIP', 7) + padStart('PFR', 6) + padStart('WTSD', 6) + padStart('W$SD', 6));
+  result.players.forEach(p => {
+    const bbPer100 = `${p.bbPer100 >= 0 ? '+' : ''}${p.bbPer100.toFixed(1)}`;
+    console.log(pad(p.seat, 6) + pad(`${p.strategy} (${p.difficulty})`, nameWidth) + padStart(bbPer100, 8) +
+      padStart(p.net, 9) + padStart(p.buyIns / settings.startingChips, 9) +
+      padStart(percent(p.vpip, p.hands), 7) + padStart(percent(p.pfr, p.hands), 6) +
+      padStart(percent(p.showdowns, p.flopsSeen), 6) + padStart(percent(p.showdownWins, p.showdowns), 6));
+  });
+  console.log('\nVPIP: put chips in voluntarily preflop, PFR: raised preflop,');
+  console.log('WTSD: went to showdown after seeing the flop, W$SD: won at showdown');
+
+  if (result.errors.length === 0) {
+    console.log(`\nChip conservation: OK over ${result.hands} hands, no rejected or out-of-range actions`);
+  } else {
+    console.log(`\n${result.errors.length} problem(s):`);
+    result.errors.slice(0, 20).forEach(e => console.log(`  hand ${e.hand}: ${e.message}`));
+    if (result.errors.length > 20) console.log(`  ... and ${result.errors.length - 20} more`);
+  }
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  console.error(`Strategies: ${Object.keys(STRATEGIES).join(', ')}; difficulties: easy, medium, hard`);
+  process.exit(1);
+}
+
+const started = Date.now();
+const result = simulate(options);
+if (result.error) {
+  console.error(result.error);
+  process.exit(1);
+}
+
+if (options.json) {
+  console.log(JSON.stringify(result, null, 2));
+} else {
+  printReport(result, Date.now() - started);
+}
+if (result.errors.length > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,214 @@
+import { startHand, applyAction, getCurrentPlayer, isHandInProgress, dealRunout } from '../server/engine.js';
+import { getRaiseLimits } from '../server/betting.js';
+import { estimateEquity, parseCards } from '../server/equity.js';
+import { Bot, createBot } from '../server/bot.js';
+import { STRATEGIES, getBotView } from '../server/strategies.js';
+import { createSeededRandom } from '../server/fairness.js';
+import { check, failures, newTable, reportFailures, stackedDeck } from './test-helpers.js';
+
+console.log('--- Testing Bots ---');
+
+function near(actual, expected, tolerance) {
+  return Math.abs(actual - expected) <= tolerance;
+}
+
+// Heads-up table with a hard bot in seat P0 (the big blind) and a player in
+// P1 (the button, first to act preflop)
+function botTable(cards, random = () => 0.99, strategy = 'equity') {
+  const bot = new Bot('P0', 'Bot', 1000, { strategy, difficulty: 'hard', random });
+  const state = newTable([bot, 1000]);
+  startHand(state, { deck: stackedDeck(cards) });
+  return { state, bot };
+}
+
+// Scenario 1: Simulated equity matches the known preflop numbers
+console.log('Scenario 1: Equity against random hands');
+{
+  const failuresBefore = failures;
+  const seeded = createSeededRandom('bot-test');
+  const aces = estimateEquity({ hand: parseCards('As Ah'), opponents: 1, trials: 20000, random: seeded });
+  check(near(aces, 0.852, 0.015), `AA vs one random hand is about 85%, got ${aces}`);
+  const acesFive = estimateEquity({ hand: parseCards('As Ah'), opponents: 4, trials: 20000, random: seeded });
+  check(near(acesFive, 0.557, 0.02), `AA vs four random hands is about 56%, got ${acesFive}`);
+  const junk = estimateEquity({ hand: parseCards('7c 2d'), opponents: 1, trials: 20000, random: seeded });
+  check(near(junk, 0.346, 0.015), `72o vs one random hand is about 35%, got ${junk}`);
+  const nuts = estimateEquity({ hand: parseCards('As Ks'), board: parseCards('Qs Js Ts 2d 3c'), opponents: 3, trials: 500, random: seeded });
+  check(nuts === 1, 'a royal flush never loses');
+  const omaha = estimateEquity({ game: 'omaha', hand: parseCards('As Ad Ks Kd'), opponents: 1, trials: 5000, random: seeded });
+  check(omaha > 0.6 && omaha < 0.75, `Omaha AAKK double-suited is a solid favourite, got ${omaha}`);
+  if (failures === failuresBefore) console.log('PASS: Scenario 1');
+}
+
+// Scenario 2: Calls and folds follow the pot odds
+console.log('\nScenario 2: The equity strategy prices calls against the pot');
+{
+  const failuresBefore = failures;
+  // P0 (bot): 7C 2D, P1: KS KH; the villain shoves
+  const seeded = createSeededRandom('bot-shove');
+  let table = botTable(['7C', '2D', 'KS', 'KH'], () => seeded(1e9) / 1e9);
+  applyAction(table.state, 'P1', { type: 'raise', amount: 990 });
+  check(table.bot.makeDecision(table.state).type === 'fold', '72o folds to a shove');
+
+  // P0 (bot): AS AH calls the shove (it cannot raise an all-in)
+  table = botTable(['AS', 'AH', 'KS', 'KH']);
+  applyAction(table.state, 'P1', { type: 'raise', amount: 990 });
+  check(table.bot.makeDecision(table.state).type === 'call', 'AA calls a shove');
+
+  // A hand with 30% equity calls a half-pot bet (25% needed), folds to a pot bet (33%)
+  const flopBet = (amount) => {
+    const flop = botTable(['9C', '8C', 'KS', 'KH', 'AC', '4C', '2D']);
+    flop.bot.estimateEquity = () => 0.3;
+    applyAction(flop.state, 'P1', { type: 'call' });
+    applyAction(flop.state, 'P0', { type: 'check' });
+    applyAction(flop.state, 'P0', { type: 'check' });
+    applyAction(flop.state, 'P1', { type: 'raise', amount });
+    return flop.bot.makeDecision(flop.state);
+  };
+  check(flopBet(20).type === 'call', 'calls a half-pot bet with 30%');
+  check(flopBet(40).type === 'fold', 'folds to a pot-sized bet with 30%');
+  if (failures === failuresBefore) console.log('PASS: Scenario 2');
+}
+
+// Scenario 3: Value bets scale with the pot, bluffs happen on purpose
+console.log('\nScenario 3: The equity strategy sizes value bets and bluffs');
+{
+  const failuresBefore = failures;
+  // P0 (bot): AS AH on A-7-2 rainbow, checked to on the flop
+  let table = botTable(['AS', 'AH', 'KS', 'QH', 'AD', '7C', '2H']);
+  applyAction(table.state, 'P1', { type: 'call' });
+  applyAction(table.state, 'P0', { type: 'check' });
+  const value = table.bot.makeDecision(table.state);
+  const limits = getRaiseLimits(table.state, table.bot);
+  check(value.type === 'raise' && value.amount >= 20 && value.amount <= 40,
+    `top set bets half to a full pot of 40, got ${JSON.stringify(value)}`);
+  check(value.amount >= limits.min && value.amount <= limits.max, 'bet is within the legal range');
+
+  // Air on the flop: bluffs when the dice say so, checks otherwise
+  table = botTable(['3S', '4H', 'KS', 'QH', 'AD', 'JC', '9H'], () => 0);
+  table.bot.estimateEquity = () => 0.1;
+  applyAction(table.state, 'P1', { type: 'call' });
+  applyAction(table.state, 'P0', { type: 'check' });
+  const bluff = table.bot.makeDecision(table.state);
+  check(bluff.type === 'raise' && bluff.amount >= 20, `bluffs when checked to, got ${JSON.stringify(bluff)}`);
+  table.bot.random = () => 0.99;
+  check(table.bot.makeDecision(table.state).type === 'check', 'otherwise checks');
+
+  // Medium strength has showdown value and is not turned into a bluff
+  table.bot.random = () => 0;
+  table.bot.estimateEquity = () => 0.45;
+  check(table.bot.makeDecision(table.state).type === 'check', 'a medium hand checks');
+
+  if (failures === failuresBefore) console.log('PASS: Scenario 3');
+}
+
+// Scenario 4: Named strategies play the same spot differently
+console.log('\nScenario 4: Strategies differ in what they enter and bet');
+{
+  const failuresBefore = failures;
+  // Facing a raise to 60 in the big blind with 38%: the price needs 33%
+  const facingRaise = (strategy) => {
+    const table = botTable(['9C', '4D', 'KS', 'KH'], () => 0.99, strategy);
+    table.bot.estimateEquity = () => 0.38;
+    applyAction(table.state, 'P1', { type: 'raise', amount: 50 });
+    return table.bot.makeDecision(table.state).type;
+  };
+  check(facingRaise('equity') === 'call', 'equity calls the right price');
+  check(facingRaise('tight-aggressive') === 'fold', 'tight-aggressive folds a below-average hand preflop');
+  check(facingRaise('loose-aggressive') === 'call' && facingRaise('calling-station') === 'call', 'loose players call');
+
+  // Checked to on the flop with 62%
+  const checkedTo = (strategy) => {
+    const table = botTable(['9C', '4D', 'KS', 'KH', '9D', '7C', '2H'], () => 0.99, strategy);
+    table.bot.estimateEquity = () => 0.62;
+    applyAction(table.state, 'P1', { type: 'call' });
+    applyAction(table.state, 'P0', { type: 'check' });
+    return table.bot.makeDecision(table.state).type;
+  };
+  check(checkedTo('loose-aggressive') === 'raise', 'loose-aggressive bets a decent hand');
+  check(checkedTo('equity') === 'check' && checkedTo('calling-station') === 'check', 'others check it');
+
+  // Strategies only get a frozen view of the table
+  const table = botTable(['AS', 'AH', 'KS', 'KH']);
+  const view = getBotView(table.state, table.bot);
+  let threw = false;
+  try {
+    view.opponents[0].chips = 0;
+  } catch (error) {
+    threw = true;
+  }
+  check(threw && Object.isFrozen(view.hand[0]), 'the view cannot be changed');
+  check(view.toCall === 0 && view.raiseLimits.min === 20 && view.opponents[0].isInHand, 'the view shows the raise range and who is in the hand');
+
+  check(createBot('tight-aggressive', 'b1', null, 500, { difficulty: 'easy' }).difficulty === 'easy', 'createBot sets the difficulty');
+  check(createBot('nope', 'b2', null, 500) === null && createBot('random', 'b3', null, 500, { difficulty: 'expert' }) === null,
+    'createBot rejects an unknown strategy or difficulty');
+  if (failures === failuresBefore) console.log('PASS: Scenario 4');
+}
+
+// Scenario 5: Every strategy plays legal poker at every difficulty
+console.log('\nScenario 5: Bots of every kind play hands out');
+{
+  const failuresBefore = failures;
+  const seeded = createSeededRandom('bot-hands');
+  const random = () => seeded(1e9) / 1e9;
+  const names = Object.keys(STRATEGIES);
+  const difficulties = ['easy', 'medium', 'hard'];
+  const state = {
+    players: names.map((strategy, i) => new Bot(`P${i}`, strategy, 1000, { strategy, difficulty: difficulties[i % 3], random })),
+    handState: null,
+    deck: null,
+    dealerIndex: 0
+  };
+
+  let rejected = 0;
+  let hands = 0;
+  for (; hands < 30 && state.players.filter(p => p.chips > 0).length >= 2; hands++) {
+    startHand(state, { serverSeed: `hand-${hands}` });
+    for (let turn = 0; turn < 200 && isHandInProgress(state); turn++) {
+      const player = getCurrentPlayer(state);
+      if (!player) {
+        dealRunout(state); // Everyone is all-in
+        continue;
+      }
+      const { events } = applyAction(state, player.id, player.makeDecision(state));
+      if (events.some(e => e.type === 'actionRejected')) {
+        rejected++;
+        applyAction(state, player.id, { type: 'fold' });
+      }
+    }
+  }
+  const chips = state.players.reduce((sum, p) => sum + p.chips, 0);
+  check(rejected === 0, `no action was rejected, got ${rejected}`);
+  check(chips === names.length * 1000, `chips are conserved, got ${chips}`);
+  check(hands >= 10, `hands were played, got ${hands}`);
+  if (failures === failuresBefore) console.log('PASS: Scenario 5');
+}
+
+// Scenario 6: An opponent who raised is put on a stronger hand
+console.log('\nScenario 6: Raises narrow the hands bots put opponents on');
+{
+  const failuresBefore = failures;
+  const seeded = createSeededRandom('bot-raisers');
+  const versus = (hand, board, raisers) => estimateEquity({ hand: parseCards(hand), board: parseCards(board), opponents: 1, raisers, trials: 20000, random: seeded });
+  const kq = versus('Ks Qs', '', 0) - versus('Ks Qs', '', 1);
+  check(kq > 0.04, `KQs does worse against a raiser, ${kq.toFixed(3)} less`);
+  const nines = versus('9h 9d', 'Kd 7h 2c', 1);
+  check(versus('9h 9d', 'Kd 7h 2c', 0) > 0.7 && nines < 0.6, `an underpair is no favourite against a flop raise, got ${nines}`);
+  const aces = versus('As Ah', '', 1);
+  check(aces > 0.8, `aces still are, got ${aces}`);
+
+  // Facing a raise to 40 or to 400 preflop with 72% against what raises
+  const facing = (amount) => {
+    const table = botTable(['9C', '4D', 'KS', 'KH']);
+    table.bot.estimateEquity = () => 0.72;
+    applyAction(table.state, 'P1', { type: 'raise', amount });
+    const view = getBotView(table.state, table.bot);
+    check(view.opponents[0].hasRaised, 'the view shows who has raised');
+    return table.bot.makeDecision(table.state).type;
+  };
+  check(facing(30) === 'raise', 'a strong hand re-raises a small raise');
+  check(facing(390) === 'call', 'but only calls a big one');
+  if (failures === failuresBefore) console.log('PASS: Scenario 6');
+}
+
+reportFailures();
@@ -0,0 +1,76 @@
+import { ChatChannel, RateLimiter, filterProfanity, MAX_MESSAGE_LENGTH } from '../server/chat.js';
+import { check, failures, reportFailures } from './test-helpers.js';
+
+console.log('--- Testing Table Chat ---');
+
+const alice = { id: 'P0', name: 'Alice' };
+const bob = { id: 'P1', name: 'Bob' };
+
+// Scenario 1: Messages are trimmed, capped and kept for late joiners
+console.log('Scenario 1: Posting and history');
+{
+  const failuresBefore = failures;
+  const chat = new ChatChannel();
+  const { message } = chat.post(alice, '  nice hand  ', 1000);
+  check(message.text === 'nice hand' && message.name === 'Alice' && message.type === 'player', `trimmed message, got ${JSON.stringify(message)}`);
+  check(chat.post(alice, '   ').error === 'Message is empty', 'blank message rejected');
+  check(chat.post(alice, 42).error === 'Message is empty', 'non-text message rejected');
+  check(/200 characters/.test(chat.post(alice, 'x'.repeat(MAX_MESSAGE_LENGTH + 1)).error), 'long message rejected');
+  check(!chat.post(alice, 'x'.repeat(MAX_MESSAGE_LENGTH)).error, 'message at the limit accepted');
+  chat.system('Bob joined the table');
+  const history = chat.getHistory();
+  check(history.length === 3 && history[2].type === 'system' && history[2].playerId === undefined, 'system messages go in the same stream');
+  check(history[0].id < history[1].id && history[1].id < history[2].id, 'ids increase');
+  history[0].text = 'edited';
+  check(chat.getHistory()[0].text === 'nice hand', 'history is a copy');
+
+  for (let i = 0; i < 150; i++) chat.system(`message ${i}`);
+  const capped = chat.getHistory();
+  check(capped.length === 100 && capped[99].text === 'message 149', `only the latest 100 kept, got ${capped.length}`);
+  if (failures === failuresBefore) console.log('PASS: Scenario 1');
+}
+
+// Scenario 2: Swear words are starred out, innocent words left alone
+console.log('\nScenario 2: Profanity filter');
+{
+  const failuresBefore = failures;
+  check(filterProfanity('what the fuck') === 'what the f***', 'swear word starred');
+  check(filterProfanity('SHIT happens') === 'S*** happens', 'any case');
+  check(filterProfanity('stop fucking slowrolling') === 'stop f****** slowrolling', 'common endings');
+  check(filterProfanity('Dickens scrap assess cocktail') === 'Dickens scrap assess cocktail', 'words that only contain one pass');
+  const chat = new ChatChannel();
+  check(chat.post(bob, 'you bastard').message.text === 'you b******', 'posted messages are filtered');
+  if (failures === failuresBefore) console.log('PASS: Scenario 2');
+}
+
+// Scenario 3: Muted players cannot post until unmuted
+console.log('\nScenario 3: Muting');
+{
+  const failuresBefore = failures;
+  const chat = new ChatChannel();
+  chat.setMuted(bob.id, true);
+  check(chat.isMuted(bob.id) && !chat.isMuted(alice.id), 'only Bob is muted');
+  check(chat.post(bob, 'hello').error === 'You have been muted by the host', 'muted player cannot post');
+  check(!chat.post(alice, 'hello').error, 'others still can');
+  chat.setMuted(bob.id, false);
+  check(!chat.post(bob, 'sorry').error, 'unmuted player can post again');
+  if (failures === failuresBefore) console.log('PASS: Scenario 3');
+}
+
+// Scenario 4: Each key gets so many messages per sliding window
+console.log('\nScenario 4: Rate limiting');
+{
+  const failuresBefore = failures;
+  const limiter = new RateLimiter({ limit: 3, windowMs: 1000 });
+  check([0, 100, 200].every(t => limiter.allow('a', t)), 'three messages allowed');
+  check(!limiter.allow('a', 300), 'the fourth in the window refused');
+  check(limiter.allow('b', 300), 'other sockets are not affected');
+  check(!limiter.allow('a', 999), 'still refused until the first message ages out');
+  check(limiter.allow('a', 1000), 'allowed once it does');
+  check(!limiter.allow('a', 1050), 'the window slides');
+  limiter.forget('a');
+  check(limiter.allow('a', 1060), 'a forgotten key starts fresh');
+  if (failures === failuresBefore) console.log('PASS: Scenario 4');
+}
+
+reportFailures();
@@ -0,0 +1,473 @@
+import { Player } from '../server/game.js';
+import { startHand, applyAction, removePlayer, getCurrentPlayer, dealRunout, takeSeat, getSeatError, getTopUpError } from '../server/engine.js';
+import { getRaiseLimits } from '../server/betting.js';
+import { evaluateHand, evaluateOmahaHand } from '../server/evaluate.js';
+import { verifyCommitment, getPublicFairness } from '../server/fairness.js';
+import { validateSettings, DEFAULT_SETTINGS } from '../server/settings.js';
+import { check, failures, newTable, reportFailures, stackedDeck, totalChips } from './test-helpers.js';
+import { verifyHand } from '../client/src/utils/fairness.js';
+
+console.log('--- Testing Hand Engine ---');
+
+// Scenario 1: Heads-up hand played to showdown
+// The button starts on P1, which heads-up posts the small blind and acts first
+// preflop; P0 posts the big blind and acts first after the flop.
+console.log('Scenario 1: Heads-up hand checked down to showdown');
+{
+  const state = newTable([1000, 1000]);
+  // P0: AS AH, P1: KS KH, board: 2C 7D 9H JC 3S
+  const deck = stackedDeck(['AS', 'AH', 'KS', 'KH', '2C', '7D', '9H', 'JC', '3S']);
+  const { events } = startHand(state, { deck });
+
+  check(events.some(e => e.type === 'handStarted'), 'handStarted event emitted');
+  check(state.handState.pot === 30, `pot after blinds should be 30, got ${state.handState.pot}`);
+  check(state.handState.dealerId === 'P1' && getCurrentPlayer(state).id === 'P1', 'button posts the small blind and acts first preflop');
+
+  applyAction(state, 'P1', { type: 'call' });
+  applyAction(state, 'P0', { type: 'check' });
+  check(getCurrentPlayer(state).id === 'P0', 'big blind acts first after the flop');
+  check(state.handState.phase === 'flop', `should be on the flop, got ${state.handState.phase}`);
+  check(state.handState.communityCards.length === 3, 'three flop cards dealt');
+
+  let result;
+  for (const phase of ['flop', 'turn', 'river']) {
+    check(state.handState.phase === phase, `expected ${phase}, got ${state.handState.phase}`);
+    const first = getCurrentPlayer(state).id;
+    applyAction(state, first, { type: 'check' });
+    result = applyAction(state, first === 'P0' ? 'P1' : 'P0', { type: 'check' });
+  }
+
+  const ended = result.events.find(e => e.type === 'handEnded');
+  check(!!ended, 'handEnded event emitted after river');
+  check(ended && ended.winners[0].playerId === 'P0', 'aces win at showdown');
+  check(state.players[0].chips === 1020 && state.players[1].chips === 980, 'winner collects the pot');
+  if (failures === 0) console.log('PASS: Scenario 1');
+}
+
+// Scenario 2: Rejected actions leave the state untouched
+console.log('\nScenario 2: Out-of-turn and invalid actions are rejected');
+{
+  const failuresBefore = failures;
+  const state = newTable([1000, 1000, 1000]);
+  startHand(state);
+  const current = getCurrentPlayer(state);
+  const other = state.players.find(p => p.id !== current.id);
+
+  let { events } = applyAction(state, other.id, { type: 'call' });
+  check(events.length === 1 && events[0].type === 'actionRejected', 'out-of-turn action rejected');
+
+  ({ events } = applyAction(state, current.id, { type: 'check' }));
+  check(events[0].type === 'actionRejected', 'check facing a bet rejected');
+
+  ({ events } = applyAction(state, current.id, { type: 'raise', amount: 25 }));
+  check(events[0].type === 'actionRejected', 'raise below the minimum rejected');
+
+  check(getCurrentPlayer(state).id === current.id, 'turn does not move after a rejection');
+  if (failures === failuresBefore) console.log('PASS: Scenario 2');
+}
+
+// Scenario 3: Everyone folds to a raise
+console.log('\nScenario 3: Raise takes the pot uncontested');
+{
+  const failuresBefore = failures;
+  const state = newTable([1000, 1000, 1000]);
+  const before = totalChips(state);
+  startHand(state);
+
+  const raiser = getCurrentPlayer(state);
+  applyAction(state, raiser.id, { type: 'raise', amount: 100 });
+  applyAction(state, getCurrentPlayer(state).id, { type: 'fold' });
+  const { events } = applyAction(state, getCurrentPlayer(state).id, { type: 'fold' });
+
+  const ended = events.find(e => e.type === 'handEnded');
+  check(ended && ended.winners.length === 1 && ended.winners[0].playerId === raiser.id, 'raiser wins');
+  check(state.handState.phase === 'showdown', 'hand is over');
+  check(totalChips(state) === before, 'chips are conserved');
+  if (failures === failuresBefore) console.log('PASS: Scenario 3');
+}
+
+// Scenario 4: All-in preflop runs the board out without further betting
+console.log('\nScenario 4: All-in and call turns the hands up and deals the remaining streets');
+{
+  const failuresBefore = failures;
+  const state = newTable([500, 1000]);
+  const before = totalChips(state);
+  startHand(state);
+
+  applyAction(state, getCurrentPlayer(state).id, { type: 'raise', amount: 490 });
+  const { events } = applyAction(state, getCurrentPlayer(state).id, { type: 'call' });
+  const runout = events.find(e => e.type === 'runout');
+
+  check(!!runout && runout.hands.length === 2 && runout.hands.every(h => h.cards.length === 2), 'both hands turned face up');
+  check(!!runout && !runout.runItTwice, 'board is run once unless everyone agrees');
+  check(!!runout && Math.abs(runout.equity.P0 + runout.equity.P1 - 1) < 1e-9, 'equities add up to 1');
+  check(state.handState.communityCards.length === 0 && getCurrentPlayer(state) === null, 'nobody is asked to act');
+  check(applyAction(state, 'P0', { type: 'check' }).events[0].type === 'actionRejected', 'no betting during the runout');
+
+  const runoutEvents = [];
+  while (state.handState.phase !== 'showdown') {
+    runoutEvents.push(...dealRunout(state).events);
+  }
+  const streets = runoutEvents.filter(e => e.type === 'street');
+  check(streets.length === 3, 'flop, turn and river dealt');
+  check(streets.every(e => e.equity && e.board === 1), 'each street comes with the new equities');
+  check(state.handState.communityCards.length === 5, 'full board dealt');
+  check(runoutEvents.some(e => e.type === 'handEnded'), 'hand ends at showdown');
+  check(totalChips(state) === before, 'chips are conserved');
+  if (failures === failuresBefore) console.log('PASS: Scenario 4');
+}
+
+// Scenario 5: Removing the player to act passes the turn on
+console.log('\nScenario 5: Removing the current player');
+{
+  const failuresBefore = failures;
+  const state = newTable([1000, 1000, 1000]);
+  startHand(state);
+  const current = getCurrentPlayer(state);
+
+  removePlayer(state, current.id);
+  check(state.players.length === 2, 'player removed');
+  check(getCurrentPlayer(state) && getCurrentPlayer(state).id !== current.id, 'turn passed to the next player');
+  if (failures === failuresBefore) console.log('PASS: Scenario 5');
+}
+
+// Scenario 6: The same seeds always produce the same deal
+console.log('\nScenario 6: Seeded shuffle is reproducible and matches its commitment');
+{
+  const failuresBefore = failures;
+  const dealWith = (serverSeed) => {
+    const state = newTable([1000, 1000, 1000]);
+    state.players[0].clientSeed = 'alice-seed';
+    startHand(state, { serverSeed });
+    return state;
+  };
+  const cardsOf = (state) => state.players.map(p => p.hand.map(c => c.rank + c.suit).join(' ')).join(' | ');
+
+  const first = dealWith('server-seed-1');
+  const second = dealWith('server-seed-1');
+  const other = dealWith('server-seed-2');
+  const { fairness } = first.handState;
+
+  check(cardsOf(first) === cardsOf(second), 'same seed deals the same hole cards');
+  check(cardsOf(first) !== cardsOf(other), 'different seed deals different hole cards');
+  check(fairness.commitment === second.handState.fairness.commitment, 'same seed gives the same commitment');
+  check(verifyCommitment(fairness.commitment, 'server-seed-1', ['alice-seed']), 'revealed seeds match the commitment');
+  check(!verifyCommitment(fairness.commitment, 'server-seed-2', ['alice-seed']), 'wrong seed does not match the commitment');
+  if (failures === failuresBefore) console.log('PASS: Scenario 6');
+}
+
+// Scenario 7: Stakes come from the table settings
+console.log('\nScenario 7: Blinds and minimum raise follow the room settings');
+{
+  const failuresBefore = failures;
+  const { settings } = validateSettings({ smallBlind: 25, bigBlind: 50, startingChips: 5000 });
+  const state = newTable([5000, 5000, 5000]);
+  state.settings = settings;
+  startHand(state);
+
+  check(state.handState.pot === 75, `pot after 25/50 blinds should be 75, got ${state.handState.pot}`);
+  const current = getCurrentPlayer(state);
+  const { events } = applyAction(state, current.id, { type: 'raise', amount: 90 });
+  check(events[0].type === 'actionRejected' && events[0].message === 'Minimum raise is 50', 'raise must be at least one big blind');
+
+  check(validateSettings({}).settings.bigBlind === 20, 'missing settings fall back to the defaults');
+  check(!!validateSettings({ smallBlind: 50, bigBlind: 20 }).error, 'big blind below the small blind rejected');
+  check(!!validateSettings({ maxSeats: 12 }).error, 'seat count above the limit rejected');
+  check(!!validateSettings({ startingChips: 100, bigBlind: 20 }).error, 'stack under ten big blinds rejected');
+  check(!!validateSettings({ bettingStructure: 'spread-limit' }).error, 'unknown betting structure rejected');
+  if (failures === failuresBefore) console.log('PASS: Scenario 7');
+}
+
+// Scenario 8: Pot-Limit Omaha
+// Dealer rotates to P1: P2 posts the small blind, P0 the big blind, P1 opens.
+console.log('\nScenario 8: Omaha deals four cards, plays exactly two and caps raises at the pot');
+{
+  const failuresBefore = failures;
+  const { settings } = validateSettings({ game: 'omaha' });
+  const state = newTable([1000, 1000, 1000]);
+  state.settings = settings;
+  // P0 has one heart with four on board: a flush in Hold'em, only eights in Omaha
+  const deck = stackedDeck([
+    '9H', '8S', '8D', '3C',
+    'QS', 'QD', '5C', '6C',
+    'JC', '10C', '9C', '3S',
+    'AH', 'KH', '7H', '4H', '2C'
+  ]);
+  startHand(state, { deck });
+
+  check(settings.bettingStructure === 'pot-limit', 'Omaha is pot-limit unless asked otherwise');
+  check(state.players.every(p => p.hand.length === 4), 'four hole cards each');
+  check(getCurrentPlayer(state).id === 'P1', 'first player after the big blind opens');
+
+  const { events } = applyAction(state, 'P1', { type: 'raise', amount: 71 });
+  check(events[0].type === 'actionRejected' && events[0].message === 'Pot limit: the most you can raise to is 70', 'raise over the pot rejected');
+  applyAction(state, 'P1', { type: 'raise', amount: 70 });
+  check(state.handState.currentBet === 70, `pot-sized raise to 70, got ${state.handState.currentBet}`);
+  check(getRaiseLimits(state, state.players[2]).max === 220, 'small blind can put in the call plus the pot after calling');
+  applyAction(state, 'P2', { type: 'call' });
+  applyAction(state, 'P0', { type: 'call' });
+  while (state.handState.phase !== 'showdown') {
+    applyAction(state, getCurrentPlayer(state).id, { type: 'check' });
+  }
+
+  const board = state.handState.communityCards;
+  check(evaluateHand([...state.players[0].hand, ...board]).rank === 'Flush', 'best-of-seven would find the flush');
+  check(evaluateOmahaHand(state.players[0].hand, board).rank === 'One Pair', 'two-plus-three has no flush with one heart, only eights');
+  check(state.players[1].chips === 1140, `queens win the 210 pot, got ${state.players[1].chips}`);
+  check(!!validateSettings({ game: 'stud' }).error, 'unknown game rejected');
+  if (failures === failuresBefore) console.log('PASS: Scenario 8');
+}
+
+// Scenario 9: Fixed limit
+// Dealer rotates to P1: P2 posts the small blind, P0 the big blind, P1 opens.
+console.log('\nScenario 9: Fixed-limit raises come in one size and are capped per street');
+{
+  const failuresBefore = failures;
+  const { settings } = validateSettings({ bettingStructure: 'fixed-limit' });
+  const state = newTable([1000, 1000, 1000]);
+  state.settings = settings;
+  startHand(state);
+  const [p0, p1, p2] = state.players;
+
+  check(getRaiseLimits(state, p1).min === 40 && getRaiseLimits(state, p1).max === 40, 'preflop raise is the call plus one small bet');
+  const { events } = applyAction(state, 'P1', { type: 'raise', amount: 50 });
+  check(events[0].type === 'actionRejected' && events[0].message === 'Fixed limit: you can only raise to 40', 'off-size raise rejected');
+  applyAction(state, 'P1', { type: 'raise', amount: 40 });
+  applyAction(state, 'P2', { type: 'raise', amount: 50 });
+  applyAction(state, 'P0', { type: 'raise', amount: 60 });
+  check(state.handState.currentBet === 80, `capped at four bets, got ${state.handState.currentBet}`);
+  check(getRaiseLimits(state, p1) === null, 'no raise left once betting is capped');
+  const capped = applyAction(state, 'P1', { type: 'raise', amount: 60 }).events[0];
+  check(capped.type === 'actionRejected' && capped.message === 'Betting is capped at 4 bets this round', 'capped raise rejected');
+  applyAction(state, 'P1', { type: 'call' });
+  applyAction(state, 'P2', { type: 'call' });
+
+  check(state.handState.phase === 'flop' && state.handState.pot === 240, 'everyone put in four small bets');
+  check(getRaiseLimits(state, p2).max === 20, 'flop bets are one small bet');
+  ['P2', 'P0', 'P1'].forEach(id => applyAction(state, id, { type: 'check' }));
+  check(state.handState.phase === 'turn' && getRaiseLimits(state, p2).max === 40, 'turn bets are one big bet');
+  check(p0.chips + p1.chips + p2.chips + state.handState.pot === 3000, 'chips are conserved');
+  if (failures === failuresBefore) console.log('PASS: Scenario 9');
+}
+
+// Scenario 10: Running it twice splits the pot between two boards
+// P1 is on the button and shoves, P0 calls. Aces win the first board,
+// kings make trips on the second.
+console.log('\nScenario 10: All-in players who agree run the board twice');
+{
+  const failuresBefore = failures;
+  const state = newTable([1000, 1000]);
+  const before = totalChips(state);
+  state.players.forEach(p => { p.runItTwice = true; });
+  const deck = stackedDeck(['AS', 'AH', 'KS', 'KH', '2C', '7D', '9H', 'JC', '3S', 'KD', '4C', '8S', '5H', 'QD']);
+  startHand(state, { deck });
+
+  applyAction(state, 'P1', { type: 'raise', amount: 990 });
+  const { events } = applyAction(state, 'P0', { type: 'call' });
+  check(events.some(e => e.type === 'runout' && e.runItTwice), 'runout is dealt twice');
+
+  const runoutEvents = [];
+  while (state.handState.phase !== 'showdown') {
+    runoutEvents.push(...dealRunout(state).events);
+  }
+  const streets = runoutEvents.filter(e => e.type === 'street');
+  check(streets.map(e => e.board).join(',') === '1,1,1,2,2,2', 'three streets on each board');
+  check(streets[3].communityCards.length === 3, 'second board starts again from the shared cards');
+
+  const [first, second] = state.handState.boards;
+  check(first.map(c => c.rank + c.suit).join(' ') === '2C 7D 9H JC 3S', 'first board kept');
+  check(second.map(c => c.rank + c.suit).join(' ') === 'KD 4C 8S 5H QD', 'second board dealt from the rest of the deck');
+
+  const ended = runoutEvents.find(e => e.type === 'handEnded');
+  const winnerOn = board => ended.winners.filter(w => w.board === board).map(w => `${w.playerId}:${w.share}`).join(',');
+  check(winnerOn(1) === 'P0:1000' && winnerOn(2) === 'P1:1000', `half the pot on each board, got ${winnerOn(1)} / ${winnerOn(2)}`);
+  check(ended.showdown.filter(s => s.board === 2).length === 2, 'showdown lists each board');
+  check(state.players[0].chips === 1000 && state.players[1].chips === 1000, 'each player wins one board');
+  check(totalChips(state) === before, 'chips are conserved');
+  if (failures === failuresBefore) console.log('PASS: Scenario 10');
+}
+
+// Scenario 11: No-limit raise sizes and short all-ins
+// Dealer rotates to P1: P2 posts the small blind, P3 the big blind, P0 opens.
+console.log('\nScenario 11: Raises must be full raises and a short all-in does not reopen the betting');
+{
+  const failuresBefore = failures;
+  const state = newTable([1000, 1000, 90, 1000]);
+  startHand(state);
+  const [p0, p1, p2, p3] = state.players;
+
+  applyAction(state, 'P0', { type: 'raise', amount: 60 });
+  check(state.handState.lastRaiseSize === 40, `raise to 60 is a raise of 40, got ${state.handState.lastRaiseSize}`);
+  check(getRaiseLimits(state, p1).min === 100, 'next raise must be at least as big as the last one');
+  const small = applyAction(state, 'P1', { type: 'raise', amount: 80 }).events[0];
+  check(small.type === 'actionRejected' && small.message === 'Minimum raise is 40', 'raise smaller than the last raise rejected');
+  applyAction(state, 'P1', { type: 'call' });
+
+  applyAction(state, 'P2', { type: 'raise', amount: 80 });
+  check(p2.isAllIn && state.handState.currentBet === 90, 'short all-in raises the bet to 90');
+  check(state.handState.lastRaiseSize === 40, 'an all-in for less than a full raise does not change the raise size');
+  check(getRaiseLimits(state, p3).min === 110, 'big blind has not acted and may still raise to 130');
+  applyAction(state, 'P3', { type: 'call' });
+
+  check(getCurrentPlayer(state).id === 'P0' && getRaiseLimits(state, p0) === null, 'opener may only call or fold');
+  const reraise = applyAction(state, 'P0', { type: 'raise', amount: 200 }).events[0];
+  check(reraise.type === 'actionRejected' && reraise.message === 'An all-in for less than a full raise does not reopen the betting', 're-raise rejected');
+  applyAction(state, 'P0', { type: 'call' });
+  check(getRaiseLimits(state, p1) === null, 'caller may only call or fold');
+  applyAction(state, 'P1', { type: 'call' });
+
+  check(state.handState.phase === 'flop' && state.handState.pot === 360, `everyone put in 90, pot ${state.handState.pot}`);
+  check(getRaiseLimits(state, getCurrentPlayer(state)).min === 20, 'opening bet on the flop is a big blind');
+  if (failures === failuresBefore) console.log('PASS: Scenario 11');
+}
+
+// Scenario 12: The button moves by seat, with dead blinds and buttons
+console.log('\nScenario 12: Seat-based button with a dead small blind, a dead button and heads-up');
+{
+  const failuresBefore = failures;
+  const state = newTable([1000, 1000, 1000, 1000, 1000]);
+  const foldAround = () => {
+    while (state.handState.phase !== 'showdown') {
+      applyAction(state, getCurrentPlayer(state).id, { type: 'fold' });
+    }
+  };
+  const positions = () => {
+    const { buttonSeat, smallBlindSeat, bigBlindSeat } = state.handState;
+    return `${buttonSeat}/${smallBlindSeat}/${bigBlindSeat}`;
+  };
+
+  startHand(state);
+  check(state.players.map(p => p.seat).join(',') === '1,2,3,4,5', 'players take seats 1 to 5');
+  check(positions() === '2/3/4', `first hand: button, small and big blind on seats 2/3/4, got ${positions()}`);
+  const latecomer = new Player('P9', 'Player 9', 1000);
+  takeSeat(state, latecomer, 3);
+  check(latecomer.seat === 6 && latecomer.hasFolded, 'a taken seat goes to the lowest free one and a player arriving mid-hand sits out');
+  removePlayer(state, 'P9');
+  const offTable = [99, -2, 2.5, 0].map(seat => {
+    const player = new Player('P9', 'Player 9', 1000);
+    const taken = takeSeat(state, player, seat);
+    removePlayer(state, 'P9');
+    return taken;
+  });
+  check(offTable.every(seat => seat === 6), `a seat off the table goes to the lowest free one, got ${offTable}`);
+  foldAround();
+
+  startHand(state);
+  check(positions() === '3/4/5', `everything moves on one seat, got ${positions()}`);
+  foldAround();
+
+  // Last hand's big blind leaves: nobody posts the small blind
+  removePlayer(state, 'P4');
+  const { events } = startHand(state);
+  check(positions() === '4/5/1', `big blind moves on to seat 1, got ${positions()}`);
+  check(!events.some(e => e.type === 'blind' && e.blind === 'small') && state.handState.pot === 20, 'dead small blind');
+  foldAround();
+
+  // The button moves to the empty seat 5
+  startHand(state);
+  check(positions() === '5/1/2' && state.handState.dealerId === null, `dead button on seat 5, got ${positions()}`);
+  check(getCurrentPlayer(state).id === 'P2', 'first player after the big blind opens');
+  foldAround();
+
+  // Heads-up: the button posts the small blind and acts first preflop
+  removePlayer(state, 'P2');
+  removePlayer(state, 'P3');
+  startHand(state);
+  check(positions() === '2/2/1', `big blind moves on to seat 1 and the other player has the button, got ${positions()}`);
+  check(getCurrentPlayer(state).id === 'P1', 'button acts first preflop heads-up');
+  if (failures === failuresBefore) console.log('PASS: Scenario 12');
+}
+
+// Scenario 13: Sitting out, missed blinds and changing seats
+console.log('\nScenario 13: Sitting out misses the blinds, coming back posts a big blind');
+{
+  const failuresBefore = failures;
+  const state = newTable([1000, 1000, 1000, 1000]);
+  const foldAround = () => {
+    while (state.handState.phase !== 'showdown') {
+      applyAction(state, getCurrentPlayer(state).id, { type: 'fold' });
+    }
+  };
+
+  startHand(state); // Button 2, blinds 3 and 4
+  const p0 = state.players[0];
+  p0.isSittingOut = true;
+  check(p0.hand.length === 2 && !p0.hasFolded, 'sitting out starts with the next hand');
+  foldAround();
+
+  // The big blind would have been seat 1; it passes P0 and goes to seat 2
+  startHand(state);
+  check(p0.hand.length === 0 && p0.hasFolded, 'a player sitting out is not dealt in');
+  check(state.handState.bigBlindSeat === 2 && p0.missedBlind, 'the big blind skips the empty seat and it counts as missed');
+  foldAround();
+
+  p0.isSittingOut = false;
+  const { events } = startHand(state); // Blinds on seats 2 and 3
+  const posts = events.filter(e => e.type === 'blind' && e.playerId === 'P0');
+  check(posts.length === 1 && posts[0].amount === 20 && p0.currentBet === 20, 'coming back posts the missed big blind');
+  check(!p0.missedBlind && state.handState.pot === 50, `missed blind is live and in the pot, got ${state.handState.pot}`);
+
+  check(getSeatError(state, p0, 2) === 'That seat is taken', 'cannot move to a taken seat');
+  check(getSeatError(state, p0, 8) === 'Pick a seat from 1 to 7', 'seat must be on the table');
+  check(getSeatError(state, p0, 5) !== null, 'cannot move while holding cards');
+  applyAction(state, 'P3', { type: 'fold' });
+  applyAction(state, 'P0', { type: 'fold' });
+  check(getSeatError(state, p0, 5) === null, 'a folded player can move to an empty seat');
+
+  // With 'post' a player sitting out is still dealt in to post blinds
+  const posting = newTable([1000, 1000, 1000]);
+  posting.settings = { ...DEFAULT_SETTINGS, sitOutBlinds: 'post' };
+  posting.players[2].isSittingOut = true;
+  startHand(posting);
+  check(posting.players[2].hand.length === 2 && posting.players[2].currentBet === 10, 'sitting out still posts blinds when the table says so');
+  check(validateSettings({ sitOutBlinds: 'never' }).error !== undefined, 'unknown sit-out rule rejected');
+  if (failures === failuresBefore) console.log('PASS: Scenario 13');
+}
+
+// Scenario 14: Cash top-ups between hands
+console.log('\nScenario 14: Top-ups go up to the maximum buy-in, between hands only');
+{
+  const failuresBefore = failures;
+  const state = newTable([400, 1000]);
+  state.settings = { ...DEFAULT_SETTINGS, maxBuyIn: 1500 };
+  const [short] = state.players;
+
+  startHand(state);
+  check(getTopUpError(state, short, 100) === 'You can add chips once you are out of the hand', 'no top-up while holding cards');
+  applyAction(state, getCurrentPlayer(state).id, { type: 'fold' });
+  check(getTopUpError(state, short, 1500 - short.chips) === null, 'top up to the max buy-in after the hand');
+  check(getTopUpError(state, short, 1501 - short.chips) !== null, 'cannot go over the max buy-in');
+  check(validateSettings({ startingChips: 2000 }).settings.maxBuyIn === 2000, 'max buy-in defaults to the starting chips');
+  check(validateSettings({ maxBuyIn: 500 }).error !== undefined, 'max buy-in below the starting chips rejected');
+  if (failures === failuresBefore) console.log('PASS: Scenario 14');
+}
+
+// Scenario 15: The browser's verifier rebuilds both boards of a hand run twice
+// The all-in comes on the flop, so the second board shares three cards
+console.log('\nScenario 15: Verifying a seeded hand that was run twice');
+{
+  const failuresBefore = failures;
+  const state = newTable([1000, 1000]);
+  state.players.forEach(p => { p.runItTwice = true; });
+  startHand(state, { serverSeed: 'run-twice-seed' });
+  applyAction(state, getCurrentPlayer(state).id, { type: 'call' });
+  applyAction(state, getCurrentPlayer(state).id, { type: 'check' });
+  applyAction(state, getCurrentPlayer(state).id, { type: 'raise', amount: 980 });
+  applyAction(state, getCurrentPlayer(state).id, { type: 'call' });
+  while (state.handState.phase !== 'showdown') dealRunout(state);
+
+  const { boards, sharedBoardSize } = state.handState;
+  const codes = cards => cards.map(c => c.rank + c.suit).join(' ');
+  const fairness = getPublicFairness(state.handState.fairness, true);
+  const verified = await verifyHand(fairness, sharedBoardSize);
+  check(verified.commitmentMatches, 'commitment matches');
+  check(boards.length === 2 && sharedBoardSize === 3, `run twice from the flop, got ${boards.length} boards sharing ${sharedBoardSize}`);
+  check(codes(verified.boards[0]) === codes(boards[0]), `first board rebuilt, got ${codes(verified.boards[0])} for ${codes(boards[0])}`);
+  check(codes(verified.boards[1]) === codes(boards[1]), `second board rebuilt, got ${codes(verified.boards[1])} for ${codes(boards[1])}`);
+  check(state.players.every(p => codes(verified.holeCards[p.id]) === codes(p.hand)), 'hole cards rebuilt');
+  const single = await verifyHand(fairness);
+  check(single.boards.length === 1, 'one board unless the hand was run twice');
+  if (failures === failuresBefore) console.log('PASS: Scenario 15');
+}
+
+reportFailures();
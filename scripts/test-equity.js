@@ -0,0 +1,140 @@
+import { parseCards, parseRange, parseEquityRequest, calculateEquity } from '../server/equity.js';
+import { evaluateHand, evaluateOmahaHand } from '../server/evaluate.js';
+import { createSeededRandom } from '../server/fairness.js';
+import { check, failures, reportFailures } from './test-helpers.js';
+
+console.log('--- Testing Equity Calculator ---');
+
+function near(actual, expected, tolerance) {
+  return Math.abs(actual - expected) <= tolerance;
+}
+
+// A client's request, or with `fullBudget` the server's own (larger) limits
+function equity(input, { fullBudget = false } = {}) {
+  const { request, error } = parseEquityRequest(input);
+  if (error) throw new Error(error);
+  const budget = fullBudget ? { exactLimit: undefined, maxEvaluations: undefined } : {};
+  return calculateEquity({ ...request, ...budget, random: createSeededRandom('equity-test') });
+}
+
+function sumsToOne(result) {
+  return near(result.players.reduce((sum, p) => sum + p.equity, 0), 1, 1e-9);
+}
+
+// Scenario 1: Known hands are dealt out exactly
+console.log('Scenario 1: Known hands enumerate every board');
+{
+  const failuresBefore = failures;
+  const preflop = equity({ hands: ['As Ad', 'Kh Kd'] }, { fullBudget: true });
+  check(preflop.method === 'exact' && preflop.trials === 1712304, `all C(48,5) boards dealt, got ${preflop.trials}`);
+  check(near(preflop.players[0].win, 0.8171, 0.0001), `aces win 81.71%, got ${preflop.players[0].win}`);
+  check(near(preflop.players[0].tie, 0.0046, 0.0001), `0.46% chops, got ${preflop.players[0].tie}`);
+  check(sumsToOne(preflop), 'equities add up to 1');
+
+  // A client's request is too small a budget to deal out every preflop board
+  const started = Date.now();
+  const requested = equity({ hands: ['As Ad', 'Kh Kd'], trials: 1e9 });
+  check(requested.method === 'monte-carlo' && requested.trials === 50000, `a request samples within its budget, got ${requested.trials}`);
+  check(near(requested.players[0].win, 0.8171, 0.01), `and stays close, got ${requested.players[0].win}`);
+  check(Date.now() - started < 1000, `and returns quickly, took ${Date.now() - started}ms`);
+
+  const flop = equity({ hands: ['As Ks', '2c 2d'], board: '2h 7s 9s' });
+  check(flop.method === 'exact' && flop.trials === 990, 'C(45,2) turn and river cards');
+  // Count the winning turn and river cards the slow way
+  let winsBrute = 0;
+  const board = parseCards('2h 7s 9s');
+  const dead = new Set(['AS', 'KS', '2C', '2D', '2H', '7S', '9S']);
+  const deck = ['S', 'H', 'D', 'C']
+    .flatMap(suit => ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'].map(rank => ({ rank, suit })))
+    .filter(card => !dead.has(card.rank + card.suit));
+  for (let i = 0; i < deck.length; i++) {
+    for (let j = i + 1; j < deck.length; j++) {
+      const runout = [...board, deck[i], deck[j]];
+      const a = evaluateHand([...parseCards('As Ks'), ...runout]).score;
+      const b = evaluateHand([...parseCards('2c 2d'), ...runout]).score;
+      if (a > b) winsBrute++;
+    }
+  }
+  check(near(flop.players[0].win, winsBrute / 990, 1e-12), `flop equity matches brute force: ${flop.players[0].win} vs ${winsBrute / 990}`);
+
+  const river = equity({ hands: ['As Kd', 'Ah Kc', '2c 3d'], board: 'Qs Jh 10d 4c 4s' });
+  check(river.trials === 1 && river.players[0].tie === 1 && river.players[0].equity === 0.5, 'two Broadway straights chop the river');
+  check(river.players[2].equity === 0, 'third hand drawing dead');
+  if (failures === failuresBefore) console.log('PASS: Scenario 1');
+}
+
+// Scenario 2: Cards and ranges parse in the usual notations
+console.log('\nScenario 2: Card and range notation');
+{
+  const failuresBefore = failures;
+  check(JSON.stringify(parseCards('As 10h, Td')) === JSON.stringify([
+    { rank: 'A', suit: 'S' }, { rank: '10', suit: 'H' }, { rank: '10', suit: 'D' }
+  ]), 'cards with spaces, commas, 10 and T');
+  check(parseCards('AsKd').length === 2, 'cards written together');
+  check(parseCards('As Xx') === null, 'not a card');
+  check(parseRange('QQ+').length === 18, 'QQ+ is 18 combos');
+  check(parseRange('A2s+').length === 48, 'A2s+ is 48 combos');
+  check(parseRange('KTo').length === 12 && parseRange('AK').length === 16, 'offsuit and any-suit combos');
+  check(parseRange('QQ+, AKs, KK').length === 22, 'overlapping parts counted once');
+  check(parseRange('').length === 1326 && parseRange('random').length === 1326, 'empty or random is any two cards');
+  check(parseRange('QQs') === null && parseRange('AZ') === null, 'bad ranges rejected');
+
+  check(!!parseEquityRequest({ hands: ['As Kd'] }).error, 'needs two hands');
+  check(!!parseEquityRequest({ hands: ['As Kd', 'As Qd'] }).error, 'a card used twice is rejected');
+  check(!!parseEquityRequest({ hands: ['As Kd', 'QQ'], board: '2c 3c 4c 5c 6c 7c' }).error, 'at most five board cards');
+  check(!!parseEquityRequest({ game: 'omaha', hands: ['As Kd', 'Qh Qd Jc Jd'] }).error, 'Omaha needs four cards each');
+  check(!!parseEquityRequest({ game: 'stud', hands: ['As Kd', 'Qh Qd'] }).error, 'unknown game rejected');
+  const single = parseEquityRequest({ hands: ['AsKd', 'QQ'] }).request;
+  check(Array.isArray(single.hands[0]) && single.hands[1].combos.length === 6, 'cards written together are a known hand, a pair is six combos');
+  if (failures === failuresBefore) console.log('PASS: Scenario 2');
+}
+
+// Scenario 3: Ranges and big enumerations are sampled
+console.log('\nScenario 3: Ranges are sampled with Monte Carlo');
+{
+  const failuresBefore = failures;
+  const vsRandom = equity({ hands: ['Ah Ac', ''], trials: 20000 });
+  check(vsRandom.method === 'monte-carlo' && vsRandom.trials === 20000, 'a range forces sampling');
+  check(near(vsRandom.players[0].equity, 0.852, 0.015), `aces have about 85% against a random hand, got ${vsRandom.players[0].equity}`);
+  check(sumsToOne(vsRandom), 'sampled equities add up to 1');
+
+  const rangeVsRange = equity({ hands: ['QQ+, AKs', 'JJ, TT'], trials: 20000 });
+  check(rangeVsRange.players[0].equity > 0.6, `premium range ahead of JJ/TT, got ${rangeVsRange.players[0].equity}`);
+
+  const blocked = calculateEquity({ hands: [{ combos: parseRange('AA') }, { combos: parseRange('AA') }], board: parseCards('Ah As') });
+  check(!!blocked.error, 'ranges that can never both be dealt are reported');
+  if (failures === failuresBefore) console.log('PASS: Scenario 3');
+}
+
+// Scenario 4: Omaha plays exactly two hole cards
+console.log('\nScenario 4: Omaha equity uses two-plus-three hands');
+{
+  const failuresBefore = failures;
+  const hands = ['Ah 9s 8d 3c', 'Qs Qd 5c 6c'];
+  const board = 'Kh 7h 4h 2c';
+  const result = equity({ game: 'omaha', hands, board });
+  check(result.method === 'exact' && result.trials === 40, 'every river card dealt');
+
+  // Count the winning rivers the slow way
+  const dead = new Set([...hands.join(' ').split(' '), ...board.split(' ')].map(c => c.toUpperCase()));
+  let wins = 0;
+  let ties = 0;
+  for (const suit of ['S', 'H', 'D', 'C']) {
+    for (const rank of ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A']) {
+      if (dead.has(rank + suit)) continue;
+      const runout = [...parseCards(board), { rank, suit }];
+      const a = evaluateOmahaHand(parseCards(hands[0]), runout).score;
+      const b = evaluateOmahaHand(parseCards(hands[1]), runout).score;
+      if (a > b) wins++;
+      if (a === b) ties++;
+    }
+  }
+  check(near(result.players[0].win, wins / 40, 1e-12) && near(result.players[0].tie, ties / 40, 1e-12),
+    `Omaha river odds match brute force: ${result.players[0].win} vs ${wins / 40}`);
+
+  const preflop = equity({ game: 'omaha', hands: ['As Ad Ks Kd', '9h 8h 7c 6c'], trials: 5000 });
+  check(preflop.method === 'monte-carlo' && sumsToOne(preflop), 'Omaha preflop is sampled');
+  if (failures === failuresBefore) console.log('PASS: Scenario 4');
+}
+
+reportFailures();
@@ -0,0 +1,233 @@
+import {
+  evaluateHand, evaluateOmahaHand, evaluateCodes, encodeCard, decodeCard, getHandCategory, HAND_RANKS
+} from '../server/evaluate.js';
+import { check, failures, reportFailures } from './test-helpers.js';
+
+console.log('--- Testing Hand Evaluation ---');
+
+// Cards as strings, e.g. 'AS', '10H'
+function cards(list) {
+  return list.split(' ').map(c => ({ rank: c.slice(0, -1), suit: c.slice(-1) }));
+}
+
+function score(list) {
+  return evaluateHand(cards(list)).score;
+}
+
+// Seeded so a failure can be replayed
+function createRandom(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function dealCodes(random, count) {
+  const deck = Array.from({ length: 52 }, (_, i) => i);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (52 - i));
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+  return deck.slice(0, count);
+}
+
+// Brute-force reference: [category, tiebreak ranks...] for exactly five cards,
+// compared element by element
+const RANK_VALUES = { '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9, '10': 10, 'J': 11, 'Q': 12, 'K': 13, 'A': 14 };
+
+function referenceFive(five) {
+  const values = five.map(c => RANK_VALUES[c.rank]).sort((a, b) => b - a);
+  const isFlush = five.every(c => c.suit === five[0].suit);
+  const unique = [...new Set(values)];
+  let straightHigh = 0;
+  if (unique.length === 5 && values[0] - values[4] === 4) straightHigh = values[0];
+  if (unique.length === 5 && values.join() === '14,5,4,3,2') straightHigh = 5;
+
+  const counts = {};
+  values.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+  const groups = Object.entries(counts)
+    .map(([value, count]) => [Number(value), count])
+    .sort((a, b) => b[1] - a[1] || b[0] - a[0]);
+  const shape = groups.map(g => g[1]).join('');
+  const byGroup = groups.map(g => g[0]);
+
+  if (straightHigh && isFlush) return [8, straightHigh];
+  if (shape === '41') return [7, ...byGroup];
+  if (shape === '32') return [6, ...byGroup];
+  if (isFlush) return [5, ...values];
+  if (straightHigh) return [4, straightHigh];
+  if (shape === '311') return [3, ...byGroup];
+  if (shape === '221') return [2, ...byGroup];
+  if (shape === '2111') return [1, ...byGroup];
+  return [0, ...values];
+}
+
+function compareReference(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if ((a[i] || 0) !== (b[i] || 0)) return (a[i] || 0) - (b[i] || 0);
+  }
+  return 0;
+}
+
+function combinations(arr, k) {
+  if (k === 0) return [[]];
+  if (arr.length < k) return [];
+  const [head, ...tail] = arr;
+  return [...combinations(tail, k - 1).map(combo => [head, ...combo]), ...combinations(tail, k)];
+}
+
+function referenceBest(hand) {
+  return combinations(hand, 5).map(referenceFive).reduce((best, r) => (compareReference(r, best) > 0 ? r : best));
+}
+
+function referenceOmaha(hole, board) {
+  let best = null;
+  for (const two of combinations(hole, 2)) {
+    for (const three of combinations(board, 3)) {
+      const r = referenceFive([...two, ...three]);
+      if (!best || compareReference(r, best) > 0) best = r;
+    }
+  }
+  return best;
+}
+
+const sign = (n) => Math.sign(n);
+
+// Scenario 1: Categories never overlap
+console.log('Scenario 1: Every hand outranks every hand in a lower category');
+{
+  const failuresBefore = failures;
+  const ladder = [
+    ['A K Q J 9', 'AS KD QH JC 9S'],
+    ['2 2 3 4 5', '2S 2D 3H 4C 5S'],
+    ['A A K K Q', 'AS AD KH KC QS'],
+    ['2 2 2 3 4', '2S 2D 2H 3C 4S'],
+    ['A A A K Q', 'AS AD AH KC QS'],
+    ['wheel', 'AS 2D 3H 4C 5S'],
+    ['A-high straight', '10S JD QH KC AS'],
+    ['7-high flush', '2H 3H 4H 5H 7H'],
+    ['A-high flush', 'AH KH QH JH 9H'],
+    ['twos full', '2S 2D 2H 3C 3S'],
+    ['aces full', 'AS AD AH KC KS'],
+    ['quad twos', '2S 2D 2H 2C 3S'],
+    ['quad aces', 'AS AD AH AC KS'],
+    ['steel wheel', 'AH 2H 3H 4H 5H'],
+    ['king-high straight flush', '9S 10S JS QS KS'],
+    ['royal flush', '10D JD QD KD AD']
+  ];
+  for (let i = 1; i < ladder.length; i++) {
+    check(score(ladder[i][1]) > score(ladder[i - 1][1]), `${ladder[i][0]} beats ${ladder[i - 1][0]}`);
+  }
+
+  check(evaluateHand(cards('10D JD QD KD AD')).rank === 'Royal Flush', 'royal flush named');
+  check(evaluateHand(cards('9S 10S JS QS KS')).rank === 'Straight Flush', 'straight flush named');
+  check(evaluateHand(cards('AS AD 7H 7C 7S 2D 2H')).rank === 'Full House', 'trips and two pairs is a full house');
+  check(score('KS KD KH 7C 7S 7D 2H') === score('KC KD KH 7C 7S 2D 2H'), 'kings full of sevens either way');
+  check(score('AS AD KH KC QS QD 2H') > score('AS AD KH KC JS JD 10H'), 'third pair plays as the kicker');
+  check(score('AS 2D 3H 4C 5S 6D KH') > score('AS 2D 3H 4C 5S KD QH'), 'six-high straight beats the wheel');
+  check(score('AS KD 7H 5C 3S') === score('AH KC 7D 5S 3H'), 'same ranks in other suits tie');
+  check(evaluateHand(cards('AS KD')).rank === 'Invalid', 'fewer than five cards is invalid');
+  if (failures === failuresBefore) console.log('PASS: Scenario 1');
+}
+
+// Scenario 2: Every five-card hand, against the known counts
+console.log('\nScenario 2: All 2,598,960 five-card hands fall into the right categories');
+{
+  const failuresBefore = failures;
+  const expected = [1302540, 1098240, 123552, 54912, 10200, 5108, 3744, 624, 40];
+  const counts = new Array(HAND_RANKS.length).fill(0);
+  const distinct = new Set();
+  const hand = new Array(5);
+  for (let a = 0; a < 48; a++) {
+    for (let b = a + 1; b < 49; b++) {
+      for (let c = b + 1; c < 50; c++) {
+        for (let d = c + 1; d < 51; d++) {
+          for (let e = d + 1; e < 52; e++) {
+            hand[0] = a; hand[1] = b; hand[2] = c; hand[3] = d; hand[4] = e;
+            const s = evaluateCodes(hand);
+            counts[getHandCategory(s)]++;
+            distinct.add(s);
+          }
+        }
+      }
+    }
+  }
+  HAND_RANKS.forEach((name, i) => {
+    check(counts[i] === expected[i], `${name}: expected ${expected[i]}, got ${counts[i]}`);
+  });
+  check(distinct.size === 7462, `7462 distinct hand values, got ${distinct.size}`);
+  if (failures === failuresBefore) console.log('PASS: Scenario 2');
+}
+
+// Scenario 3: Seven-card hands against the brute-force reference
+console.log('\nScenario 3: Random seven-card hands rank and tie exactly like brute force');
+{
+  const failuresBefore = failures;
+  const random = createRandom(11);
+  let previous = null;
+  for (let n = 0; n < 20000 && failures === failuresBefore; n++) {
+    const hand = dealCodes(random, 5 + (n % 3)).map(decodeCard);
+    const evaluation = evaluateHand(hand);
+    const reference = referenceBest(hand);
+
+    check(getHandCategory(evaluation.score) === reference[0], `${HAND_RANKS[reference[0]]} expected for ${JSON.stringify(hand)}`);
+    check(evaluation.cards.length === 5 && new Set(evaluation.cards).size === 5 &&
+      evaluation.cards.every(c => hand.includes(c)), `best five come from the hand: ${JSON.stringify(hand)}`);
+    check(compareReference(referenceFive(evaluation.cards), reference) === 0, `best five make the best hand: ${JSON.stringify(hand)}`);
+
+    if (previous) {
+      check(sign(evaluation.score - previous.evaluation.score) === sign(compareReference(reference, previous.reference)),
+        `order against the previous hand: ${JSON.stringify(hand)} vs ${JSON.stringify(previous.hand)}`);
+    }
+    previous = { hand, evaluation, reference };
+  }
+  if (failures === failuresBefore) console.log('PASS: Scenario 3');
+}
+
+// Scenario 4: Omaha against the brute-force reference
+console.log('\nScenario 4: Omaha hands use exactly two hole cards and three from the board');
+{
+  const failuresBefore = failures;
+  const random = createRandom(23);
+  let previous = null;
+  for (let n = 0; n < 3000 && failures === failuresBefore; n++) {
+    const dealt = dealCodes(random, 9).map(decodeCard);
+    const hole = dealt.slice(0, 4);
+    const board = dealt.slice(4, 4 + 3 + (n % 3));
+    const evaluation = evaluateOmahaHand(hole, board);
+    const reference = referenceOmaha(hole, board);
+
+    check(evaluation.cards.filter(c => hole.includes(c)).length === 2, `two hole cards used: ${JSON.stringify(dealt)}`);
+    check(compareReference(referenceFive(evaluation.cards), reference) === 0, `best Omaha hand found: ${JSON.stringify(dealt)}`);
+    if (previous) {
+      check(sign(evaluation.score - previous.evaluation.score) === sign(compareReference(reference, previous.reference)),
+        `Omaha order against the previous hand: ${JSON.stringify(dealt)}`);
+    }
+    previous = { evaluation, reference };
+  }
+  check(evaluateOmahaHand(cards('AH 9S 8D 3C'), cards('KH QH JH 2C 5S')).rank !== 'Flush', 'no flush with one heart');
+  check(evaluateOmahaHand(cards('AH KH 8D 3C'), cards('QH JH 10H 2C 5S')).rank === 'Royal Flush', 'two hearts make the royal');
+  check(encodeCard(decodeCard(51)) === 51 && encodeCard({ rank: '2', suit: 'S' }) === 0, 'cards round-trip through codes');
+  if (failures === failuresBefore) console.log('PASS: Scenario 4');
+}
+
+// Scenario 5: Fast enough for equity work
+console.log('\nScenario 5: A million seven-card evaluations in a few seconds');
+{
+  const failuresBefore = failures;
+  const random = createRandom(5);
+  const hands = Array.from({ length: 1000 }, () => dealCodes(random, 7));
+  const start = process.hrtime.bigint();
+  let checksum = 0;
+  for (let n = 0; n < 1000000; n++) {
+    checksum += evaluateCodes(hands[n % 1000]) & 1;
+  }
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+  console.log(`  ${Math.round(1000000 / seconds).toLocaleString('en-US')} evaluations/s (checksum ${checksum})`);
+  check(seconds < 10, `a million evaluations took ${seconds.toFixed(2)}s`);
+  if (failures === failuresBefore) console.log('PASS: Scenario 5');
+}
+
+reportFailures();
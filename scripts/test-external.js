@@ -0,0 +1,163 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { startHand } from '../server/engine.js';
+import { getBotView } from '../server/strategies.js';
+import { loadExternalBots, parseAgentAction, ProcessAgent, HttpAgent, ExternalBot } from '../server/external.js';
+import { check, failures, newTable, reportFailures } from './test-helpers.js';
+
+console.log('--- Testing External Bots ---');
+
+const exampleAgent = path.join(path.dirname(fileURLToPath(import.meta.url)), 'example-agent.js');
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'external-bots-'));
+
+// Write an agent list and load it
+function load(entries) {
+  const file = path.join(tempDir, 'agents.json');
+  fs.writeFileSync(file, typeof entries === 'string' ? entries : JSON.stringify(entries));
+  return loadExternalBots(file);
+}
+
+// A heads-up hand with an external bot to act first (P1 is the button)
+function externalTable(agentConfig) {
+  const bot = new ExternalBot('X1', agentConfig, 1000);
+  const state = newTable([1000, bot]);
+  startHand(state);
+  return { state, bot };
+}
+
+async function run() {
+  // Scenario 1: The agent list is checked before anything is started
+  console.log('\nScenario 1: Loading the agent list');
+  let failuresBefore = failures;
+  const { agents } = load([
+    { name: 'Example', command: 'node', args: [exampleAgent] },
+    { name: 'Web', url: 'http://localhost:5000/act', timeoutMs: 2000 }
+  ]);
+  check(agents && agents.length === 2, 'two agents loaded');
+  check(agents && agents[0].timeoutMs === 5000, 'default timeout applied');
+  check(agents && agents[1].url === 'http://localhost:5000/act', 'url kept');
+  check(/list of agents/.test(load({ name: 'A' }).error), 'not a list rejected');
+  check(/Cannot read/.test(load('{oops').error), 'bad JSON rejected');
+  check(/needs a name/.test(load([{ command: 'node' }]).error), 'missing name rejected');
+  check(/listed twice/.test(load([{ name: 'A', command: 'a' }, { name: 'A', command: 'b' }]).error), 'duplicate rejected');
+  check(/command or a url/.test(load([{ name: 'A' }]).error), 'no command or url rejected');
+  check(/args/.test(load([{ name: 'A', command: 'node', args: 'x.js' }]).error), 'string args rejected');
+  check(/timeoutMs/.test(load([{ name: 'A', command: 'node', timeoutMs: 10 }]).error), 'tiny timeout rejected');
+  check(/localhost/.test(load([{ name: 'A', url: 'http://example.com/act' }]).error), 'remote url rejected');
+  check(/localhost/.test(load([{ name: 'A', url: 'https://localhost/act' }]).error), 'https url rejected');
+  check(!load([{ name: 'A', url: 'http://127.0.0.1:9000/' }]).error, '127.0.0.1 accepted');
+  if (failures === failuresBefore) console.log('PASS: Scenario 1');
+
+  // Scenario 2: Only well-formed actions get through to the engine
+  console.log('\nScenario 2: Parsing answers');
+  failuresBefore = failures;
+  check(parseAgentAction({ id: 1, action: { type: 'call' } }).type === 'call', 'call parsed');
+  check(parseAgentAction({ action: { type: 'fold', amount: 50 } }).amount === undefined, 'stray amount dropped');
+  check(parseAgentAction({ action: { type: 'raise', amount: '60' } }).amount === 60, 'numeric string amount parsed');
+  check(parseAgentAction({ action: { type: 'raise' } }) === null, 'raise without amount rejected');
+  check(parseAgentAction({ action: { type: 'raise', amount: -5 } }) === null, 'negative raise rejected');
+  check(parseAgentAction({ action: { type: 'allin' } }) === null, 'unknown action rejected');
+  check(parseAgentAction({ action: 'call' }) === null, 'bare string rejected');
+  check(parseAgentAction(null) === null, 'no answer rejected');
+  if (failures === failuresBefore) console.log('PASS: Scenario 2');
+
+  // Scenario 3: A command agent answers over JSON lines
+  console.log('\nScenario 3: Process agent round trip');
+  failuresBefore = failures;
+  const { state, bot } = externalTable({ name: 'Example', command: 'node', args: [exampleAgent], timeoutMs: 5000 });
+  check(bot.isBot && bot.strategy === 'external' && bot.name === 'Example', 'external bot seated as a bot');
+  check(bot.makeDecision(state) === null, 'external bot never decides on its own');
+  bot.agent.notify({ type: 'hello', botId: bot.id, name: bot.name, roomId: 'TEST', settings: {} });
+  const view = getBotView(state, bot);
+  const action = await bot.agent.decide({ botId: bot.id, view });
+  const isPair = bot.hand[0].rank === bot.hand[1].rank;
+  check(action !== null, 'agent answered');
+  if (isPair) {
+    check(action && action.type === 'raise' && action.amount === view.raiseLimits.min, `pair raises the minimum, got ${JSON.stringify(action)}`);
+  } else {
+    check(action && action.type === 'call', `small bet called, got ${JSON.stringify(action)}`);
+  }
+  bot.agent.close();
+  check(await bot.agent.decide({ botId: bot.id, view }) === null, 'closed agent gives no action');
+  if (failures === failuresBefore) console.log('PASS: Scenario 3');
+
+  // Scenario 4: Slow, silent and garbled agents fall back to no action
+  console.log('\nScenario 4: Late and invalid answers');
+  failuresBefore = failures;
+  const slow = new ProcessAgent({
+    name: 'Slow',
+    command: process.execPath,
+    args: ['-e', "require('readline').createInterface({ input: process.stdin }).on('line', l => setTimeout(() => console.log(JSON.stringify({ id: JSON.parse(l).id, action: { type: 'call' } })), 1000))"],
+    timeoutMs: 200
+  });
+  const started = Date.now();
+  check(await slow.decide({ botId: 'X' }) === null, 'late answer ignored');
+  check(Date.now() - started < 900, 'gave up at the time limit');
+  slow.close();
+
+  const garbled = new ProcessAgent({
+    name: 'Garbled',
+    command: process.execPath,
+    args: ['-e', "require('readline').createInterface({ input: process.stdin }).on('line', l => { console.log('thinking...'); console.log(JSON.stringify({ id: JSON.parse(l).id, action: { type: 'shove' } })); })"],
+    timeoutMs: 2000
+  });
+  const originalError = console.error;
+  console.error = () => {}; // The non-JSON line is logged
+  check(await garbled.decide({ botId: 'X' }) === null, 'illegal action ignored');
+  console.error = originalError;
+  garbled.close();
+
+  const missing = new ProcessAgent({ name: 'Missing', command: path.join(tempDir, 'no-such-agent'), timeoutMs: 2000 });
+  console.error = () => {};
+  const missingAction = await missing.decide({ botId: 'X' });
+  console.error = originalError;
+  check(missingAction === null, 'agent that cannot start gives no action');
+  if (failures === failuresBefore) console.log('PASS: Scenario 4');
+
+  // Scenario 5: A url agent gets each message as a POST
+  console.log('\nScenario 5: HTTP agent');
+  failuresBefore = failures;
+  const received = [];
+  let delay = 0;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const message = JSON.parse(body);
+      received.push(message);
+      setTimeout(() => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(message.type === 'decide' ? { id: message.id, action: { type: 'raise', amount: 40 } } : {}));
+      }, delay);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/act`;
+  const web = new HttpAgent({ name: 'Web', url, timeoutMs: 300 });
+  const webAction = await web.decide({ botId: 'X', view: { pot: 30 } });
+  check(webAction && webAction.type === 'raise' && webAction.amount === 40, `raise answered, got ${JSON.stringify(webAction)}`);
+  check(received[0].type === 'decide' && received[0].timeLimitMs === 300 && received[0].view.pot === 30, 'decide message posted');
+  web.notify({ type: 'handEnded', botId: 'X', handNumber: 1, winners: [], showdown: [] });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  check(received.some(m => m.type === 'handEnded'), 'notification posted');
+  delay = 600;
+  console.error = () => {};
+  const lateAction = await web.decide({ botId: 'X' });
+  console.error = originalError;
+  check(lateAction === null, 'late HTTP answer ignored');
+  web.close();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  if (failures === failuresBefore) console.log('PASS: Scenario 5');
+}
+
+try {
+  await run();
+} finally {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+reportFailures();
@@ -0,0 +1,122 @@
+import { startHand, applyAction, getCurrentPlayer, dealRunout } from '../server/engine.js';
+import { HandHistory, formatPokerStars } from '../server/history.js';
+import { check, failures, newTable, reportFailures } from './test-helpers.js';
+
+console.log('--- Testing Hand History ---');
+
+// Play a hand, choosing each action with `decide(player, state)`
+function playHand(state, decide) {
+  const { events } = startHand(state);
+  const history = new HandHistory(state, { handId: 42, roomId: 'TEST01' });
+  history.record(events, state);
+  while (state.handState.phase !== 'showdown') {
+    if (state.handState.isRunout) {
+      history.record(dealRunout(state).events, state);
+      continue;
+    }
+    const player = getCurrentPlayer(state);
+    history.record(applyAction(state, player.id, decide(player, state)).events, state);
+  }
+  return history;
+}
+
+const checkOrCall = (player, state) => (
+  player.currentBet >= state.handState.currentBet ? { type: 'check' } : { type: 'call' }
+);
+
+// Scenario 1: Raise, everyone folds, uncalled part of the raise is returned
+console.log('Scenario 1: Uncalled bet is returned, not won');
+{
+  const state = newTable([1000, 1000, 1000]);
+  let raised = false;
+  const history = playHand(state, (player) => {
+    if (!raised) {
+      raised = true;
+      return { type: 'raise', amount: 100 };
+    }
+    return { type: 'fold' };
+  });
+  const record = history.toRecord();
+  const text = formatPokerStars(history);
+
+  check(record.uncalledBet && record.uncalledBet.amount === 80, `uncalled bet should be 80, got ${JSON.stringify(record.uncalledBet)}`);
+  check(history.totalPot === 50, `total pot should be 50, got ${history.totalPot}`);
+  check(record.winners.length === 1 && record.winners[0].amount === 50, 'winner collects 50');
+  check(text.includes('Uncalled bet (80) returned to'), 'PokerStars text reports the uncalled bet');
+  check(text.includes('raises 80 to 100'), 'PokerStars text shows raise increment and total');
+  check(text.includes('*** SUMMARY ***') && text.includes('Total pot 50 | Rake 0'), 'summary shows the total pot');
+  if (failures === 0) console.log('PASS: Scenario 1');
+}
+
+// Scenario 2: Short all-in creates a main and a side pot
+console.log('\nScenario 2: Side pots are recorded separately');
+{
+  const failuresBefore = failures;
+  // Player 1 opens to 500, Player 2 calls, Player 0 calls all-in for 300
+  const state = newTable([300, 1000, 1000]);
+  let raised = false;
+  const history = playHand(state, (player, state) => {
+    if (!raised) {
+      raised = true;
+      return { type: 'raise', amount: 500 };
+    }
+    return checkOrCall(player, state);
+  });
+  const record = history.toRecord();
+  const text = formatPokerStars(history);
+
+  check(record.pots.length === 2, `expected main + side pot, got ${record.pots.length}`);
+  check(record.pots[0].amount === 900, `main pot should be 900, got ${record.pots[0] && record.pots[0].amount}`);
+  check(record.pots[1] && record.pots[1].amount === 400, `side pot should be 400, got ${record.pots[1] && record.pots[1].amount}`);
+  check(record.uncalledBet === null, 'every bet was called');
+  check(text.includes('Main pot 900. Side pot-1 400.'), 'summary breaks down main and side pot');
+  check(text.includes('*** SHOW DOWN ***'), 'showdown section present');
+  check(record.board.length === 5, 'full board recorded');
+  if (failures === failuresBefore) console.log('PASS: Scenario 2');
+}
+
+// Scenario 3: Exports hide other players' unshown hole cards
+console.log('\nScenario 3: Player view hides mucked hole cards');
+{
+  const failuresBefore = failures;
+  const state = newTable([1000, 1000, 1000]);
+  let raised = false;
+  const history = playHand(state, () => {
+    if (!raised) {
+      raised = true;
+      return { type: 'raise', amount: 100 };
+    }
+    return { type: 'fold' };
+  });
+  const view = history.toRecord('P0');
+
+  check(Object.keys(view.holeCards).length === 1 && view.holeCards.P0, 'only the viewer\'s hole cards are included');
+  check(Object.keys(history.toRecord().holeCards).length === 3, 'full record keeps every hole card');
+  check(!formatPokerStars(history, 'P0').includes('Dealt to Player 1'), 'text export only deals to the viewer');
+  if (failures === failuresBefore) console.log('PASS: Scenario 3');
+}
+
+// Scenario 4: A board run twice is written out board by board
+console.log('\nScenario 4: Run it twice shows both boards and both showdowns');
+{
+  const failuresBefore = failures;
+  const state = newTable([1000, 600]);
+  state.players.forEach(p => { p.runItTwice = true; });
+  const history = playHand(state, (player) => (
+    player.id === 'P0' ? { type: 'raise', amount: player.chips } : { type: 'call' }
+  ));
+  const record = history.toRecord();
+  const text = formatPokerStars(history);
+  const collected = record.pots.flatMap(pot => pot.winners).reduce((sum, w) => sum + w.amount, 0);
+
+  check(record.uncalledBet && record.uncalledBet.amount === 400, 'the part of the shove nobody could call is returned');
+  check(record.secondBoard && record.secondBoard.length === 5 && record.sharedBoardSize === 0, 'second board recorded');
+  check(collected === 1200 && history.totalPot === 1200, `both boards pay out the 1200 pot once, got ${collected}`);
+  check(record.showdown.filter(s => s.board === 2).length === 2, 'each player shows on each board');
+  check(text.includes('*** FIRST FLOP ***') && text.includes('*** SECOND RIVER ***'), 'streets named by board');
+  check(text.indexOf('*** FIRST SHOW DOWN ***') < text.indexOf('*** SECOND SHOW DOWN ***'), 'one showdown per board');
+  check(text.includes('Hand was run twice') && text.includes('SECOND Board ['), 'summary lists both boards');
+  if (failures === failuresBefore) console.log('PASS: Scenario 4');
+}
+
+reportFailures();
@@ -0,0 +1,48 @@
+// Shared checks and fixtures for the scripts/test-*.js suites
+//
+// Each suite calls check() for every expectation and reportFailures() once at
+// the end. `failures` is a live count, so a scenario can note it before its
+// checks and compare after to decide whether to print PASS.
+
+import { Player, Deck } from '../server/game.js';
+
+export let failures = 0;
+
+export function check(condition, message) {
+  if (!condition) {
+    console.error('FAIL:', message);
+    failures++;
+  }
+}
+
+// Print the failure count and fail the process if any check did not hold
+export function reportFailures() {
+  if (failures > 0) {
+    console.log(`\n${failures} check(s) failed`);
+    process.exitCode = 1;
+  }
+}
+
+// Build a deck that deals the given cards first (Deck.deal pops from the end)
+export function stackedDeck(cardCodes) {
+  const deck = new Deck();
+  const wanted = cardCodes.map(code => ({ rank: code.slice(0, -1), suit: code.slice(-1) }));
+  const rest = deck.cards.filter(c => !wanted.some(w => w.rank === c.rank && w.suit === c.suit));
+  deck.cards = [...rest, ...wanted.reverse()];
+  return deck;
+}
+
+// A table with a player for each stack, P0 first. A Player in the list (a
+// bot, say) takes that seat as it is.
+export function newTable(stacks) {
+  return {
+    players: stacks.map((entry, i) => (entry instanceof Player ? entry : new Player(`P${i}`, `Player ${i}`, entry))),
+    handState: null,
+    deck: null,
+    dealerIndex: 0
+  };
+}
+
+export function totalChips(state) {
+  return state.players.reduce((sum, p) => sum + p.chips, 0);
+}
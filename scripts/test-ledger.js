@@ -0,0 +1,81 @@
+import { Player } from '../server/game.js';
+import { ChipLedger, getSettlement, formatLedgerCsv } from '../server/ledger.js';
+import { check, failures, reportFailures } from './test-helpers.js';
+
+console.log('--- Testing Ledger and Settlement ---');
+
+// Apply the transfers to each player's result; everyone should end up square
+function settles(summary, transfers) {
+  const net = Object.fromEntries(summary.map(row => [row.playerId, row.net]));
+  transfers.forEach(t => {
+    net[t.from] += t.amount;
+    net[t.to] -= t.amount;
+  });
+  return Object.values(net).every(value => value === 0);
+}
+
+function summaryOf(nets) {
+  return nets.map((net, i) => ({ playerId: `P${i}`, name: `Player ${i}`, buyIns: 100, rebuys: 0, cashedOut: 100 + net, stack: 0, net }));
+}
+
+// Scenario 1: A home game's buy-ins, rebuys, cash-outs and final stacks
+console.log('Scenario 1: Ledger totals per player');
+{
+  const ledger = new ChipLedger();
+  const [alice, bob, carol] = ['Alice', 'Bob', 'Carol'].map((name, i) => new Player(`P${i}`, name, 100));
+  [alice, bob, carol].forEach(p => ledger.record(p, 'buyIn', { chips: 100 }));
+  ledger.record(bob, 'rebuy', { chips: 100 });
+  ledger.record(carol, 'topUp', { chips: 50 });
+  ledger.record(alice, 'cashOut', { chips: 260 });
+
+  const summary = ledger.getSummary({ P1: 0, P2: 90 });
+  const [a, b, c] = summary;
+  check(a.cashedOut === 260 && a.net === 160, `cash-out counts toward the result, got ${JSON.stringify(a)}`);
+  check(b.buyIns === 100 && b.rebuys === 100 && b.net === -200, `rebuys are separate from the buy-in, got ${JSON.stringify(b)}`);
+  check(c.stack === 90 && c.net === -60, `final stack counts as cashed out, got ${JSON.stringify(c)}`);
+  check(summary.reduce((sum, row) => sum + row.net, 0) === -100, 'results add up to the chips not yet accounted for');
+  check(ledger.getEntries('P1').length === 2, 'entries are kept per player');
+  if (failures === 0) console.log('PASS: Scenario 1');
+}
+
+// Scenario 2: Fewest transfers
+console.log('\nScenario 2: Settlement uses the fewest transfers');
+{
+  const failuresBefore = failures;
+
+  // Two pairs that cancel out settle in two transfers, not three
+  const pairs = summaryOf([-50, 30, 50, -30]);
+  const paired = getSettlement(pairs);
+  check(paired.transfers.length === 2 && settles(pairs, paired.transfers), `two pairs, got ${JSON.stringify(paired.transfers)}`);
+
+  // Biggest loser paying biggest winner would take five here: 30 + 20 each
+  const tricky = summaryOf([-50, 30, -50, 30, 20, 20, 0]);
+  const result = getSettlement(tricky);
+  check(result.transfers.length === 4 && settles(tricky, result.transfers), `four transfers, got ${result.transfers.length}`);
+  check(result.transfers.every(t => t.amount > 0 && t.fromName && t.toName), 'transfers name who pays whom');
+
+  check(getSettlement(summaryOf([0, 0])).transfers.length === 0, 'nobody pays when everyone is square');
+  if (failures === failuresBefore) console.log('PASS: Scenario 2');
+}
+
+// Scenario 3: Results that do not add up, and exports
+console.log('\nScenario 3: Unbalanced results and CSV export');
+{
+  const failuresBefore = failures;
+  const short = getSettlement(summaryOf([-100, 60]));
+  check(short.unsettled === -40 && short.transfers.length === 1 && short.transfers[0].amount === 60, 'pays what it can and reports the rest');
+
+  const csv = formatLedgerCsv([{ playerId: 'P0', name: 'Smith, "Doc"', buyIns: 100, rebuys: 50, cashedOut: 0, stack: 300, net: 150 }]);
+  const lines = csv.trim().split('\n');
+  check(lines[0] === 'Player,Buy-ins,Rebuys,Cashed out,Final stack,Net', 'CSV header');
+  check(lines[1] === '"Smith, ""Doc""",100,50,0,300,150', `names are quoted, got ${lines[1]}`);
+  const formulas = formatLedgerCsv(['=HYPERLINK("http://x","y")', '+cmd', '-1+1', '@SUM(A1)', 'Ann'].map((name, i) => (
+    { playerId: `P${i}`, name, buyIns: 100, rebuys: 0, cashedOut: 0, stack: 0, net: -100 }
+  ))).trim().split('\n');
+  check(formulas[1] === `"'=HYPERLINK(""http://x"",""y"")",100,0,0,0,-100`, `formula names are defused, got ${formulas[1]}`);
+  check(formulas[2].startsWith("'+cmd,") && formulas[3].startsWith("'-1+1,") && formulas[4].startsWith("'@SUM(A1),"), 'every formula prefix is defused');
+  check(formulas[5] === 'Ann,100,0,0,0,-100', `plain names and negative numbers are left alone, got ${formulas[5]}`);
+  if (failures === failuresBefore) console.log('PASS: Scenario 3');
+}
+
+reportFailures();
@@ -0,0 +1,172 @@
+import { Player } from '../server/game.js';
+import { startHand, applyAction, getCurrentPlayer, isHandInProgress } from '../server/engine.js';
+import { OpponentModel } from '../server/opponents.js';
+import { Bot } from '../server/bot.js';
+import { check, failures, newTable, reportFailures, stackedDeck } from './test-helpers.js';
+
+console.log('--- Testing Opponent Modeling ---');
+
+// `count` players of 1000 chips, with a model watching the table
+function modeledTable(count) {
+  return { ...newTable(Array(count).fill(1000)), opponentModel: new OpponentModel() };
+}
+
+// Play one hand, asking `choose(player, state)` for every action
+function playHand(state, choose, options = {}) {
+  state.players.forEach(p => { p.chips = 1000; });
+  state.opponentModel.observe(startHand(state, options).events, state);
+  while (isHandInProgress(state)) {
+    const player = getCurrentPlayer(state);
+    const { events } = applyAction(state, player.id, choose(player, state));
+    state.opponentModel.observe(events, state);
+  }
+}
+
+const canCheck = (player, state) => player.currentBet >= state.handState.currentBet;
+
+// Raise preflop with `raiserId`, c-bet the flop, and let `answer` decide
+// what the others do when facing the c-bet
+function cbetHand(raiserId, answer) {
+  return (player, state) => {
+    const { phase } = state.handState;
+    if (phase === 'preflop') {
+      if (player.id === raiserId && state.handState.currentBet === state.handState.bigBlind) return { type: 'raise', amount: 60 };
+      return canCheck(player, state) ? { type: 'check' } : { type: 'call' };
+    }
+    if (player.id === raiserId) {
+      return canCheck(player, state) ? (phase === 'flop' ? { type: 'raise', amount: 40 } : { type: 'check' }) : { type: 'call' };
+    }
+    return canCheck(player, state) ? { type: 'check' } : answer(player, state);
+  };
+}
+
+// Scenario 1: Preflop and c-bet statistics from one hand
+console.log('Scenario 1: VPIP, PFR, aggression and fold to c-bet');
+{
+  const failuresBefore = failures;
+  const state = modeledTable(3);
+  playHand(state, cbetHand('P0', () => ({ type: 'fold' })));
+  const [raiser, first, second] = ['P0', 'P1', 'P2'].map(id => state.opponentModel.getProfile(id));
+  check(raiser.hands === 1 && first.hands === 1 && second.hands === 1, 'every player was dealt in');
+  check(raiser.vpip === 1 && raiser.pfr === 1, 'the raiser put money in and raised');
+  check(first.vpip === 1 && first.pfr === 0 && second.vpip === 1, 'the callers put money in voluntarily');
+  check(raiser.aggression === 1, `one bet and no calls postflop, got ${raiser.aggression}`);
+  check(first.foldToCbet === 1 && second.foldToCbet === 1 && raiser.foldToCbet === null, 'both callers folded to the c-bet');
+  check(raiser.showdowns.length === 0, 'nothing shown without a showdown');
+  check([raiser, first, second].every(p => p.flopsSeen === 1), 'everyone saw the flop');
+  check(raiser.wentToShowdown === 0 && raiser.wonAtShowdown === null, 'the c-bet won without a showdown');
+  if (failures === failuresBefore) console.log('PASS: Scenario 1');
+}
+
+// Scenario 2: Hands shown down are remembered
+console.log('\nScenario 2: Showdown hands');
+{
+  const failuresBefore = failures;
+  const state = modeledTable(2);
+  // P0: AS AH, P1: KS KH, board: 2C 7D 9H JC 3S
+  const deck = stackedDeck(['AS', 'AH', 'KS', 'KH', '2C', '7D', '9H', 'JC', '3S']);
+  playHand(state, (player, s) => (canCheck(player, s) ? { type: 'check' } : { type: 'call' }), { deck });
+  const aces = state.opponentModel.getProfile('P0');
+  const kings = state.opponentModel.getProfile('P1');
+  check(aces.showdowns.length === 1 && aces.showdowns[0].won && aces.showdowns[0].rank === 'One Pair',
+    `the winning pair of aces is recorded, got ${JSON.stringify(aces.showdowns)}`);
+  check(kings.showdowns.length === 1 && !kings.showdowns[0].won && kings.showdowns[0].cards.length === 2, 'the losing kings too');
+  check(aces.wentToShowdown === 1 && kings.wentToShowdown === 1 && aces.showdownCount === 1, 'both went to showdown from the flop');
+  check(aces.wonAtShowdown === 1 && kings.wonAtShowdown === 0, 'only the aces won at showdown');
+  // The button (P1) posts the small blind heads-up
+  check(kings.vpip === 1 && aces.vpip === 0, 'the small blind completing is voluntary, the big blind checking is not');
+  if (failures === failuresBefore) console.log('PASS: Scenario 2');
+}
+
+// Scenario 3: Tendencies need enough hands
+console.log('\nScenario 3: Tendencies');
+{
+  const failuresBefore = failures;
+  const state = modeledTable(2);
+  const folds = cbetHand('P0', () => ({ type: 'fold' }));
+  for (let i = 0; i < 3; i++) playHand(state, folds);
+  check(!state.opponentModel.getProfile('P1').tendencies.includes('folds-to-cbet'), 'three c-bets are not enough to judge');
+  playHand(state, folds);
+  check(state.opponentModel.getProfile('P1').tendencies.includes('folds-to-cbet'), 'four folds to four c-bets is a pattern');
+
+  const station = modeledTable(2);
+  const calls = cbetHand('P0', () => ({ type: 'call' }));
+  for (let i = 0; i < 11; i++) playHand(station, calls);
+  check(station.opponentModel.getProfile('P1').tendencies.length === 0, 'eleven hands are not enough to judge');
+  playHand(station, calls);
+  const profile = station.opponentModel.getProfile('P1');
+  check(profile.tendencies.includes('calling-station') && profile.aggression === 0, `calls everything and never bets: ${profile.tendencies}`);
+  check(profile.foldToCbet === 0 && profile.showdowns.length === 10, 'shown-down hands are capped at the last ten');
+  check(station.opponentModel.getProfile('P0').tendencies.includes('aggressive'), 'the player who always bets is aggressive');
+  if (failures === failuresBefore) console.log('PASS: Scenario 3');
+}
+
+// Scenario 4: Equity bots adjust to what they know
+console.log('\nScenario 4: Bots bluff folders and value-bet calling stations');
+{
+  const failuresBefore = failures;
+  // Heads-up, the bot (P0) is checked to on the flop
+  const spot = (tendencies, equity, random) => {
+    const bot = new Bot('P0', 'Bot', 1000, { strategy: 'equity', difficulty: 'hard', random });
+    const villain = new Player('P1', 'Villain', 1000);
+    const state = {
+      players: [bot, villain],
+      handState: null,
+      deck: null,
+      opponentModel: {
+        getProfile: (id) => (id === 'P1'
+          ? { playerId: 'P1', name: 'Villain', hands: 50, vpip: 0.5, pfr: 0.1, aggression: 0.5, foldToCbet: 0.8, cbetsFaced: 10, showdowns: [], tendencies }
+          : null)
+      }
+    };
+    startHand(state, { deck: stackedDeck(['3S', '4H', 'KS', 'QH', 'AD', 'JC', '9H']) });
+    bot.estimateEquity = () => equity;
+    applyAction(state, 'P1', { type: 'call' });
+    applyAction(state, 'P0', { type: 'check' });
+    return { action: bot.makeDecision(state), decision: bot.decisions[bot.decisions.length - 1] };
+  };
+
+  check(spot([], 0.1, () => 0.3).action.type === 'check', 'an unknown player is not bluffed this time');
+  const bluff = spot(['folds-to-cbet'], 0.1, () => 0.3);
+  check(bluff.action.type === 'raise', 'a player who folds to c-bets is bluffed');
+  check(bluff.decision.notes.some(n => n.includes('folds to c-bets 80%')) && bluff.decision.equity === 0.1,
+    `the decision says why: ${JSON.stringify(bluff.decision.notes)}`);
+  check(spot(['calling-station'], 0.1, () => 0).action.type === 'check', 'a calling station is never bluffed');
+  check(spot([], 0.62, () => 0.99).action.type === 'check', 'a 62% hand checks against an unknown player');
+  const value = spot(['calling-station'], 0.62, () => 0.99);
+  check(value.action.type === 'raise' && value.decision.notes[0].includes('calls too much'), 'and bets for value against a calling station');
+  if (failures === failuresBefore) console.log('PASS: Scenario 4');
+}
+
+// Scenario 5: A re-raise of the only raise is a 3-bet
+console.log('\nScenario 5: 3-bets');
+{
+  const failuresBefore = failures;
+  const state = modeledTable(3);
+  // The first player to act opens, the next calls and the last 3-bets
+  const roles = {};
+  playHand(state, (player, s) => {
+    if (s.handState.currentBet === s.handState.bigBlind) {
+      roles.opener = player.id;
+      return { type: 'raise', amount: 60 };
+    }
+    if (s.handState.currentBet === 60 && !roles.caller) {
+      roles.caller = player.id;
+      return { type: 'call' };
+    }
+    if (s.handState.currentBet === 60) {
+      roles.threeBettor = player.id;
+      return { type: 'raise', amount: 200 - player.currentBet };
+    }
+    return { type: 'fold' };
+  });
+  const profile = (role) => state.opponentModel.getProfile(roles[role]);
+  check(profile('threeBettor').threeBet === 1 && profile('threeBettor').threeBetChances === 1, 'the re-raise is a 3-bet');
+  check(profile('caller').threeBet === 0 && profile('caller').threeBetChances === 1, 'calling the raise passes up a 3-bet');
+  check(profile('opener').threeBet === null && profile('opener').threeBetChances === 0, 'facing a 3-bet is not a chance to 3-bet');
+  check(profile('opener').pfr === 1 && profile('threeBettor').pfr === 1, 'both raisers count for PFR');
+  check(profile('opener').flopsSeen === 0 && profile('opener').wentToShowdown === null, 'nobody saw a flop');
+  if (failures === failuresBefore) console.log('PASS: Scenario 5');
+}
+
+reportFailures();
@@ -89,3 +89,35 @@ if (pm2.pots[2].amount !== 1000) { console.error('FAIL: Pot 2 expected 1000, got
 
 if (pass) console.log('PASS: Scenario 2');
 else console.log('FAIL: Scenario 2');
+
+// Scenario 3: An all-in closes its pot for later streets too
+// Preflop: A is all-in for 100, B and C call 100.
+// Flop: B bets 200, C calls.
+// Pot 0 (Main): 300. Eligible: A, B, C.
+// Pot 1 (Side 1): 400. Eligible: B, C. A must not share in the flop bets.
+
+console.log('\nScenario 3: A(100) all-in preflop, B and C bet 200 more on the flop.');
+const pm3 = new PotManager();
+const p3A = new Player('A', 'Alice', 100);
+const p3B = new Player('B', 'Bob', 1000);
+const p3C = new Player('C', 'Charlie', 1000);
+
+p3A.bet(100);
+p3B.bet(100);
+p3C.bet(100);
+pm3.collectBets([p3A, p3B, p3C]);
+
+p3B.bet(200);
+p3C.bet(200);
+pm3.collectBets([p3A, p3B, p3C]);
+
+console.log('Pots:', pm3.pots);
+
+pass = true;
+if (pm3.pots.length !== 2) { console.error('FAIL: expected 2 pots, got', pm3.pots.length); pass = false; }
+if (pm3.pots[0].amount !== 300) { console.error('FAIL: Pot 0 expected 300, got', pm3.pots[0].amount); pass = false; }
+if (!pm3.pots[1] || pm3.pots[1].amount !== 400) { console.error('FAIL: Pot 1 expected 400'); pass = false; }
+if (pm3.pots[1] && pm3.pots[1].contributors.has('A')) { console.error('FAIL: A should not be in the flop side pot'); pass = false; }
+
+if (pass) console.log('PASS: Scenario 3');
+else console.log('FAIL: Scenario 3');
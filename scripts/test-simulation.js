@@ -0,0 +1,81 @@
+import { simulate } from '../server/simulation.js';
+import { STRATEGIES } from '../server/strategies.js';
+import { check, failures, reportFailures } from './test-helpers.js';
+
+console.log('--- Testing Bot Simulation ---');
+
+// Scenario 1: Every game and structure plays out without losing chips
+console.log('Scenario 1: Chips are conserved in every game and structure');
+{
+  const failuresBefore = failures;
+  const bots = [
+    { strategy: 'equity', difficulty: 'easy' },
+    { strategy: 'loose-aggressive', difficulty: 'easy' },
+    { strategy: 'calling-station' },
+    { strategy: 'random' },
+    { strategy: 'casual' }
+  ];
+  for (const game of ['holdem', 'omaha']) {
+    for (const bettingStructure of ['no-limit', 'pot-limit', 'fixed-limit']) {
+      const result = simulate({ bots, hands: 60, seed: `${game}-${bettingStructure}`, settings: { game, bettingStructure } });
+      check(!result.error && result.hands === 60, `${game} ${bettingStructure}: all hands played`);
+      check(result.errors.length === 0, `${game} ${bettingStructure}: ${JSON.stringify(result.errors.slice(0, 3))}`);
+      const net = result.players.reduce((sum, p) => sum + p.net, 0);
+      check(net === 0, `${game} ${bettingStructure}: results add up to zero, got ${net}`);
+    }
+  }
+  if (failures === failuresBefore) console.log('PASS: Scenario 1');
+}
+
+// Scenario 2: Statistics are consistent and the seed replays the session
+console.log('\nScenario 2: Statistics and replays');
+{
+  const failuresBefore = failures;
+  const input = {
+    bots: [{ strategy: 'tight-aggressive' }, { strategy: 'calling-station' }, { strategy: 'random' }],
+    hands: 150,
+    seed: 'stats'
+  };
+  const result = simulate(input);
+  result.players.forEach(p => {
+    check(p.hands === 150, `${p.name} played every hand`);
+    check(p.pfr <= p.vpip && p.vpip <= p.hands, `${p.name}: PFR <= VPIP <= hands`);
+    check(p.showdownWins <= p.showdowns && p.showdowns <= p.flopsSeen && p.flopsSeen <= p.hands, `${p.name}: showdown counts are in range`);
+    check(p.bbPer100 === (p.net / 20 / p.hands) * 100, `${p.name}: bb/100 from the net result`);
+  });
+  const [tight, station] = result.players;
+  check(station.vpip > tight.vpip, `the calling station plays more hands (${station.vpip} vs ${tight.vpip})`);
+
+  const again = simulate(input);
+  check(JSON.stringify(again.players) === JSON.stringify(result.players), 'the same seed plays the same session');
+
+  check(!!simulate({ bots: [{ strategy: 'equity' }] }).error, 'one bot is not a game');
+  check(!!simulate({ bots: [{ strategy: 'equity' }, { strategy: 'shark' }] }).error, 'unknown strategies are reported');
+  check(!!simulate({ bots: [{ strategy: 'equity' }, { strategy: 'random' }], settings: { bigBlind: 500 } }).error,
+    'invalid settings are reported');
+  if (failures === failuresBefore) console.log('PASS: Scenario 2');
+}
+
+// Scenario 3: Raises the engine has to bring into range are reported
+console.log('\nScenario 3: Out-of-range bot raises');
+{
+  const failuresBefore = failures;
+  // Always raises one chip less than the minimum
+  STRATEGIES['short-raiser'] = {
+    label: 'Short raiser',
+    decide: (view) => (view.raiseLimits ? { type: 'raise', amount: view.raiseLimits.min - 1 } : { type: 'call' })
+  };
+  try {
+    const result = simulate({ bots: [{ strategy: 'short-raiser' }, { strategy: 'calling-station' }], hands: 5, seed: 'short' });
+    check(result.errors.length > 0, 'the short raises are reported');
+    check(result.errors.every(e => /out of range \(Minimum raise is \d+\), played as call/.test(e.message)),
+      `with the engine's reason and what was played: ${JSON.stringify(result.errors.slice(0, 2))}`);
+    const net = result.players.reduce((sum, p) => sum + p.net, 0);
+    check(net === 0, 'the hands still play out');
+  } finally {
+    delete STRATEGIES['short-raiser'];
+  }
+  if (failures === failuresBefore) console.log('PASS: Scenario 3');
+}
+
+reportFailures();
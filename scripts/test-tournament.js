@@ -0,0 +1,264 @@
+import { startHand, applyAction, getCurrentPlayer, removePlayer, dealRunout } from '../server/engine.js';
+import { HandHistory, formatPokerStars } from '../server/history.js';
+import { Tournament, DEFAULT_TOURNAMENT } from '../server/tournament.js';
+import { TournamentCoordinator } from '../server/coordinator.js';
+import { ChipLedger } from '../server/ledger.js';
+import { validateSettings } from '../server/settings.js';
+import { check, failures, newTable, reportFailures, totalChips } from './test-helpers.js';
+
+console.log('--- Testing Tournaments ---');
+
+const MINUTE = 60 * 1000;
+
+// Scenario 1: The blind clock goes up by time or by hands
+console.log('Scenario 1: Blind levels advance by time and by hand count');
+{
+  const start = 1000000;
+  const byTime = new Tournament({ ...DEFAULT_TOURNAMENT, levelBy: 'time', levelLength: 5 });
+  byTime.start(newTable([1000, 1000]).players, start);
+  check(byTime.nextHand(start).stakes.bigBlind === 20, 'first hand is dealt at level 1');
+  const { stakes, levelUp } = byTime.nextHand(start + 5 * MINUTE);
+  check(levelUp && stakes.bigBlind === 30, 'level 2 after five minutes');
+  check(byTime.getInfo(start + 7 * MINUTE).msToNextLevel === 3 * MINUTE, 'three minutes left on level 2');
+  check(byTime.nextHand(start + 1000 * MINUTE).stakes === DEFAULT_TOURNAMENT.blindLevels.at(-1), 'last level lasts forever');
+
+  const byHands = new Tournament({ ...DEFAULT_TOURNAMENT, levelBy: 'hands', levelLength: 2 });
+  byHands.start(newTable([1000, 1000]).players);
+  const bigBlinds = [1, 2, 3, 4, 5].map(() => byHands.nextHand().stakes.bigBlind);
+  check(bigBlinds.join(',') === '20,20,30,30,50', `two hands per level, got ${bigBlinds.join(',')}`);
+  check(byHands.getInfo().handsToNextLevel === 1, 'one hand left on level 3');
+  if (failures === 0) console.log('PASS: Scenario 1');
+}
+
+// Scenario 2: Finishing order and prizes
+console.log('\nScenario 2: Players bust in order and the prize pool is paid out');
+{
+  const failuresBefore = failures;
+  const players = newTable([1000, 1000, 1000, 1000]).players;
+  const tournament = new Tournament({ ...DEFAULT_TOURNAMENT, buyIn: 100, payouts: [50, 30, 20] });
+  tournament.start(players);
+
+  tournament.eliminate([players[3]]);
+  // Two players bust in the same hand: the one who started it bigger finishes ahead
+  tournament.eliminate([players[0], players[2]], { P0: 500, P2: 200 });
+
+  const standings = tournament.getStandings();
+  check(tournament.isComplete, 'tournament ends with one player left');
+  check(tournament.getWinner().playerId === 'P1', 'last player standing wins');
+  check(standings.map(s => `${s.place}:${s.playerId}`).join(' ') === '1:P1 2:P0 3:P2 4:P3', `finishing order, got ${standings.map(s => `${s.place}:${s.playerId}`).join(' ')}`);
+  check(standings.map(s => s.prize).join(',') === '200,120,80,0', `prizes from a 400 pool, got ${standings.map(s => s.prize).join(',')}`);
+
+  const headsUp = new Tournament({ ...DEFAULT_TOURNAMENT, buyIn: 100, payouts: [50, 30, 20] });
+  headsUp.start(newTable([1000, 1000]).players);
+  check(headsUp.getPrize(1) + headsUp.getPrize(2) === 200, 'unfilled paid places are spread over the field');
+  if (failures === failuresBefore) console.log('PASS: Scenario 2');
+}
+
+// Scenario 3: Antes are dead money posted before the blinds
+console.log('\nScenario 3: Antes go into the pot and show up in the hand history');
+{
+  const failuresBefore = failures;
+  const state = newTable([1000, 1000, 1000]);
+  const before = totalChips(state);
+  const { events } = startHand(state, { stakes: { smallBlind: 50, bigBlind: 100, ante: 10 } });
+  const history = new HandHistory(state, { handId: 7, roomId: 'T1', tournament: { id: '99', level: 4 } });
+  history.record(events, state);
+
+  check(state.handState.pot === 180, `pot after antes and blinds should be 180, got ${state.handState.pot}`);
+  check(state.handState.currentBet === 100, 'antes do not count toward the bet to call');
+  check(history.seats.every(seat => seat.stack === 1000), 'history stacks are taken before the antes');
+
+  while (state.handState.phase !== 'showdown') {
+    const player = getCurrentPlayer(state);
+    const action = player.currentBet >= state.handState.currentBet ? { type: 'check' } : { type: 'call' };
+    history.record(applyAction(state, player.id, action).events, state);
+  }
+  const text = formatPokerStars(history);
+  check(totalChips(state) === before, 'chips are conserved');
+  check(history.totalPot === 330, `total pot should be 330, got ${history.totalPot}`);
+  check(text.includes('Tournament #99') && text.includes('Level IV (50/100)'), 'tournament header with the level');
+  check(text.includes('posts the ante 10'), 'antes are listed');
+  check(!text.includes('ante blind'), 'antes are not labelled as blinds in the summary');
+  if (failures === failuresBefore) console.log('PASS: Scenario 3');
+}
+
+// Scenario 4: A whole sit-and-go played out with the engine
+console.log('\nScenario 4: A sit-and-go runs until one player has every chip');
+{
+  const failuresBefore = failures;
+  const state = newTable([1500, 1500, 1500, 1500]);
+  const before = totalChips(state);
+  const tournament = new Tournament({ ...DEFAULT_TOURNAMENT, levelBy: 'hands', levelLength: 3 });
+  tournament.start(state.players);
+
+  let hands = 0;
+  while (!tournament.isComplete && hands < 500) {
+    state.players.filter(p => tournament.isEliminated(p.id)).forEach(p => removePlayer(state, p.id));
+    startHand(state, { stakes: tournament.nextHand().stakes });
+    while (state.handState.phase !== 'showdown') {
+      if (state.handState.isRunout) {
+        dealRunout(state);
+        continue;
+      }
+      const player = getCurrentPlayer(state);
+      // Whoever opens shoves, everyone else calls
+      const action = state.handState.currentBet <= state.handState.bigBlind
+        ? { type: 'raise', amount: player.chips }
+        : { type: 'call' };
+      applyAction(state, player.id, action);
+    }
+    tournament.eliminate(state.players.filter(p => p.chips === 0), state.handState.startingStacks);
+    hands++;
+  }
+
+  const winner = tournament.getWinner();
+  check(tournament.isComplete, `tournament finished (after ${hands} hands)`);
+  check(winner && state.players.find(p => p.id === winner.playerId).chips === before, 'winner holds every chip');
+  check(tournament.getStandings().map(s => s.place).join(',') === '1,2,3,4', 'every entrant has a place');
+  if (failures === failuresBefore) console.log('PASS: Scenario 4');
+}
+
+// Multi-table helpers: a coordinator over `tableCount` tables and every player
+// still in the tournament per table
+function newMultiTable(entrants, tableCount, maxSeats, config = DEFAULT_TOURNAMENT) {
+  const players = newTable(Array(entrants).fill(1500)).players;
+  const tournament = new Tournament(config);
+  tournament.start(players);
+  const coordinator = new TournamentCoordinator(tournament, { maxSeats });
+  for (let i = 1; i <= tableCount; i++) {
+    coordinator.addTable(`T${i}`, newTable([]));
+  }
+  coordinator.seat(players);
+  return { tournament, coordinator, tables: coordinator.tables };
+}
+
+function bust(tournament, table, count) {
+  const busted = table.state.players.slice(0, count);
+  busted.forEach(p => {
+    p.chips = 0;
+    removePlayer(table.state, p.id);
+  });
+  tournament.eliminate(busted);
+}
+
+// Scenario 5: Seating, balancing and breaking tables
+console.log('\nScenario 5: Players are spread over tables, moved as they bust, and tables break');
+{
+  const failuresBefore = failures;
+  const { tournament, coordinator, tables } = newMultiTable(20, 4, 6);
+  const [t1, t2, t3] = tables;
+  check(TournamentCoordinator.tablesNeeded(20, 6) === 4, 'four 6-max tables for 20 players');
+  check(tables.map(t => t.state.players.length).join(',') === '5,5,5,5', 'entrants are dealt out evenly');
+  check(new Set(tables.flatMap(t => t.state.players.map(p => p.id))).size === 20, 'everyone has exactly one seat');
+
+  bust(tournament, t2, 3);
+  const nextBigBlind = coordinator.getNextBigBlind(t1);
+  const balanced = coordinator.balance('T1');
+  check(balanced.moves.length === 1 && balanced.moves[0].to === 'T2', 'one player moves to the short table');
+  check(balanced.moves[0].player === nextBigBlind, 'the player due the big blind is the one moved');
+  check(t1.state.players.length === 4 && t2.state.players.length === 3, 'tables end up within one player');
+  check(coordinator.balance('T1').moves.length === 0, 'balanced tables are left alone');
+
+  // 16 left fit at three 6-max tables: the short table breaks
+  bust(tournament, t3, 1);
+  check(coordinator.balance('T3').moves.length === 0, 'a table that is not the shortest keeps playing');
+  const broken = coordinator.balance('T2');
+  check(broken.closed && t2.isClosed && broken.moves.length === 3, 'shortest table is broken up');
+  const counts = coordinator.openTables.map(t => t.state.players.length);
+  check(counts.reduce((a, b) => a + b, 0) === 16 && counts.every(n => n <= 6), `players fit at the open tables, got ${counts.join(',')}`);
+  check(coordinator.getLobby().find(t => t.roomId === 'T2').players.length === 0, 'lobby shows the broken table empty');
+  if (failures === failuresBefore) console.log('PASS: Scenario 5');
+}
+
+// Scenario 6: A multi-table tournament played down to one winner
+console.log('\nScenario 6: A multi-table tournament plays down to a final table and a winner');
+{
+  const failuresBefore = failures;
+  const { tournament, coordinator, tables } = newMultiTable(17, 3, 6, { ...DEFAULT_TOURNAMENT, levelBy: 'hands', levelLength: 2 });
+  const chips = () => tables.reduce((sum, t) => sum + totalChips(t.state), 0);
+  const before = chips();
+
+  let hands = 0;
+  let oversized = 0;
+  let finalTableSize = null;
+  while (!tournament.isComplete && hands < 2000) {
+    // Tables take turns between hands, like the server's startHand loop
+    for (const table of coordinator.openTables) {
+      const { state } = table;
+      state.players.filter(p => tournament.isEliminated(p.id)).forEach(p => removePlayer(state, p.id));
+      coordinator.balance(table.roomId);
+      if (coordinator.openTables.some(t => coordinator.getPlayers(t).length > 6)) oversized++;
+      if (coordinator.openTables.length === 1 && finalTableSize === null) {
+        finalTableSize = tournament.playersRemaining;
+      }
+      if (table.isClosed || state.players.length < 2 || tournament.isComplete) continue;
+
+      startHand(state, { stakes: tournament.nextHand().stakes });
+      while (state.handState.phase !== 'showdown') {
+        if (state.handState.isRunout) {
+          dealRunout(state);
+          continue;
+        }
+        const player = getCurrentPlayer(state);
+        const action = state.handState.currentBet <= state.handState.bigBlind
+          ? { type: 'raise', amount: player.chips }
+          : { type: 'call' };
+        applyAction(state, player.id, action);
+      }
+      tournament.eliminate(state.players.filter(p => p.chips === 0), state.handState.startingStacks);
+      hands++;
+    }
+  }
+
+  const winner = tournament.getWinner();
+  const finalTable = coordinator.openTables;
+  check(tournament.isComplete, `tournament finished (after ${hands} hands)`);
+  check(finalTable.length === 1, 'play ends at a single final table');
+  check(finalTableSize !== null && finalTableSize <= 6, `final table forms once the field fits one table, at ${finalTableSize}`);
+  check(oversized === 0, 'no table ever has more players than seats');
+  check(winner && finalTable[0].state.players.find(p => p.id === winner.playerId).chips === before, 'winner holds every chip');
+  check(chips() === before, 'chips are conserved across table moves');
+  check(tournament.getStandings().length === 17, 'every entrant has a place');
+  // Hands at every table count toward the same levels
+  const expectedLevel = Math.min(Math.floor((hands - 1) / 2), DEFAULT_TOURNAMENT.blindLevels.length - 1);
+  check(tournament.handsPlayed === hands && tournament.levelIndex === expectedLevel, 'all tables share one blind clock');
+  if (failures === failuresBefore) console.log('PASS: Scenario 6');
+}
+
+// Scenario 7: Rebuys and the add-on while their window is open
+console.log('\nScenario 7: Rebuys and add-ons go into the prize pool and the ledger');
+{
+  const failuresBefore = failures;
+  const start = 1000000;
+  const tournament = new Tournament({ ...DEFAULT_TOURNAMENT, buyIn: 100, levelLength: 10, rebuyLevels: 2, addOnChips: 1500 });
+  const { players } = newTable([1000, 1000, 1000]);
+  const ledger = new ChipLedger();
+  tournament.start(players, start);
+  players.forEach(p => ledger.record(p, 'buyIn', { chips: 1000, amount: tournament.buyIn }));
+
+  const [p0, p1] = players;
+  p0.chips = 0;
+  check(tournament.getRebuyError(p0, 1000, start) === null, 'a busted player can rebuy in level 1');
+  tournament.rebuy(p0.id);
+  ledger.record(p0, 'rebuy', { chips: 1000, amount: tournament.buyIn });
+  p1.chips = 1500;
+  check(tournament.getRebuyError(p1, 1000, start) !== null, 'no rebuy with more than a starting stack');
+  check(tournament.getAddOnError(p1, start) !== null, 'add-on waits for the last rebuy level');
+
+  const lastLevel = start + 10 * MINUTE;
+  check(tournament.getAddOnError(p1, lastLevel) === null, 'add-on open in the last rebuy level');
+  tournament.addOn(p1.id);
+  ledger.record(p1, 'addOn', { chips: 1500, amount: tournament.buyIn });
+  check(tournament.getAddOnError(p1, lastLevel) === 'You have already taken the add-on', 'one add-on each');
+  check(!tournament.isRebuyOpen(start + 20 * MINUTE), 'rebuys close after the rebuy levels');
+  check(tournament.prizePool === 500, `three entries, a rebuy and an add-on make a 500 prize pool, got ${tournament.prizePool}`);
+
+  ledger.record(p0, 'prize', { amount: 250 });
+  const summary = ledger.getSummary();
+  const row = summary.find(r => r.playerId === p0.id);
+  check(summary.length === 3 && row.buyIns === 100 && row.rebuys === 100 && row.net === 50, `ledger totals buy-ins and net results, got ${JSON.stringify(row)}`);
+  check(validateSettings({ mode: 'tournament', tournament: { addOnChips: 1000 } }).error !== undefined, 'an add-on needs a rebuy period');
+  if (failures === failuresBefore) console.log('PASS: Scenario 7');
+}
+
+reportFailures();
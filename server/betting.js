@@ -0,0 +1,110 @@
+// Betting structures for Texas Hold'em Poker
+//
+// The table's betting structure decides how much a raise may be. Limits are
+// in chips put in with the action (the same unit as a 'raise' action's
+// amount): { min, max }, or null when the player cannot raise at all. The
+// engine enforces them and the server sends them with the hand state, so the
+// client's raise controls offer exactly what will be accepted.
+//
+// Raises follow the usual full-raise rules: a raise
+// must be at least as big as the last full bet or raise on the street (and
+// never less than a big blind). An all-in for less is allowed but does not
+// reopen the betting: players who already acted may only call or fold unless
+// the bet has gone up by a full raise since they last acted.
+
+import { getSettings } from './settings.js';
+
+const MAX_BETS_PER_STREET = 4; // Fixed limit: a bet and three raises
+
+// Smallest raise on top of a call: the last full bet or raise this street,
+// and at least a big blind
+export function getMinRaiseSize(handState) {
+  return Math.max(handState.lastRaiseSize || 0, handState.bigBlind);
+}
+
+// Whether a player may still raise this street: yes if they have not acted
+// since the last full raise, or if the bet has gone up by a full raise since
+// they did (several short all-ins can add up to one)
+export function canReraise(handState, player) {
+  const actedAt = handState.actedAtBet.get(player.id);
+  return actedAt === undefined || handState.currentBet - actedAt >= getMinRaiseSize(handState);
+}
+
+// Fixed limit: the small bet (a big blind) preflop and on the flop, the big
+// bet (two big blinds) on the turn and river
+function getFixedBetSize(handState) {
+  return ['turn', 'river'].includes(handState.phase) ? handState.bigBlind * 2 : handState.bigBlind;
+}
+
+// Each structure gives { min, max } for a player facing `callAmount`, or null
+// when no raise is allowed, plus the message for an amount out of range
+const STRUCTURES = {
+  'no-limit': {
+    getRaiseLimits: (state, player, callAmount) => ({
+      min: callAmount + getMinRaiseSize(state.handState),
+      max: player.chips
+    }),
+    describeLimits: (limits, player, callAmount) => `Minimum raise is ${limits.min - callAmount}`
+  },
+
+  // The most a player can raise by is the pot after they call
+  'pot-limit': {
+    getRaiseLimits: (state, player, callAmount) => ({
+      min: callAmount + getMinRaiseSize(state.handState),
+      max: callAmount + state.handState.pot + callAmount
+    }),
+    describeLimits: (limits, player, callAmount, amount) => (amount > limits.max
+      ? `Pot limit: the most you can raise to is ${player.currentBet + limits.max}`
+      : `Minimum raise is ${limits.min - callAmount}`)
+  },
+
+  'fixed-limit': {
+    isFixed: true,
+    getRaiseLimits: (state, player, callAmount) => {
+      if (state.handState.betsThisStreet >= MAX_BETS_PER_STREET) return null;
+      const amount = callAmount + getFixedBetSize(state.handState);
+      return { min: amount, max: amount };
+    },
+    describeLimits: (limits, player) => `Fixed limit: you can only raise to ${player.currentBet + limits.max}`,
+    cappedMessage: `Betting is capped at ${MAX_BETS_PER_STREET} bets this round`
+  }
+};
+
+export function getBettingStructure(state) {
+  return STRUCTURES[getSettings(state).bettingStructure] || STRUCTURES['no-limit'];
+}
+
+// Legal raise range for a player, or null if they can only call or fold.
+// Going all-in for less than the minimum is always allowed.
+export function getRaiseLimits(state, player) {
+  const callAmount = Math.max(state.handState.currentBet - player.currentBet, 0);
+  if (player.chips <= callAmount) return null;
+  if (!canReraise(state.handState, player)) return null;
+
+  const limits = getBettingStructure(state).getRaiseLimits(state, player, callAmount);
+  if (!limits) return null;
+
+  const max = Math.min(limits.max, player.chips);
+  return { min: Math.min(limits.min, max), max };
+}
+
+// Why a raise of `amount` is not allowed, or null if it is
+export function getRaiseError(state, player, amount) {
+  const callAmount = Math.max(state.handState.currentBet - player.currentBet, 0);
+  if (amount <= callAmount) {
+    return 'Raise must be higher than current bet';
+  }
+
+  const structure = getBettingStructure(state);
+  if (!canReraise(state.handState, player)) {
+    return 'An all-in for less than a full raise does not reopen the betting';
+  }
+  const limits = getRaiseLimits(state, player);
+  if (!limits) {
+    return structure.cappedMessage || 'You can only call or fold';
+  }
+  if (amount < limits.min || amount > limits.max) {
+    return structure.describeLimits(limits, player, callAmount, amount);
+  }
+  return null;
+}
@@ -0,0 +1,100 @@
+// Table chat for Texas Hold'em Poker
+//
+// A ChatChannel holds one room's chat: the recent messages a late joiner is
+// sent, and who the host has muted. Player messages are trimmed, capped in
+// length and run through a basic profanity filter; system messages (joins,
+// leaves, big wins) go in the same stream so they show inline.
+//
+// Messages: { id, type: 'player' | 'system', playerId?, name?, text, time }
+//
+// A RateLimiter lets each key (a socket) send so many messages in a sliding
+// window. It lives outside the channel so leaving and rejoining a room does
+// not reset it; the server also uses one to pace odds calculations.
+
+export const MAX_MESSAGE_LENGTH = 200;
+const MAX_HISTORY = 100; // Messages kept per room for late joiners
+
+// Whole words and their common endings only, so "Dickens" and "scrap" pass
+const PROFANITY = ['fuck', 'shit', 'cunt', 'bitch', 'asshole', 'bastard', 'dick', 'wanker', 'twat', 'prick', 'motherfucker'];
+const PROFANITY_PATTERN = new RegExp(`\\b(${PROFANITY.join('|')})(s|es|ed|er|ers|ing|y)?\\b`, 'gi');
+
+// Star out everything but the first letter of each listed word
+export function filterProfanity(text) {
+  return text.replace(PROFANITY_PATTERN, word => word[0] + '*'.repeat(word.length - 1));
+}
+
+export class ChatChannel {
+  constructor() {
+    this.messages = []; // Newest last, at most MAX_HISTORY
+    this.muted = new Set(); // Player IDs the host has muted
+    this.nextId = 1;
+  }
+
+  add(message) {
+    const entry = { id: this.nextId++, ...message };
+    this.messages.push(entry);
+    if (this.messages.length > MAX_HISTORY) this.messages.shift();
+    return entry;
+  }
+
+  // A player's message, or { error } if it cannot be sent
+  post(sender, text, now = Date.now()) {
+    if (this.muted.has(sender.id)) {
+      return { error: 'You have been muted by the host' };
+    }
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (trimmed === '') {
+      return { error: 'Message is empty' };
+    }
+    if (trimmed.length > MAX_MESSAGE_LENGTH) {
+      return { error: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters` };
+    }
+    return {
+      message: this.add({ type: 'player', playerId: sender.id, name: sender.name, text: filterProfanity(trimmed), time: now })
+    };
+  }
+
+  system(text, now = Date.now()) {
+    return this.add({ type: 'system', text, time: now });
+  }
+
+  setMuted(playerId, muted) {
+    if (muted) {
+      this.muted.add(playerId);
+    } else {
+      this.muted.delete(playerId);
+    }
+  }
+
+  isMuted(playerId) {
+    return this.muted.has(playerId);
+  }
+
+  getHistory() {
+    return this.messages.map(m => ({ ...m }));
+  }
+}
+
+export class RateLimiter {
+  constructor({ limit, windowMs }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.sent = new Map(); // key -> send times inside the window, oldest first
+  }
+
+  // Whether `key` may send now; counts the send if so
+  allow(key, now = Date.now()) {
+    const times = (this.sent.get(key) || []).filter(t => now - t < this.windowMs);
+    if (times.length >= this.limit) {
+      this.sent.set(key, times);
+      return false;
+    }
+    times.push(now);
+    this.sent.set(key, times);
+    return true;
+  }
+
+  forget(key) {
+    this.sent.delete(key);
+  }
+}
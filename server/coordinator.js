@@ -0,0 +1,125 @@
+// Multi-table tournaments for Texas Hold'em Poker
+//
+// A TournamentCoordinator spreads one Tournament's entrants over several
+// tables and moves players between them as the field shrinks: tables are kept
+// within one player of each other, and a table is broken up as soon as the
+// players left fit at one table fewer, down to a single final table. Every
+// table shares the same Tournament, and so the same blind clock.
+//
+// Like the engine it only updates table state ({ players, handState, ... });
+// server.js moves sockets and (re)starts tables based on what it returns.
+
+import { takeSeat, getNextBigBlind } from './engine.js';
+
+export class TournamentCoordinator {
+  constructor(tournament, { maxSeats }) {
+    this.tournament = tournament;
+    this.maxSeats = maxSeats;
+    this.tables = []; // { roomId, number, state, isClosed }
+  }
+
+  static tablesNeeded(entrants, maxSeats) {
+    return Math.ceil(entrants / maxSeats);
+  }
+
+  addTable(roomId, state) {
+    const table = { roomId, number: this.tables.length + 1, state, isClosed: false };
+    this.tables.push(table);
+    return table;
+  }
+
+  getTable(roomId) {
+    return this.tables.find(t => t.roomId === roomId) || null;
+  }
+
+  get openTables() {
+    return this.tables.filter(t => !t.isClosed);
+  }
+
+  // Players at a table who are still in the tournament
+  getPlayers(table) {
+    return table.state.players.filter(p => !this.tournament.isEliminated(p.id));
+  }
+
+  // Deal the entrants out over the tables in random order, as evenly as possible
+  seat(players, random = Math.random) {
+    const shuffled = [...players];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    const open = this.openTables;
+    open.forEach(table => {
+      table.state.players = [];
+    });
+    shuffled.forEach((player, i) => {
+      player.seat = null;
+      takeSeat(open[i % open.length].state, player);
+    });
+  }
+
+  // Call between hands at `roomId`, before dealing. Breaks the table if the
+  // remaining players fit at one table fewer, otherwise moves players off it
+  // while it has two or more players more than the smallest table.
+  // Returns { moves: [{ player, from, to }], closed }.
+  balance(roomId) {
+    const table = this.getTable(roomId);
+    const result = { moves: [], closed: false };
+    if (!table || table.isClosed || this.tournament.isComplete) return result;
+
+    const others = this.openTables.filter(t => t !== table);
+    if (others.length === 0) return result;
+
+    const count = (t) => this.getPlayers(t).length;
+    const remaining = this.openTables.reduce((sum, t) => sum + count(t), 0);
+    const smallest = Math.min(...others.map(count));
+
+    // Break the table once everyone fits at the others. The shortest table
+    // goes; an idle table that ties for shortest goes rather than waiting.
+    if (remaining <= others.length * this.maxSeats && count(table) <= smallest) {
+      this.getPlayers(table).forEach(player => {
+        const to = others.reduce((best, t) => (count(t) < count(best) ? t : best));
+        result.moves.push(this.movePlayer(player, table, to));
+      });
+      table.isClosed = true;
+      result.closed = true;
+      return result;
+    }
+
+    while (count(table) > Math.min(...others.map(count)) + 1) {
+      const to = others.reduce((best, t) => (count(t) < count(best) ? t : best));
+      result.moves.push(this.movePlayer(this.getNextBigBlind(table), table, to));
+    }
+    return result;
+  }
+
+  // TDA-style: the player moved is the one due to post the next big blind
+  getNextBigBlind(table) {
+    return getNextBigBlind(table.state);
+  }
+
+  // The player takes the lowest free seat at the new table
+  movePlayer(player, from, to) {
+    from.state.players = from.state.players.filter(p => p !== player);
+    player.resetForNewHand();
+    player.seat = null;
+    takeSeat(to.state, player);
+    return { player, from: from.roomId, to: to.roomId };
+  }
+
+  // Tables and chip counts for the tournament lobby
+  getLobby() {
+    return this.tables.map(table => ({
+      roomId: table.roomId,
+      number: table.number,
+      isClosed: table.isClosed,
+      players: this.getPlayers(table).map(p => ({
+        id: p.id,
+        name: p.name,
+        chips: p.chips,
+        isBot: !!p.isBot
+      }))
+    }));
+  }
+}
@@ -0,0 +1,784 @@
+// Hand engine for Texas Hold'em Poker
+//
+// Pure game rules with no sockets and no timers. Every entry point takes the
+// table state ({ players, handState, deck, positions, settings }) plus an input,
+// updates that state in place and returns { state, events }. The caller
+// (server.js, scripts, tests) decides how to log, broadcast or schedule
+// anything based on the events.
+//
+// Players sit in numbered seats (player.seat) and state.players is kept in
+// seat order. The button moves by seat with dead-button rules: the big blind
+// always moves on to the next player, the small blind goes to last hand's big
+// blind seat and the button to last hand's small blind seat, even if that
+// leaves a dead small blind or the button on an empty seat. Heads-up, the
+// button posts the small blind and acts first before the flop.
+//
+// Players sitting out (player.isSittingOut) are skipped when the table's
+// sitOutBlinds setting is 'miss'; one the big blind passes over has missed it
+// and posts a big blind in the first hand they are back for. With 'post' they
+// are still dealt in and the caller checks or folds for them.
+//
+// Events:
+//   { type: 'handStarted', dealerId, buttonSeat, commitment }
+//   { type: 'blind', playerId, playerName, blind: 'ante' | 'small' | 'big', amount }
+//   { type: 'action', playerId, playerName, action, amount, isAllIn, correction? }
+//   { type: 'actionRejected', playerId, message }
+//   { type: 'street', phase, cards, communityCards, board?, equity? }
+//   { type: 'runout', hands, runItTwice, equity }
+//   { type: 'handEnded', winners, pots, showdown }
+//
+// When nobody can bet any more (everyone but at most one player is all-in)
+// the hand stops with a 'runout' event: the hands are face up and the caller
+// deals each remaining street with dealRunout(), so it can show the board and
+// everyone's equity as the cards come. With run it twice, 'street' events
+// carry board 1 or 2 and handEnded's winners and showdown do too.
+
+import { Deck, HandState } from './game.js';
+import { evaluateHand, evaluateOmahaHand } from './evaluate.js';
+import { generateServerSeed, combineSeeds, createCommitment } from './fairness.js';
+import { getSettings, HOLE_CARDS } from './settings.js';
+import { getBettingStructure, getRaiseLimits, getRaiseError, getMinRaiseSize } from './betting.js';
+import { calculateEquity } from './equity.js';
+
+// Live equity during a runout is sampled unless dealing out every board is quick
+const RUNOUT_EQUITY_TRIALS = 10000;
+const RUNOUT_EXACT_LIMIT = 500000;
+
+// Street the board is on with this many cards
+const PHASE_BY_BOARD_SIZE = { 0: 'preflop', 3: 'flop', 4: 'turn', 5: 'river' };
+
+// Put a player in a seat: the one asked for if it is on the table and free,
+// otherwise the lowest free seat. state.players stays in seat order. Returns
+// the seat.
+export function takeSeat(state, player, seat = null) {
+  const taken = new Set(state.players.filter(p => p !== player).map(p => p.seat));
+  const { maxSeats } = getSettings(state);
+  const isOnTable = Number.isInteger(seat) && seat >= 1 && seat <= maxSeats;
+  if (!isOnTable || taken.has(seat)) {
+    seat = getFreeSeat(state, player);
+  }
+  player.seat = seat;
+
+  // Arriving mid-hand: sit out until the next deal
+  if (!state.players.includes(player)) {
+    if (isHandInProgress(state)) {
+      player.resetForNewHand();
+      player.hasFolded = true;
+    }
+    state.players.push(player);
+  }
+  state.players.sort((a, b) => a.seat - b.seat);
+  return seat;
+}
+
+// Lowest seat nobody (other than `player`) is sitting in
+export function getFreeSeat(state, player = null) {
+  const taken = new Set(state.players.filter(p => p !== player).map(p => p.seat));
+  let seat = 1;
+  while (taken.has(seat)) seat++;
+  return seat;
+}
+
+// Why a player cannot move to `seat`, or null if they can. Seats are numbered
+// from 1 to the table's seat count; nobody moves while they still hold cards.
+export function getSeatError(state, player, seat) {
+  const { maxSeats } = getSettings(state);
+  if (!Number.isInteger(seat) || seat < 1 || seat > maxSeats) {
+    return `Pick a seat from 1 to ${maxSeats}`;
+  }
+  if (state.players.some(p => p !== player && p.seat === seat)) {
+    return 'That seat is taken';
+  }
+  if (isHoldingCards(state, player)) {
+    return 'You can change seats once you are out of the hand';
+  }
+  return null;
+}
+
+// Why a cash player cannot add `amount` chips, or null if they can. Chips
+// only go on between hands, up to the table's maximum buy-in.
+export function getTopUpError(state, player, amount) {
+  const { maxBuyIn } = getSettings(state);
+  if (isHoldingCards(state, player)) {
+    return 'You can add chips once you are out of the hand';
+  }
+  if (player.chips >= maxBuyIn) {
+    return `You already have the maximum buy-in of ${maxBuyIn}`;
+  }
+  if (!Number.isInteger(amount) || amount < 1 || player.chips + amount > maxBuyIn) {
+    return `You can add from 1 to ${maxBuyIn - player.chips} chips`;
+  }
+  return null;
+}
+
+// Whether a player is still in the hand being played
+export function isHoldingCards(state, player) {
+  return isHandInProgress(state) && player.hand.length > 0 && !player.hasFolded;
+}
+
+// Players from before seat numbers (or added straight to state.players) get
+// the lowest free seats in the order they are listed
+function assignMissingSeats(state) {
+  state.players.filter(p => !p.seat).forEach(player => takeSeat(state, player));
+}
+
+// Players dealt into the next hand: everyone with chips, except those sitting
+// out when the table lets them miss their blinds
+function getDealtInPlayers(state) {
+  const postsWhileOut = getSettings(state).sitOutBlinds === 'post';
+  return state.players.filter(p => p.chips > 0 && (!p.isSittingOut || postsWhileOut));
+}
+
+// Whether `seat` comes after `from` and no later than `to`, going round the table
+function isSeatBetween(seat, from, to) {
+  return from < to ? seat > from && seat <= to : seat > from || seat <= to;
+}
+
+// First player with chips after `seat`, going round the table
+function nextSeatedAfter(seated, seat) {
+  return seated.find(p => p.seat > seat) || seated[0];
+}
+
+// Button and blinds for the next hand among `seated` (players with chips, in
+// seat order). Returns { buttonSeat, smallBlind, bigBlind }, where the small
+// blind is null when it is dead.
+function getPositions(state, seated) {
+  const last = state.positions;
+  if (!last) {
+    // First hand: the button starts on the second player
+    const button = nextSeatedAfter(seated, seated[0].seat);
+    const smallBlind = seated.length === 2 ? button : nextSeatedAfter(seated, button.seat);
+    return { buttonSeat: button.seat, smallBlind, bigBlind: nextSeatedAfter(seated, smallBlind.seat) };
+  }
+
+  const bigBlind = nextSeatedAfter(seated, last.bigBlindSeat);
+  if (seated.length === 2) {
+    const button = seated.find(p => p !== bigBlind);
+    return { buttonSeat: button.seat, smallBlind: button, bigBlind };
+  }
+
+  return {
+    buttonSeat: last.smallBlindSeat,
+    smallBlind: seated.find(p => p.seat === last.bigBlindSeat) || null,
+    bigBlind
+  };
+}
+
+// Who posts the big blind next hand (tournaments move this player first)
+export function getNextBigBlind(state) {
+  assignMissingSeats(state);
+  const seated = getDealtInPlayers(state);
+  return seated.length >= 2 ? getPositions(state, seated).bigBlind : seated[0] || null;
+}
+
+// Players who can still put chips in (the list currentPlayerIndex points into)
+export function getActivePlayers(state) {
+  return state.players.filter(p => !p.hasFolded && p.chips > 0);
+}
+
+// Players still contesting the pot, including those who are all-in
+export function getContenders(state) {
+  return state.players.filter(p => !p.hasFolded);
+}
+
+export function getCurrentPlayer(state) {
+  if (!state.handState || !state.handState.currentPlayerId) return null;
+  return getActivePlayers(state).find(p => p.id === state.handState.currentPlayerId) || null;
+}
+
+export function isHandInProgress(state) {
+  return !!state.handState && state.handState.phase !== 'showdown';
+}
+
+// Action a player gets when they run out of time: check if free, otherwise fold
+export function getTimeoutAction(state, player) {
+  const canCheck = player.currentBet >= state.handState.currentBet;
+  return canCheck ? { type: 'check' } : { type: 'fold' };
+}
+
+// Start a new hand. The deck is shuffled from options.serverSeed (a fresh random
+// seed if omitted) combined with the players' client seeds; pass options.deck
+// to deal from a prepared deck instead. Blinds come from the table settings
+// unless options.stakes ({ smallBlind, bigBlind, ante }) overrides them.
+export function startHand(state, options = {}) {
+  const events = [];
+  assignMissingSeats(state);
+  const seated = getDealtInPlayers(state);
+  if (seated.length < 2) {
+    return { state, events };
+  }
+
+  const startingStacks = {};
+  seated.forEach(player => {
+    startingStacks[player.id] = player.chips;
+  });
+
+  // Reset players for new hand; players without chips or sitting out miss it
+  state.players.forEach(player => {
+    player.resetForNewHand();
+    if (!seated.includes(player)) {
+      player.hasFolded = true;
+    }
+  });
+
+  const settings = getSettings(state);
+  const holeCards = HOLE_CARDS[settings.game] || 2;
+
+  let fairness = null;
+  if (options.deck) {
+    state.deck = options.deck;
+  } else {
+    const serverSeed = options.serverSeed || generateServerSeed();
+    const clientSeeds = seated.map(p => p.clientSeed).filter(Boolean);
+    state.deck = new Deck(combineSeeds(serverSeed, clientSeeds));
+    state.deck.shuffle();
+    fairness = {
+      serverSeed,
+      clientSeeds,
+      commitment: createCommitment(serverSeed, clientSeeds),
+      // Hole cards are dealt `holeCards` at a time in this order, then the board
+      seatOrder: seated.map(p => p.id),
+      holeCards
+    };
+  }
+
+  seated.forEach(player => {
+    player.hand = state.deck.dealCards(holeCards);
+  });
+
+  const stakes = options.stakes || settings;
+  const handState = new HandState();
+  handState.fairness = fairness;
+  handState.smallBlind = stakes.smallBlind;
+  handState.bigBlind = stakes.bigBlind;
+  handState.ante = stakes.ante || 0;
+  handState.startingStacks = startingStacks;
+  state.handNumber = (state.handNumber || 0) + 1;
+  handState.handNumber = state.handNumber;
+  state.handState = handState;
+
+  // Move the button and blinds on by seat
+  const { buttonSeat, smallBlind: smallBlindPlayer, bigBlind: bigBlindPlayer } = getPositions(state, seated);
+  // Anyone sitting out whose seat the big blind passes over has missed it
+  if (state.positions) {
+    state.players
+      .filter(p => p.isSittingOut && !seated.includes(p) && isSeatBetween(p.seat, state.positions.bigBlindSeat, bigBlindPlayer.seat))
+      .forEach(p => {
+        p.missedBlind = true;
+      });
+  }
+  handState.buttonSeat = buttonSeat;
+  handState.smallBlindSeat = smallBlindPlayer ? smallBlindPlayer.seat : state.positions.bigBlindSeat;
+  handState.bigBlindSeat = bigBlindPlayer.seat;
+  handState.dealerId = seated.find(p => p.seat === buttonSeat)?.id || null;
+  state.positions = {
+    buttonSeat,
+    smallBlindSeat: handState.smallBlindSeat,
+    bigBlindSeat: handState.bigBlindSeat
+  };
+  events.push({
+    type: 'handStarted',
+    dealerId: handState.dealerId,
+    buttonSeat,
+    commitment: fairness ? fairness.commitment : null
+  });
+
+  // Antes are dead money: straight into the pot, not part of anyone's bet
+  if (handState.ante > 0) {
+    seated.forEach(player => {
+      const ante = player.bet(Math.min(handState.ante, player.chips));
+      handState.pot += ante;
+      events.push({ type: 'blind', playerId: player.id, playerName: player.name, blind: 'ante', amount: ante });
+    });
+    handState.potManager.collectBets(seated);
+  }
+
+  // A dead small blind is simply not posted
+  const smallBlind = smallBlindPlayer ? smallBlindPlayer.bet(Math.min(handState.smallBlind, smallBlindPlayer.chips)) : 0;
+  const bigBlind = bigBlindPlayer.bet(Math.min(handState.bigBlind, bigBlindPlayer.chips));
+  if (smallBlindPlayer) {
+    events.push({ type: 'blind', playerId: smallBlindPlayer.id, playerName: smallBlindPlayer.name, blind: 'small', amount: smallBlind });
+  }
+  events.push({ type: 'blind', playerId: bigBlindPlayer.id, playerName: bigBlindPlayer.name, blind: 'big', amount: bigBlind });
+
+  // Players back from missing the big blind post one (a live bet) unless they
+  // are in the blinds this hand anyway
+  seated.forEach(player => {
+    if (player.missedBlind && player !== smallBlindPlayer && player !== bigBlindPlayer) {
+      const amount = player.bet(Math.min(handState.bigBlind, player.chips));
+      handState.pot += amount;
+      events.push({ type: 'blind', playerId: player.id, playerName: player.name, blind: 'big', amount });
+    }
+    player.missedBlind = false;
+  });
+
+  handState.currentBet = Math.max(...seated.map(p => p.currentBet));
+  handState.betsThisStreet = 1; // The big blind is the first bet
+  handState.lastRaiseSize = handState.bigBlind; // Even when the big blind is short
+  handState.pot += smallBlind + bigBlind;
+  handState.blindsPosted = true;
+
+  setCurrentPlayer(state, findNextActivePlayer(state, bigBlindPlayer.seat));
+
+  // Blinds alone can leave nobody able to act (e.g. both posted all-in)
+  progressHand(state, events);
+
+  return { state, events };
+}
+
+// Apply a player's action and advance the hand as far as the rules allow
+export function applyAction(state, playerId, action) {
+  const events = [];
+  const reject = (message) => {
+    events.push({ type: 'actionRejected', playerId, message });
+    return { state, events };
+  };
+
+  const handState = state.handState;
+  if (!isHandInProgress(state)) {
+    return reject('No active hand');
+  }
+
+  const player = state.players.find(p => p.id === playerId);
+  if (!player) {
+    return reject('Player not found');
+  }
+
+  const currentPlayer = getCurrentPlayer(state);
+  if (!currentPlayer || currentPlayer.id !== playerId) {
+    return reject('Not your turn');
+  }
+
+  if (player.hasActed && !player.isAllIn) {
+    return reject('Already acted this round');
+  }
+
+  const activeBeforeAction = getActivePlayers(state);
+  let correction = null; // { requested, reason } when a bot's raise was out of range
+
+  const recordAction = (type, amount = null) => {
+    handState.actionCount++;
+    events.push({
+      type: 'action',
+      playerId: player.id,
+      playerName: player.name,
+      action: type,
+      amount,
+      isAllIn: player.isAllIn,
+      ...(correction ? { correction } : {})
+    });
+  };
+
+  const call = () => {
+    const callAmount = handState.currentBet - player.currentBet;
+    const paid = player.bet(callAmount);
+    handState.pot += paid;
+    player.hasActed = true;
+    recordAction('call', paid);
+  };
+
+  switch (action && action.type) {
+    case 'fold':
+      player.fold();
+      player.hasActed = true;
+      recordAction('fold');
+      break;
+
+    case 'check':
+      if (player.currentBet < handState.currentBet) {
+        return reject('Cannot check, must call or fold');
+      }
+      player.hasActed = true;
+      recordAction('check');
+      break;
+
+    case 'call':
+      call();
+      break;
+
+    case 'raise': {
+      // Bots size bets as fractions of their stack; cap them at all-in
+      let amount = Math.floor(player.isBot ? Math.min(action.amount, player.chips) : action.amount);
+      if (!amount || amount <= 0) {
+        return reject('Invalid raise amount');
+      }
+
+      if (amount > player.chips) {
+        return reject('Insufficient chips');
+      }
+
+      // Shoving for no more than the call amount is just an all-in call
+      if (amount === player.chips && player.currentBet + amount <= handState.currentBet) {
+        call();
+        break;
+      }
+
+      // The betting structure sets the legal range (see betting.js). Bots are
+      // brought into range instead of being rejected so an over-eager bot
+      // cannot stall the table: too much is cut to the maximum, too little
+      // becomes a call (or the one fixed-limit raise). The action event says
+      // so, for anyone checking how bots size their raises.
+      const error = getRaiseError(state, player, amount);
+      if (error) {
+        if (!player.isBot) {
+          return reject(error);
+        }
+        correction = { requested: amount, reason: error };
+        const limits = getRaiseLimits(state, player);
+        if (limits && amount > limits.max) {
+          amount = limits.max;
+        } else if (limits && getBettingStructure(state).isFixed) {
+          amount = limits.min;
+        } else {
+          call();
+          break;
+        }
+      }
+
+      const raised = player.bet(amount);
+      handState.pot += raised;
+
+      // Only a full raise sets the size of the next one; a short all-in
+      // still has to be called but does not reopen the betting
+      const raiseSize = player.currentBet - handState.currentBet;
+      if (raiseSize >= getMinRaiseSize(handState)) {
+        handState.lastRaiseSize = raiseSize;
+        handState.betsThisStreet++;
+      }
+      handState.currentBet = player.currentBet;
+
+      // Everyone else gets to respond to the new bet
+      activeBeforeAction.forEach(p => {
+        if (p.id !== player.id) {
+          p.hasActed = false;
+        }
+      });
+      player.hasActed = true;
+      handState.raisers.add(player.id);
+      recordAction('raise', player.currentBet);
+      break;
+    }
+
+    default:
+      return reject('Unknown action');
+  }
+
+  handState.actedAtBet.set(player.id, handState.currentBet);
+  setCurrentPlayer(state, findNextActivePlayer(state, player.seat));
+  progressHand(state, events);
+
+  return { state, events };
+}
+
+// Take a player out of the table (disconnect, bot removal). Their chips in the
+// pot stay there; the hand continues without them.
+export function removePlayer(state, playerId) {
+  const events = [];
+  const index = state.players.findIndex(p => p.id === playerId);
+  if (index === -1) {
+    return { state, events };
+  }
+
+  const player = state.players[index];
+  const inHand = isHandInProgress(state);
+  const wasCurrent = inHand && state.handState.currentPlayerId === playerId;
+  const nextPlayer = wasCurrent ? findNextActivePlayer(state, player.seat) : null;
+
+  if (inHand && !player.hasFolded) {
+    player.fold();
+    // Keep the money they already committed to this street in the pot
+    if (player.currentBet > 0) {
+      state.handState.potManager.collectBets([player]);
+    }
+  }
+
+  state.players.splice(index, 1);
+
+  if (inHand) {
+    if (wasCurrent) {
+      setCurrentPlayer(state, nextPlayer && nextPlayer.id !== playerId ? nextPlayer : null);
+    } else {
+      syncCurrentPlayerIndex(state);
+    }
+    progressHand(state, events);
+  }
+
+  return { state, events };
+}
+
+// Deal the next street of an all-in runout. With run it twice the first
+// board is dealt out, then the second one from the cards they share; the
+// hand ends as soon as the last board is complete.
+export function dealRunout(state) {
+  const events = [];
+  const handState = state.handState;
+  if (!isHandInProgress(state) || !handState.isRunout) {
+    return { state, events };
+  }
+
+  if (handState.phase === 'river') {
+    handState.boards.push(handState.communityCards);
+    handState.communityCards = handState.communityCards.slice(0, handState.sharedBoardSize);
+    handState.phase = PHASE_BY_BOARD_SIZE[handState.sharedBoardSize];
+  }
+
+  dealNextStreet(state, events);
+
+  const isLastBoard = !handState.runItTwice || handState.boards.length === 1;
+  if (handState.phase === 'river' && isLastBoard) {
+    if (handState.runItTwice) {
+      handState.boards.push(handState.communityCards);
+    }
+    endHand(state, events);
+  }
+
+  return { state, events };
+}
+
+// Each contender's share of the pot on the board so far
+function getRunoutEquity(state) {
+  const contenders = getContenders(state);
+  const result = calculateEquity({
+    game: getSettings(state).game,
+    hands: contenders.map(p => p.hand),
+    board: state.handState.communityCards,
+    trials: RUNOUT_EQUITY_TRIALS,
+    exactLimit: RUNOUT_EXACT_LIMIT
+  });
+  if (result.error) return null;
+
+  const equity = {};
+  contenders.forEach((player, i) => {
+    equity[player.id] = result.players[i].equity;
+  });
+  return equity;
+}
+
+// Nobody can bet any more: turn the hands up and wait for dealRunout().
+// The board is run twice if every player still in the hand agreed to it.
+function startRunout(state, events) {
+  const handState = state.handState;
+  const contenders = getContenders(state);
+
+  handState.isRunout = true;
+  handState.runItTwice = contenders.every(p => p.runItTwice);
+  handState.sharedBoardSize = handState.communityCards.length;
+  handState.equity = getRunoutEquity(state);
+  setCurrentPlayer(state, null);
+
+  events.push({
+    type: 'runout',
+    hands: contenders.map(p => ({ playerId: p.id, playerName: p.name, cards: [...p.hand] })),
+    runItTwice: handState.runItTwice,
+    equity: handState.equity
+  });
+}
+
+// Best hand a player can show down for the table's game
+function evaluatePlayerHand(state, player, board = state.handState.communityCards) {
+  if (getSettings(state).game === 'omaha') {
+    return evaluateOmahaHand(player.hand, board);
+  }
+  return evaluateHand([...player.hand, ...board]);
+}
+
+// Find the next player after `seat` (going round the table) who can still act
+function findNextActivePlayer(state, seat) {
+  const active = getActivePlayers(state);
+  return active.find(p => p.seat > seat) || active[0] || null;
+}
+
+function setCurrentPlayer(state, player) {
+  state.handState.currentPlayerId = player ? player.id : null;
+  syncCurrentPlayerIndex(state);
+}
+
+// Clients locate the current player by index into the active player list
+function syncCurrentPlayerIndex(state) {
+  const index = getActivePlayers(state).findIndex(p => p.id === state.handState.currentPlayerId);
+  state.handState.currentPlayerIndex = Math.max(index, 0);
+  if (index === -1) {
+    state.handState.currentPlayerId = null;
+  }
+}
+
+function isBettingRoundComplete(state) {
+  const { currentBet } = state.handState;
+  const active = getActivePlayers(state);
+
+  // With one (or no) player able to bet there is nobody left to act against
+  if (active.length <= 1) {
+    return active.every(p => p.currentBet >= currentBet);
+  }
+
+  return active.every(p => p.hasActed && p.currentBet === currentBet);
+}
+
+// Move the hand forward: end it if everyone else folded, otherwise deal
+// streets for as long as each betting round is already closed.
+function progressHand(state, events) {
+  const handState = state.handState;
+
+  while (isHandInProgress(state)) {
+    if (getContenders(state).length <= 1) {
+      endHand(state, events);
+      return;
+    }
+
+    // The rest of the board is up to dealRunout()
+    if (handState.isRunout) {
+      return;
+    }
+
+    if (!isBettingRoundComplete(state)) {
+      if (!state.handState.currentPlayerId) {
+        setCurrentPlayer(state, getActivePlayers(state)[0] || null);
+      }
+      return;
+    }
+
+    // Collect bets into pots before moving phase
+    handState.potManager.collectBets(state.players);
+
+    if (handState.phase === 'river') {
+      endHand(state, events);
+      return;
+    }
+
+    if (getActivePlayers(state).length <= 1) {
+      startRunout(state, events);
+      return;
+    }
+
+    dealNextStreet(state, events);
+  }
+}
+
+function dealNextStreet(state, events) {
+  const handState = state.handState;
+  let cards;
+  if (handState.phase === 'preflop') {
+    cards = state.deck.dealCards(3);
+    handState.phase = 'flop';
+  } else if (handState.phase === 'flop') {
+    cards = [state.deck.deal()];
+    handState.phase = 'turn';
+  } else {
+    cards = [state.deck.deal()];
+    handState.phase = 'river';
+  }
+  handState.communityCards = [...handState.communityCards, ...cards];
+
+  // Reset for new betting round
+  state.players.forEach(player => {
+    if (!player.hasFolded) {
+      player.resetForNewBettingRound();
+    }
+  });
+  handState.currentBet = 0;
+  handState.betsThisStreet = 0;
+  handState.lastRaiseSize = 0;
+  handState.actedAtBet.clear();
+  handState.roundBets.clear();
+
+  if (handState.isRunout) {
+    handState.equity = getRunoutEquity(state);
+    events.push({
+      type: 'street',
+      phase: handState.phase,
+      cards,
+      communityCards: handState.communityCards,
+      board: handState.boards.length + 1,
+      equity: handState.equity
+    });
+    return;
+  }
+
+  events.push({ type: 'street', phase: handState.phase, cards, communityCards: handState.communityCards });
+
+  // First active player after the button opens the betting
+  setCurrentPlayer(state, findNextActivePlayer(state, handState.buttonSeat));
+}
+
+// Distribute the pots and move to showdown
+function endHand(state, events) {
+  const handState = state.handState;
+  const contenders = getContenders(state);
+
+  // Make sure bets from an unfinished street end up in the pots
+  handState.potManager.collectBets(state.players);
+
+  handState.winners = [];
+  let evaluations = [];
+
+  if (contenders.length === 1) {
+    // Everyone else folded: the last player gets everything in the pots
+    const winner = contenders[0];
+    const totalWinnings = handState.potManager.pots.reduce((sum, pot) => sum + pot.amount, 0);
+    winner.chips += totalWinnings;
+    handState.winners.push({
+      playerId: winner.id,
+      playerName: winner.name,
+      hand: null,
+      share: totalWinnings
+    });
+  } else {
+    // Run it twice: every pot is split between the two boards, the odd chip
+    // going to the first
+    const boards = handState.boards.length > 1 ? handState.boards : [handState.communityCards];
+    const pots = handState.potManager.pots;
+
+    boards.forEach((board, boardIndex) => {
+      const boardNumber = boards.length > 1 ? { board: boardIndex + 1 } : {};
+      const boardEvaluations = contenders.map(player => ({
+        player,
+        evaluation: evaluatePlayerHand(state, player, board),
+        ...boardNumber
+      }));
+      evaluations.push(...boardEvaluations);
+
+      pots.forEach((pot, potIndex) => {
+        const potAmount = Math.floor(pot.amount / boards.length) + (boardIndex === 0 ? pot.amount % boards.length : 0);
+        if (potAmount === 0) return;
+
+        const eligible = boardEvaluations.filter(e => pot.contributors.has(e.player.id));
+        if (eligible.length === 0) return;
+
+        const bestScore = Math.max(...eligible.map(e => e.evaluation.score));
+        const potWinners = eligible.filter(e => e.evaluation.score === bestScore);
+
+        // Odd chips go to the first winner in seat order so no chips are lost
+        const share = Math.floor(potAmount / potWinners.length);
+        const remainder = potAmount - share * potWinners.length;
+        potWinners.forEach((winner, idx) => {
+          const amount = share + (idx === 0 ? remainder : 0);
+          winner.player.chips += amount;
+          handState.winners.push({
+            playerId: winner.player.id,
+            playerName: winner.player.name,
+            hand: winner.evaluation,
+            share: amount,
+            potIndex,
+            isMainPot: potIndex === 0,
+            ...boardNumber
+          });
+        });
+      });
+    });
+  }
+
+  handState.phase = 'showdown';
+  handState.currentPlayerId = null;
+  handState.currentPlayerIndex = 0;
+  events.push({
+    type: 'handEnded',
+    winners: handState.winners,
+    pots: handState.potManager.pots.map(pot => ({ amount: pot.amount, contributors: [...pot.contributors] })),
+    showdown: evaluations.map(e => ({
+      playerId: e.player.id,
+      cards: [...e.player.hand],
+      evaluation: e.evaluation,
+      ...(e.board ? { board: e.board } : {})
+    }))
+  });
+}
@@ -0,0 +1,440 @@
+// Equity calculator for Texas Hold'em Poker
+//
+// Win and tie chances for 2-9 hands against a partial board. Each hand is
+// either known cards or a Hold'em range ("QQ+, AKs"). When every hand is known
+// and the remaining boards are few enough, every board is dealt out exactly;
+// otherwise boards (and hands from ranges) are sampled at random.
+
+import { evaluateCodes, evaluateOmahaCodes, encodeCard, decodeCard } from './evaluate.js';
+import { GAMES, HOLE_CARDS } from './settings.js';
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 9;
+const BOARD_SIZE = 5;
+
+const EXACT_LIMIT = 4000000; // Most hand evaluations to deal every board out
+const DEFAULT_TRIALS = 100000;
+const MAX_EVALUATIONS = 5000000; // Sampling budget for the server's own callers
+// Clients' requests run on the server's one thread, so they get a budget that
+// finishes in tens of milliseconds (see parseEquityRequest)
+const REQUEST_EVALUATIONS = 100000;
+const OMAHA_HANDS = 60; // Two-plus-three combinations on a full board
+const MAX_RANGE_ATTEMPTS = 100; // Draws before giving up on a trial where ranges collide
+const RAISER_DRAWS = 4; // Random hands a bot's raising opponent picks the best of
+
+const RANK_CHARS = 'AKQJT98765432';
+const CARD_PATTERN = /^(10|[2-9TJQKA])([SHDC])$/i;
+
+const defaultRandom = (max) => Math.floor(Math.random() * max);
+
+// 'As', 'Td', '10h' -> { rank: 'A', suit: 'S' }; null if it is not a card
+export function parseCard(text) {
+  const match = CARD_PATTERN.exec(String(text).trim());
+  if (!match) return null;
+  const rank = match[1].toUpperCase();
+  return { rank: rank === 'T' ? '10' : rank, suit: match[2].toUpperCase() };
+}
+
+// Cards separated by spaces or commas, or written together ("AsKd").
+// Returns null if anything in the text is not a card.
+export function parseCards(text) {
+  const tokens = String(text || '').match(/(10|[2-9TJQKA])[SHDC]|\S/gi) || [];
+  const cards = tokens.filter(token => token !== ',').map(parseCard);
+  return cards.every(Boolean) ? cards : null;
+}
+
+function combosFor(high, low, kind) {
+  const combos = [];
+  for (let s1 = 0; s1 < 4; s1++) {
+    for (let s2 = 0; s2 < 4; s2++) {
+      if (high === low && s2 <= s1) continue;
+      if (kind === 's' && s1 !== s2) continue;
+      if (kind === 'o' && s1 === s2) continue;
+      combos.push([high * 4 + s1, low * 4 + s2]);
+    }
+  }
+  return combos;
+}
+
+// Rank index as used by evaluate.js (0 = deuce, 12 = ace)
+function rankIndex(char) {
+  const i = RANK_CHARS.indexOf(char.toUpperCase());
+  return i < 0 ? -1 : 12 - i;
+}
+
+// A Hold'em range, e.g. "QQ+, AKs, A5s+, KQo, AsKd", or "random" for any two
+// cards. Returns the encoded two-card combos, or null if it does not parse.
+export function parseRange(text) {
+  const source = String(text || '').trim();
+  if (source === '' || /^(random|any)$/i.test(source)) {
+    const all = [];
+    for (let a = 0; a < 52; a++) {
+      for (let b = a + 1; b < 52; b++) all.push([a, b]);
+    }
+    return all;
+  }
+
+  const seen = new Set();
+  const combos = [];
+  const add = (combo) => {
+    const key = Math.min(...combo) * 52 + Math.max(...combo);
+    if (!seen.has(key)) {
+      seen.add(key);
+      combos.push(combo);
+    }
+  };
+
+  for (const token of source.replace(/10/g, 'T').split(/[\s,]+/).filter(Boolean)) {
+    const exact = parseCards(token);
+    if (exact && exact.length === 2) {
+      const [a, b] = exact.map(encodeCard);
+      if (a === b) return null;
+      add([a, b]);
+      continue;
+    }
+
+    const match = /^([AKQJT2-9])([AKQJT2-9])([so]?)(\+?)$/i.exec(token);
+    if (!match) return null;
+    let high = rankIndex(match[1]);
+    let low = rankIndex(match[2]);
+    const kind = match[3].toLowerCase();
+    if (high < low) [high, low] = [low, high];
+    if (high === low && kind) return null;
+
+    if (high === low) {
+      // "QQ+" is queens or better
+      for (let r = low; r <= (match[4] ? 12 : low); r++) combosFor(r, r, '').forEach(add);
+    } else {
+      // "A5s+" raises the kicker up to one below the top card
+      for (let r = low; r <= (match[4] ? high - 1 : low); r++) combosFor(high, r, kind).forEach(add);
+    }
+  }
+  return combos.length > 0 ? combos : null;
+}
+
+// Check a calculator request from the client. Hands are card strings, or
+// ranges in Hold'em. Returns { request } for calculateEquity(), on the small
+// client budget, or { error }.
+export function parseEquityRequest(input = {}) {
+  if (input === null || typeof input !== 'object') {
+    return { error: 'Invalid equity request' };
+  }
+
+  const game = input.game || 'holdem';
+  if (!GAMES.includes(game)) {
+    return { error: 'Unknown game' };
+  }
+
+  const board = parseCards(input.board);
+  if (!board || board.length > BOARD_SIZE || (game === 'omaha' && board.length > 0 && board.length < 3)) {
+    return { error: game === 'omaha' ? 'The board must be empty or 3 to 5 cards' : 'The board must be up to 5 cards' };
+  }
+
+  const texts = Array.isArray(input.hands) ? input.hands : [];
+  if (texts.length < MIN_PLAYERS || texts.length > MAX_PLAYERS) {
+    return { error: `Enter ${MIN_PLAYERS} to ${MAX_PLAYERS} hands` };
+  }
+
+  const holeCards = HOLE_CARDS[game];
+  const hands = [];
+  for (let i = 0; i < texts.length; i++) {
+    const cards = parseCards(texts[i]);
+    if (cards && cards.length === holeCards) {
+      hands.push(cards);
+      continue;
+    }
+    const combos = game === 'holdem' ? parseRange(texts[i]) : null;
+    if (!combos) {
+      return { error: game === 'holdem'
+        ? `Hand ${i + 1} must be two cards (e.g. "As Kd") or a range (e.g. "QQ+, AKs")`
+        : `Hand ${i + 1} must be ${holeCards} cards` };
+    }
+    hands.push(combos.length === 1 ? combos[0].map(decodeCard) : { combos });
+  }
+
+  const known = [...board, ...hands.filter(Array.isArray).flat()].map(encodeCard);
+  if (new Set(known).size !== known.length) {
+    return { error: 'The same card is used twice' };
+  }
+
+  const trials = input.trials === undefined ? DEFAULT_TRIALS : Number(input.trials);
+  if (!Number.isInteger(trials) || trials < 1) {
+    return { error: 'Trials must be a positive whole number' };
+  }
+
+  return {
+    request: { game, hands, board, trials, exactLimit: REQUEST_EVALUATIONS, maxEvaluations: REQUEST_EVALUATIONS }
+  };
+}
+
+// Preflop order of two encoded hole cards: pairs by rank, then high cards,
+// with a little for suits. Small pairs come below the big unpaired hands.
+function rateHoleCards(a, b) {
+  const high = Math.max(a >> 2, b >> 2);
+  const low = Math.min(a >> 2, b >> 2);
+  if (high === low) return 20 + high * 2;
+  return high * 2 + low + ((a & 3) === (b & 3) ? 3 : 0);
+}
+
+// One hand's share of the pot against `opponents` unknown hands, sampled over
+// `trials` random deals of their cards and the rest of the board. Bots use
+// this to price a decision, so it skips ranges and exact enumeration.
+// The first `raisers` of the opponents have bet or raised: each of them holds
+// the best of RAISER_DRAWS random hands on the cards known so far, which
+// leans their holding toward the stronger half of what they could have.
+export function estimateEquity({
+  game = 'holdem',
+  hand,
+  board = [],
+  opponents = 1,
+  raisers = 0,
+  trials = 1000,
+  random = defaultRandom
+}) {
+  const isOmaha = game === 'omaha';
+  const holeCards = HOLE_CARDS[game];
+  const hero = hand.map(encodeCard);
+  const fullBoard = board.map(encodeCard);
+  const known = fullBoard.length;
+
+  const dead = new Uint8Array(52);
+  hero.forEach(code => { dead[code] = 1; });
+  fullBoard.forEach(code => { dead[code] = 1; });
+  const deck = [];
+  for (let code = 0; code < 52; code++) {
+    if (!dead[code]) deck.push(code);
+  }
+
+  // A raiser's extra draws come out of the same deck, so a crowded table
+  // gets fewer of them
+  const narrowed = Math.min(raisers, opponents);
+  const spare = deck.length - (opponents * holeCards + BOARD_SIZE - known);
+  const draws = narrowed > 0 ? Math.max(1, Math.min(RAISER_DRAWS, 1 + Math.floor(spare / (narrowed * holeCards)))) : 1;
+  const needed = opponents * holeCards + BOARD_SIZE - known + narrowed * (draws - 1) * holeCards;
+
+  const hole = new Array(holeCards);
+  const candidate = new Array(holeCards);
+  const seven = new Array(2 + BOARD_SIZE);
+  const score = (cards) => {
+    if (isOmaha) return evaluateOmahaCodes(cards, fullBoard);
+    seven[0] = cards[0];
+    seven[1] = cards[1];
+    for (let j = 0; j < BOARD_SIZE; j++) seven[2 + j] = fullBoard[j];
+    return evaluateCodes(seven);
+  };
+  // How a hand looks to its player now, before the rest of the board comes
+  const knownBoard = fullBoard.slice();
+  const partial = new Array(holeCards + known);
+  const scoreSoFar = (cards) => {
+    if (!isOmaha && known === 0) return rateHoleCards(cards[0], cards[1]);
+    if (isOmaha && known >= 3) return evaluateOmahaCodes(cards, knownBoard);
+    for (let j = 0; j < holeCards; j++) partial[j] = cards[j];
+    for (let j = 0; j < known; j++) partial[holeCards + j] = knownBoard[j];
+    return evaluateCodes(partial);
+  };
+
+  let share = 0;
+  for (let trial = 0; trial < trials; trial++) {
+    // Shuffle just the cards this deal needs to the front of the deck
+    for (let i = 0; i < needed; i++) {
+      const j = i + random(deck.length - i);
+      [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+    let next = 0;
+    for (let slot = known; slot < BOARD_SIZE; slot++) fullBoard[slot] = deck[next++];
+
+    const mine = score(hero);
+    let tied = 1;
+    let beaten = false;
+    for (let o = 0; o < opponents && !beaten; o++) {
+      for (let c = 0; c < holeCards; c++) hole[c] = deck[next++];
+      if (o < narrowed) {
+        let best = scoreSoFar(hole);
+        for (let d = 1; d < draws; d++) {
+          for (let c = 0; c < holeCards; c++) candidate[c] = deck[next++];
+          const candidateScore = scoreSoFar(candidate);
+          if (candidateScore > best) {
+            best = candidateScore;
+            for (let c = 0; c < holeCards; c++) hole[c] = candidate[c];
+          }
+        }
+      }
+      const theirs = score(hole);
+      if (theirs > mine) beaten = true;
+      else if (theirs === mine) tied++;
+    }
+    if (!beaten) share += 1 / tied;
+  }
+  return share / trials;
+}
+
+// Number of ways to choose k of n
+function choose(n, k) {
+  let result = 1;
+  for (let i = 0; i < k; i++) {
+    result = (result * (n - i)) / (i + 1);
+  }
+  return Math.round(result);
+}
+
+// Win and tie chances for each hand: { players: [{ win, tie, equity }],
+// method: 'exact' or 'monte-carlo', trials }, or { error }. Chances are 0-1;
+// equity counts a tie as the share of the pot it wins. Hands are arrays of
+// cards or { combos } of encoded two-card combos (from parseRange). Boards
+// are only dealt out exactly while that takes at most `exactLimit` evaluations,
+// and sampling stops after `maxEvaluations`.
+export function calculateEquity({
+  game = 'holdem',
+  hands,
+  board = [],
+  trials = DEFAULT_TRIALS,
+  exactLimit = EXACT_LIMIT,
+  maxEvaluations = MAX_EVALUATIONS,
+  random = defaultRandom
+}) {
+  const isOmaha = game === 'omaha';
+  const boardCodes = board.map(encodeCard);
+  const missing = BOARD_SIZE - boardCodes.length;
+
+  const dead = new Uint8Array(52);
+  boardCodes.forEach(code => { dead[code] = 1; });
+  const holes = hands.map(hand => (Array.isArray(hand) ? hand.map(encodeCard) : null));
+  holes.forEach(hole => hole && hole.forEach(code => { dead[code] = 1; }));
+
+  // Range combos that clash with known cards can never be dealt
+  const ranges = hands.map(hand => (Array.isArray(hand)
+    ? null
+    : hand.combos.filter(([a, b]) => !dead[a] && !dead[b])));
+  if (ranges.some(range => range && range.length === 0)) {
+    return { error: 'A range has no hands left after the known cards' };
+  }
+
+  const deck = [];
+  for (let code = 0; code < 52; code++) {
+    if (!dead[code]) deck.push(code);
+  }
+
+  const wins = new Float64Array(hands.length);
+  const ties = new Float64Array(hands.length);
+  const shares = new Float64Array(hands.length);
+  const scores = new Array(hands.length);
+  const fullBoard = boardCodes.concat(new Array(missing).fill(0));
+  // Hold'em hands are scored as hole cards followed by the board
+  const sevens = hands.map(() => new Array(2 + BOARD_SIZE));
+
+  const score = () => {
+    let best = -1;
+    let winners = 0;
+    for (let i = 0; i < hands.length; i++) {
+      if (isOmaha) {
+        scores[i] = evaluateOmahaCodes(holes[i], fullBoard);
+      } else {
+        const seven = sevens[i];
+        seven[0] = holes[i][0];
+        seven[1] = holes[i][1];
+        for (let j = 0; j < BOARD_SIZE; j++) seven[2 + j] = fullBoard[j];
+        scores[i] = evaluateCodes(seven);
+      }
+      if (scores[i] > best) {
+        best = scores[i];
+        winners = 1;
+      } else if (scores[i] === best) {
+        winners++;
+      }
+    }
+    for (let i = 0; i < hands.length; i++) {
+      if (scores[i] !== best) continue;
+      if (winners === 1) {
+        wins[i]++;
+        shares[i]++;
+      } else {
+        ties[i]++;
+        shares[i] += 1 / winners;
+      }
+    }
+  };
+
+  const costPerBoard = hands.length * (isOmaha ? OMAHA_HANDS : 1);
+  const boards = choose(deck.length, missing);
+  let method;
+  let total = 0;
+
+  if (ranges.every(range => range === null) && boards * costPerBoard <= exactLimit) {
+    // Deal every remaining board once
+    method = 'exact';
+    const deal = (start, slot) => {
+      if (slot === BOARD_SIZE) {
+        score();
+        total++;
+        return;
+      }
+      for (let i = start; i <= deck.length - (BOARD_SIZE - slot); i++) {
+        fullBoard[slot] = deck[i];
+        deal(i + 1, slot + 1);
+      }
+    };
+    deal(0, boardCodes.length);
+  } else {
+    method = 'monte-carlo';
+    const maxTrials = Math.min(trials, Math.max(1, Math.floor(maxEvaluations / costPerBoard)));
+    const used = new Uint8Array(52);
+    const picked = [];
+    const order = hands.map((_, i) => i);
+
+    for (let trial = 0; trial < maxTrials; trial++) {
+      picked.forEach(code => { used[code] = 0; });
+      picked.length = 0;
+
+      // Hands from ranges first, in a random order so no range always picks first
+      let dealt = true;
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = random(i + 1);
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+      for (const i of order) {
+        const range = ranges[i];
+        if (!range) continue;
+        let attempt = 0;
+        let combo;
+        do {
+          combo = range[random(range.length)];
+        } while ((used[combo[0]] || used[combo[1]]) && ++attempt < MAX_RANGE_ATTEMPTS);
+        if (used[combo[0]] || used[combo[1]]) {
+          dealt = false;
+          break;
+        }
+        holes[i] = combo;
+        used[combo[0]] = used[combo[1]] = 1;
+        picked.push(combo[0], combo[1]);
+      }
+      if (!dealt) continue;
+
+      for (let slot = boardCodes.length; slot < BOARD_SIZE; slot++) {
+        let code;
+        do {
+          code = deck[random(deck.length)];
+        } while (used[code]);
+        fullBoard[slot] = code;
+        used[code] = 1;
+        picked.push(code);
+      }
+
+      score();
+      total++;
+    }
+  }
+
+  if (total === 0) {
+    return { error: 'The ranges overlap too much to deal' };
+  }
+
+  return {
+    method,
+    trials: total,
+    players: hands.map((_, i) => ({
+      win: wins[i] / total,
+      tie: ties[i] / total,
+      equity: shares[i] / total
+    }))
+  };
+}
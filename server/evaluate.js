@@ -1,166 +1,287 @@
 // Hand evaluation for Texas Hold'em Poker
+//
+// Cards are packed as integers (rank * 4 + suit, ranks 0-12 for 2 to Ace) and
+// a hand is reduced to 13-bit rank masks: one per suit, plus masks of the
+// ranks seen once, twice, three and four times. Straights, bit counts and the
+// top five ranks of any mask come from tables built once at load, so a
+// 5 to 7 card hand is scored in a fixed number of steps without trying its
+// 21 five-card combinations.
+//
+// Scores are category * CATEGORY_SIZE plus up to five ranks, 4 bits each,
+// highest first. Every hand in a category outscores every hand below it, and
+// equal scores are exact ties.
 
-export function evaluateHand(sevenCards) {
-  if (!sevenCards || sevenCards.length < 5) {
-    return { rank: 'Invalid', score: 0 };
-  }
+const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+const SUITS = ['S', 'H', 'D', 'C'];
+const RANK_INDEX = Object.fromEntries(RANKS.map((rank, i) => [rank, i]));
+const SUIT_INDEX = Object.fromEntries(SUITS.map((suit, i) => [suit, i]));
+
+// Categories from worst to best; a straight flush to the Ace is shown as a Royal Flush
+export const HAND_RANKS = [
+  'High Card', 'One Pair', 'Two Pair', 'Three of a Kind', 'Straight',
+  'Flush', 'Full House', 'Four of a Kind', 'Straight Flush'
+];
+const [HIGH_CARD, ONE_PAIR, TWO_PAIR, THREE_OF_A_KIND, STRAIGHT,
+  FLUSH, FULL_HOUSE, FOUR_OF_A_KIND, STRAIGHT_FLUSH] = HAND_RANKS.keys();
+
+const CATEGORY_SIZE = 1 << 20;
+const ACE = 12;
+const WHEEL_HIGH = 3; // A-2-3-4-5 is a Five-high straight
+
+// Scores are always below this, for scaling a score to 0-1
+export const MAX_SCORE = HAND_RANKS.length * CATEGORY_SIZE;
 
-  // Generate all possible 5-card combinations from 7 cards
-  const combinations = getCombinations(sevenCards, 5);
-  let bestHand = null;
-  let bestScore = 0;
+// Lookup tables over every 13-bit rank mask
+const MASKS = 1 << 13;
+const BIT_COUNT = new Uint8Array(MASKS);
+const STRAIGHT_HIGH = new Int8Array(MASKS).fill(-1); // Top rank of the best straight
+const TOP_FIVE = new Uint32Array(MASKS); // Highest five ranks, 4 bits each, highest first
 
-  for (const combo of combinations) {
-    const evaluation = evaluateFiveCards(combo);
-    if (evaluation.score > bestScore) {
-      bestScore = evaluation.score;
-      bestHand = evaluation;
+for (let mask = 1; mask < MASKS; mask++) {
+  BIT_COUNT[mask] = BIT_COUNT[mask & (mask - 1)] + 1;
+
+  for (let high = ACE; high >= WHEEL_HIGH; high--) {
+    const run = high === WHEEL_HIGH
+      ? 0b1111 | (1 << ACE)
+      : 0b11111 << (high - 4);
+    if ((mask & run) === run) {
+      STRAIGHT_HIGH[mask] = high;
+      break;
     }
   }
 
-  return bestHand;
-}
-
-function getCombinations(arr, k) {
-  if (k === 1) return arr.map(x => [x]);
-  if (k === arr.length) return [arr];
-  
-  const combinations = [];
-  for (let i = 0; i <= arr.length - k; i++) {
-    const head = arr[i];
-    const tailCombos = getCombinations(arr.slice(i + 1), k - 1);
-    for (const combo of tailCombos) {
-      combinations.push([head, ...combo]);
+  let packed = 0;
+  let taken = 0;
+  for (let rank = ACE; rank >= 0 && taken < 5; rank--) {
+    if (mask & (1 << rank)) {
+      packed |= rank << (4 * (4 - taken));
+      taken++;
     }
   }
-  return combinations;
+  TOP_FIVE[mask] = packed;
 }
 
-function evaluateFiveCards(cards) {
-  const sorted = [...cards].sort((a, b) => {
-    const rankOrder = { 'A': 14, 'K': 13, 'Q': 12, 'J': 11, '10': 10, '9': 9, '8': 8, '7': 7, '6': 6, '5': 5, '4': 4, '3': 3, '2': 2 };
-    return rankOrder[b.rank] - rankOrder[a.rank];
-  });
+// The highest `count` ranks of a mask, packed with the highest first
+function topRanks(mask, count) {
+  return TOP_FIVE[mask] >>> (4 * (5 - count));
+}
 
-  const ranks = sorted.map(c => c.rank);
-  const suits = sorted.map(c => c.suit);
-  const rankCounts = {};
-  ranks.forEach(rank => {
-    rankCounts[rank] = (rankCounts[rank] || 0) + 1;
-  });
+function highestRank(mask) {
+  return 31 - Math.clz32(mask);
+}
 
-  const counts = Object.values(rankCounts).sort((a, b) => b - a);
-  const isFlush = suits.every(suit => suit === suits[0]);
-  const rankValues = ranks.map(r => {
-    const rankOrder = { 'A': 14, 'K': 13, 'Q': 12, 'J': 11, '10': 10, '9': 9, '8': 8, '7': 7, '6': 6, '5': 5, '4': 4, '3': 3, '2': 2 };
-    return rankOrder[r];
-  });
-  const sortedValues = [...rankValues].sort((a, b) => b - a);
-
-  // Check for straight
-  let isStraight = false;
-  let straightHigh = 0;
-  const uniqueValues = [...new Set(sortedValues)].sort((a, b) => b - a);
-  
-  // Check for regular straight
-  for (let i = 0; i <= uniqueValues.length - 5; i++) {
-    let consecutive = true;
-    for (let j = 1; j < 5; j++) {
-      if (uniqueValues[i + j] !== uniqueValues[i] - j) {
-        consecutive = false;
-        break;
-      }
+export function encodeCard(card) {
+  return RANK_INDEX[card.rank] * 4 + SUIT_INDEX[card.suit];
+}
+
+export function decodeCard(code) {
+  return { rank: RANKS[code >> 2], suit: SUITS[code & 3] };
+}
+
+// Score 5 to 7 encoded cards. The hot path for equity and bot simulations:
+// no allocation, no combinations.
+export function evaluateCodes(codes) {
+  let once = 0;
+  let twice = 0;
+  let thrice = 0;
+  let four = 0;
+  let spades = 0;
+  let hearts = 0;
+  let diamonds = 0;
+  let clubs = 0;
+
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+    const bit = 1 << (code >> 2);
+    if (thrice & bit) four |= bit;
+    else if (twice & bit) thrice |= bit;
+    else if (once & bit) twice |= bit;
+    else once |= bit;
+
+    switch (code & 3) {
+      case 0: spades |= bit; break;
+      case 1: hearts |= bit; break;
+      case 2: diamonds |= bit; break;
+      default: clubs |= bit;
     }
-    if (consecutive) {
-      isStraight = true;
-      straightHigh = uniqueValues[i];
-      break;
+  }
+
+  // Five or more of a suit: only one suit can have that many in seven cards
+  let flush = 0;
+  if (BIT_COUNT[spades] >= 5) flush = spades;
+  else if (BIT_COUNT[hearts] >= 5) flush = hearts;
+  else if (BIT_COUNT[diamonds] >= 5) flush = diamonds;
+  else if (BIT_COUNT[clubs] >= 5) flush = clubs;
+
+  if (flush && STRAIGHT_HIGH[flush] >= 0) {
+    return STRAIGHT_FLUSH * CATEGORY_SIZE + (STRAIGHT_HIGH[flush] << 16);
+  }
+
+  if (four) {
+    const quads = highestRank(four);
+    return FOUR_OF_A_KIND * CATEGORY_SIZE + (quads << 16) + (highestRank(once & ~(1 << quads)) << 12);
+  }
+
+  const trips = thrice & ~four;
+  const pairs = twice & ~thrice;
+  if (trips) {
+    const set = highestRank(trips);
+    const rest = (trips & ~(1 << set)) | pairs;
+    if (rest) {
+      return FULL_HOUSE * CATEGORY_SIZE + (set << 16) + (highestRank(rest) << 12);
     }
   }
 
-  // Check for A-2-3-4-5 straight (wheel)
-  if (!isStraight && uniqueValues.includes(14) && uniqueValues.includes(5) && uniqueValues.includes(4) && uniqueValues.includes(3) && uniqueValues.includes(2)) {
-    isStraight = true;
-    straightHigh = 5; // Ace plays low
+  if (flush) {
+    return FLUSH * CATEGORY_SIZE + topRanks(flush, 5);
   }
 
-  // Royal Flush
-  if (isFlush && isStraight && straightHigh === 14) {
-    return { rank: 'Royal Flush', score: 9000000 + straightHigh, cards: sorted };
+  if (STRAIGHT_HIGH[once] >= 0) {
+    return STRAIGHT * CATEGORY_SIZE + (STRAIGHT_HIGH[once] << 16);
   }
 
-  // Straight Flush
-  if (isFlush && isStraight) {
-    return { rank: 'Straight Flush', score: 8000000 + straightHigh, cards: sorted };
+  if (trips) {
+    const set = highestRank(trips);
+    return THREE_OF_A_KIND * CATEGORY_SIZE + (set << 16) + (topRanks(once & ~(1 << set), 2) << 8);
   }
 
-  // Four of a Kind
-  if (counts[0] === 4) {
-    const fourKind = Object.keys(rankCounts).find(r => rankCounts[r] === 4);
-    const kicker = Object.keys(rankCounts).find(r => rankCounts[r] === 1);
-    const rankOrder = { 'A': 14, 'K': 13, 'Q': 12, 'J': 11, '10': 10, '9': 9, '8': 8, '7': 7, '6': 6, '5': 5, '4': 4, '3': 3, '2': 2 };
-    return { rank: 'Four of a Kind', score: 7000000 + rankOrder[fourKind] * 100 + rankOrder[kicker], cards: sorted };
+  if (BIT_COUNT[pairs] >= 2) {
+    const high = highestRank(pairs);
+    const low = highestRank(pairs & ~(1 << high));
+    const kicker = highestRank(once & ~(1 << high) & ~(1 << low));
+    return TWO_PAIR * CATEGORY_SIZE + (high << 16) + (low << 12) + (kicker << 8);
   }
 
-  // Full House
-  if (counts[0] === 3 && counts[1] === 2) {
-    const threeKind = Object.keys(rankCounts).find(r => rankCounts[r] === 3);
-    const pair = Object.keys(rankCounts).find(r => rankCounts[r] === 2);
-    const rankOrder = { 'A': 14, 'K': 13, 'Q': 12, 'J': 11, '10': 10, '9': 9, '8': 8, '7': 7, '6': 6, '5': 5, '4': 4, '3': 3, '2': 2 };
-    return { rank: 'Full House', score: 6000000 + rankOrder[threeKind] * 100 + rankOrder[pair], cards: sorted };
+  if (pairs) {
+    const pair = highestRank(pairs);
+    return ONE_PAIR * CATEGORY_SIZE + (pair << 16) + (topRanks(once & ~(1 << pair), 3) << 4);
   }
 
-  // Flush
-  if (isFlush) {
-    let flushScore = 5000000;
-    for (let i = 0; i < 5; i++) {
-      flushScore += sortedValues[i] * Math.pow(100, 4 - i);
+  return HIGH_CARD * CATEGORY_SIZE + topRanks(once, 5);
+}
+
+export function getHandCategory(score) {
+  return Math.floor(score / CATEGORY_SIZE);
+}
+
+// Name of a score's category, e.g. 'Full House'
+export function getHandRank(score) {
+  const category = getHandCategory(score);
+  if (category === STRAIGHT_FLUSH && (score >> 16 & 15) === ACE) return 'Royal Flush';
+  return HAND_RANKS[category];
+}
+
+// Ranks of the five cards a score is made of, in the order they are shown
+function getScoreRanks(score) {
+  const category = getHandCategory(score);
+  const r = (i) => (score >> (4 * (4 - i))) & 15;
+
+  switch (category) {
+    case STRAIGHT_FLUSH:
+    case STRAIGHT: {
+      const high = r(0);
+      return high === WHEEL_HIGH ? [3, 2, 1, 0, ACE] : [high, high - 1, high - 2, high - 3, high - 4];
     }
-    return { rank: 'Flush', score: flushScore, cards: sorted };
+    case FOUR_OF_A_KIND:
+      return [r(0), r(0), r(0), r(0), r(1)];
+    case FULL_HOUSE:
+      return [r(0), r(0), r(0), r(1), r(1)];
+    case THREE_OF_A_KIND:
+      return [r(0), r(0), r(0), r(1), r(2)];
+    case TWO_PAIR:
+      return [r(0), r(0), r(1), r(1), r(2)];
+    case ONE_PAIR:
+      return [r(0), r(0), r(1), r(2), r(3)];
+    default:
+      return [r(0), r(1), r(2), r(3), r(4)];
   }
+}
 
-  // Straight
-  if (isStraight) {
-    return { rank: 'Straight', score: 4000000 + straightHigh, cards: sorted };
+// The five cards behind a score, picked from the cards it was scored from
+function getBestFive(cards, codes, score) {
+  const category = getHandCategory(score);
+  let suit = -1;
+  if (category === FLUSH || category === STRAIGHT_FLUSH) {
+    const suitCounts = [0, 0, 0, 0];
+    codes.forEach(code => suitCounts[code & 3]++);
+    suit = suitCounts.findIndex(count => count >= 5);
   }
 
-  // Three of a Kind
-  if (counts[0] === 3) {
-    const threeKind = Object.keys(rankCounts).find(r => rankCounts[r] === 3);
-    const kickers = Object.keys(rankCounts).filter(r => rankCounts[r] === 1).sort((a, b) => {
-      const rankOrder = { 'A': 14, 'K': 13, 'Q': 12, 'J': 11, '10': 10, '9': 9, '8': 8, '7': 7, '6': 6, '5': 5, '4': 4, '3': 3, '2': 2 };
-      return rankOrder[b] - rankOrder[a];
-    });
-    const rankOrder = { 'A': 14, 'K': 13, 'Q': 12, 'J': 11, '10': 10, '9': 9, '8': 8, '7': 7, '6': 6, '5': 5, '4': 4, '3': 3, '2': 2 };
-    return { rank: 'Three of a Kind', score: 3000000 + rankOrder[threeKind] * 10000 + rankOrder[kickers[0]] * 100 + rankOrder[kickers[1]], cards: sorted };
+  const used = new Set();
+  return getScoreRanks(score).map(rank => {
+    const index = codes.findIndex((code, i) =>
+      !used.has(i) && code >> 2 === rank && (suit < 0 || (code & 3) === suit));
+    used.add(index);
+    return cards[index];
+  });
+}
+
+// Best five-card hand from 5 to 7 cards: { rank, score, cards }
+export function evaluateHand(sevenCards) {
+  if (!sevenCards || sevenCards.length < 5) {
+    return { rank: 'Invalid', score: 0 };
   }
 
-  // Two Pair
-  if (counts[0] === 2 && counts[1] === 2) {
-    const pairs = Object.keys(rankCounts).filter(r => rankCounts[r] === 2).sort((a, b) => {
-      const rankOrder = { 'A': 14, 'K': 13, 'Q': 12, 'J': 11, '10': 10, '9': 9, '8': 8, '7': 7, '6': 6, '5': 5, '4': 4, '3': 3, '2': 2 };
-      return rankOrder[b] - rankOrder[a];
-    });
-    const kicker = Object.keys(rankCounts).find(r => rankCounts[r] === 1);
-    const rankOrder = { 'A': 14, 'K': 13, 'Q': 12, 'J': 11, '10': 10, '9': 9, '8': 8, '7': 7, '6': 6, '5': 5, '4': 4, '3': 3, '2': 2 };
-    return { rank: 'Two Pair', score: 2000000 + rankOrder[pairs[0]] * 10000 + rankOrder[pairs[1]] * 100 + rankOrder[kicker], cards: sorted };
+  const codes = sevenCards.map(encodeCard);
+  const score = evaluateCodes(codes);
+  return { rank: getHandRank(score), score, cards: getBestFive(sevenCards, codes, score) };
+}
+
+// Score of the best Omaha hand from encoded hole cards and a board of 3 to 5
+const omahaHand = new Array(5);
+export function evaluateOmahaCodes(hole, board) {
+  let best = 0;
+  for (let a = 0; a < hole.length - 1; a++) {
+    for (let b = a + 1; b < hole.length; b++) {
+      omahaHand[0] = hole[a];
+      omahaHand[1] = hole[b];
+      for (let c = 0; c < board.length - 2; c++) {
+        for (let d = c + 1; d < board.length - 1; d++) {
+          for (let e = d + 1; e < board.length; e++) {
+            omahaHand[2] = board[c]; omahaHand[3] = board[d]; omahaHand[4] = board[e];
+            const score = evaluateCodes(omahaHand);
+            if (score > best) best = score;
+          }
+        }
+      }
+    }
   }
+  return best;
+}
 
-  // One Pair
-  if (counts[0] === 2) {
-    const pair = Object.keys(rankCounts).find(r => rankCounts[r] === 2);
-    const kickers = Object.keys(rankCounts).filter(r => rankCounts[r] === 1).sort((a, b) => {
-      const rankOrder = { 'A': 14, 'K': 13, 'Q': 12, 'J': 11, '10': 10, '9': 9, '8': 8, '7': 7, '6': 6, '5': 5, '4': 4, '3': 3, '2': 2 };
-      return rankOrder[b] - rankOrder[a];
-    });
-    const rankOrder = { 'A': 14, 'K': 13, 'Q': 12, 'J': 11, '10': 10, '9': 9, '8': 8, '7': 7, '6': 6, '5': 5, '4': 4, '3': 3, '2': 2 };
-    return { rank: 'One Pair', score: 1000000 + rankOrder[pair] * 10000 + rankOrder[kickers[0]] * 100 + rankOrder[kickers[1]] * 10 + rankOrder[kickers[2]], cards: sorted };
+// Omaha: the best hand made of exactly two hole cards and three board cards
+export function evaluateOmahaHand(holeCards, board) {
+  if (!holeCards || holeCards.length < 2 || !board || board.length < 3) {
+    return { rank: 'Invalid', score: 0 };
   }
 
-  // High Card
-  let highCardScore = 0;
-  for (let i = 0; i < 5; i++) {
-    highCardScore += sortedValues[i] * Math.pow(100, 4 - i);
+  const hole = holeCards.map(encodeCard);
+  const common = board.map(encodeCard);
+  const hand = new Array(5);
+  let bestScore = -1;
+  let bestCards = null;
+
+  for (let a = 0; a < hole.length - 1; a++) {
+    for (let b = a + 1; b < hole.length; b++) {
+      for (let c = 0; c < common.length - 2; c++) {
+        for (let d = c + 1; d < common.length - 1; d++) {
+          for (let e = d + 1; e < common.length; e++) {
+            hand[0] = hole[a]; hand[1] = hole[b];
+            hand[2] = common[c]; hand[3] = common[d]; hand[4] = common[e];
+            const score = evaluateCodes(hand);
+            if (score > bestScore) {
+              bestScore = score;
+              bestCards = [holeCards[a], holeCards[b], board[c], board[d], board[e]];
+            }
+          }
+        }
+      }
+    }
   }
-  return { rank: 'High Card', score: highCardScore, cards: sorted };
+
+  return {
+    rank: getHandRank(bestScore),
+    score: bestScore,
+    cards: getBestFive(bestCards, bestCards.map(encodeCard), bestScore)
+  };
 }
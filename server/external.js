@@ -0,0 +1,230 @@
+// External bots for Texas Hold'em Poker
+//
+// Seats a poker agent written outside this server. The server operator lists
+// the agents in a JSON file (EXTERNAL_BOTS=path/to/agents.json):
+//
+//   [
+//     { "name": "Shark", "command": "python3", "args": ["shark.py"] },
+//     { "name": "Webbot", "url": "http://localhost:5000/act", "timeoutMs": 3000 }
+//   ]
+//
+// A command agent is started once per seat and talks JSON lines over its
+// stdin and stdout; a url agent gets each message as an HTTP POST and must be
+// on this machine. Hosts can only pick agents from the list, never run their
+// own commands.
+//
+// Messages to the agent:
+//   { type: 'hello', botId, name, roomId, settings }
+//   { type: 'decide', id, botId, timeLimitMs, view }   view: see getBotView()
+//   { type: 'handEnded', botId, handNumber, winners, showdown }
+// The agent answers 'decide' with { id, action: { type, amount } }: a line on
+// stdout, or the HTTP response body. Only 'decide' expects an answer. A late,
+// malformed or illegal answer counts as no answer and the server checks or
+// folds for the bot.
+
+import fs from 'fs';
+import { spawn } from 'child_process';
+import { Bot } from './bot.js';
+
+export const DEFAULT_AGENT_TIMEOUT = 5000;
+const MAX_AGENT_TIMEOUT = 60000;
+const ACTION_TYPES = ['fold', 'check', 'call', 'raise'];
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Read and check the operator's agent list. Returns { agents } or { error }.
+export function loadExternalBots(file) {
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return { error: `Cannot read ${file}: ${error.message}` };
+  }
+  if (!Array.isArray(entries)) {
+    return { error: `${file} must hold a list of agents` };
+  }
+
+  const agents = [];
+  for (const entry of entries) {
+    const label = entry && entry.name ? `Agent "${entry.name}"` : 'An agent';
+    if (!entry || typeof entry.name !== 'string' || entry.name.trim() === '') {
+      return { error: 'Every agent needs a name' };
+    }
+    if (agents.some(a => a.name === entry.name)) {
+      return { error: `${label} is listed twice` };
+    }
+    const timeoutMs = entry.timeoutMs === undefined ? DEFAULT_AGENT_TIMEOUT : entry.timeoutMs;
+    if (!Number.isInteger(timeoutMs) || timeoutMs < 100 || timeoutMs > MAX_AGENT_TIMEOUT) {
+      return { error: `${label}: timeoutMs must be 100 to ${MAX_AGENT_TIMEOUT}` };
+    }
+
+    if (typeof entry.command === 'string' && entry.command !== '') {
+      const args = entry.args === undefined ? [] : entry.args;
+      if (!Array.isArray(args) || !args.every(a => typeof a === 'string')) {
+        return { error: `${label}: args must be a list of strings` };
+      }
+      agents.push({ name: entry.name, command: entry.command, args, cwd: entry.cwd, timeoutMs });
+    } else if (typeof entry.url === 'string') {
+      let url;
+      try {
+        url = new URL(entry.url);
+      } catch {
+        return { error: `${label}: invalid url` };
+      }
+      if (url.protocol !== 'http:' || !LOCAL_HOSTS.includes(url.hostname)) {
+        return { error: `${label}: url must be http:// on localhost` };
+      }
+      agents.push({ name: entry.name, url: url.href, timeoutMs });
+    } else {
+      return { error: `${label} needs a command or a url` };
+    }
+  }
+  return { agents };
+}
+
+// The action in an agent's answer, or null if it is not a well-formed one.
+// Whether it is legal right now is up to the engine.
+export function parseAgentAction(answer) {
+  const action = answer && answer.action;
+  if (!action || typeof action !== 'object' || !ACTION_TYPES.includes(action.type)) return null;
+  if (action.type !== 'raise') return { type: action.type };
+  const amount = Number(action.amount);
+  return Number.isFinite(amount) && amount > 0 ? { type: 'raise', amount } : null;
+}
+
+// A command agent: one child process, JSON lines both ways
+export class ProcessAgent {
+  constructor({ name, command, args = [], cwd, timeoutMs = DEFAULT_AGENT_TIMEOUT }) {
+    this.name = name;
+    this.timeoutMs = timeoutMs;
+    this.pending = new Map(); // request id -> resolve
+    this.nextId = 1;
+    this.buffer = '';
+    this.isClosed = false;
+
+    this.child = spawn(command, args, { cwd, stdio: ['pipe', 'pipe', 'pipe'] });
+    this.child.stdout.setEncoding('utf8');
+    this.child.stdout.on('data', chunk => this.receive(chunk));
+    this.child.stderr.on('data', chunk => {
+      process.stderr.write(`[${name}] ${chunk}`);
+    });
+    this.child.stdin.on('error', () => {}); // A dead agent is handled on 'exit'
+    this.child.on('error', error => {
+      console.error(`External bot ${name} failed to start: ${error.message}`);
+      this.close();
+    });
+    this.child.on('exit', () => this.close());
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) >= 0) {
+      const line = this.buffer.slice(0, newline).trim();
+      this.buffer = this.buffer.slice(newline + 1);
+      if (line === '') continue;
+      let answer;
+      try {
+        answer = JSON.parse(line);
+      } catch {
+        console.error(`External bot ${this.name} wrote a line that is not JSON: ${line.slice(0, 200)}`);
+        continue;
+      }
+      const resolve = answer && this.pending.get(answer.id);
+      if (resolve) resolve(answer);
+    }
+  }
+
+  send(message) {
+    if (this.isClosed) return;
+    this.child.stdin.write(`${JSON.stringify(message)}\n`);
+  }
+
+  // Resolves with the action, or null if none arrives in time
+  decide(message) {
+    if (this.isClosed) return Promise.resolve(null);
+    const id = this.nextId++;
+    return new Promise(resolve => {
+      const finish = (answer) => {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        resolve(parseAgentAction(answer));
+      };
+      const timer = setTimeout(() => finish(null), this.timeoutMs);
+      this.pending.set(id, finish);
+      this.send({ ...message, type: 'decide', id, timeLimitMs: this.timeoutMs });
+    });
+  }
+
+  notify(message) {
+    this.send(message);
+  }
+
+  close() {
+    if (this.isClosed) return;
+    this.isClosed = true;
+    this.pending.forEach(finish => finish(null));
+    if (this.child.exitCode === null) this.child.kill();
+  }
+}
+
+// A url agent: every message is a POST to a local endpoint
+export class HttpAgent {
+  constructor({ name, url, timeoutMs = DEFAULT_AGENT_TIMEOUT }) {
+    this.name = name;
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+    this.nextId = 1;
+    this.isClosed = false;
+  }
+
+  async post(message) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+  }
+
+  async decide(message) {
+    if (this.isClosed) return null;
+    const id = this.nextId++;
+    try {
+      return parseAgentAction(await this.post({ ...message, type: 'decide', id, timeLimitMs: this.timeoutMs }));
+    } catch (error) {
+      console.error(`External bot ${this.name} did not answer: ${error.message}`);
+      return null;
+    }
+  }
+
+  notify(message) {
+    if (this.isClosed) return;
+    this.post(message).catch(() => {}); // Notifications need no answer
+  }
+
+  close() {
+    this.isClosed = true;
+  }
+}
+
+export function createAgent(config) {
+  return config.url ? new HttpAgent(config) : new ProcessAgent(config);
+}
+
+// A seat played by an external agent. The server asks the agent instead of
+// calling makeDecision (see requestExternalAction in server.js).
+export class ExternalBot extends Bot {
+  constructor(id, config, chips) {
+    super(id, config.name, chips, { strategy: 'external' });
+    this.difficulty = null;
+    this.agentName = config.name;
+    this.agent = createAgent(config);
+    this.isDeciding = false; // Waiting on the agent, so the turn is not asked twice
+  }
+
+  makeDecision() {
+    return null; // Agents answer asynchronously through this.agent
+  }
+}
@@ -0,0 +1,75 @@
+// Provably fair dealing for Texas Hold'em Poker
+//
+// Before each hand the server picks a secret server seed and publishes a
+// commitment: the SHA-256 hash of the server seed combined with the seeds the
+// players contributed. The deck is shuffled from that same combined seed.
+// After showdown the server seed is revealed so anyone can recompute the
+// commitment and rebuild the exact deck order (see client/src/utils/fairness.js).
+
+import { createHash, createHmac, randomBytes } from 'crypto';
+
+const MAX_CLIENT_SEED_LENGTH = 64;
+
+export function generateServerSeed() {
+  return randomBytes(32).toString('hex');
+}
+
+// Client seeds are free text from the browser; keep them short and printable
+export function sanitizeClientSeed(seed) {
+  if (typeof seed !== 'string') return null;
+  const cleaned = seed.replace(/[^A-Za-z0-9_-]/g, '').slice(0, MAX_CLIENT_SEED_LENGTH);
+  return cleaned || null;
+}
+
+// The seed the deck is actually shuffled with
+export function combineSeeds(serverSeed, clientSeeds = []) {
+  return [serverSeed, ...clientSeeds].join(':');
+}
+
+export function createCommitment(serverSeed, clientSeeds = []) {
+  return createHash('sha256').update(combineSeeds(serverSeed, clientSeeds)).digest('hex');
+}
+
+export function verifyCommitment(commitment, serverSeed, clientSeeds = []) {
+  return createCommitment(serverSeed, clientSeeds) === commitment;
+}
+
+// Deterministic random integers from a seed: HMAC-SHA256(seed, counter) blocks
+// read as big-endian uint32s, with rejection sampling to avoid modulo bias.
+// Returns a function (max) -> integer in [0, max).
+export function createSeededRandom(seed) {
+  let counter = 0;
+  let block = Buffer.alloc(0);
+  let offset = 0;
+
+  const nextUint32 = () => {
+    if (offset + 4 > block.length) {
+      block = createHmac('sha256', seed).update(String(counter++)).digest();
+      offset = 0;
+    }
+    const value = block.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  };
+
+  return (max) => {
+    const limit = Math.floor(0x100000000 / max) * max;
+    let value;
+    do {
+      value = nextUint32();
+    } while (value >= limit);
+    return value % max;
+  };
+}
+
+// What players may see: the server seed stays hidden until the hand is over
+export function getPublicFairness(fairness, reveal) {
+  if (!fairness) return null;
+  return {
+    commitment: fairness.commitment,
+    clientSeeds: fairness.clientSeeds,
+    seatOrder: fairness.seatOrder,
+    holeCards: fairness.holeCards,
+    serverSeed: reveal ? fairness.serverSeed : null
+  };
+}
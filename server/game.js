@@ -1,7 +1,11 @@
 // Game logic classes for Texas Hold'em Poker
 
+import { randomInt } from 'crypto';
+import { createSeededRandom } from './fairness.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+
 export class Player {
-  constructor(id, name, chips = 1000) {
+  constructor(id, name, chips = DEFAULT_SETTINGS.startingChips) {
     this.id = id;
     this.name = name;
     this.chips = chips;
@@ -10,6 +14,13 @@ export class Player {
     this.hasFolded = false;
     this.isAllIn = false;
     this.hasActed = false;
+    this.clientSeed = null; // Contribution to the provably fair shuffle
+    this.socketId = null; // Current connection (humans only)
+    this.isConnected = true; // False while a disconnected player can still resume
+    this.runItTwice = false; // Agrees to deal the board twice when all-in
+    this.seat = null; // Seat number at the table, kept until they leave it
+    this.isSittingOut = false; // Not dealt in from the next hand on
+    this.missedBlind = false; // Missed the big blind while sitting out; posts one to come back
   }
 
   bet(amount) {
@@ -41,7 +52,10 @@ export class Player {
 }
 
 export class Deck {
-  constructor() {
+  // With a seed the shuffle is reproducible (see fairness.js); without one it
+  // uses the system's cryptographic RNG.
+  constructor(seed = null) {
+    this.seed = seed;
     this.cards = [];
     this.initialize();
   }
@@ -57,9 +71,10 @@ export class Deck {
     }
   }
 
-  shuffle() {
+  shuffle(seed = this.seed) {
+    const random = seed === null || seed === undefined ? randomInt : createSeededRandom(seed);
     for (let i = this.cards.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = random(i + 1);
       [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
     }
   }
@@ -83,12 +98,32 @@ export class HandState {
     this.communityCards = [];
     this.pot = 0;
     this.currentBet = 0; // Highest bet in current round
-    this.dealerIndex = 0;
-    this.smallBlindIndex = 0;
-    this.bigBlindIndex = 0;
+    this.betsThisStreet = 0; // Bet plus raises this round (fixed limit caps it)
+    this.lastRaiseSize = 0; // Last full bet or raise this round; the next raise must match it
+    this.actedAtBet = new Map(); // playerId -> current bet when they last acted this round
+    this.raisers = new Set(); // Players who have bet or raised this hand
+    this.actionCount = 0; // Actions taken this hand; tells a late answer its turn has passed
+    this.buttonSeat = null; // May be an empty seat (dead button)
+    this.smallBlindSeat = null; // Nobody posts it when the seat is empty (dead small blind)
+    this.bigBlindSeat = null;
+    this.dealerId = null; // Player on the button, if the seat is not empty
     this.currentPlayerIndex = 0;
     this.blindsPosted = false;
+    this.smallBlind = 0;
+    this.bigBlind = 0;
+    this.ante = 0;
+    this.startingStacks = {}; // playerId -> chips before antes and blinds
+    this.handNumber = 0;
     this.winners = [];
+    this.fairness = null; // Seed commitment for this deal (see fairness.js)
+
+    // All-in runout: hands are face up and the rest of the board is dealt
+    // without betting, street by street (see dealRunout in engine.js)
+    this.isRunout = false;
+    this.runItTwice = false;
+    this.sharedBoardSize = 0; // Cards both boards have in common when run twice
+    this.boards = []; // Finished boards when run twice
+    this.equity = null; // playerId -> share of the pot on the current board
 
     // Improved pot management
     this.potManager = new PotManager();
@@ -104,6 +139,9 @@ export class HandState {
       // Reset round bets for new phase
       this.roundBets.clear();
       this.currentBet = 0;
+      this.betsThisStreet = 0;
+      this.lastRaiseSize = 0;
+      this.actedAtBet.clear();
       return true;
     }
     return false;
@@ -120,38 +158,26 @@ export class PotManager {
     this.pots = [{ amount: 0, contributors: new Set() }]; // Main pot is index 0
   }
 
-  // Called when a betting round ends
+  // Called when a betting round ends. A pot closes once one of its
+  // contributors is all-in with nothing left to put in: anything bet after
+  // that, on this street or a later one, starts a new side pot.
   collectBets(players) {
-    // Get players who have chips in front of them (currentBet > 0)
     const activeBets = players.filter(p => p.currentBet > 0);
 
     if (activeBets.length === 0) return;
 
-    // We process bets in chunks based on the smallest stack amounts to handle all-ins correctly
+    // Bets are taken in layers of the smallest one left so each all-in
+    // amount ends a pot exactly
     while (activeBets.some(p => p.currentBet > 0)) {
-      // Find smallest non-zero bet
       const minBet = Math.min(...activeBets.filter(p => p.currentBet > 0).map(p => p.currentBet));
 
-      // Get/Create active pot
-      if (this.pots.length === 0) {
-        this.pots.push({ amount: 0, contributors: new Set(), winners: [] });
-      }
       let currentPot = this.pots[this.pots.length - 1];
+      if (!currentPot || currentPot.isClosed) {
+        currentPot = { amount: 0, contributors: new Set(), winners: [] };
+        this.pots.push(currentPot);
+      }
 
-      // If the current pot has "closed" (because an all-in player capped it previously), start a new one
-      // Wait, we need a flag or check if the current pot is "capped".
-      // Simplification: We always start a new pot if the previous one was capped.
-      // But how do we track "capped"?
-      // Let's use a simpler approach:
-      // Loop:
-      //   1. Take `minBet` from everyone.
-      //   2. Add to current pot.
-      //   3. Register contributors.
-      //   4. If anyone who contributed went All-In (and has 0 left to bet), we MUST close this pot after this iteration.
-
-      let potClosed = false;
       const contributors = [];
-
       players.forEach(p => {
         if (p.currentBet > 0) {
           const contribution = Math.min(p.currentBet, minBet);
@@ -162,14 +188,8 @@ export class PotManager {
         }
       });
 
-      // Check if any contributor is now All-In with 0 pending bets (meaning they capped out exactly here)
-      const anyoneCapped = contributors.some(p => p.isAllIn && p.currentBet === 0);
-
-      if (anyoneCapped && activeBets.some(p => p.currentBet > 0)) {
-        // If someone capped out, AND there are still bets to process (from others), 
-        // then this pot is effectively finished for the capped players.
-        // We create a new side pot for the remainder.
-        this.pots.push({ amount: 0, contributors: new Set(), winners: [] });
+      if (contributors.some(p => p.isAllIn && p.currentBet === 0)) {
+        currentPot.isClosed = true;
       }
     }
   }
@@ -0,0 +1,558 @@
+// Hand history recording for Texas Hold'em Poker
+//
+// A HandHistory is built from the hand engine's events (see engine.js) and
+// keeps a structured record of one hand: seats, stacks, blinds, hole cards,
+// every action per street, the board, pots and winners. It can be exported as
+// JSON or as PokerStars-format text for hand tracking tools. When an all-in
+// board is run twice, `secondBoard` holds the second one and showdown entries
+// and pot winners say which board they belong to.
+
+import fs from 'fs';
+import path from 'path';
+import { getSettings } from './settings.js';
+
+// Game and betting names as PokerStars writes them in the hand header
+const GAME_NAMES = { holdem: "Hold'em", omaha: 'Omaha' };
+const BETTING_STRUCTURE_NAMES = { 'no-limit': 'No Limit', 'pot-limit': 'Pot Limit', 'fixed-limit': 'Limit' };
+const STREET_NAMES = { preflop: 'Preflop', flop: 'Flop', turn: 'Turn', river: 'River' };
+const BOARD_NAMES = { 1: 'FIRST', 2: 'SECOND' };
+const RANK_NAMES = {
+  'A': 'Ace', 'K': 'King', 'Q': 'Queen', 'J': 'Jack', '10': 'Ten', '9': 'Nine', '8': 'Eight',
+  '7': 'Seven', '6': 'Six', '5': 'Five', '4': 'Four', '3': 'Three', '2': 'Two'
+};
+
+export class HandHistory {
+  // Create the record right after the engine started the hand (antes and
+  // blinds are already posted, so stacks come from handState.startingStacks).
+  // Tournament hands pass { id, level } as `tournament`.
+  constructor(state, { handId, roomId, maxSeats = 7, startedAt = new Date(), tournament = null }) {
+    const handState = state.handState;
+    const seated = state.players.filter(p => p.hand && p.hand.length > 0);
+
+    this.handId = String(handId);
+    this.handNumber = handState.handNumber;
+    this.roomId = roomId;
+    this.startedAt = startedAt.toISOString();
+    this.endedAt = null;
+    const settings = getSettings(state);
+    this.gameType = GAME_NAMES[settings.game] || GAME_NAMES.holdem;
+    this.bettingStructure = BETTING_STRUCTURE_NAMES[settings.bettingStructure] || BETTING_STRUCTURE_NAMES['no-limit'];
+    this.smallBlind = handState.smallBlind;
+    this.bigBlind = handState.bigBlind;
+    this.ante = handState.ante || 0;
+    this.tournamentId = tournament ? tournament.id : null;
+    this.level = tournament ? tournament.level : null;
+    this.maxSeats = maxSeats;
+    const startingStacks = handState.startingStacks || {};
+    this.seats = seated.map(p => ({
+      seat: p.seat ?? state.players.indexOf(p) + 1,
+      playerId: p.id,
+      name: p.name,
+      stack: startingStacks[p.id] !== undefined ? startingStacks[p.id] : p.chips + p.currentBet,
+      isBot: !!p.isBot
+    }));
+    // A dead button sits on an empty seat, so it is not always a player's
+    this.buttonSeat = handState.buttonSeat ?? this.getSeat(handState.dealerId)?.seat ?? null;
+    this.holeCards = {};
+    seated.forEach(p => {
+      this.holeCards[p.id] = [...p.hand];
+    });
+    this.actions = [];
+    this.board = [];
+    this.secondBoard = null;
+    this.sharedBoardSize = null; // Board cards dealt before a run-twice runout
+    this.pots = [];
+    this.uncalledBet = null;
+    this.showdown = [];
+    this.winners = [];
+    this.commitment = handState.fairness ? handState.fairness.commitment : null;
+    this.serverSeed = null;
+
+    // Bookkeeping while the hand is running
+    this.street = 'preflop';
+    this.streetBet = 0;
+    this.streetBets = {};
+    this.contributions = {};
+  }
+
+  getSeat(playerId) {
+    return this.seats.find(s => s.playerId === playerId);
+  }
+
+  get isComplete() {
+    return this.endedAt !== null;
+  }
+
+  // Feed engine events in as they happen
+  record(events, state) {
+    events.forEach(event => {
+      switch (event.type) {
+        case 'blind':
+          if (event.blind === 'ante') {
+            // Dead money: counts toward the pot, not toward the street's bets
+            this.contributions[event.playerId] = (this.contributions[event.playerId] || 0) + event.amount;
+          } else {
+            this.addChips(event.playerId, event.amount);
+            this.streetBet = Math.max(this.streetBet, this.streetBets[event.playerId]);
+          }
+          this.actions.push({
+            street: 'preflop',
+            playerId: event.playerId,
+            type: 'post',
+            blind: event.blind,
+            amount: event.amount,
+            isAllIn: this.isAllIn(event.playerId, state)
+          });
+          break;
+
+        case 'action':
+          this.recordAction(event);
+          break;
+
+        case 'runout':
+          if (event.runItTwice) {
+            this.sharedBoardSize = this.board.length;
+          }
+          break;
+
+        case 'street':
+          if (event.board === 2) {
+            this.secondBoard = [...event.communityCards];
+            break;
+          }
+          this.street = event.phase;
+          this.streetBet = 0;
+          this.streetBets = {};
+          this.board = [...event.communityCards];
+          break;
+
+        case 'handEnded':
+          this.recordResult(event, state);
+          break;
+      }
+    });
+  }
+
+  recordAction(event) {
+    const entry = { street: this.street, playerId: event.playerId, type: event.action, isAllIn: !!event.isAllIn };
+
+    if (event.action === 'call') {
+      entry.amount = event.amount;
+      this.addChips(event.playerId, event.amount);
+    } else if (event.action === 'raise') {
+      // The engine reports raises as the player's total bet for the street
+      const previous = this.streetBets[event.playerId] || 0;
+      entry.type = this.streetBet === 0 ? 'bet' : 'raise';
+      entry.amount = event.amount - this.streetBet;
+      entry.to = event.amount;
+      this.addChips(event.playerId, event.amount - previous);
+      this.streetBet = event.amount;
+    }
+
+    this.actions.push(entry);
+  }
+
+  addChips(playerId, amount) {
+    this.streetBets[playerId] = (this.streetBets[playerId] || 0) + amount;
+    this.contributions[playerId] = (this.contributions[playerId] || 0) + amount;
+  }
+
+  isAllIn(playerId, state) {
+    const player = state && state.players.find(p => p.id === playerId);
+    return !!player && player.isAllIn;
+  }
+
+  recordResult(event, state) {
+    this.endedAt = new Date().toISOString();
+    this.serverSeed = state.handState.fairness ? state.handState.fairness.serverSeed : null;
+
+    const received = {};
+    event.winners.forEach(w => {
+      received[w.playerId] = (received[w.playerId] || 0) + w.share;
+    });
+
+    // The part of the largest bet nobody matched goes straight back to its owner
+    const sorted = Object.entries(this.contributions).sort((a, b) => b[1] - a[1]);
+    if (sorted.length > 0) {
+      const [playerId, top] = sorted[0];
+      const excess = top - (sorted.length > 1 ? sorted[1][1] : 0);
+      if (excess > 0 && (received[playerId] || 0) >= excess) {
+        this.uncalledBet = { playerId, amount: excess };
+      }
+    }
+
+    // Take the returned chips out of the pots they were collected into
+    const pots = event.pots.map(pot => ({ amount: pot.amount, contributors: pot.contributors, winners: [], returned: 0 }));
+    let toReturn = this.uncalledBet ? this.uncalledBet.amount : 0;
+    for (let i = pots.length - 1; i >= 0 && toReturn > 0; i--) {
+      if (pots[i].contributors.includes(this.uncalledBet.playerId)) {
+        const taken = Math.min(toReturn, pots[i].amount);
+        pots[i].amount -= taken;
+        pots[i].returned = taken;
+        toReturn -= taken;
+      }
+    }
+
+    this.showdown = (event.showdown || []).map(shown => ({
+      playerId: shown.playerId,
+      cards: shown.cards,
+      description: describeHand(shown.evaluation),
+      ...(shown.board ? { board: shown.board } : {})
+    }));
+
+    if (this.showdown.length > 0) {
+      event.winners.forEach(w => {
+        const pot = pots[w.potIndex];
+        if (!pot) return;
+        // A pot split over two boards pays its returned chips back only once
+        const returned = w.playerId === this.uncalledBet?.playerId ? Math.min(pot.returned, w.share) : 0;
+        pot.returned -= returned;
+        const amount = w.share - returned;
+        if (amount > 0) {
+          pot.winners.push({ playerId: w.playerId, amount, ...(w.board ? { board: w.board } : {}) });
+        }
+      });
+    } else {
+      // Everyone else folded: the last player takes every pot
+      const winnerId = event.winners[0].playerId;
+      pots.forEach(pot => {
+        if (pot.amount > 0) {
+          pot.winners.push({ playerId: winnerId, amount: pot.amount });
+        }
+      });
+    }
+
+    this.pots = pots
+      .filter(pot => pot.amount > 0)
+      .map(({ amount, contributors, winners }) => ({ amount, contributors, winners }));
+
+    const totals = {};
+    this.pots.forEach(pot => {
+      pot.winners.forEach(w => {
+        totals[w.playerId] = (totals[w.playerId] || 0) + w.amount;
+      });
+    });
+    this.winners = Object.entries(totals).map(([playerId, amount]) => ({
+      playerId,
+      name: this.getSeat(playerId)?.name || playerId,
+      amount
+    }));
+  }
+
+  get totalPot() {
+    return this.pots.reduce((sum, pot) => sum + pot.amount, 0);
+  }
+
+  // The record as the given player may see it: their own hole cards plus any
+  // shown at showdown. Without a player ID, every hole card is included.
+  toRecord(viewerId = null) {
+    const shown = new Set(this.showdown.map(s => s.playerId));
+    const holeCards = {};
+    Object.entries(this.holeCards).forEach(([playerId, cards]) => {
+      if (viewerId === null || playerId === viewerId || shown.has(playerId)) {
+        holeCards[playerId] = cards;
+      }
+    });
+
+    return {
+      handId: this.handId,
+      handNumber: this.handNumber,
+      roomId: this.roomId,
+      startedAt: this.startedAt,
+      endedAt: this.endedAt,
+      gameType: this.gameType,
+      bettingStructure: this.bettingStructure,
+      smallBlind: this.smallBlind,
+      bigBlind: this.bigBlind,
+      ante: this.ante,
+      tournamentId: this.tournamentId,
+      level: this.level,
+      maxSeats: this.maxSeats,
+      buttonSeat: this.buttonSeat,
+      seats: this.seats,
+      holeCards,
+      actions: this.actions,
+      board: this.board,
+      secondBoard: this.secondBoard,
+      sharedBoardSize: this.sharedBoardSize,
+      pots: this.pots,
+      uncalledBet: this.uncalledBet,
+      showdown: this.showdown,
+      winners: this.winners,
+      commitment: this.commitment,
+      serverSeed: this.serverSeed
+    };
+  }
+
+  toJSON() {
+    return this.toRecord();
+  }
+}
+
+// PokerStars card notation: rank (T for ten) plus lowercase suit
+function formatCard(card) {
+  const rank = card.rank === '10' ? 'T' : card.rank;
+  return `${rank}${card.suit.toLowerCase()}`;
+}
+
+function formatCards(cards) {
+  return `[${cards.map(formatCard).join(' ')}]`;
+}
+
+function pluralRank(rank) {
+  const name = RANK_NAMES[rank];
+  return name === 'Six' ? 'Sixes' : `${name}s`;
+}
+
+// Describe an evaluateHand() result the way PokerStars does, e.g. "a pair of Kings"
+export function describeHand(evaluation) {
+  const cards = evaluation.cards || [];
+  const counts = {};
+  cards.forEach(c => {
+    counts[c.rank] = (counts[c.rank] || 0) + 1;
+  });
+  const byCount = (n) => cards.map(c => c.rank).filter((r, i, all) => counts[r] === n && all.indexOf(r) === i);
+  const ranks = cards.map(c => c.rank);
+  const isWheel = ranks.includes('A') && ranks.includes('5') && !ranks.includes('K');
+  const straightHigh = isWheel ? '5' : ranks[0];
+  const straightLow = isWheel ? 'A' : ranks[ranks.length - 1];
+
+  switch (evaluation.rank) {
+    case 'Royal Flush':
+      return 'a Royal Flush';
+    case 'Straight Flush':
+      return `a straight flush, ${RANK_NAMES[straightLow]} to ${RANK_NAMES[straightHigh]}`;
+    case 'Four of a Kind':
+      return `four of a kind, ${pluralRank(byCount(4)[0])}`;
+    case 'Full House':
+      return `a full house, ${pluralRank(byCount(3)[0])} full of ${pluralRank(byCount(2)[0])}`;
+    case 'Flush':
+      return `a flush, ${RANK_NAMES[ranks[0]]} high`;
+    case 'Straight':
+      return `a straight, ${RANK_NAMES[straightLow]} to ${RANK_NAMES[straightHigh]}`;
+    case 'Three of a Kind':
+      return `three of a kind, ${pluralRank(byCount(3)[0])}`;
+    case 'Two Pair': {
+      const pairs = byCount(2);
+      return `two pair, ${pluralRank(pairs[0])} and ${pluralRank(pairs[1])}`;
+    }
+    case 'One Pair':
+      return `a pair of ${pluralRank(byCount(2)[0])}`;
+    default:
+      return ranks.length > 0 ? `high card ${RANK_NAMES[ranks[0]]}` : 'high card';
+  }
+}
+
+// Tournament levels are numbered in Roman numerals
+function toRoman(n) {
+  const numerals = [[50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+  let result = '';
+  numerals.forEach(([value, numeral]) => {
+    while (n >= value) {
+      result += numeral;
+      n -= value;
+    }
+  });
+  return result;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function formatTimestamp(iso) {
+  const date = new Date(iso);
+  const utc = `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} UTC`;
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/New_York',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: 'numeric', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  return `${utc} [${parts.year}/${parts.month}/${parts.day} ${parts.hour}:${parts.minute}:${parts.second} ET]`;
+}
+
+// Export one hand as PokerStars-format text, from the viewer's perspective
+export function formatPokerStars(history, viewerId = null) {
+  const hand = history instanceof HandHistory ? history.toRecord(viewerId) : history;
+  const lines = [];
+  const nameOf = (playerId) => hand.seats.find(s => s.playerId === playerId)?.name || playerId;
+  const allIn = (action) => (action.isAllIn ? ' and is all-in' : '');
+
+  if (hand.tournamentId) {
+    lines.push(`PokerStars Hand #${hand.handId}: Tournament #${hand.tournamentId}, ${hand.gameType} ` +
+      `${hand.bettingStructure} - Level ${toRoman(hand.level)} (${hand.smallBlind}/${hand.bigBlind}) - ` +
+      `${formatTimestamp(hand.startedAt)}`);
+    lines.push(`Table '${hand.tournamentId} ${hand.roomId}' ${hand.maxSeats}-max Seat #${hand.buttonSeat} is the button`);
+  } else {
+    lines.push(`PokerStars Hand #${hand.handId}:  ${hand.gameType} ${hand.bettingStructure} ` +
+      `(${hand.smallBlind}/${hand.bigBlind}) - ${formatTimestamp(hand.startedAt)}`);
+    lines.push(`Table '${hand.roomId}' ${hand.maxSeats}-max (Play Money) Seat #${hand.buttonSeat} is the button`);
+  }
+  hand.seats.forEach(seat => {
+    lines.push(`Seat ${seat.seat}: ${seat.name} (${seat.stack} in chips)`);
+  });
+
+  hand.actions.filter(a => a.type === 'post').forEach(action => {
+    lines.push(action.blind === 'ante'
+      ? `${nameOf(action.playerId)}: posts the ante ${action.amount}${allIn(action)}`
+      : `${nameOf(action.playerId)}: posts ${action.blind} blind ${action.amount}${allIn(action)}`);
+  });
+
+  // Streets dealt after a run-twice all-in are FIRST or SECOND ones
+  const isRunTwice = !!hand.secondBoard;
+  const boardSize = { flop: 3, turn: 4, river: 5 };
+  const streetLine = (street, board, boardNumber) => {
+    const size = boardSize[street];
+    const name = isRunTwice && size > hand.sharedBoardSize ? `${BOARD_NAMES[boardNumber]} ${street.toUpperCase()}` : street.toUpperCase();
+    const cards = size === 3 ? formatCards(board.slice(0, 3)) : `${formatCards(board.slice(0, size - 1))} ${formatCards(board.slice(size - 1, size))}`;
+    return `*** ${name} *** ${cards}`;
+  };
+
+  lines.push('*** HOLE CARDS ***');
+  Object.entries(hand.holeCards).forEach(([playerId, cards]) => {
+    if (viewerId === null || playerId === viewerId) {
+      lines.push(`Dealt to ${nameOf(playerId)} ${formatCards(cards)}`);
+    }
+  });
+
+  const foldedOn = {};
+  const putMoneyIn = new Set();
+  ['preflop', 'flop', 'turn', 'river'].forEach(street => {
+    if (street !== 'preflop') {
+      if (hand.board.length < boardSize[street]) return;
+      lines.push(streetLine(street, hand.board, 1));
+    }
+    hand.actions.filter(a => a.street === street && a.type !== 'post').forEach(action => {
+      const name = nameOf(action.playerId);
+      switch (action.type) {
+        case 'fold':
+          foldedOn[action.playerId] = street;
+          lines.push(`${name}: folds`);
+          break;
+        case 'check':
+          lines.push(`${name}: checks`);
+          break;
+        case 'call':
+          putMoneyIn.add(action.playerId);
+          lines.push(`${name}: calls ${action.amount}${allIn(action)}`);
+          break;
+        case 'bet':
+          putMoneyIn.add(action.playerId);
+          lines.push(`${name}: bets ${action.amount}${allIn(action)}`);
+          break;
+        case 'raise':
+          putMoneyIn.add(action.playerId);
+          lines.push(`${name}: raises ${action.amount} to ${action.to}${allIn(action)}`);
+          break;
+      }
+    });
+  });
+  if (isRunTwice) {
+    ['flop', 'turn', 'river']
+      .filter(street => boardSize[street] > hand.sharedBoardSize)
+      .forEach(street => lines.push(streetLine(street, hand.secondBoard, 2)));
+  }
+
+  if (hand.uncalledBet) {
+    lines.push(`Uncalled bet (${hand.uncalledBet.amount}) returned to ${nameOf(hand.uncalledBet.playerId)}`);
+  }
+
+  const potName = (index) => {
+    if (hand.pots.length <= 1) return 'pot';
+    return index === 0 ? 'main pot' : `side pot-${index}`;
+  };
+
+  // One showdown, or one per board when the hand was run twice
+  const boardNumbers = isRunTwice ? [1, 2] : [undefined];
+  boardNumbers.forEach(boardNumber => {
+    if (hand.showdown.length > 0) {
+      lines.push(boardNumber ? `*** ${BOARD_NAMES[boardNumber]} SHOW DOWN ***` : '*** SHOW DOWN ***');
+      hand.showdown.filter(shown => shown.board === boardNumber).forEach(shown => {
+        lines.push(`${nameOf(shown.playerId)}: shows ${formatCards(shown.cards)}${shown.description ? ` (${shown.description})` : ''}`);
+      });
+    }
+    hand.pots.forEach((pot, index) => {
+      pot.winners.filter(w => w.board === boardNumber).forEach(w => {
+        lines.push(`${nameOf(w.playerId)} collected ${w.amount} from ${potName(index)}`);
+      });
+    });
+  });
+  if (hand.showdown.length === 0) {
+    hand.winners.forEach(w => {
+      lines.push(`${nameOf(w.playerId)}: doesn't show hand`);
+    });
+  }
+
+  lines.push('*** SUMMARY ***');
+  const totalPot = hand.pots.reduce((sum, pot) => sum + pot.amount, 0);
+  const potBreakdown = hand.pots.length > 1
+    ? ' ' + hand.pots.map((pot, index) => `${index === 0 ? 'Main pot' : `Side pot-${index}`} ${pot.amount}.`).join(' ')
+    : '';
+  lines.push(`Total pot ${totalPot}${potBreakdown} | Rake 0`);
+  if (isRunTwice) {
+    lines.push('Hand was run twice');
+    lines.push(`FIRST Board ${formatCards(hand.board)}`);
+    lines.push(`SECOND Board ${formatCards(hand.secondBoard)}`);
+  } else if (hand.board.length > 0) {
+    lines.push(`Board ${formatCards(hand.board)}`);
+  }
+
+  const blinds = {};
+  hand.actions.filter(a => a.type === 'post' && a.blind !== 'ante').forEach(a => {
+    blinds[a.playerId] = a.blind;
+  });
+
+  hand.seats.forEach(seat => {
+    let label = `Seat ${seat.seat}: ${seat.name}`;
+    if (seat.seat === hand.buttonSeat) label += ' (button)';
+    if (blinds[seat.playerId]) label += ` (${blinds[seat.playerId]} blind)`;
+
+    const won = hand.winners.find(w => w.playerId === seat.playerId);
+    const shown = hand.showdown.find(s => s.playerId === seat.playerId);
+    const shownOn = hand.showdown.filter(s => s.playerId === seat.playerId && s.description);
+    const street = foldedOn[seat.playerId];
+
+    if (street === 'preflop') {
+      const didntBet = !putMoneyIn.has(seat.playerId) && !blinds[seat.playerId];
+      lines.push(`${label} folded before Flop${didntBet ? " (didn't bet)" : ''}`);
+    } else if (street) {
+      lines.push(`${label} folded on the ${STREET_NAMES[street]}`);
+    } else if (shown) {
+      const description = isRunTwice
+        ? ` with ${shownOn.map(s => `${s.description} (${BOARD_NAMES[s.board].toLowerCase()} board)`).join(' and ')}`
+        : (shown.description ? ` with ${shown.description}` : '');
+      lines.push(won
+        ? `${label} showed ${formatCards(shown.cards)} and won (${won.amount})${description}`
+        : `${label} showed ${formatCards(shown.cards)} and lost${description}`);
+    } else if (won) {
+      lines.push(`${label} collected (${won.amount})`);
+    } else {
+      lines.push(`${label} mucked`);
+    }
+  });
+
+  return lines.join('\n');
+}
+
+// Several hands in one file, separated by blank lines as PokerStars does
+export function formatPokerStarsSession(histories, viewerId = null) {
+  return histories.map(h => formatPokerStars(h, viewerId)).join('\n\n\n') + '\n';
+}
+
+// Append a finished hand to <dir>/<roomId>.jsonl so it outlives the room
+export function archiveHandHistory(dir, history) {
+  if (!dir) return;
+  fs.mkdir(dir, { recursive: true }, (mkdirError) => {
+    if (mkdirError) {
+      console.error('Failed to create hand history directory:', mkdirError);
+      return;
+    }
+    const file = path.join(dir, `${history.roomId}.jsonl`);
+    fs.appendFile(file, JSON.stringify(history.toRecord()) + '\n', (error) => {
+      if (error) {
+        console.error('Failed to archive hand history:', error);
+      }
+    });
+  });
+}
@@ -0,0 +1,150 @@
+// Chip ledger for Texas Hold'em Poker
+//
+// Every chip a player brings to or takes from a table is recorded here:
+// buy-ins, cash-game top-ups, tournament rebuys and add-ons, cash-outs and
+// tournament prizes. Each entry has the chips involved and what they cost (or
+// paid out) in money; in a cash game those are the same, in a tournament a
+// rebuy costs the buy-in and brings the tournament's rebuy stack.
+//
+// Like the Tournament it knows nothing about sockets or rooms: server.js
+// records into it and sends the summary with the game state. At the end of a
+// home game getSettlement() works out who pays whom.
+
+export const BUY_IN_TYPES = ['buyIn', 'topUp', 'rebuy', 'addOn'];
+export const PAYOUT_TYPES = ['cashOut', 'prize'];
+
+// The exact settlement search is exponential in the number of players who are
+// up or down; past this many it settles greedily instead
+const MAX_EXACT_SETTLEMENT = 16;
+
+export class ChipLedger {
+  constructor() {
+    this.entries = []; // { playerId, name, type, chips, amount, at }
+  }
+
+  // Record a movement. `amount` is the money side and defaults to the chips.
+  record(player, type, { chips = 0, amount = chips, now = Date.now() } = {}) {
+    const entry = { playerId: player.id, name: player.name, type, chips, amount, at: now };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  getEntries(playerId) {
+    return this.entries.filter(e => e.playerId === playerId);
+  }
+
+  // Totals per player, in the order they first bought in. `stacks` maps player
+  // IDs to the money value of chips still on the table (cash games), which
+  // count toward the result as if cashed out now.
+  getSummary(stacks = {}) {
+    const byPlayer = new Map();
+    this.entries.forEach(entry => {
+      if (!byPlayer.has(entry.playerId)) {
+        byPlayer.set(entry.playerId, { playerId: entry.playerId, name: entry.name, buyIns: 0, rebuys: 0, cashedOut: 0 });
+      }
+      const totals = byPlayer.get(entry.playerId);
+      if (entry.type === 'buyIn') totals.buyIns += entry.amount;
+      else if (BUY_IN_TYPES.includes(entry.type)) totals.rebuys += entry.amount;
+      if (PAYOUT_TYPES.includes(entry.type)) totals.cashedOut += entry.amount;
+    });
+
+    return [...byPlayer.values()].map(totals => {
+      const stack = stacks[totals.playerId] || 0;
+      return { ...totals, stack, net: totals.cashedOut + stack - totals.buyIns - totals.rebuys };
+    });
+  }
+}
+
+// Fewest "X pays Y" transfers that square everyone's net result, from a
+// getSummary() list. Returns { transfers: [{ from, fromName, to, toName,
+// amount }], unsettled }, where unsettled is what the results fail to add up
+// to zero by (chips still in a pot, an unfinished tournament).
+export function getSettlement(summary) {
+  const balances = summary
+    .filter(row => row.net !== 0)
+    .map(row => ({ playerId: row.playerId, name: row.name, net: row.net }));
+  const unsettled = balances.reduce((sum, b) => sum + b.net, 0);
+
+  const groups = unsettled === 0 && balances.length <= MAX_EXACT_SETTLEMENT
+    ? splitZeroSumGroups(balances)
+    : [balances];
+  return { transfers: groups.flatMap(settleGroup), unsettled };
+}
+
+// A group of k players whose results add up to zero settles in k - 1
+// transfers, so the fewest transfers come from splitting the players into as
+// many such groups as possible. best[mask] is the most zero-sum groups the
+// players in `mask` can be ordered into.
+function splitZeroSumGroups(balances) {
+  const n = balances.length;
+  const full = (1 << n) - 1;
+  const sums = new Array(full + 1).fill(0);
+  const best = new Array(full + 1).fill(0);
+  const removed = new Array(full + 1).fill(-1);
+  for (let mask = 1; mask <= full; mask++) {
+    const low = Math.log2(mask & -mask);
+    sums[mask] = sums[mask & (mask - 1)] + balances[low].net;
+    for (let i = 0; i < n; i++) {
+      if ((mask & (1 << i)) && (removed[mask] === -1 || best[mask ^ (1 << i)] > best[mask ^ (1 << removed[mask])])) {
+        removed[mask] = i;
+      }
+    }
+    best[mask] = best[mask ^ (1 << removed[mask])] + (sums[mask] === 0 ? 1 : 0);
+  }
+
+  // Peel players off in the order found; every zero-sum point closes a group
+  const groups = [];
+  let group = [];
+  for (let mask = full; mask > 0; mask ^= 1 << removed[mask]) {
+    if (sums[mask] === 0 && group.length > 0) {
+      groups.push(group);
+      group = [];
+    }
+    group.push(balances[removed[mask]]);
+  }
+  groups.push(group);
+  return groups.filter(g => g.length > 0);
+}
+
+// Biggest loser pays the biggest winner until one side runs out
+function settleGroup(group) {
+  const debtors = group.filter(b => b.net < 0).map(b => ({ ...b, owes: -b.net })).sort((a, b) => b.owes - a.owes);
+  const creditors = group.filter(b => b.net > 0).map(b => ({ ...b, due: b.net })).sort((a, b) => b.due - a.due);
+  const transfers = [];
+  let d = 0;
+  let c = 0;
+  while (d < debtors.length && c < creditors.length) {
+    const amount = Math.min(debtors[d].owes, creditors[c].due);
+    transfers.push({
+      from: debtors[d].playerId,
+      fromName: debtors[d].name,
+      to: creditors[c].playerId,
+      toName: creditors[c].name,
+      amount
+    });
+    debtors[d].owes -= amount;
+    creditors[c].due -= amount;
+    if (debtors[d].owes === 0) d++;
+    if (creditors[c].due === 0) c++;
+  }
+  return transfers;
+}
+
+// Text a spreadsheet would run as a formula (e.g. "=HYPERLINK(...)") gets a
+// leading ' so it shows as typed. Numbers, negative ones included, stay numbers.
+function escapeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+}
+
+// One row per player for spreadsheets
+export function formatLedgerCsv(summary) {
+  const quote = (value) => {
+    const text = escapeFormula(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = [['Player', 'Buy-ins', 'Rebuys', 'Cashed out', 'Final stack', 'Net']];
+  summary.forEach(row => {
+    rows.push([row.name, row.buyIns, row.rebuys, row.cashedOut, row.stack, row.net]);
+  });
+  return rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
+}
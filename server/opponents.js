@@ -0,0 +1,210 @@
+// Opponent modeling for Texas Hold'em Poker bots
+//
+// An OpponentModel watches the hand engine's events at one table (see
+// engine.js) and keeps running statistics for every player who has been dealt
+// in there: how often they put money in preflop (VPIP), raise it (PFR) and
+// re-raise a single raise (3-bet), their postflop aggression factor (bets and
+// raises per call), how often they fold to a continuation bet, how often they
+// see a showdown after the flop and win it, and the hands they have shown
+// down. Everything comes from what anyone at the table could see, so bots may
+// read it freely through their table view (strategies.js) and the table shows
+// it to everyone as a HUD.
+//
+// getProfile() turns the counts into rates and, once there are enough hands,
+// the tendencies the strategies adjust to.
+
+const MIN_HANDS = 12; // Hands seen before a player's tendencies are trusted
+const MIN_CBETS_FACED = 4;
+const MAX_SHOWDOWNS = 10; // Shown-down hands kept per player, newest last
+
+function newCounts(player) {
+  return {
+    playerId: player.id,
+    name: player.name,
+    hands: 0,
+    vpip: 0,
+    pfr: 0,
+    threeBets: 0,
+    threeBetChances: 0, // Preflop turns facing exactly one raise
+    aggressiveActions: 0, // Postflop bets and raises
+    calls: 0, // Postflop calls
+    cbetsFaced: 0,
+    foldsToCbet: 0,
+    flopsSeen: 0,
+    showdownCount: 0,
+    showdownWins: 0,
+    showdowns: []
+  };
+}
+
+export class OpponentModel {
+  constructor() {
+    this.players = new Map(); // playerId -> counts
+    this.hand = null; // What the current hand has shown so far
+  }
+
+  // Feed events in the order the engine produced them; `state` is the table
+  // right after they happened
+  observe(events, state) {
+    events.forEach(event => {
+      if (event.type === 'handStarted') {
+        this.startHand(state);
+      } else if (!this.hand) {
+        // Joined mid-hand: wait for the next one
+      } else if (event.type === 'street') {
+        if (event.phase === 'flop' && !this.hand.sawFlop) this.recordFlop();
+        this.hand.phase = event.phase;
+        this.hand.isBet = false;
+        this.hand.cbet = null;
+      } else if (event.type === 'action') {
+        this.recordAction(event);
+      } else if (event.type === 'handEnded') {
+        this.endHand(event);
+      }
+    });
+  }
+
+  startHand(state) {
+    const dealt = state.players.filter(p => p.hand && p.hand.length > 0);
+    dealt.forEach(player => {
+      if (!this.players.has(player.id)) this.players.set(player.id, newCounts(player));
+      const counts = this.players.get(player.id);
+      counts.name = player.name;
+      counts.hands++;
+    });
+    this.hand = {
+      handNumber: state.handState ? state.handState.handNumber : null,
+      phase: 'preflop',
+      isBet: true, // The big blind is the bet preflop
+      dealt: dealt.map(p => p.id),
+      folded: new Set(),
+      sawFlop: false, // Dealt once even when the hand is run twice
+      vpip: new Set(),
+      pfr: new Set(),
+      preflopRaises: 0,
+      threeBetChances: new Set(),
+      preflopRaiser: null,
+      cbet: null // { by, responded } while the flop c-bet is the bet to face
+    };
+  }
+
+  recordAction(event) {
+    const hand = this.hand;
+    const counts = this.players.get(event.playerId);
+    if (!counts) return;
+    if (event.action === 'fold') hand.folded.add(event.playerId);
+
+    if (hand.phase === 'preflop') {
+      // Facing the only raise so far is the chance to 3-bet, once per hand
+      const isThreeBetChance = hand.preflopRaises === 1 && hand.preflopRaiser !== event.playerId;
+      if (isThreeBetChance && !hand.threeBetChances.has(event.playerId)) {
+        hand.threeBetChances.add(event.playerId);
+        counts.threeBetChances++;
+        if (event.action === 'raise') counts.threeBets++;
+      }
+      if (event.action === 'call' || event.action === 'raise') hand.vpip.add(event.playerId);
+      if (event.action === 'raise') {
+        hand.pfr.add(event.playerId);
+        hand.preflopRaiser = event.playerId;
+        hand.preflopRaises++;
+      }
+      return;
+    }
+
+    // Facing the flop continuation bet: the first answer of each player
+    if (hand.cbet && event.playerId !== hand.cbet.by && !hand.cbet.responded.has(event.playerId)) {
+      hand.cbet.responded.add(event.playerId);
+      counts.cbetsFaced++;
+      if (event.action === 'fold') counts.foldsToCbet++;
+    }
+
+    if (event.action === 'raise') {
+      counts.aggressiveActions++;
+      const isContinuationBet = hand.phase === 'flop' && !hand.isBet && event.playerId === hand.preflopRaiser;
+      // Only the c-bet itself counts; a raise over it is a different bet to face
+      hand.cbet = isContinuationBet ? { by: event.playerId, responded: new Set() } : null;
+      hand.isBet = true;
+    } else if (event.action === 'call') {
+      counts.calls++;
+    }
+  }
+
+  recordFlop() {
+    const hand = this.hand;
+    hand.sawFlop = true;
+    hand.dealt
+      .filter(id => !hand.folded.has(id) && this.players.has(id))
+      .forEach(id => { this.players.get(id).flopsSeen++; });
+  }
+
+  endHand(event) {
+    const hand = this.hand;
+    hand.vpip.forEach(id => { this.players.get(id).vpip++; });
+    hand.pfr.forEach(id => { this.players.get(id).pfr++; });
+
+    (event.showdown || []).forEach(shown => {
+      const counts = this.players.get(shown.playerId);
+      if (!counts || shown.board === 2) return; // One entry per hand, even when run twice
+      const won = event.winners.some(w => w.playerId === shown.playerId);
+      counts.showdownCount++;
+      if (won) counts.showdownWins++;
+      counts.showdowns.push({
+        handNumber: hand.handNumber,
+        cards: [...shown.cards],
+        rank: shown.evaluation ? shown.evaluation.rank : null,
+        won
+      });
+      if (counts.showdowns.length > MAX_SHOWDOWNS) counts.showdowns.shift();
+    });
+    this.hand = null;
+  }
+
+  // Rates and tendencies for one player, or null if they have not been seen.
+  // Rates are 0-1 (null without data); aggression is bets and raises per call.
+  // Went to showdown is per flop seen, won at showdown per showdown.
+  getProfile(playerId) {
+    const counts = this.players.get(playerId);
+    if (!counts) return null;
+
+    const rate = (count, total) => (total > 0 ? count / total : null);
+    const vpip = rate(counts.vpip, counts.hands);
+    const pfr = rate(counts.pfr, counts.hands);
+    const aggression = counts.calls > 0
+      ? counts.aggressiveActions / counts.calls
+      : (counts.aggressiveActions > 0 ? counts.aggressiveActions : null);
+    const foldToCbet = rate(counts.foldsToCbet, counts.cbetsFaced);
+    const threeBet = rate(counts.threeBets, counts.threeBetChances);
+    const wentToShowdown = rate(counts.showdownCount, counts.flopsSeen);
+    const wonAtShowdown = rate(counts.showdownWins, counts.showdownCount);
+
+    const isKnown = counts.hands >= MIN_HANDS;
+    const tendencies = [];
+    if (isKnown && vpip >= 0.45 && (aggression === null || aggression < 1)) tendencies.push('calling-station');
+    if (isKnown && vpip < 0.2) tendencies.push('tight');
+    if (isKnown && aggression !== null && aggression >= 2.5) tendencies.push('aggressive');
+    if (counts.cbetsFaced >= MIN_CBETS_FACED && foldToCbet >= 0.6) tendencies.push('folds-to-cbet');
+
+    return {
+      playerId: counts.playerId,
+      name: counts.name,
+      hands: counts.hands,
+      vpip,
+      pfr,
+      threeBet,
+      threeBetChances: counts.threeBetChances,
+      aggression,
+      foldToCbet,
+      cbetsFaced: counts.cbetsFaced,
+      flopsSeen: counts.flopsSeen,
+      wentToShowdown,
+      wonAtShowdown,
+      showdownCount: counts.showdownCount,
+      showdowns: counts.showdowns.map(s => ({ ...s })),
+      tendencies
+    };
+  }
+
+  getProfiles() {
+    return [...this.players.keys()].map(id => this.getProfile(id));
+  }
+}
@@ -1,9 +1,35 @@
 import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
-import { Player, Deck, HandState } from './game.js';
-import { evaluateHand } from './evaluate.js';
-import { Bot, generateBotId } from './bot.js';
+import { randomBytes } from 'crypto';
+import { Player } from './game.js';
+import { createBot, generateBotId } from './bot.js';
+import { STRATEGIES, DIFFICULTIES, getBotView } from './strategies.js';
+import { loadExternalBots, ExternalBot } from './external.js';
+import { OpponentModel } from './opponents.js';
+import { sanitizeClientSeed, getPublicFairness } from './fairness.js';
+import { validateSettings } from './settings.js';
+import { getRaiseLimits, canReraise } from './betting.js';
+import { Tournament } from './tournament.js';
+import { TournamentCoordinator } from './coordinator.js';
+import { HandHistory, formatPokerStarsSession, archiveHandHistory } from './history.js';
+import { parseEquityRequest, calculateEquity } from './equity.js';
+import {
+  startHand as startEngineHand,
+  applyAction,
+  removePlayer,
+  getCurrentPlayer,
+  getTimeoutAction,
+  isHandInProgress,
+  dealRunout,
+  takeSeat,
+  getFreeSeat,
+  getSeatError,
+  getTopUpError,
+  isHoldingCards
+} from './engine.js';
+import { ChipLedger, getSettlement, formatLedgerCsv } from './ledger.js';
+import { ChatChannel, RateLimiter } from './chat.js';
 
 const app = express();
 const httpServer = createServer(app);
@@ -25,28 +51,184 @@ app.get('/health', (req, res) => {
 
 const rooms = {}; // roomId -> game state
 const turnTimers = {}; // roomId -> timerId
+const runoutTimers = {}; // roomId -> timerId
+const sessions = {}; // token -> { roomId, playerId }
+const reconnectTimers = {}; // playerId -> timerId
+const seatOfferTimers = {}; // roomId -> timerId
 
 // Constants
-const TURN_TIME_LIMIT = 30000; // 30 seconds
 const BOT_ACTION_DELAY = 1000;
-
-// Generate unique room ID
+const RUNOUT_STREET_DELAY = 1500; // Pause between streets of an all-in runout
+const MAX_HAND_HISTORIES = 200; // Per room, oldest dropped first
+const HAND_HISTORY_DIR = process.env.HAND_HISTORY_DIR || null; // Optional on-disk archive
+const BOT_DEBUG = !!process.env.BOT_DEBUG; // Allow getBotDebug: bots' reasons reveal their hands
+const EXTERNAL_BOT_AGENTS = loadExternalBotAgents(process.env.EXTERNAL_BOTS); // See external.js
+const RECONNECT_GRACE_PERIOD = 60000; // Seat is held this long after a disconnect
+const SEAT_OFFER_TIME = 30000; // A free seat waits this long for the next player on the waiting list
+const BIG_WIN_BLINDS = 40; // Pots won at least this many big blinds get a chat announcement
+
+const chatLimiter = new RateLimiter({ limit: 5, windowMs: 10000 }); // Per socket
+const equityLimiter = new RateLimiter({ limit: 5, windowMs: 10000 }); // Odds calculations run on this thread
+
+// The operator's external agents, or none if the list is missing or invalid
+function loadExternalBotAgents(file) {
+  if (!file) return [];
+  const { agents, error } = loadExternalBots(file);
+  if (error) {
+    console.error(`External bots disabled: ${error}`);
+    return [];
+  }
+  console.log(`External bots: ${agents.map(a => a.name).join(', ')}`);
+  return agents;
+}
 
 // Generate unique room ID
 function generateRoomId() {
   return Math.random().toString(36).substring(2, 8).toUpperCase();
 }
 
+// Player IDs are public and stable across reconnects; the session token that
+// proves ownership of a seat is only ever sent to that player
+function generatePlayerId() {
+  return `player_${randomBytes(8).toString('hex')}`;
+}
+
+function generateSessionToken() {
+  return randomBytes(24).toString('hex');
+}
+
+// Numeric, increasing hand IDs (hand tracking tools expect PokerStars-style numbers)
+let lastHandId = 0;
+function generateHandId() {
+  lastHandId = Math.max(lastHandId + 1, Date.now());
+  return lastHandId;
+}
+
 // Get game state for a room
 function getGameState(roomId) {
   return rooms[roomId];
 }
 
+function createRoomState(settings, players) {
+  return {
+    settings,
+    players,
+    gameStarted: false,
+    handState: null,
+    deck: null,
+    positions: null, // Button and blind seats of the last hand (see engine.js)
+    tournament: null, // Tournament once a tournament room starts
+    coordinator: null, // TournamentCoordinator when the tournament spans several tables
+    isWaitingForPlayers: false, // Short of players to deal: moved in (tournaments) or back from sitting out
+    waitingList: [], // { id, name, clientSeed, socketId, offeredSeat } in arrival order when the table is full
+    ledger: new ChipLedger(), // Buy-ins and cash-outs; one shared by every table of a tournament
+    opponentModel: new OpponentModel(), // Everyone's stats at this table, read by bots and shown in the HUD
+    chat: new ChatChannel(),
+    hostId: null, // Player who created the room (see getHostId)
+    gameLog: [], // Action log
+    handHistories: [], // Completed hands (HandHistory)
+    currentHistory: null
+  };
+}
+
+// Cash players buy in for their starting chips as they sit down; tournament
+// entries are paid when the tournament starts
+function recordBuyIn(gameState, player) {
+  if (gameState.settings.mode === 'tournament') return;
+  gameState.ledger.record(player, 'buyIn', { chips: player.chips });
+}
+
+// Cash players take their stack with them when they leave
+function recordCashOut(gameState, player) {
+  if (gameState.settings.mode === 'tournament') return;
+  gameState.ledger.record(player, 'cashOut', { chips: player.chips });
+}
+
+// Session results, counting chips still on a cash table as if cashed out now
+function getLedgerSummary(gameState) {
+  const stacks = {};
+  if (!gameState.tournament) {
+    gameState.players.forEach(p => {
+      stacks[p.id] = p.chips;
+    });
+  }
+  return gameState.ledger.getSummary(stacks);
+}
+
+// Session stats for the HUD: the opponent model's profile, less the shown-down
+// hands, or null before the player has been dealt in here
+function getPlayerStats(gameState, playerId) {
+  const profile = gameState.opponentModel.getProfile(playerId);
+  if (!profile) return null;
+  const { showdowns, ...stats } = profile;
+  return stats;
+}
+
+// The room's creator hosts while seated; after that, the first human at the table
+function getHostId(gameState) {
+  const humans = gameState.players.filter(p => !p.isBot);
+  const host = humans.find(p => p.id === gameState.hostId) || humans[0];
+  return host ? host.id : null;
+}
+
+// Seated players and the waiting list can chat
+function getChatSender(socket, roomId) {
+  const gameState = rooms[roomId];
+  if (!gameState || socket.data.roomId !== roomId) return null;
+  const id = socket.data.playerId || socket.data.waitingId;
+  return gameState.players.find(p => p.id === id) || gameState.waitingList.find(w => w.id === id) || null;
+}
+
+// Joins, leaves and big wins, inline with the chat
+function postSystemMessage(roomId, text) {
+  const gameState = rooms[roomId];
+  if (!gameState) return;
+  io.to(roomId).emit('chatMessage', { roomId, message: gameState.chat.system(text) });
+}
+
+function announceBigWins(roomId, event) {
+  const { handState } = rooms[roomId];
+  const totals = new Map(); // playerId -> { name, amount }
+  event.winners.forEach(w => {
+    const total = totals.get(w.playerId) || { name: w.playerName, amount: 0 };
+    total.amount += w.share;
+    totals.set(w.playerId, total);
+  });
+  totals.forEach(({ name, amount }) => {
+    if (amount >= BIG_WIN_BLINDS * handState.bigBlind) {
+      postSystemMessage(roomId, `${name} wins a big pot of $${amount}`);
+    }
+  });
+}
+
+// Seats a room can fill before it starts: tournaments register up to
+// maxEntrants and deal any beyond one table's worth out to extra tables
+function getRoomCapacity(gameState) {
+  const { settings } = gameState;
+  if (settings.mode === 'tournament' && !gameState.gameStarted) {
+    return settings.tournament.maxEntrants;
+  }
+  return settings.maxSeats;
+}
+
+// Tournament info for clients, with this room's place among the tables
+function getTournamentInfo(roomId) {
+  const { tournament, coordinator } = rooms[roomId];
+  const info = tournament.getInfo();
+  if (coordinator) {
+    info.tableNumber = coordinator.getTable(roomId).number;
+    info.tablesRemaining = coordinator.openTables.length;
+  }
+  return info;
+}
+
 // Broadcast game state to room
 function broadcastGameState(roomId) {
   const gameState = rooms[roomId];
   if (gameState) {
     const isShowdown = gameState.handState && gameState.handState.phase === 'showdown';
+    // Hands are turned face up once nobody can bet any more
+    const showHands = isShowdown || (gameState.handState && gameState.handState.isRunout);
     io.to(roomId).emit('gameStateUpdate', {
       players: gameState.players.map(p => ({
         id: p.id,
@@ -56,11 +238,26 @@ function broadcastGameState(roomId) {
         hasFolded: p.hasFolded,
         isAllIn: p.isAllIn,
         hasActed: p.hasActed,
-        // Only send hand during showdown
-        hand: isShowdown && !p.hasFolded ? p.hand : null
+        isConnected: p.isConnected,
+        runItTwice: p.runItTwice,
+        seat: p.seat,
+        isSittingOut: p.isSittingOut,
+        missedBlind: p.missedBlind,
+        strategy: p.isBot ? p.strategy : null,
+        difficulty: p.isBot ? p.difficulty : null,
+        stats: getPlayerStats(gameState, p.id),
+        isMuted: gameState.chat.isMuted(p.id),
+        // Only send hand during showdown or an all-in runout
+        hand: showHands && !p.hasFolded ? p.hand : null
       })),
       roomId: roomId,
+      settings: gameState.settings,
+      tournament: gameState.tournament ? getTournamentInfo(roomId) : null,
       gameStarted: gameState.gameStarted,
+      waitingList: gameState.waitingList.map(w => ({ id: w.id, name: w.name, offeredSeat: w.offeredSeat, isMuted: gameState.chat.isMuted(w.id) })),
+      hostId: getHostId(gameState),
+      ledger: getLedgerSummary(gameState),
+      botAgents: EXTERNAL_BOT_AGENTS.map(a => a.name),
       gameLog: gameState.gameLog || [],
       handState: gameState.handState ? {
         phase: gameState.handState.phase,
@@ -68,8 +265,17 @@ function broadcastGameState(roomId) {
         pot: gameState.handState.pot,
         currentBet: gameState.handState.currentBet,
         currentPlayerIndex: gameState.handState.currentPlayerIndex,
-        dealerIndex: gameState.handState.dealerIndex,
-        winners: gameState.handState.winners || []
+        currentPlayerId: gameState.handState.currentPlayerId,
+        buttonSeat: gameState.handState.buttonSeat,
+        dealerId: gameState.handState.dealerId,
+        winners: gameState.handState.winners || [],
+        isRunout: gameState.handState.isRunout,
+        runItTwice: gameState.handState.runItTwice,
+        boards: gameState.handState.boards,
+        sharedBoardSize: gameState.handState.sharedBoardSize,
+        equity: gameState.handState.equity,
+        // Server seed is only revealed once the hand is over
+        fairness: getPublicFairness(gameState.handState.fairness, isShowdown)
       } : null
     });
   }
@@ -85,17 +291,32 @@ function broadcastHandState(roomId) {
     communityCards: gameState.handState.communityCards,
     pot: gameState.handState.pot,
     currentBet: gameState.handState.currentBet,
+    lastRaiseSize: gameState.handState.lastRaiseSize,
     currentPlayerIndex: gameState.handState.currentPlayerIndex,
-    dealerIndex: gameState.handState.dealerIndex,
-    activePots: gameState.handState.potManager ? gameState.handState.potManager.pots.map(p => ({ amount: p.amount })) : []
+    currentPlayerId: gameState.handState.currentPlayerId,
+    buttonSeat: gameState.handState.buttonSeat,
+    dealerId: gameState.handState.dealerId,
+    activePots: gameState.handState.potManager ? gameState.handState.potManager.pots.map(p => ({ amount: p.amount })) : [],
+    winners: gameState.handState.winners || [],
+    isRunout: gameState.handState.isRunout,
+    runItTwice: gameState.handState.runItTwice,
+    boards: gameState.handState.boards,
+    sharedBoardSize: gameState.handState.sharedBoardSize,
+    equity: gameState.handState.equity
   };
 
-  // Send to each player with their own hand
+  // Send to each connected player with their own hand
   gameState.players.forEach(player => {
-    io.to(player.id).emit('handStateUpdate', {
+    if (!player.socketId || !player.isConnected) return;
+    const isTurn = isHandInProgress(gameState) && gameState.handState.currentPlayerId === player.id;
+    io.to(player.socketId).emit('handStateUpdate', {
       ...handStateData,
       myHand: player.hand,
-      myPlayerId: player.id
+      myPlayerId: player.id,
+      // Raise range the betting structure allows on this player's turn
+      raiseLimits: isTurn ? getRaiseLimits(gameState, player) : null,
+      // False once a short all-in leaves this player only calling or folding
+      canReraise: isHandInProgress(gameState) ? canReraise(gameState.handState, player) : false
     });
   });
 }
@@ -105,20 +326,18 @@ function startTurnTimer(roomId) {
   stopTurnTimer(roomId); // Clear existing
 
   const gameState = rooms[roomId];
-  if (!gameState || !gameState.handState || !gameState.gameStarted) return;
+  if (!gameState || !gameState.gameStarted || !isHandInProgress(gameState)) return;
 
-  const activePlayers = gameState.players.filter(p => !p.hasFolded && p.chips > 0);
-  if (activePlayers.length <= 1) return; // No timer needed if 1 player left (hand ends)
-
-  const currentPlayer = activePlayers[gameState.handState.currentPlayerIndex];
+  const currentPlayer = getCurrentPlayer(gameState);
   if (!currentPlayer || currentPlayer.isBot) return; // Bots manage their own timing
 
+  // Players sitting out get no time: they check or fold straight away
+  const timeLimit = currentPlayer.isSittingOut ? 0 : gameState.settings.turnTimeLimit * 1000;
   turnTimers[roomId] = setTimeout(() => {
     console.log(`Time expired for player ${currentPlayer.name} (${currentPlayer.id})`);
     // Force action: Check if possible, otherwise Fold
-    const canCheck = currentPlayer.currentBet >= gameState.handState.currentBet;
-    handlePlayerAction(roomId, currentPlayer.id, canCheck ? { type: 'check' } : { type: 'fold' });
-  }, TURN_TIME_LIMIT);
+    handlePlayerAction(roomId, currentPlayer.id, getTimeoutAction(gameState, currentPlayer));
+  }, timeLimit);
 }
 
 function stopTurnTimer(roomId) {
@@ -128,137 +347,356 @@ function stopTurnTimer(roomId) {
   }
 }
 
-// Start a new hand
-function startHand(roomId) {
-  const gameState = rooms[roomId];
-  if (!gameState || gameState.players.length < 2) return;
+// Deal the next street of an all-in runout after a pause
+function scheduleRunout(roomId) {
+  stopRunoutTimer(roomId);
+  runoutTimers[roomId] = setTimeout(() => {
+    delete runoutTimers[roomId];
+    const gameState = rooms[roomId];
+    if (!gameState) return;
+    const { events } = dealRunout(gameState);
+    if (events.length > 0) {
+      dispatchEngineEvents(roomId, events);
+    }
+  }, RUNOUT_STREET_DELAY);
+}
 
-  // Reset players for new hand
-  gameState.players.forEach(player => {
-    player.resetForNewHand();
-  });
+function stopRunoutTimer(roomId) {
+  if (runoutTimers[roomId]) {
+    clearTimeout(runoutTimers[roomId]);
+    delete runoutTimers[roomId];
+  }
+}
 
-  // Create new deck and shuffle
-  gameState.deck = new Deck();
-  gameState.deck.shuffle();
+// Add an entry to the room's action log
+function logAction(gameState, message) {
+  if (!gameState.gameLog) gameState.gameLog = [];
+  gameState.gameLog.push(message);
+  if (gameState.gameLog.length > 50) gameState.gameLog.shift();
+  console.log(`[Game Log] ${message}`);
+}
 
-  // Deal cards to players
-  gameState.players.forEach(player => {
-    player.hand = gameState.deck.dealCards(2);
-  });
+function describeAction(event) {
+  switch (event.action) {
+    case 'fold':
+      return `${event.playerName} folds`;
+    case 'check':
+      return `${event.playerName} checks`;
+    case 'call':
+      return `${event.playerName} calls${event.isAllIn ? ' (All-In)' : ''} $${event.amount}`;
+    case 'raise':
+      return `${event.playerName} raises to $${event.amount}`;
+    default:
+      return `${event.playerName} ${event.action}`;
+  }
+}
+
+// Record engine events into the room's hand histories
+function recordHandHistory(roomId, events) {
+  const gameState = rooms[roomId];
+  if (events.some(e => e.type === 'handStarted')) {
+    const { tournament } = gameState;
+    gameState.currentHistory = new HandHistory(gameState, {
+      handId: generateHandId(),
+      roomId,
+      maxSeats: gameState.settings.maxSeats,
+      tournament: tournament ? { id: tournament.id, level: tournament.levelIndex + 1 } : null
+    });
+  }
 
-  // Set up blinds
-  const activePlayers = gameState.players.filter(p => p.chips > 0);
-  if (activePlayers.length < 2) return;
+  const history = gameState.currentHistory;
+  if (!history) return;
 
-  gameState.handState = new HandState();
-  // Rotate dealer
-  gameState.dealerIndex = (gameState.dealerIndex + 1) % activePlayers.length;
-  gameState.handState.dealerIndex = gameState.dealerIndex;
-  gameState.handState.smallBlindIndex = (gameState.handState.dealerIndex + 1) % activePlayers.length;
-  gameState.handState.bigBlindIndex = (gameState.handState.smallBlindIndex + 1) % activePlayers.length;
+  history.record(events, gameState);
+  if (history.isComplete) {
+    gameState.handHistories.push(history);
+    if (gameState.handHistories.length > MAX_HAND_HISTORIES) gameState.handHistories.shift();
+    gameState.currentHistory = null;
+    archiveHandHistory(HAND_HISTORY_DIR, history);
+  }
+}
 
-  const smallBlind = Math.min(10, activePlayers[gameState.handState.smallBlindIndex].chips);
-  const bigBlind = Math.min(20, activePlayers[gameState.handState.bigBlindIndex].chips);
+// External agents hear how each hand they were dealt into ended
+function notifyExternalBots(gameState, event) {
+  gameState.players
+    .filter(p => p.agent && p.hand.length > 0)
+    .forEach(bot => bot.agent.notify({
+      type: 'handEnded',
+      botId: bot.id,
+      handNumber: gameState.handState.handNumber,
+      winners: event.winners,
+      showdown: event.showdown
+    }));
+}
 
-  activePlayers[gameState.handState.smallBlindIndex].bet(smallBlind);
-  activePlayers[gameState.handState.bigBlindIndex].bet(bigBlind);
+// Apply the events produced by the hand engine: log them, broadcast the new
+// state and schedule whatever comes next (turn timer, bot move, next hand).
+function dispatchEngineEvents(roomId, events) {
+  const gameState = rooms[roomId];
+  if (!gameState) return;
+
+  recordHandHistory(roomId, events);
+  gameState.opponentModel.observe(events, gameState);
+
+  let handEnded = false;
+  events.forEach(event => {
+    if (event.type === 'action') {
+      logAction(gameState, describeAction(event));
+    } else if (event.type === 'runout') {
+      logAction(gameState, event.runItTwice ? 'All in - running it twice' : 'All in - running it out');
+    } else if (event.type === 'handEnded') {
+      handEnded = true;
+      notifyExternalBots(gameState, event);
+      announceBigWins(roomId, event);
+    }
+  });
 
-  gameState.handState.currentBet = bigBlind;
-  gameState.handState.pot = smallBlind + bigBlind;
-  gameState.handState.currentPlayerIndex = (gameState.handState.bigBlindIndex + 1) % activePlayers.length;
-  gameState.handState.blindsPosted = true;
+  // Busted players can still rebuy while rebuys are open (see startHand)
+  if (handEnded && gameState.tournament && !gameState.tournament.isRebuyOpen()) {
+    recordEliminations(roomId, gameState.players.filter(p => p.chips === 0));
+  }
 
   broadcastGameState(roomId);
   broadcastHandState(roomId);
 
-  startTurnTimer(roomId);
+  if (handEnded) {
+    stopTurnTimer(roomId);
+    stopRunoutTimer(roomId);
+    if (gameState.tournament && gameState.tournament.isComplete) {
+      return;
+    }
+    // After 5 seconds, start new hand
+    setTimeout(() => {
+      if (rooms[roomId] && rooms[roomId].gameStarted) {
+        startHand(roomId);
+      }
+    }, 5000);
+    return;
+  }
+
+  if (gameState.gameStarted && isHandInProgress(gameState) && gameState.handState.isRunout) {
+    scheduleRunout(roomId);
+    return;
+  }
 
-  // Check for bot actions after a delay
-  setTimeout(() => {
-    processBotActions(roomId);
-  }, 500);
+  if (gameState.gameStarted && isHandInProgress(gameState)) {
+    startTurnTimer(roomId);
+    // Check for bot actions after a delay
+    setTimeout(() => {
+      processBotActions(roomId);
+    }, 500);
+  }
 }
 
-// Process betting round
-function processBettingRound(roomId) {
+// Tournament players who lost their last chip (or left) finish in the order
+// they went out
+function recordEliminations(roomId, players) {
   const gameState = rooms[roomId];
-  if (!gameState || !gameState.handState) return;
+  const { tournament, handState } = gameState;
+  const entries = tournament.eliminate(players, handState ? handState.startingStacks : {});
+  entries.forEach(entry => {
+    const prize = tournament.getPrize(entry.place);
+    logAction(gameState, `${entry.name} finishes ${formatPlace(entry.place)}${prize > 0 ? ` ($${prize})` : ''}`);
+    if (prize > 0) {
+      gameState.ledger.record({ id: entry.playerId, name: entry.name }, 'prize', { amount: prize });
+    }
+  });
+
+  const winner = tournament.getWinner();
+  if (winner) {
+    logAction(gameState, `${winner.name} wins the tournament ($${tournament.getPrize(1)})`);
+    gameState.ledger.record({ id: winner.playerId, name: winner.name }, 'prize', { amount: tournament.getPrize(1) });
+  }
+
+  // Players left (and the final standings) show at every table
+  if (entries.length > 0 && gameState.coordinator) {
+    gameState.coordinator.tables
+      .filter(table => table.roomId !== roomId)
+      .forEach(table => broadcastGameState(table.roomId));
+  }
+}
+
+function formatPlace(place) {
+  const suffix = place % 100 >= 11 && place % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[place % 10] || 'th');
+  return `${place}${suffix}`;
+}
 
-  const activePlayers = gameState.players.filter(p => !p.hasFolded && p.chips > 0);
-  if (activePlayers.length <= 1) {
-    // Only one player left, they win
-    endHand(roomId);
+// Start a tournament room. When more players registered than fit at one
+// table, the room becomes table 1 and the rest are dealt out over new rooms
+// that share its Tournament (and so its blind clock).
+function startTournament(roomId) {
+  const gameState = rooms[roomId];
+  const { settings, players } = gameState;
+  const tournament = new Tournament(settings.tournament);
+  tournament.start(players);
+  gameState.tournament = tournament;
+  const { ledger } = gameState;
+  players.forEach(player => ledger.record(player, 'buyIn', { chips: player.chips, amount: tournament.buyIn }));
+  logAction(gameState, `Tournament started with ${players.length} players`);
+
+  if (players.length <= settings.maxSeats) {
+    startHand(roomId);
     return;
   }
 
-  // Check if betting round is complete
-  const allActed = activePlayers.every(p => p.hasActed || p.isAllIn);
-  const allBetsEqual = activePlayers.every(p => p.currentBet === gameState.handState.currentBet || p.isAllIn);
+  const coordinator = new TournamentCoordinator(tournament, { maxSeats: settings.maxSeats });
+  gameState.coordinator = coordinator;
+  coordinator.addTable(roomId, gameState);
+  const tableCount = TournamentCoordinator.tablesNeeded(players.length, settings.maxSeats);
+  for (let i = 1; i < tableCount; i++) {
+    const tableId = generateRoomId();
+    rooms[tableId] = { ...createRoomState(settings, []), gameStarted: true, tournament, coordinator, ledger };
+    coordinator.addTable(tableId, rooms[tableId]);
+  }
+
+  coordinator.seat(players);
+  coordinator.tables.forEach(table => {
+    table.state.players.forEach(player => moveToTable(player, roomId, table.roomId));
+    logAction(table.state, `Table ${table.number} of ${tableCount}: ${table.state.players.length} players`);
+    startHand(table.roomId);
+  });
+}
+
+// Follow a player to another tournament table: their socket and session now
+// point at the new room
+function moveToTable(player, fromRoomId, toRoomId) {
+  let token = null;
+  for (const t in sessions) {
+    if (sessions[t].playerId === player.id) {
+      sessions[t].roomId = toRoomId;
+      token = t;
+    }
+  }
+
+  const socket = player.socketId && io.sockets.sockets.get(player.socketId);
+  if (!socket || socket.data.playerId !== player.id || fromRoomId === toRoomId) return;
+  socket.leave(fromRoomId);
+  socket.join(toRoomId);
+  socket.data.roomId = toRoomId;
+  if (token) {
+    socket.emit('sessionStarted', { roomId: toRoomId, playerId: player.id, token });
+  }
+}
+
+// Between hands at a multi-table tournament table: move players off it as the
+// coordinator decides, and let tables that were waiting for players try again
+// once this one deals or sends players over. Returns whether this table can deal.
+function balanceTable(roomId) {
+  const gameState = rooms[roomId];
+  const { coordinator } = gameState;
+  const table = coordinator.getTable(roomId);
+  if (table.isClosed) return false;
+  const { moves, closed } = coordinator.balance(roomId);
+
+  moves.forEach(({ player, from, to }) => {
+    moveToTable(player, from, to);
+    logAction(gameState, `${player.name} moves to table ${coordinator.getTable(to).number}`);
+    logAction(rooms[to], `${player.name} joins from table ${table.number}`);
+  });
+  new Set(moves.map(move => move.to)).forEach(to => {
+    broadcastGameState(to);
+    broadcastHandState(to);
+  });
 
-  if (allActed && allBetsEqual) {
-    // Collect bets into Pots before moving phase
-    if (gameState.handState.potManager) {
-      // We pass ALL players because we need to process everyone's round bets
-      gameState.handState.potManager.collectBets(gameState.players);
+  if (closed) {
+    logAction(gameState, `Table ${table.number} is broken up`);
+    const open = coordinator.openTables;
+    if (open.length === 1) {
+      logAction(open[0].state, 'Final table');
     }
+  }
+
+  const isWaiting = !closed && coordinator.getPlayers(table).length < 2;
+  if (isWaiting && !gameState.isWaitingForPlayers) {
+    logAction(gameState, 'Waiting for players from other tables');
+  }
+  gameState.isWaitingForPlayers = isWaiting;
+
+  if (!isWaiting || moves.length > 0) {
+    coordinator.openTables
+      .filter(t => t !== table && t.state.isWaitingForPlayers)
+      .forEach(t => setTimeout(() => {
+        // Another table may have restarted it in the meantime
+        if (t.state.isWaitingForPlayers) startHand(t.roomId);
+      }, 0));
+  }
+
+  if (closed || isWaiting) {
+    broadcastGameState(roomId);
+    return false;
+  }
+  return true;
+}
 
-    // Move to next phase
-    if (gameState.handState.phase === 'preflop') {
-      gameState.handState.communityCards = gameState.deck.dealCards(3);
-      gameState.handState.phase = 'flop';
-    } else if (gameState.handState.phase === 'flop') {
-      gameState.handState.communityCards.push(gameState.deck.deal());
-      gameState.handState.phase = 'turn';
-    } else if (gameState.handState.phase === 'turn') {
-      gameState.handState.communityCards.push(gameState.deck.deal());
-      gameState.handState.phase = 'river';
-    } else if (gameState.handState.phase === 'river') {
-      endHand(roomId);
+// Start a new hand
+function startHand(roomId) {
+  const gameState = rooms[roomId];
+  // Never deal over a hand that is still being played
+  if (!gameState || isHandInProgress(gameState)) return;
+
+  // Busted tournament players leave the table; the blind clock sets the stakes
+  let stakes;
+  const { tournament, coordinator } = gameState;
+  if (tournament) {
+    // Busted players who did not rebuy are out once rebuys close, or as soon
+    // as the rest of the table has nobody to play
+    const busted = gameState.players.filter(p => p.chips === 0 && !tournament.isEliminated(p.id));
+    const withChips = gameState.players.filter(p => p.chips > 0);
+    if (busted.length > 0 && (!tournament.isRebuyOpen() || withChips.length < 2)) {
+      recordEliminations(roomId, busted);
+    }
+    if (tournament.isComplete) {
+      broadcastGameState(roomId);
       return;
     }
+    gameState.players
+      .filter(p => tournament.isEliminated(p.id))
+      .forEach(p => removePlayer(gameState, p.id));
 
-    // Reset for new betting round
-    activePlayers.forEach(player => {
-      player.resetForNewBettingRound();
-    });
-    gameState.handState.currentBet = 0;
+    if (coordinator && !balanceTable(roomId)) return;
 
-    // Find first active player after dealer (dealerIndex is index into activePlayers)
-    const dealerPlayer = activePlayers[gameState.handState.dealerIndex];
-    let dealerIndexInAll = gameState.players.findIndex(p => p.id === dealerPlayer.id);
-    let nextIndex = (dealerIndexInAll + 1) % gameState.players.length;
-    while (gameState.players[nextIndex].hasFolded || gameState.players[nextIndex].chips === 0) {
-      nextIndex = (nextIndex + 1) % gameState.players.length;
+    const next = tournament.nextHand();
+    stakes = next.stakes;
+    if (next.levelUp) {
+      const ante = stakes.ante > 0 ? ` ante ${stakes.ante}` : '';
+      logAction(gameState, `Level ${tournament.levelIndex + 1}: blinds ${stakes.smallBlind}/${stakes.bigBlind}${ante}`);
     }
-    // Convert to index in activePlayers array
-    const nextPlayer = gameState.players[nextIndex];
-    gameState.handState.currentPlayerIndex = activePlayers.findIndex(p => p.id === nextPlayer.id);
   }
 
-  broadcastGameState(roomId);
-  broadcastHandState(roomId);
-
-  if (gameState.gameStarted && gameState.handState && activePlayers.length > 1) {
-    if (!allActed || !allBetsEqual) {
-      startTurnTimer(roomId);
+  const { events } = startEngineHand(gameState, { stakes });
+  if (events.length > 0) {
+    dispatchEngineEvents(roomId, events);
+  } else if (!tournament) {
+    // Not enough players in: deal again once somebody sits in or joins
+    if (!gameState.isWaitingForPlayers) {
+      logAction(gameState, 'Waiting for players');
     }
-    // Check for bot actions after a delay
-    setTimeout(() => {
-      processBotActions(roomId);
-    }, 500);
+    gameState.isWaitingForPlayers = true;
+    broadcastGameState(roomId);
   }
 }
 
+// A cash table that stopped for lack of players deals as soon as it can
+function resumeIfWaiting(roomId) {
+  const gameState = rooms[roomId];
+  if (!gameState || !gameState.gameStarted || gameState.tournament || !gameState.isWaitingForPlayers) return;
+  gameState.isWaitingForPlayers = false;
+  startHand(roomId);
+}
+
 // Process bot actions
 function processBotActions(roomId) {
   const gameState = rooms[roomId];
-  if (!gameState || !gameState.handState || !gameState.gameStarted) return;
+  if (!gameState || !gameState.gameStarted || !isHandInProgress(gameState)) return;
 
-  const activePlayers = gameState.players.filter(p => !p.hasFolded && p.chips > 0);
-  if (activePlayers.length <= 1) return;
+  const currentPlayer = getCurrentPlayer(gameState);
 
-  const currentPlayer = activePlayers[gameState.handState.currentPlayerIndex];
+  if (currentPlayer && currentPlayer.agent && !currentPlayer.hasActed && !currentPlayer.isAllIn) {
+    requestExternalAction(roomId, currentPlayer).catch(error => {
+      console.error(`External bot ${currentPlayer.name} action error:`, error);
+    });
+    return;
+  }
 
   if (currentPlayer && currentPlayer.isBot && !currentPlayer.hasActed && !currentPlayer.isAllIn) {
     console.log(`Bot ${currentPlayer.name} is thinking...`);
@@ -266,387 +704,296 @@ function processBotActions(roomId) {
     setTimeout(() => {
       // Re-check state in case it changed
       const gameStateCheck = rooms[roomId];
-      if (!gameStateCheck || !gameStateCheck.handState) return;
+      if (!gameStateCheck || !isHandInProgress(gameStateCheck)) return;
 
-      const activePlayersCheck = gameStateCheck.players.filter(p => !p.hasFolded && p.chips > 0);
-      const currentPlayerCheck = activePlayersCheck[gameStateCheck.handState.currentPlayerIndex];
+      const currentPlayerCheck = getCurrentPlayer(gameStateCheck);
 
       if (currentPlayerCheck && currentPlayerCheck.isBot && currentPlayerCheck.id === currentPlayer.id) {
-        const decision = currentPlayerCheck.makeDecision(gameStateCheck, gameStateCheck.handState);
+        const decision = currentPlayerCheck.makeDecision(gameStateCheck);
         console.log(`Bot ${currentPlayerCheck.name} decided:`, decision);
-        if (decision) {
-          handlePlayerAction(roomId, currentPlayerCheck.id, decision);
-        } else {
+        if (!decision) {
           console.error(`Bot ${currentPlayerCheck.name} returned null decision! Forcing fold.`);
           handlePlayerAction(roomId, currentPlayerCheck.id, { type: 'fold' });
+          return;
+        }
+        const rejection = handlePlayerAction(roomId, currentPlayerCheck.id, decision);
+        if (rejection) {
+          console.error(`Bot ${currentPlayerCheck.name} action rejected (${rejection.message}). Forcing fold.`);
+          handlePlayerAction(roomId, currentPlayerCheck.id, { type: 'fold' });
         }
       }
-    }, 1000 + Math.random() * 1000); // 1-2 second delay for realism
+    }, BOT_ACTION_DELAY + Math.random() * 1000); // 1-2 second delay for realism
   }
 }
 
-// Handle player action (extracted from socket handler for reuse)
-function handlePlayerAction(roomId, playerId, action) {
+// Ask an external bot's agent for its action and apply it. No answer in time,
+// or one the engine rejects, checks or folds for it instead.
+async function requestExternalAction(roomId, bot) {
+  if (bot.isDeciding) return;
+  bot.isDeciding = true;
   const gameState = rooms[roomId];
-  if (!gameState || !gameState.handState) {
-    return;
+  const { handNumber, actionCount } = gameState.handState;
+  let action;
+  try {
+    action = await bot.agent.decide({ botId: bot.id, view: getBotView(gameState, bot) });
+  } finally {
+    bot.isDeciding = false;
   }
 
-  const player = gameState.players.find(p => p.id === playerId);
-  if (!player) {
-    return;
+  // The hand may have moved on while the agent was thinking, even round to
+  // this bot's turn again on a later bet or street
+  const current = rooms[roomId];
+  if (!current || !isHandInProgress(current) || current.handState.handNumber !== handNumber) return;
+  if (current.handState.actionCount !== actionCount || getCurrentPlayer(current)?.id !== bot.id) return;
+
+  const rejection = action ? handlePlayerAction(roomId, bot.id, action) : { message: 'no valid answer in time' };
+  if (rejection) {
+    const fallback = getTimeoutAction(current, bot);
+    console.error(`External bot ${bot.name}: ${rejection.message}. Forcing ${fallback.type}.`);
+    handlePlayerAction(roomId, bot.id, fallback);
   }
+}
 
-  const activePlayers = gameState.players.filter(p => !p.hasFolded && p.chips > 0);
-  const currentPlayer = activePlayers[gameState.handState.currentPlayerIndex];
-
-  if (currentPlayer.id !== playerId) {
-    return;
+// Handle player action (shared by sockets, turn timer and bots).
+// Returns the engine's rejection event if the action was not accepted.
+function handlePlayerAction(roomId, playerId, action) {
+  const gameState = rooms[roomId];
+  if (!gameState) {
+    return { message: 'Room not found' };
   }
 
-  if (player.hasActed && !player.isAllIn) {
-    return;
+  const { events } = applyAction(gameState, playerId, action);
+  const rejection = events.find(e => e.type === 'actionRejected');
+  if (rejection) {
+    return rejection;
   }
 
   stopTurnTimer(roomId); // Stop timer as action is received
+  dispatchEngineEvents(roomId, events);
+  return null;
+}
 
-  // Log action helper
-  function logAction(actionType, amount = null) {
-    if (!gameState.gameLog) gameState.gameLog = [];
-    const logEntry = `${player.name} ${actionType}${amount ? ` $${amount}` : ''}`;
-    gameState.gameLog.push(logEntry);
-    if (gameState.gameLog.length > 50) gameState.gameLog.shift();
-    console.log(`[Game Log] ${logEntry}`);
-  }
-
-  // Process action
-  switch (action.type) {
-    case 'fold':
-      player.fold();
-      player.hasActed = true;
-      logAction('folds');
-      break;
-
-    case 'check':
-      if (player.currentBet < gameState.handState.currentBet) {
-        return;
-      }
-      player.hasActed = true;
-      logAction('checks');
-      break;
-
-    case 'call':
-      const callAmount = gameState.handState.currentBet - player.currentBet;
-      if (callAmount > player.chips) {
-        const allInAmount = player.bet(player.chips);
-        gameState.handState.pot += allInAmount;
-        logAction('calls (All-In)', allInAmount);
-      } else {
-        const betAmount = player.bet(callAmount);
-        gameState.handState.pot += betAmount;
-        logAction('calls', callAmount);
-      }
-      player.hasActed = true;
-      break;
-
-    case 'raise':
-      if (!action.amount || action.amount <= 0) {
-        return;
-      }
-
-      // Minimum raise validation
-      const minRaise = gameState.handState.phase === 'preflop' ? 20 : 10;
-      const currentBet = gameState.handState.currentBet;
-      const raiseCallAmount = currentBet - player.currentBet;
-      const raiseAboveCall = action.amount - raiseCallAmount;
-
-      // Only enforce min-raise if not going all-in
-      if (raiseAboveCall < minRaise && action.amount < player.chips) {
-        console.log(`Raise rejected: ${player.name} tried to raise by ${raiseAboveCall}, min is ${minRaise}`);
-        // Convert to call for bots to prevent stuck state
-        if (player.isBot) {
-          console.log(`Bot ${player.name} converting to call instead`);
-          const callAmount = gameState.handState.currentBet - player.currentBet;
-          if (callAmount > player.chips) {
-            const allInAmount = player.bet(player.chips);
-            gameState.handState.pot += allInAmount;
-            logAction('calls (All-In)', allInAmount);
-          } else {
-            const betAmount = player.bet(callAmount);
-            gameState.handState.pot += betAmount;
-            logAction('calls', callAmount);
-          }
-          player.hasActed = true;
-          break;
-        }
-        return;
-      }
+// Add bot to room, playing one of the STRATEGIES at one of the DIFFICULTIES
+function addBotToRoom(roomId, strategy = 'casual', difficulty = 'medium') {
+  const gameState = rooms[roomId];
+  if (!gameState) return false;
 
-      const totalBet = player.currentBet + action.amount;
-      if (totalBet <= gameState.handState.currentBet) {
-        // Invalid raise - convert to call for bots
-        if (player.isBot) {
-          console.log(`Bot ${player.name} raise below current bet, converting to call`);
-          const callAmount = gameState.handState.currentBet - player.currentBet;
-          if (callAmount > player.chips) {
-            const allInAmount = player.bet(player.chips);
-            gameState.handState.pot += allInAmount;
-            logAction('calls (All-In)', allInAmount);
-          } else {
-            const betAmount = player.bet(callAmount);
-            gameState.handState.pot += betAmount;
-            logAction('calls', callAmount);
-          }
-          player.hasActed = true;
-          break;
-        }
-        return;
-      }
-      if (totalBet > player.chips + player.currentBet) {
-        return;
-      }
-      const raiseAmount = player.bet(action.amount);
-      gameState.handState.currentBet = player.currentBet;
-      gameState.handState.pot += raiseAmount;
-      logAction('raises to', player.currentBet);
-
-      // Reset all players' hasActed since there's a new bet
-      activePlayers.forEach(p => {
-        if (p.id !== player.id) {
-          p.hasActed = false;
-        }
-      });
-      player.hasActed = true;
-      break;
+  if (gameState.players.length >= getRoomCapacity(gameState)) {
+    return false; // Room full
   }
 
-  // Move to next player. Use post-action active list (chips > 0) so all-in player is excluded;
-  // otherwise currentPlayerIndex would point at the wrong player when processBotActions runs.
-  const activeAfterAction = gameState.players.filter(p => !p.hasFolded && p.chips > 0);
-  const currentPlayerId = currentPlayer.id;
-  const currentIndexInFull = gameState.players.findIndex(p => p.id === currentPlayerId);
-  let nextIndexInFull = (currentIndexInFull + 1) % gameState.players.length;
-  let attempts = 0;
-  while ((gameState.players[nextIndexInFull].hasFolded || gameState.players[nextIndexInFull].chips === 0) && attempts < gameState.players.length) {
-    nextIndexInFull = (nextIndexInFull + 1) % gameState.players.length;
-    attempts++;
-  }
-  const nextPlayer = gameState.players[nextIndexInFull];
-  gameState.handState.currentPlayerIndex = activeAfterAction.findIndex(p => p.id === nextPlayer.id);
-  if (gameState.handState.currentPlayerIndex < 0) {
-    gameState.handState.currentPlayerIndex = 0;
-  }
+  const botId = generateBotId();
+  const bot = createBot(strategy, botId, null, gameState.settings.startingChips, { difficulty });
+  if (!bot) return false;
+  takeSeat(gameState, bot);
+  recordBuyIn(gameState, bot);
 
   broadcastGameState(roomId);
-  broadcastHandState(roomId);
-
-  startTurnTimer(roomId); // Restart timer for next player (or current if action failed/round continues)
-
-  // Process betting round and bot actions
-  setTimeout(() => {
-    processBettingRound(roomId);
-  }, 100);
+  return true;
 }
 
-// Add bot to room
-function addBotToRoom(roomId) {
+// Seat one of the operator's external agents (see external.js)
+function addExternalBotToRoom(roomId, config) {
   const gameState = rooms[roomId];
   if (!gameState) return false;
 
-  if (gameState.players.length >= 7) {
+  if (gameState.players.length >= getRoomCapacity(gameState)) {
     return false; // Room full
   }
 
-  const botId = generateBotId();
-  const bot = new Bot(botId);
-  gameState.players.push(bot);
+  const bot = new ExternalBot(generateBotId(), config, gameState.settings.startingChips);
+  takeSeat(gameState, bot);
+  recordBuyIn(gameState, bot);
+  bot.agent.notify({ type: 'hello', botId: bot.id, name: bot.name, roomId, settings: gameState.settings });
 
   broadcastGameState(roomId);
   return true;
 }
 
-// Remove bot from room
-function removeBotFromRoom(roomId, botId) {
+// Remove a player (or bot) from a room, folding them out of any active hand
+function removePlayerFromRoom(roomId, playerId) {
   const gameState = rooms[roomId];
-  if (!gameState) return false;
-
-  const botIndex = gameState.players.findIndex(p => p.id === botId && p.isBot);
-  if (botIndex === -1) return false;
-
-  const bot = gameState.players[botIndex];
+  if (!gameState) return;
+
+  const wasCurrent = getCurrentPlayer(gameState)?.id === playerId;
+  const agent = gameState.players.find(p => p.id === playerId)?.agent;
+  if (agent) agent.close();
+  const { events } = removePlayer(gameState, playerId);
+  if (wasCurrent) {
+    stopTurnTimer(roomId);
+  }
 
-  // If in active hand, fold them
-  if (gameState.handState && !bot.hasFolded) {
-    bot.fold();
+  if (isHandInProgress(gameState) || events.length > 0) {
+    dispatchEngineEvents(roomId, events);
+  } else {
+    broadcastGameState(roomId);
   }
+  offerFreeSeat(roomId);
+}
 
-  gameState.players.splice(botIndex, 1);
+// Offer the lowest free seat to the first player on the waiting list. It is
+// held for them for SEAT_OFFER_TIME, then goes to the next player in line.
+function offerFreeSeat(roomId) {
+  const gameState = rooms[roomId];
+  if (!gameState || gameState.waitingList.length === 0 || seatOfferTimers[roomId]) return;
+  if (gameState.players.length >= gameState.settings.maxSeats) return;
+
+  const entry = gameState.waitingList[0];
+  entry.offeredSeat = getFreeSeat(gameState);
+  io.to(entry.socketId).emit('seatOffered', { roomId, seat: entry.offeredSeat, timeLimit: SEAT_OFFER_TIME / 1000 });
+  seatOfferTimers[roomId] = setTimeout(() => {
+    delete seatOfferTimers[roomId];
+    logAction(gameState, `${entry.name} did not take seat ${entry.offeredSeat}`);
+    removeFromWaitingList(roomId, entry.id);
+  }, SEAT_OFFER_TIME);
   broadcastGameState(roomId);
+}
 
-  if (gameState.handState) {
-    broadcastHandState(roomId);
-    setTimeout(() => {
-      processBettingRound(roomId);
-    }, 100);
+// Take someone off the waiting list (they left, declined or took the seat)
+// and offer any seat they were holding to the next in line
+function removeFromWaitingList(roomId, waitingId) {
+  const gameState = rooms[roomId];
+  if (!gameState) return;
+  const entry = gameState.waitingList.find(w => w.id === waitingId);
+  if (!entry) return;
+
+  gameState.waitingList = gameState.waitingList.filter(w => w !== entry);
+  const socket = io.sockets.sockets.get(entry.socketId);
+  if (socket && socket.data.waitingId === waitingId) {
+    socket.leave(roomId);
+    socket.data = {};
+    socket.emit('waitingListLeft', { roomId });
+  }
+  if (entry.offeredSeat) {
+    clearTimeout(seatOfferTimers[roomId]);
+    delete seatOfferTimers[roomId];
   }
 
-  return true;
+  if (gameState.players.length === 0 && gameState.waitingList.length === 0) {
+    deleteRoom(roomId);
+    return;
+  }
+  offerFreeSeat(roomId);
+  broadcastGameState(roomId);
 }
 
-// End hand and determine winners
-function endHand(roomId) {
+// Remove bot from room
+function removeBotFromRoom(roomId, botId) {
   const gameState = rooms[roomId];
-  if (!gameState || !gameState.handState) return;
-
-  /* activePlayers was duplicated here */
-  const activePlayers = gameState.players.filter(p => !p.hasFolded);
-  stopTurnTimer(roomId);
-
-  // Ensure we collect any final bets if we are ending prematurely or normally
-  // (If only 1 player left, we still want to collect bets into the pot structure)
-  if (gameState.handState.potManager) {
-    gameState.handState.potManager.collectBets(gameState.players);
-  }
+  if (!gameState) return false;
 
-  if (activePlayers.length === 1) {
-    // Only one player left, they win
-    // They get the whole main pot plus side pots (simplification: just give them all chips)
-    // Actually, we should check which pots they are eligible for.
-    // If there were side pots, and everyone else folded, the last survivor wins everything generally.
-    // (Unless some side pots were contested by now-folded players? No, if you fold you lose claim.)
+  const bot = gameState.players.find(p => p.id === botId && p.isBot);
+  if (!bot) return false;
 
-    // Simplest approach for "Everyone else folded":
-    // The last player gets EVERYTHING in the potManager.
+  recordCashOut(gameState, bot);
+  removePlayerFromRoom(roomId, botId);
+  return true;
+}
 
-    let totalWinnings = 0;
-    if (gameState.handState.potManager) {
-      gameState.handState.potManager.pots.forEach(pot => {
-        totalWinnings += pot.amount;
-      });
-    } else {
-      totalWinnings = gameState.handState.pot;
-    }
+// Bind a socket to a seat and hand the player a token to resume it with
+function seatPlayer(socket, roomId, player) {
+  const token = generateSessionToken();
+  sessions[token] = { roomId, playerId: player.id };
+  bindSocket(socket, roomId, player);
+  socket.emit('sessionStarted', { roomId, playerId: player.id, token });
+}
 
-    activePlayers[0].chips += totalWinnings;
-    gameState.handState.winners = [{
-      playerId: activePlayers[0].id,
-      playerName: activePlayers[0].name,
-      hand: null,
-      share: totalWinnings
-    }];
-  } else {
-    // Evaluate all hands
-    const evaluations = activePlayers.map(player => {
-      const sevenCards = [...player.hand, ...gameState.handState.communityCards];
-      const evaluation = evaluateHand(sevenCards);
-      return {
-        player,
-        evaluation
-      };
-    });
+function bindSocket(socket, roomId, player) {
+  player.socketId = socket.id;
+  player.isConnected = true;
+  socket.data.roomId = roomId;
+  socket.data.playerId = player.id;
+  socket.join(roomId);
+}
 
-    gameState.handState.winners = [];
-
-    // Distribute each pot separately
-    if (gameState.handState.potManager) {
-      // Iterate through all pots
-      gameState.handState.potManager.pots.forEach((pot, potIndex) => {
-        if (pot.amount === 0) return;
-
-        // Find eligible players for this pot (contributors who haven't folded)
-        // Note: activePlayers already filters out folded players.
-        // So we just check intersection.
-        const eligibleEvaluations = evaluations.filter(e =>
-          pot.contributors.has(e.player.id)
-        );
-
-        if (eligibleEvaluations.length === 0) {
-          // Should not happen if logic is correct, but effectively return to house or something?
-          // If everyone who contributed folded, then the last player standing logic above handled it.
-          // This block is for Showdown. At showdown, eligible players are those who haven't folded.
-          return;
-        }
+// The player ID a socket acts as in the given room, if it is seated there
+function getSocketPlayerId(socket, roomId) {
+  const gameState = rooms[roomId];
+  if (!gameState || socket.data.roomId !== roomId) return null;
+  return gameState.players.some(p => p.id === socket.data.playerId) ? socket.data.playerId : null;
+}
 
-        // Find best hand among eligible
-        const bestScore = Math.max(...eligibleEvaluations.map(e => e.evaluation.score));
-        const winners = eligibleEvaluations.filter(e => e.evaluation.score === bestScore);
-
-        // Distribute pot share
-        const share = Math.floor(pot.amount / winners.length);
-        winners.forEach(winner => {
-          winner.player.chips += share;
-
-          // Add to winners list for UI
-          gameState.handState.winners.push({
-            playerId: winner.player.id,
-            playerName: winner.player.name,
-            hand: winner.evaluation,
-            share: share,
-            potIndex: potIndex,
-            isMainPot: potIndex === 0
-          });
-        });
-      });
-
-      // Consolidate winners for cleaner UI (optional, simplified for now)
-    } else {
-      // Fallback for safety (though potManager should exist)
-      // Find best hand(s)
-      const bestScore = Math.max(...evaluations.map(e => e.evaluation.score));
-      const winners = evaluations.filter(e => e.evaluation.score === bestScore);
+function endSession(playerId) {
+  if (reconnectTimers[playerId]) {
+    clearTimeout(reconnectTimers[playerId]);
+    delete reconnectTimers[playerId];
+  }
+  for (const token in sessions) {
+    if (sessions[token].playerId === playerId) {
+      delete sessions[token];
+    }
+  }
+}
 
-      // Distribute pot
-      const share = Math.floor(gameState.handState.pot / winners.length);
-      winners.forEach(winner => {
-        winner.player.chips += share;
-      });
+// Take a player out of the room for good and drop the room once it is empty
+function leaveRoom(roomId, playerId) {
+  const gameState = rooms[roomId];
+  endSession(playerId);
+  if (!gameState) return;
 
-      gameState.handState.winners = winners.map(w => ({
-        playerId: w.player.id,
-        playerName: w.player.name,
-        hand: w.evaluation,
-        share: share
-      }));
-    }
+  // Leaving a running tournament forfeits the seat
+  const { tournament } = gameState;
+  const player = gameState.players.find(p => p.id === playerId);
+  if (tournament && tournament.isStarted && !tournament.isComplete && player) {
+    recordEliminations(roomId, [player]);
+  }
+  if (player) {
+    recordCashOut(gameState, player);
+    if (!player.isBot) postSystemMessage(roomId, `${player.name} left the table`);
   }
 
-  gameState.handState.phase = 'showdown';
-  broadcastGameState(roomId);
-  broadcastHandState(roomId);
+  removePlayerFromRoom(roomId, playerId);
+  // A room with players waiting stays open for them to be offered a seat
+  if (gameState.players.length === 0 && gameState.waitingList.length === 0) {
+    deleteRoom(roomId);
+  }
+}
 
-  // After 5 seconds, start new hand
-  setTimeout(() => {
-    if (rooms[roomId] && rooms[roomId].gameStarted) {
-      startHand(roomId);
-    }
-  }, 5000);
+function deleteRoom(roomId) {
+  const gameState = rooms[roomId];
+  stopTurnTimer(roomId);
+  stopRunoutTimer(roomId);
+  gameState.players.forEach(p => p.agent && p.agent.close());
+  delete rooms[roomId];
+  // Nobody gets moved to an abandoned tournament table
+  const table = gameState.coordinator && gameState.coordinator.getTable(roomId);
+  if (table) table.isClosed = true;
 }
 
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
 
-  socket.on('createRoom', ({ playerName }) => {
+  socket.on('createRoom', ({ playerName, clientSeed, settings: requestedSettings }) => {
     if (!playerName) {
       socket.emit('error', { message: 'Player name is required' });
       return;
     }
 
+    if (socket.data.roomId) {
+      socket.emit('error', { message: 'Already in room' });
+      return;
+    }
+
+    const { settings, error } = validateSettings(requestedSettings);
+    if (error) {
+      socket.emit('error', { message: error });
+      return;
+    }
+
     const roomId = generateRoomId();
-    rooms[roomId] = {
-      players: [new Player(socket.id, playerName)],
-      gameStarted: false,
-      handState: null,
-      deck: null,
-      dealerIndex: 0,
-      gameLog: [] // Action log
-    };
-
-    socket.join(roomId);
+    const player = new Player(generatePlayerId(), playerName, settings.startingChips);
+    player.clientSeed = sanitizeClientSeed(clientSeed);
+    rooms[roomId] = createRoomState(settings, []);
+    rooms[roomId].hostId = player.id;
+    takeSeat(rooms[roomId], player);
+    recordBuyIn(rooms[roomId], player);
+
+    seatPlayer(socket, roomId, player);
     socket.emit('roomCreated', { roomId });
     broadcastGameState(roomId);
   });
 
-  socket.on('joinRoom', ({ roomId, playerName }) => {
+  socket.on('joinRoom', ({ roomId, playerName, clientSeed, seat }) => {
     if (!roomId || !playerName) {
       socket.emit('error', { message: 'Room ID and player name are required' });
       return;
@@ -658,24 +1005,278 @@ io.on('connection', (socket) => {
       return;
     }
 
-    if (gameState.players.length >= 7) {
-      socket.emit('error', { message: 'Room full' });
+    if (gameState.settings.mode === 'tournament' && gameState.gameStarted) {
+      socket.emit('error', { message: 'Tournament already started' });
       return;
     }
 
     // Check if player already in room
-    if (gameState.players.some(p => p.id === socket.id)) {
+    if (socket.data.roomId) {
       socket.emit('error', { message: 'Already in room' });
       return;
     }
 
-    gameState.players.push(new Player(socket.id, playerName));
-    socket.join(roomId);
-    broadcastGameState(roomId);
-  });
+    const isFull = gameState.players.length >= getRoomCapacity(gameState);
+    if (isFull && gameState.settings.mode === 'tournament') {
+      socket.emit('error', { message: 'Room full' });
+      return;
+    }
 
-  socket.on('startGame', ({ roomId }) => {
-    const gameState = rooms[roomId];
+    // A full cash table puts newcomers on the waiting list; they watch the
+    // table until a seat is offered to them
+    if (isFull || gameState.waitingList.length > 0) {
+      const entry = {
+        id: generatePlayerId(),
+        name: playerName,
+        clientSeed: sanitizeClientSeed(clientSeed),
+        socketId: socket.id,
+        offeredSeat: null
+      };
+      gameState.waitingList.push(entry);
+      socket.data.roomId = roomId;
+      socket.data.waitingId = entry.id;
+      socket.join(roomId);
+      socket.emit('waitingListJoined', { roomId, waitingId: entry.id, position: gameState.waitingList.length });
+      logAction(gameState, `${playerName} joins the waiting list`);
+      offerFreeSeat(roomId);
+      broadcastGameState(roomId);
+      return;
+    }
+
+    const player = new Player(generatePlayerId(), playerName, gameState.settings.startingChips);
+    player.clientSeed = sanitizeClientSeed(clientSeed);
+    takeSeat(gameState, player, Number(seat) || null);
+    recordBuyIn(gameState, player);
+    seatPlayer(socket, roomId, player);
+    postSystemMessage(roomId, `${player.name} joined the table`);
+    broadcastGameState(roomId);
+    resumeIfWaiting(roomId);
+  });
+
+  // Take the seat offered from the waiting list
+  socket.on('acceptSeat', ({ roomId }) => {
+    const gameState = rooms[roomId];
+    const entry = gameState && gameState.waitingList.find(w => w.id === socket.data.waitingId);
+    if (!entry || !entry.offeredSeat) {
+      socket.emit('error', { message: 'No seat is being offered to you' });
+      return;
+    }
+
+    // Bots added before the game starts can fill the table in the meantime
+    if (gameState.players.length >= gameState.settings.maxSeats) {
+      clearTimeout(seatOfferTimers[roomId]);
+      delete seatOfferTimers[roomId];
+      entry.offeredSeat = null;
+      socket.emit('error', { message: 'The table filled up - you are still on the waiting list' });
+      broadcastGameState(roomId);
+      return;
+    }
+
+    const player = new Player(entry.id, entry.name, gameState.settings.startingChips);
+    player.clientSeed = entry.clientSeed;
+    takeSeat(gameState, player, entry.offeredSeat);
+    recordBuyIn(gameState, player);
+    socket.data.waitingId = null; // Keep the socket in the room
+    removeFromWaitingList(roomId, entry.id);
+    seatPlayer(socket, roomId, player);
+    logAction(gameState, `${player.name} takes seat ${player.seat}`);
+    postSystemMessage(roomId, `${player.name} joined the table`);
+    broadcastGameState(roomId);
+    resumeIfWaiting(roomId);
+  });
+
+  socket.on('declineSeat', ({ roomId }) => {
+    if (socket.data.roomId !== roomId || !socket.data.waitingId) return;
+    removeFromWaitingList(roomId, socket.data.waitingId);
+  });
+
+  // Move to an empty seat (cash games only; tournament seats are drawn)
+  socket.on('changeSeat', ({ roomId, seat }) => {
+    const gameState = rooms[roomId];
+    if (!gameState) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    const player = gameState.players.find(p => p.id === getSocketPlayerId(socket, roomId));
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    if (gameState.settings.mode === 'tournament') {
+      socket.emit('error', { message: 'Seats are drawn in tournaments' });
+      return;
+    }
+
+    const error = getSeatError(gameState, player, Number(seat));
+    if (error) {
+      socket.emit('error', { message: error });
+      return;
+    }
+
+    takeSeat(gameState, player, Number(seat));
+    // Changing seats could dodge the blinds, so it costs a big blind like missing one
+    if (gameState.gameStarted) {
+      player.missedBlind = true;
+    }
+    logAction(gameState, `${player.name} moves to seat ${player.seat}`);
+    broadcastGameState(roomId);
+  });
+
+  // Cash games: add chips between hands, up to the maximum buy-in (all the
+  // way to it when no amount is given). A busted player's top-up is a rebuy.
+  socket.on('topUp', ({ roomId, amount }) => {
+    const gameState = rooms[roomId];
+    if (!gameState) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    const player = gameState.players.find(p => p.id === getSocketPlayerId(socket, roomId));
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    if (gameState.tournament || gameState.settings.mode === 'tournament') {
+      socket.emit('error', { message: 'Tournament stacks only grow with rebuys and add-ons' });
+      return;
+    }
+
+    const chips = amount === undefined || amount === null ? gameState.settings.maxBuyIn - player.chips : Number(amount);
+    const error = getTopUpError(gameState, player, chips);
+    if (error) {
+      socket.emit('error', { message: error });
+      return;
+    }
+
+    const type = player.chips === 0 ? 'rebuy' : 'topUp';
+    player.chips += chips;
+    gameState.ledger.record(player, type, { chips });
+    logAction(gameState, `${player.name} ${type === 'rebuy' ? 'rebuys' : 'tops up'} for $${chips}`);
+    broadcastGameState(roomId);
+    resumeIfWaiting(roomId);
+  });
+
+  // Tournament rebuy (a starting stack) or add-on, each for the buy-in
+  socket.on('rebuy', ({ roomId, addOn }) => {
+    const gameState = rooms[roomId];
+    if (!gameState) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    const player = gameState.players.find(p => p.id === getSocketPlayerId(socket, roomId));
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    const { tournament, settings } = gameState;
+    if (!tournament) {
+      socket.emit('error', { message: 'Rebuys are for tournaments; cash players top up' });
+      return;
+    }
+
+    const error = isHoldingCards(gameState, player)
+      ? 'You can add chips once you are out of the hand'
+      : (addOn ? tournament.getAddOnError(player) : tournament.getRebuyError(player, settings.startingChips));
+    if (error) {
+      socket.emit('error', { message: error });
+      return;
+    }
+
+    const chips = addOn ? tournament.addOnChips : settings.startingChips;
+    if (addOn) {
+      tournament.addOn(player.id);
+    } else {
+      tournament.rebuy(player.id);
+    }
+    player.chips += chips;
+    gameState.ledger.record(player, addOn ? 'addOn' : 'rebuy', { chips, amount: tournament.buyIn });
+    logAction(gameState, `${player.name} ${addOn ? 'takes the add-on' : 'rebuys'} for ${chips} chips`);
+    broadcastGameState(roomId);
+  });
+
+  // Sit out from the next hand on, or come back in
+  socket.on('setSittingOut', ({ roomId, sittingOut }) => {
+    const gameState = rooms[roomId];
+    if (!gameState) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    const player = gameState.players.find(p => p.id === getSocketPlayerId(socket, roomId));
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    if (player.isSittingOut === !!sittingOut) return;
+    player.isSittingOut = !!sittingOut;
+    logAction(gameState, player.isSittingOut ? `${player.name} sits out` : `${player.name} is back`);
+    broadcastGameState(roomId);
+
+    if (player.isSittingOut && getCurrentPlayer(gameState)?.id === player.id) {
+      startTurnTimer(roomId); // Their turn is played for them right away
+    } else if (!player.isSittingOut) {
+      resumeIfWaiting(roomId);
+    }
+  });
+
+  // Rebind a refreshed or reconnected client to the seat it already holds
+  socket.on('resumeSession', ({ token }) => {
+    const session = token && sessions[token];
+    const gameState = session && rooms[session.roomId];
+    const player = gameState && gameState.players.find(p => p.id === session.playerId);
+    if (!player) {
+      if (session) delete sessions[token];
+      socket.emit('sessionExpired', { message: 'Your seat is no longer held' });
+      return;
+    }
+
+    if (reconnectTimers[player.id]) {
+      clearTimeout(reconnectTimers[player.id]);
+      delete reconnectTimers[player.id];
+    }
+
+    // The same seat open in another window: that window loses it
+    const previousSocket = player.socketId && player.socketId !== socket.id && io.sockets.sockets.get(player.socketId);
+    if (previousSocket) {
+      previousSocket.leave(session.roomId);
+      previousSocket.data = {};
+      previousSocket.emit('sessionExpired', { message: 'Seat resumed in another window' });
+    }
+
+    const wasConnected = player.isConnected;
+    bindSocket(socket, session.roomId, player);
+    socket.emit('sessionStarted', { roomId: session.roomId, playerId: player.id, token });
+    if (!wasConnected) {
+      logAction(gameState, `${player.name} reconnected`);
+    }
+
+    // Hole cards go out again with the hand state
+    broadcastGameState(session.roomId);
+    broadcastHandState(session.roomId);
+  });
+
+  socket.on('leaveRoom', ({ roomId }) => {
+    if (socket.data.roomId === roomId && socket.data.waitingId) {
+      removeFromWaitingList(roomId, socket.data.waitingId);
+      return;
+    }
+
+    const playerId = getSocketPlayerId(socket, roomId);
+    if (!playerId) return;
+
+    socket.leave(roomId);
+    socket.data = {};
+    leaveRoom(roomId, playerId);
+  });
+
+  socket.on('startGame', ({ roomId }) => {
+    const gameState = rooms[roomId];
     if (!gameState) {
       socket.emit('error', { message: 'Room not found' });
       return;
@@ -698,29 +1299,49 @@ io.on('connection', (socket) => {
     }
 
     gameState.gameStarted = true;
-    gameState.deck = new Deck();
-    gameState.deck.shuffle();
-    startHand(roomId);
+    if (gameState.settings.mode === 'tournament') {
+      startTournament(roomId);
+    } else {
+      startHand(roomId);
+    }
   });
 
-  socket.on('addBot', ({ roomId }) => {
+  socket.on('addBot', ({ roomId, strategy = 'casual', difficulty = 'medium', agent = null }) => {
     const gameState = rooms[roomId];
     if (!gameState) {
       socket.emit('error', { message: 'Room not found' });
       return;
     }
 
+    const agentConfig = agent === null ? null : EXTERNAL_BOT_AGENTS.find(a => a.name === agent);
+    if (agent !== null && !agentConfig) {
+      socket.emit('error', { message: 'Unknown external bot' });
+      return;
+    }
+
+    if (!Object.hasOwn(STRATEGIES, strategy)) {
+      socket.emit('error', { message: 'Unknown bot strategy' });
+      return;
+    }
+
+    if (!Object.hasOwn(DIFFICULTIES, difficulty)) {
+      socket.emit('error', { message: 'Unknown bot difficulty' });
+      return;
+    }
+
     if (gameState.gameStarted) {
       socket.emit('error', { message: 'Cannot add bots after game has started' });
       return;
     }
 
-    if (gameState.players.length >= 7) {
+    if (gameState.players.length >= getRoomCapacity(gameState)) {
       socket.emit('error', { message: 'Room full' });
       return;
     }
 
-    const success = addBotToRoom(roomId);
+    const success = agentConfig
+      ? addExternalBotToRoom(roomId, agentConfig)
+      : addBotToRoom(roomId, strategy, difficulty);
     if (!success) {
       socket.emit('error', { message: 'Failed to add bot' });
     }
@@ -744,94 +1365,305 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Why the bots did what they did: each bot's recent decisions with its
+  // equity and reasons, and the opponent statistics they were reading
+  socket.on('getBotDebug', ({ roomId }) => {
+    if (!BOT_DEBUG) {
+      socket.emit('error', { message: 'Bot debugging is disabled on this server' });
+      return;
+    }
+
+    const gameState = rooms[roomId];
+    if (!gameState) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    socket.emit('botDebug', {
+      roomId,
+      bots: gameState.players.filter(p => p.isBot).map(bot => ({
+        id: bot.id,
+        name: bot.name,
+        strategy: bot.strategy,
+        difficulty: bot.difficulty,
+        decisions: bot.decisions
+      })),
+      opponents: gameState.opponentModel.getProfiles()
+    });
+  });
+
   socket.on('playerAction', ({ roomId, action }) => {
+    // Use shared handler; the engine validates turn order, amounts and chips
+    const rejection = handlePlayerAction(roomId, getSocketPlayerId(socket, roomId), action);
+    if (rejection) {
+      socket.emit('error', { message: rejection.message });
+    }
+  });
+
+  // Opt in or out of running the board twice when all-in
+  socket.on('setRunItTwice', ({ roomId, enabled }) => {
     const gameState = rooms[roomId];
-    if (!gameState || !gameState.handState) {
-      socket.emit('error', { message: 'No active hand' });
+    if (!gameState) {
+      socket.emit('error', { message: 'Room not found' });
       return;
     }
 
-    const player = gameState.players.find(p => p.id === socket.id);
+    const player = gameState.players.find(p => p.id === getSocketPlayerId(socket, roomId));
     if (!player) {
       socket.emit('error', { message: 'Player not found' });
       return;
     }
 
-    const activePlayers = gameState.players.filter(p => !p.hasFolded && p.chips > 0);
-    const currentPlayer = activePlayers[gameState.handState.currentPlayerIndex];
+    player.runItTwice = !!enabled;
+    broadcastGameState(roomId);
+  });
+
+  socket.on('exportHandHistory', ({ roomId, format }) => {
+    const gameState = rooms[roomId];
+    if (!gameState) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
 
-    if (currentPlayer.id !== socket.id) {
-      socket.emit('error', { message: 'Not your turn' });
+    const playerId = getSocketPlayerId(socket, roomId);
+    if (!playerId) {
+      socket.emit('error', { message: 'Player not found' });
       return;
     }
 
-    if (player.hasActed && !player.isAllIn) {
-      socket.emit('error', { message: 'Already acted this round' });
+    if (gameState.handHistories.length === 0) {
+      socket.emit('error', { message: 'No completed hands yet' });
       return;
     }
 
-    // Validate action before processing
-    if (action.type === 'check' && player.currentBet < gameState.handState.currentBet) {
-      socket.emit('error', { message: 'Cannot check, must call or fold' });
+    // Exports are from the requester's point of view: other players' hole
+    // cards only appear if they were shown down
+    const isJson = format === 'json';
+    const content = isJson
+      ? JSON.stringify(gameState.handHistories.map(h => h.toRecord(playerId)), null, 2)
+      : formatPokerStarsSession(gameState.handHistories, playerId);
+
+    socket.emit('handHistoryExport', {
+      format: isJson ? 'json' : 'pokerstars',
+      filename: `${roomId}-hand-history.${isJson ? 'json' : 'txt'}`,
+      content
+    });
+  });
+
+  socket.on('getHandHistories', ({ roomId }) => {
+    const gameState = rooms[roomId];
+    if (!gameState) {
+      socket.emit('error', { message: 'Room not found' });
       return;
     }
 
-    if (action.type === 'raise') {
-      if (!action.amount || action.amount <= 0) {
-        socket.emit('error', { message: 'Invalid raise amount' });
-        return;
-      }
-      const totalBet = player.currentBet + action.amount;
-      if (totalBet <= gameState.handState.currentBet) {
-        socket.emit('error', { message: 'Raise must be higher than current bet' });
-        return;
-      }
-      if (totalBet > player.chips + player.currentBet) {
-        socket.emit('error', { message: 'Insufficient chips' });
-        return;
-      }
+    const playerId = getSocketPlayerId(socket, roomId);
+    if (!playerId) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
     }
 
-    // Use shared handler
-    handlePlayerAction(roomId, socket.id, action);
+    if (gameState.handHistories.length === 0) {
+      socket.emit('error', { message: 'No completed hands yet' });
+      return;
+    }
+
+    socket.emit('handHistories', {
+      roomId,
+      viewerId: playerId,
+      hands: gameState.handHistories.map(h => h.toRecord(playerId))
+    });
+  });
+
+  // Full ledger with the transfers that settle it, for the ledger panel
+  socket.on('getLedger', ({ roomId }) => {
+    const gameState = rooms[roomId];
+    if (!gameState) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    if (!getSocketPlayerId(socket, roomId)) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    const summary = getLedgerSummary(gameState);
+    socket.emit('ledger', {
+      roomId,
+      summary,
+      entries: gameState.ledger.entries,
+      settlement: getSettlement(summary)
+    });
+  });
+
+  socket.on('exportLedger', ({ roomId, format }) => {
+    const gameState = rooms[roomId];
+    if (!gameState) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    if (!getSocketPlayerId(socket, roomId)) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    const summary = getLedgerSummary(gameState);
+    const isJson = format === 'json';
+    const content = isJson
+      ? JSON.stringify({
+        roomId,
+        exportedAt: new Date().toISOString(),
+        players: summary,
+        settlement: getSettlement(summary),
+        entries: gameState.ledger.entries
+      }, null, 2)
+      : formatLedgerCsv(summary);
+
+    socket.emit('ledgerExport', {
+      format: isJson ? 'json' : 'csv',
+      filename: `${roomId}-ledger.${isJson ? 'json' : 'csv'}`,
+      content
+    });
+  });
+
+  // Every table of a multi-table tournament with its players and chip counts
+  socket.on('getTournamentLobby', ({ roomId }) => {
+    const gameState = rooms[roomId];
+    if (!gameState || !gameState.coordinator) {
+      socket.emit('error', { message: 'Not a multi-table tournament' });
+      return;
+    }
+
+    socket.emit('tournamentLobby', {
+      roomId,
+      tournament: getTournamentInfo(roomId),
+      tables: gameState.coordinator.getLobby()
+    });
+  });
+
+  // Odds calculator: works without joining a room
+  socket.on('calculateEquity', (input) => {
+    if (!equityLimiter.allow(socket.id)) {
+      socket.emit('error', { message: 'Too many odds calculations - wait a few seconds' });
+      return;
+    }
+
+    const { request, error } = parseEquityRequest(input);
+    const result = error ? { error } : calculateEquity(request);
+    if (result.error) {
+      socket.emit('error', { message: result.error });
+      return;
+    }
+
+    socket.emit('equityResult', result);
+  });
+
+  // Recent chat for a player who just arrived (or reconnected)
+  socket.on('getChatHistory', ({ roomId }) => {
+    const gameState = rooms[roomId];
+    if (!gameState) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    if (!getChatSender(socket, roomId)) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    socket.emit('chatHistory', { roomId, messages: gameState.chat.getHistory() });
+  });
+
+  socket.on('sendChat', ({ roomId, text }) => {
+    const gameState = rooms[roomId];
+    if (!gameState) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    const sender = getChatSender(socket, roomId);
+    if (!sender) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    if (!chatLimiter.allow(socket.id)) {
+      socket.emit('error', { message: 'You are sending messages too quickly' });
+      return;
+    }
+
+    const { message, error } = gameState.chat.post(sender, text);
+    if (error) {
+      socket.emit('error', { message: error });
+      return;
+    }
+    io.to(roomId).emit('chatMessage', { roomId, message });
+  });
+
+  // The host can mute (or unmute) anyone in the room's chat
+  socket.on('mutePlayer', ({ roomId, playerId, muted = true }) => {
+    const gameState = rooms[roomId];
+    if (!gameState) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    const hostId = getSocketPlayerId(socket, roomId);
+    if (!hostId || hostId !== getHostId(gameState)) {
+      socket.emit('error', { message: 'Only the host can mute players' });
+      return;
+    }
+
+    const target = gameState.players.find(p => p.id === playerId && !p.isBot) ||
+      gameState.waitingList.find(w => w.id === playerId);
+    if (!target) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    if (target.id === hostId) {
+      socket.emit('error', { message: 'You cannot mute yourself' });
+      return;
+    }
+
+    if (gameState.chat.isMuted(target.id) === !!muted) return;
+    gameState.chat.setMuted(target.id, !!muted);
+    postSystemMessage(roomId, `${target.name} was ${muted ? 'muted' : 'unmuted'} by the host`);
+    broadcastGameState(roomId);
   });
 
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id);
+    chatLimiter.forget(socket.id);
+    equityLimiter.forget(socket.id);
+
+    // Hold the seat for a while: the turn timer keeps the hand moving, and
+    // the player is only removed if they do not come back in time
+    const { roomId, playerId, waitingId } = socket.data;
+    if (waitingId) {
+      removeFromWaitingList(roomId, waitingId);
+      return;
+    }
 
-    // Find and remove player from room
-    for (const roomId in rooms) {
-      const gameState = rooms[roomId];
-      const playerIndex = gameState.players.findIndex(p => p.id === socket.id);
+    const gameState = rooms[roomId];
+    const player = gameState && gameState.players.find(p => p.id === playerId);
+    if (!player || player.socketId !== socket.id) return;
 
-      if (playerIndex !== -1) {
-        const player = gameState.players[playerIndex];
+    player.isConnected = false;
+    logAction(gameState, `${player.name} disconnected`);
+    broadcastGameState(roomId);
 
-        // If in active hand, fold them
-        if (gameState.handState && !player.hasFolded) {
-          player.fold();
-        }
+    // A tournament seat stays until it busts; the turn timer blinds it off
+    const { tournament } = gameState;
+    if (tournament && tournament.isStarted && !tournament.isComplete) return;
 
-        // Remove player
-        gameState.players.splice(playerIndex, 1);
-
-        // If room is empty, delete it
-        if (gameState.players.length === 0) {
-          delete rooms[roomId];
-        } else {
-          // Update game state
-          broadcastGameState(roomId);
-          if (gameState.handState) {
-            broadcastHandState(roomId);
-            // Check if we need to process betting round
-            setTimeout(() => {
-              processBettingRound(roomId);
-            }, 100);
-          }
-        }
-        break;
-      }
-    }
+    reconnectTimers[playerId] = setTimeout(() => {
+      delete reconnectTimers[playerId];
+      console.log(`Seat for ${player.name} (${playerId}) released after disconnect`);
+      leaveRoom(roomId, playerId);
+    }, RECONNECT_GRACE_PERIOD);
   });
 });
 
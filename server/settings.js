@@ -0,0 +1,209 @@
+// Table settings for Texas Hold'em Poker
+//
+// Chosen once when a room is created and stored on the room as `settings`.
+// The engine, the server and the bots read the game, stakes, stacks, seat
+// count and the action timer from there instead of from constants.
+
+import { DEFAULT_TOURNAMENT } from './tournament.js';
+
+export const GAMES = ['holdem', 'omaha'];
+export const BETTING_STRUCTURES = ['no-limit', 'pot-limit', 'fixed-limit']; // Rules in betting.js
+export const GAME_MODES = ['cash', 'tournament'];
+// What happens to the blinds of a player sitting out: 'miss' skips them (and
+// they post a big blind when they come back), 'post' keeps dealing them in to
+// post blinds and fold
+export const SIT_OUT_BLINDS = ['miss', 'post'];
+
+// Hole cards dealt to each player per game
+export const HOLE_CARDS = { holdem: 2, omaha: 4 };
+
+// Betting structure a game gets when none is asked for
+const DEFAULT_BETTING_STRUCTURES = { holdem: 'no-limit', omaha: 'pot-limit' };
+
+export const DEFAULT_SETTINGS = {
+  smallBlind: 10,
+  bigBlind: 20,
+  startingChips: 1000,
+  maxBuyIn: 1000, // Most a cash player can have after a top-up; defaults to the starting chips
+  maxSeats: 7,
+  turnTimeLimit: 30, // Seconds per action
+  game: 'holdem',
+  bettingStructure: 'no-limit',
+  mode: 'cash',
+  sitOutBlinds: 'miss',
+  tournament: null // Tournament config when mode is 'tournament'
+};
+
+// Inclusive bounds for the numeric settings
+const LIMITS = {
+  smallBlind: { min: 1, max: 100000, label: 'Small blind' },
+  bigBlind: { min: 2, max: 200000, label: 'Big blind' },
+  startingChips: { min: 100, max: 10000000, label: 'Starting chips' },
+  maxBuyIn: { min: 100, max: 10000000, label: 'Max buy-in' },
+  maxSeats: { min: 2, max: 9, label: 'Max seats' },
+  turnTimeLimit: { min: 10, max: 300, label: 'Action timer' }
+};
+
+const MIN_STARTING_BIG_BLINDS = 10;
+const MAX_BLIND_LEVELS = 50;
+const MAX_ENTRANTS = 100;
+
+function isWholeNumber(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// Check the tournament part of the settings. Returns { tournament } or { error }.
+function validateTournament(input = {}, maxSeats) {
+  if (input === null || typeof input !== 'object') {
+    return { error: 'Invalid tournament settings' };
+  }
+
+  const tournament = { ...DEFAULT_TOURNAMENT, ...input };
+
+  if (!['time', 'hands'].includes(tournament.levelBy)) {
+    return { error: "Blind levels must go up by 'time' or 'hands'" };
+  }
+
+  tournament.levelLength = Number(tournament.levelLength);
+  const maxLength = tournament.levelBy === 'time' ? 120 : 500;
+  if (!isWholeNumber(tournament.levelLength, 1, maxLength)) {
+    const unit = tournament.levelBy === 'time' ? 'minutes' : 'hands';
+    return { error: `Level length must be from 1 to ${maxLength} ${unit}` };
+  }
+
+  tournament.buyIn = Number(tournament.buyIn);
+  if (!isWholeNumber(tournament.buyIn, 1, 1000000)) {
+    return { error: 'Buy-in must be a whole number from 1 to 1000000' };
+  }
+
+  const levels = tournament.blindLevels;
+  if (!Array.isArray(levels) || levels.length === 0 || levels.length > MAX_BLIND_LEVELS) {
+    return { error: `Blind schedule needs 1 to ${MAX_BLIND_LEVELS} levels` };
+  }
+  tournament.blindLevels = [];
+  for (let i = 0; i < levels.length; i++) {
+    const level = {
+      smallBlind: Number(levels[i] && levels[i].smallBlind),
+      bigBlind: Number(levels[i] && levels[i].bigBlind),
+      ante: Number((levels[i] && levels[i].ante) || 0)
+    };
+    if (!isWholeNumber(level.smallBlind, 1, 10000000) || !isWholeNumber(level.bigBlind, level.smallBlind, 20000000) ||
+        !isWholeNumber(level.ante, 0, level.bigBlind)) {
+      return { error: `Blind level ${i + 1} is invalid` };
+    }
+    tournament.blindLevels.push(level);
+  }
+
+  // More entrants than seats makes it a multi-table tournament
+  tournament.maxEntrants = Number(tournament.maxEntrants || maxSeats);
+  if (!isWholeNumber(tournament.maxEntrants, 2, MAX_ENTRANTS)) {
+    return { error: `Max entrants must be a whole number from 2 to ${MAX_ENTRANTS}` };
+  }
+
+  const payouts = tournament.payouts;
+  if (!Array.isArray(payouts) || payouts.length === 0 || payouts.length > tournament.maxEntrants ||
+      !payouts.every(pct => isWholeNumber(pct, 1, 100)) ||
+      payouts.reduce((sum, pct) => sum + pct, 0) !== 100) {
+    return { error: `Payouts must be 1 to ${tournament.maxEntrants} whole percentages adding up to 100` };
+  }
+  tournament.payouts = [...payouts];
+
+  tournament.rebuyLevels = Number(tournament.rebuyLevels || 0);
+  if (!isWholeNumber(tournament.rebuyLevels, 0, tournament.blindLevels.length)) {
+    return { error: `Rebuy levels must be a whole number from 0 to ${tournament.blindLevels.length}` };
+  }
+  tournament.addOnChips = Number(tournament.addOnChips || 0);
+  if (!isWholeNumber(tournament.addOnChips, 0, 10000000)) {
+    return { error: 'Add-on chips must be a whole number from 0 to 10000000' };
+  }
+  if (tournament.addOnChips > 0 && tournament.rebuyLevels === 0) {
+    return { error: 'An add-on needs at least one rebuy level' };
+  }
+
+  return { tournament };
+}
+
+// Fill in defaults and check a settings object sent by a client.
+// Returns { settings } or { error } with a message fit for the player.
+export function validateSettings(input = {}) {
+  if (input === null || typeof input !== 'object') {
+    return { error: 'Invalid table settings' };
+  }
+
+  const settings = { ...DEFAULT_SETTINGS };
+
+  for (const [key, { min, max, label }] of Object.entries(LIMITS)) {
+    if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+    const value = Number(input[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${label} must be a whole number from ${min} to ${max}` };
+    }
+    settings[key] = value;
+  }
+
+  if (input.mode !== undefined) {
+    if (!GAME_MODES.includes(input.mode)) {
+      return { error: `Game mode must be one of: ${GAME_MODES.join(', ')}` };
+    }
+    settings.mode = input.mode;
+  }
+
+  // Tournaments start on the first level of their blind schedule
+  if (settings.mode === 'tournament') {
+    const { tournament, error } = validateTournament(input.tournament, settings.maxSeats);
+    if (error) {
+      return { error };
+    }
+    settings.tournament = tournament;
+    settings.smallBlind = tournament.blindLevels[0].smallBlind;
+    settings.bigBlind = tournament.blindLevels[0].bigBlind;
+  }
+
+  if (input.game !== undefined) {
+    if (!GAMES.includes(input.game)) {
+      return { error: `Game must be one of: ${GAMES.join(', ')}` };
+    }
+    settings.game = input.game;
+  }
+
+  settings.bettingStructure = DEFAULT_BETTING_STRUCTURES[settings.game];
+  if (input.bettingStructure !== undefined) {
+    if (!BETTING_STRUCTURES.includes(input.bettingStructure)) {
+      return { error: `Betting structure must be one of: ${BETTING_STRUCTURES.join(', ')}` };
+    }
+    settings.bettingStructure = input.bettingStructure;
+  }
+
+  if (input.sitOutBlinds !== undefined) {
+    if (!SIT_OUT_BLINDS.includes(input.sitOutBlinds)) {
+      return { error: `Sit-out blinds must be one of: ${SIT_OUT_BLINDS.join(', ')}` };
+    }
+    settings.sitOutBlinds = input.sitOutBlinds;
+  }
+  // Tournament stacks are blinded away while their owners are away
+  if (settings.mode === 'tournament') {
+    settings.sitOutBlinds = 'post';
+  }
+
+  if (settings.bigBlind < settings.smallBlind) {
+    return { error: 'Big blind cannot be smaller than the small blind' };
+  }
+
+  if (settings.startingChips < settings.bigBlind * MIN_STARTING_BIG_BLINDS) {
+    return { error: `Starting chips must be at least ${MIN_STARTING_BIG_BLINDS} big blinds` };
+  }
+
+  if (input.maxBuyIn === undefined || input.maxBuyIn === null || input.maxBuyIn === '') {
+    settings.maxBuyIn = settings.startingChips;
+  } else if (settings.maxBuyIn < settings.startingChips) {
+    return { error: 'Max buy-in cannot be less than the starting chips' };
+  }
+
+  return { settings };
+}
+
+// Settings for a table state, falling back to the defaults for tables built
+// without any (scripts, tests)
+export function getSettings(state) {
+  return (state && state.settings) || DEFAULT_SETTINGS;
+}
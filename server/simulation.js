@@ -0,0 +1,176 @@
+// Headless bot-vs-bot play for Texas Hold'em Poker
+//
+// Plays hands between bots straight through the engine: no sockets, no timers
+// and no bot delays, so thousands of hands take seconds. A busted bot buys
+// back in for the starting chips so every seat plays every hand. After each
+// hand the chips on the table must equal everything bought in, and any bot
+// action the engine rejects, or raise it has to bring into range, is
+// recorded; these point at a bug in the betting or side pot rules or in how a
+// strategy sizes its raises. scripts/simulate.js is the command-line front end.
+
+import { createBot } from './bot.js';
+import { startHand, applyAction, dealRunout, getCurrentPlayer, isHandInProgress } from './engine.js';
+import { validateSettings } from './settings.js';
+import { OpponentModel } from './opponents.js';
+
+const MAX_ACTIONS_PER_HAND = 500; // A hand still going after this many is stuck
+const MAX_BOTS = 9;
+
+// Small fast seeded generator (mulberry32) for the bots' decisions: equity
+// simulations draw thousands of numbers per decision
+function createFastRandom(seed) {
+  let state = 0;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 0x9e3779b1);
+  }
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Play `hands` hands between `bots` ([{ strategy, difficulty, name }], 2 to 9
+// of them) at a table with `settings` (as for validateSettings). The same
+// seed plays the same hands. The bots learn about each other as they go, as
+// they would at a server table. Returns { players, hands, errors } or { error }.
+export function simulate({ bots, hands = 1000, seed = 'simulation', settings = {} }) {
+  if (bots.length < 2 || bots.length > MAX_BOTS) {
+    return { error: `Seat 2 to ${MAX_BOTS} bots` };
+  }
+  const validated = validateSettings({ ...settings, maxSeats: bots.length });
+  if (validated.error) return { error: validated.error };
+  const tableSettings = validated.settings;
+
+  const state = { players: [], handState: null, deck: null, positions: null, settings: tableSettings, opponentModel: new OpponentModel() };
+  const stats = new Map();
+  for (let i = 0; i < bots.length; i++) {
+    const { strategy, difficulty = 'medium', name } = bots[i];
+    const bot = createBot(strategy, `bot${i + 1}`, name || `${strategy} ${i + 1}`, tableSettings.startingChips, {
+      difficulty,
+      random: createFastRandom(`${seed}:bot:${i}`)
+    });
+    if (!bot) return { error: `Unknown bot "${strategy}" at ${difficulty}` };
+    bot.seat = i + 1;
+    state.players.push(bot);
+    stats.set(bot.id, {
+      id: bot.id,
+      name: bot.name,
+      strategy,
+      difficulty,
+      seat: bot.seat,
+      hands: 0,
+      vpip: 0,
+      pfr: 0,
+      flopsSeen: 0,
+      showdowns: 0,
+      showdownWins: 0,
+      buyIns: tableSettings.startingChips
+    });
+  }
+
+  const errors = [];
+  let boughtIn = bots.length * tableSettings.startingChips;
+  let played = 0;
+
+  for (let n = 1; n <= hands; n++) {
+    // Busted bots buy back in before the deal
+    state.players.forEach(bot => {
+      if (bot.chips === 0) {
+        bot.chips = tableSettings.startingChips;
+        stats.get(bot.id).buyIns += tableSettings.startingChips;
+        boughtIn += tableSettings.startingChips;
+      }
+    });
+
+    const events = [];
+    let sawFlop = false; // Counted once even when the board is run twice
+    const play = (result) => {
+      state.opponentModel.observe(result.events, state);
+      events.push(...result.events);
+      if (!sawFlop && result.events.some(e => e.type === 'street' && e.phase === 'flop')) {
+        sawFlop = true;
+        state.players
+          .filter(bot => bot.hand.length > 0 && !bot.hasFolded)
+          .forEach(bot => { stats.get(bot.id).flopsSeen++; });
+      }
+      return result;
+    };
+    play(startHand(state, { serverSeed: `${seed}:hand:${n}` }));
+    if (!isHandInProgress(state)) {
+      errors.push({ hand: n, message: 'The hand did not start' });
+      break;
+    }
+    played++;
+    const voluntary = new Set();
+    const raised = new Set();
+    state.players.forEach(bot => {
+      if (bot.hand.length > 0) stats.get(bot.id).hands++;
+    });
+
+    let actions = 0;
+    while (isHandInProgress(state) && actions++ < MAX_ACTIONS_PER_HAND) {
+      const bot = getCurrentPlayer(state);
+      if (!bot) {
+        play(dealRunout(state)); // Everyone is all-in
+        continue;
+      }
+
+      const isPreflop = state.handState.phase === 'preflop';
+      const decision = bot.makeDecision(state) || { type: 'fold' };
+      let result = play(applyAction(state, bot.id, decision));
+      const rejection = result.events.find(e => e.type === 'actionRejected');
+      if (rejection) {
+        errors.push({ hand: n, message: `${bot.name} ${JSON.stringify(decision)} rejected: ${rejection.message}` });
+        result = play(applyAction(state, bot.id, { type: 'fold' }));
+      }
+
+      const action = result.events.find(e => e.type === 'action');
+      if (action && action.correction) {
+        const { requested, reason } = action.correction;
+        errors.push({ hand: n, message: `${bot.name} raise of ${requested} was out of range (${reason}), played as ${action.action} ${action.amount}` });
+      }
+      if (isPreflop && action && (action.action === 'call' || action.action === 'raise')) {
+        voluntary.add(bot.id);
+        if (action.action === 'raise') raised.add(bot.id);
+      }
+    }
+    if (isHandInProgress(state)) {
+      errors.push({ hand: n, message: `The hand was still going after ${MAX_ACTIONS_PER_HAND} actions` });
+      break;
+    }
+
+    voluntary.forEach(id => { stats.get(id).vpip++; });
+    raised.forEach(id => { stats.get(id).pfr++; });
+    const ended = events.find(e => e.type === 'handEnded');
+    const showdown = new Set((ended ? ended.showdown : []).map(s => s.playerId));
+    const winners = new Set((ended ? ended.winners : []).map(w => w.playerId));
+    showdown.forEach(id => {
+      stats.get(id).showdowns++;
+      if (winners.has(id)) stats.get(id).showdownWins++;
+    });
+
+    const onTable = state.players.reduce((sum, bot) => sum + bot.chips, 0);
+    if (onTable !== boughtIn) {
+      errors.push({ hand: n, message: `${onTable} chips on the table, ${boughtIn} bought in` });
+    }
+  }
+
+  const bigBlind = tableSettings.bigBlind;
+  return {
+    hands: played,
+    settings: tableSettings,
+    errors,
+    players: state.players.map(bot => {
+      const seat = stats.get(bot.id);
+      const net = bot.chips - seat.buyIns;
+      return {
+        ...seat,
+        chips: bot.chips,
+        net,
+        bbPer100: seat.hands > 0 ? (net / bigBlind / seat.hands) * 100 : 0
+      };
+    })
+  };
+}
@@ -0,0 +1,375 @@
+// Bot strategies for Texas Hold'em Poker
+//
+// A strategy turns a read-only view of the table into an action. It never
+// touches game state: decide(view, context) returns { type, amount } and the
+// Bot hands that to the engine like any player's action. The view
+// (getBotView) is what a player at the table could see, including what the
+// table's OpponentModel has learned about each opponent; the context holds
+// what belongs to the bot itself: its random source, personality,
+// estimateEquity(), which simulates its hand against the players still in,
+// and explain(), which notes why it did what it did.
+//
+// STRATEGIES is the registry the server and the lobby pick from. Difficulty is
+// applied by the Bot on top of any strategy (see DIFFICULTIES).
+
+import { evaluateHand, evaluateOmahaHand, MAX_SCORE } from './evaluate.js';
+import { getRaiseLimits } from './betting.js';
+import { getSettings } from './settings.js';
+
+// trials: simulated deals per equity estimate; mistakeRate: how often a
+// decision is swapped for a passive mistake (a raise just calls, a fold calls)
+export const DIFFICULTIES = {
+  easy: { label: 'Easy', trials: 150, mistakeRate: 0.2 },
+  medium: { label: 'Medium', trials: 400, mistakeRate: 0.07 },
+  hard: { label: 'Hard', trials: 1000, mistakeRate: 0 }
+};
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+// What `player` can see when it is their turn, as a frozen plain object
+export function getBotView(state, player) {
+  const handState = state.handState;
+  const settings = getSettings(state);
+  const toCall = Math.max(handState.currentBet - player.currentBet, 0);
+  const limits = getRaiseLimits(state, player);
+
+  return deepFreeze({
+    game: settings.game,
+    phase: handState.phase,
+    hand: player.hand.map(card => ({ ...card })),
+    board: (handState.communityCards || []).map(card => ({ ...card })),
+    pot: handState.pot,
+    currentBet: handState.currentBet,
+    toCall,
+    canCheck: toCall === 0,
+    raiseLimits: limits ? { ...limits } : null,
+    bigBlind: handState.bigBlind,
+    startingChips: settings.startingChips,
+    me: { id: player.id, chips: player.chips, currentBet: player.currentBet, seat: player.seat },
+    opponents: state.players
+      .filter(p => p !== player)
+      .map(p => ({
+        id: p.id,
+        name: p.name,
+        seat: p.seat,
+        chips: p.chips,
+        currentBet: p.currentBet,
+        isAllIn: p.isAllIn,
+        hasRaised: handState.raisers.has(p.id),
+        isInHand: !p.hasFolded && !!p.hand && p.hand.length > 0,
+        profile: state.opponentModel ? state.opponentModel.getProfile(p.id) : null
+      }))
+  });
+}
+
+export function getLiveOpponents(view) {
+  return view.opponents.filter(o => o.isInHand).length;
+}
+
+// A bet or raise of `fraction` of the pot (after calling), kept within the
+// legal range; close to all-in it just shoves. Null if raising is not allowed.
+export function sizeRaise(view, fraction) {
+  const limits = view.raiseLimits;
+  if (!limits) return null;
+  let amount = Math.floor(view.toCall + fraction * (view.pot + view.toCall));
+  amount = Math.min(Math.max(amount, limits.min), limits.max);
+  if (amount >= view.me.chips * 0.8) amount = Math.min(view.me.chips, limits.max);
+  return { type: 'raise', amount };
+}
+
+function checkOrCall(view) {
+  return view.canCheck ? { type: 'check' } : { type: 'call' };
+}
+
+// Rough hand strength on a 0-1 scale, without simulation
+export function rateHand(hand, board, game = 'holdem') {
+  if (!hand || hand.length < 2) return 0;
+
+  const allCards = [...hand, ...(board || [])];
+  if (allCards.length >= 5) {
+    const evaluation = game === 'omaha'
+      ? evaluateOmahaHand(hand, board)
+      : evaluateHand(allCards);
+    // Scores rise by category: a pair is about 0.1, a straight flush about 0.9
+    return evaluation.score / MAX_SCORE;
+  }
+
+  // Omaha hands play two hole cards: rate the best pair of them, a little
+  // lower since everyone holds four
+  if (hand.length > 2) {
+    let best = 0;
+    for (let i = 0; i < hand.length; i++) {
+      for (let j = i + 1; j < hand.length; j++) {
+        best = Math.max(best, rateHand([hand[i], hand[j]], []));
+      }
+    }
+    return best * 0.9;
+  }
+
+  // Pre-flop evaluation based on hole cards
+  const ranks = hand.map(c => c.rank);
+  const suits = hand.map(c => c.suit);
+  const isPair = ranks[0] === ranks[1];
+  const isSuited = suits[0] === suits[1];
+
+  const rankValues = { 'A': 14, 'K': 13, 'Q': 12, 'J': 11, '10': 10, '9': 9, '8': 8, '7': 7, '6': 6, '5': 5, '4': 4, '3': 3, '2': 2 };
+  const highCard = Math.max(...ranks.map(r => rankValues[r] || 0));
+
+  let strength;
+  if (isPair) {
+    strength = 0.5 + (highCard / 14) * 0.3; // Pair strength based on rank
+  } else if (isSuited) {
+    strength = 0.35 + (highCard / 14) * 0.2;
+  } else {
+    strength = 0.25 + (highCard / 14) * 0.15;
+  }
+
+  return Math.min(strength, 0.9);
+}
+
+// The original bot: buckets of rough hand strength, nudged by personality and
+// stack size, with bets sized from its own stack
+function decideCasually(view, { personality }) {
+  const handStrength = rateHand(view.hand, view.board, view.game);
+  const chips = view.me.chips;
+  const callAmount = view.toCall;
+  const potOdds = callAmount > 0 ? view.pot / (view.pot + callAmount) : 0;
+  const canCheck = view.canCheck;
+  const stackRatio = chips / view.startingChips;
+
+  // Adjust personality based on stack size (short stack = more aggressive)
+  const effectivePersonality = personality + (1 - stackRatio) * 0.3;
+
+  // Stack fractions are brought into the legal range; a short stack's can
+  // round down to nothing
+  const raise = (amount) => {
+    const limits = view.raiseLimits;
+    if (!limits || Math.floor(amount) <= 0) return checkOrCall(view);
+    return { type: 'raise', amount: Math.min(Math.max(Math.floor(amount), limits.min), limits.max) };
+  };
+
+  if (handStrength < 0.2) {
+    // Very weak hand - fold unless pot odds are great
+    if (callAmount === 0 || (potOdds > 0.5 && callAmount < chips * 0.1)) {
+      return canCheck ? { type: 'check' } : { type: 'fold' };
+    }
+    return { type: 'fold' };
+  }
+
+  if (handStrength < 0.4) {
+    // Weak hand - check/call small bets, fold to big bets
+    if (canCheck) {
+      return { type: 'check' };
+    }
+    if (callAmount > chips * 0.2) {
+      return { type: 'fold' };
+    }
+    if (callAmount < chips * 0.1) {
+      return { type: 'call' };
+    }
+    // Medium bet - depends on personality
+    return effectivePersonality > 0.5 ? { type: 'call' } : { type: 'fold' };
+  }
+
+  if (handStrength < 0.6) {
+    // Medium hand - check/call, sometimes raise
+    if (canCheck) {
+      return { type: 'check' };
+    }
+    if (callAmount > chips * 0.3) {
+      return { type: 'fold' };
+    }
+    if (callAmount < chips * 0.15) {
+      return effectivePersonality > 0.4 ?
+        raise(Math.min(Math.floor(callAmount * 1.5), chips * 0.2)) :
+        { type: 'call' };
+    }
+    return { type: 'call' };
+  }
+
+  if (handStrength < 0.8) {
+    // Strong hand - bet/raise
+    if (canCheck) {
+      const betAmount = Math.floor(chips * (0.15 + effectivePersonality * 0.15));
+      return raise(Math.min(betAmount, chips));
+    }
+    if (callAmount > chips * 0.4) {
+      return { type: 'call' }; // Pot committed
+    }
+    const raiseAmount = Math.floor(callAmount * (1.5 + effectivePersonality * 0.5));
+    return raise(Math.min(raiseAmount, chips * 0.3));
+  }
+
+  // Very strong hand (0.8+) - aggressive betting
+  if (canCheck) {
+    const betAmount = Math.floor(chips * (0.2 + effectivePersonality * 0.2));
+    return raise(Math.min(betAmount, chips * 0.4));
+  }
+  const raiseAmount = Math.floor(callAmount * (2 + effectivePersonality));
+  return raise(Math.min(raiseAmount, chips * 0.5));
+}
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+function hasTendency(opponent, tendency) {
+  return !!opponent.profile && opponent.profile.tendencies.includes(tendency);
+}
+
+// How to adjust to the players still in the hand (see opponents.js): never
+// bluff a calling station and bet thinner and bigger for value instead; bluff
+// more when everyone left folds to c-bets; call lighter against a player who
+// bets too much
+function readOpponents(view, explain) {
+  const live = view.opponents.filter(o => o.isInHand);
+  const names = (list) => list.map(o => o.name).join(', ');
+  const adjust = { bluffScale: 1, valueScale: 1, sizeBonus: 0, callMargin: 0 };
+
+  const stations = live.filter(o => hasTendency(o, 'calling-station'));
+  if (stations.length > 0) {
+    adjust.bluffScale = 0;
+    adjust.valueScale = 0.6;
+    adjust.sizeBonus = 0.25;
+    explain(`${names(stations)} calls too much: betting thinner for value, no bluffs`);
+  } else if (live.length > 0 && live.every(o => hasTendency(o, 'folds-to-cbet'))) {
+    adjust.bluffScale = 2.5;
+    explain(`${names(live)} folds to c-bets ${live.map(o => percent(o.profile.foldToCbet)).join('/')}: bluffing more`);
+  }
+
+  const bettor = view.toCall > 0 && live.find(o => o.currentBet === view.currentBet);
+  if (bettor && view.phase !== 'preflop' && hasTendency(bettor, 'aggressive')) {
+    adjust.callMargin = -0.05;
+    explain(`${bettor.name} bets a lot (aggression ${bettor.profile.aggression.toFixed(1)}): calling lighter`);
+  }
+  return adjust;
+}
+
+const RAISE_MARGIN = 0.15; // Equity over the pot odds to raise a pot-sized bet is 1.5x this
+
+// Strategies that play by simulated equity differ only in these numbers:
+//   valueShare - how far from an even share of the pot toward certain
+//                victory the bot must be before it bets for value
+//   callMargin - equity needed on top of the pot odds to call
+//   entryShare - preflop, the share of an even split needed to put chips in
+//                beyond the big blind
+//   bluffFrequency - how often it bets with nothing when checked to
+// and all of them adjust to what they have seen of their opponents.
+function equityStrategy({ valueShare, callMargin, entryShare = 0, bluffFrequency }) {
+  return (view, { random, estimateEquity, explain }) => {
+    const opponents = getLiveOpponents(view);
+    const equity = estimateEquity();
+    const potOdds = view.toCall / (view.pot + view.toCall);
+    const adjust = readOpponents(view, explain);
+    const bluffs = Math.min(bluffFrequency * adjust.bluffScale, 0.8);
+
+    // Well ahead of an even share of the pot against this many players
+    const fairShare = 1 / (opponents + 1);
+    const valueThreshold = fairShare + (1 - fairShare) * valueShare * adjust.valueScale;
+
+    // Facing a bet, raising puts more in against a hand that already bet:
+    // it also has to beat the price by a margin that grows with the bet
+    const raiseNeeded = view.toCall > 0 ? potOdds + RAISE_MARGIN * (1 + view.toCall / view.pot) : 0;
+
+    if (equity >= valueThreshold && equity >= raiseNeeded) {
+      // The further ahead, the bigger the bet: half pot up to the full pot
+      const fraction = 0.5 + Math.min((equity - valueThreshold) / (1 - valueThreshold), 1) * 0.5 + adjust.sizeBonus;
+      explain(`Equity ${percent(equity)} is past ${percent(valueThreshold)} against ${opponents} opponent${opponents === 1 ? '' : 's'}: value bet`);
+      return sizeRaise(view, fraction) || checkOrCall(view);
+    }
+
+    if (view.canCheck) {
+      // Checked to: bluff now and then when few players are left to call.
+      // The weakest hands bluff; hands with some showdown value check.
+      const canBluff = view.phase !== 'preflop' && opponents <= 2 && equity < fairShare * 0.6;
+      if (canBluff && random() < bluffs) {
+        const raise = sizeRaise(view, 0.5 + random() * 0.25);
+        if (raise) {
+          explain(`Equity ${percent(equity)} has no showdown value: bluff`);
+          return raise;
+        }
+      }
+      explain(`Equity ${percent(equity)}: check`);
+      return { type: 'check' };
+    }
+
+    if (view.phase === 'preflop' && equity < fairShare * entryShare) {
+      explain(`Equity ${percent(equity)} is too weak to enter the pot`);
+      return { type: 'fold' };
+    }
+
+    // Facing a bet: continue only when the price is right. With cards to
+    // come, a hand that beats the odds sometimes raises as a semi-bluff.
+    const needed = potOdds + callMargin + adjust.callMargin;
+    if (equity >= needed) {
+      const cardsToCome = view.phase === 'flop' || view.phase === 'turn';
+      if (cardsToCome && opponents <= 2 && random() < bluffs / 2) {
+        const raise = sizeRaise(view, 0.75);
+        if (raise) {
+          explain(`Equity ${percent(equity)} with cards to come: semi-bluff raise`);
+          return raise;
+        }
+      }
+      explain(`Equity ${percent(equity)} beats the ${percent(needed)} needed: call`);
+      return { type: 'call' };
+    }
+    explain(`Equity ${percent(equity)} is short of the ${percent(needed)} needed: fold`);
+    return { type: 'fold' };
+  };
+}
+
+// Any legal action with equal chances, and any legal raise size
+function decideRandomly(view, { random }) {
+  const options = [checkOrCall(view)];
+  if (!view.canCheck) options.push({ type: 'fold' });
+  if (view.raiseLimits) {
+    const { min, max } = view.raiseLimits;
+    options.push({ type: 'raise', amount: min + Math.floor(random() * (max - min + 1)) });
+  }
+  return options[Math.floor(random() * options.length)];
+}
+
+export const STRATEGIES = {
+  casual: {
+    label: 'Casual',
+    description: 'Plays rough hand strength and its mood',
+    decide: decideCasually
+  },
+  equity: {
+    label: 'Equity',
+    description: 'Simulates its odds, calls the right price, bets the pot and bluffs a little',
+    decide: equityStrategy({ valueShare: 0.35, callMargin: 0, bluffFrequency: 0.15 })
+  },
+  'tight-aggressive': {
+    label: 'Tight-aggressive',
+    description: 'Enters few pots and bets hard when it does',
+    decide: equityStrategy({ valueShare: 0.25, callMargin: 0.05, entryShare: 1.15, bluffFrequency: 0.1 })
+  },
+  'loose-aggressive': {
+    label: 'Loose-aggressive',
+    description: 'Plays lots of hands, raises light and bluffs often',
+    decide: equityStrategy({ valueShare: 0.15, callMargin: -0.03, entryShare: 0.7, bluffFrequency: 0.4 })
+  },
+  'calling-station': {
+    label: 'Calling station',
+    description: 'Calls almost anything and rarely raises',
+    decide: equityStrategy({ valueShare: 0.6, callMargin: -0.15, bluffFrequency: 0 })
+  },
+  random: {
+    label: 'Random',
+    description: 'Picks any legal action at random',
+    decide: decideRandomly
+  }
+};
+
+// A passive mistake in place of `action`: raises only call, folds call
+// anyway when the bet is no bigger than the pot
+export function makeMistake(view, action) {
+  if (action.type === 'raise') return checkOrCall(view);
+  if (action.type === 'fold' && view.toCall <= view.pot) return { type: 'call' };
+  return action;
+}
@@ -0,0 +1,232 @@
+// Sit-and-go tournaments for Texas Hold'em Poker
+//
+// A Tournament runs the blind clock, knows who is still in and records the
+// order players bust out in. It has no notion of sockets or rooms: server.js
+// asks it for the stakes before every hand and reports busted players after
+// every hand, so several tables can share one tournament (and one clock).
+//
+// Rebuy tournaments let players buy another starting stack, for the buy-in,
+// while the clock is in its first `rebuyLevels` levels and their stack is no
+// bigger than a starting one. During the last of those levels everyone may
+// take one add-on of `addOnChips` for the buy-in too. Both go into the prize pool.
+
+export const DEFAULT_BLIND_LEVELS = [
+  { smallBlind: 10, bigBlind: 20, ante: 0 },
+  { smallBlind: 15, bigBlind: 30, ante: 0 },
+  { smallBlind: 25, bigBlind: 50, ante: 0 },
+  { smallBlind: 50, bigBlind: 100, ante: 10 },
+  { smallBlind: 75, bigBlind: 150, ante: 15 },
+  { smallBlind: 100, bigBlind: 200, ante: 25 },
+  { smallBlind: 150, bigBlind: 300, ante: 25 },
+  { smallBlind: 200, bigBlind: 400, ante: 50 },
+  { smallBlind: 300, bigBlind: 600, ante: 75 },
+  { smallBlind: 400, bigBlind: 800, ante: 100 },
+  { smallBlind: 600, bigBlind: 1200, ante: 150 },
+  { smallBlind: 800, bigBlind: 1600, ante: 200 },
+  { smallBlind: 1000, bigBlind: 2000, ante: 300 }
+];
+
+export const DEFAULT_TOURNAMENT = {
+  buyIn: 100,
+  levelBy: 'time', // 'time' (minutes per level) or 'hands' (hands per level)
+  levelLength: 10,
+  blindLevels: DEFAULT_BLIND_LEVELS,
+  payouts: [50, 30, 20], // Percent of the prize pool, first place first
+  maxEntrants: null, // Defaults to the seat count; more makes it a multi-table tournament
+  rebuyLevels: 0, // Levels rebuys stay open for; 0 is a freezeout
+  addOnChips: 0 // Chips for the add-on in the last rebuy level; 0 for none
+};
+
+const MINUTE = 60 * 1000;
+
+let tournamentIdCounter = 0;
+function generateTournamentId() {
+  return `${Date.now()}${++tournamentIdCounter}`;
+}
+
+export class Tournament {
+  constructor(config = DEFAULT_TOURNAMENT, { id = generateTournamentId() } = {}) {
+    this.id = id;
+    this.buyIn = config.buyIn;
+    this.levelBy = config.levelBy;
+    this.levelLength = config.levelLength;
+    this.blindLevels = config.blindLevels;
+    this.payouts = config.payouts;
+    this.rebuyLevels = config.rebuyLevels || 0;
+    this.addOnChips = config.addOnChips || 0;
+
+    this.entrants = []; // { playerId, name }
+    this.eliminated = []; // { playerId, name, place }, in the order they busted
+    this.startedAt = null;
+    this.endedAt = null;
+    this.handsPlayed = 0;
+    this.levelIndex = 0; // Level the latest hand was dealt at
+    this.rebuys = []; // Player ID per rebuy taken
+    this.addOns = []; // Player IDs that took the add-on
+  }
+
+  start(players, now = Date.now()) {
+    this.entrants = players.map(p => ({ playerId: p.id, name: p.name }));
+    this.startedAt = now;
+  }
+
+  get isStarted() {
+    return this.startedAt !== null;
+  }
+
+  get playersRemaining() {
+    return this.entrants.length - this.eliminated.length;
+  }
+
+  get isComplete() {
+    return this.isStarted && this.playersRemaining <= 1;
+  }
+
+  get prizePool() {
+    return (this.entrants.length + this.rebuys.length + this.addOns.length) * this.buyIn;
+  }
+
+  isEliminated(playerId) {
+    return this.eliminated.some(e => e.playerId === playerId);
+  }
+
+  // Level the clock is on right now; the last level lasts forever
+  getClockLevelIndex(now = Date.now()) {
+    const elapsed = this.levelBy === 'hands'
+      ? this.handsPlayed / this.levelLength
+      : (now - this.startedAt) / (this.levelLength * MINUTE);
+    return Math.min(Math.floor(elapsed), this.blindLevels.length - 1);
+  }
+
+  // Call before dealing each hand. Levels only change between hands.
+  // Returns { stakes, levelUp }.
+  nextHand(now = Date.now()) {
+    const index = this.getClockLevelIndex(now);
+    const levelUp = index > this.levelIndex;
+    this.levelIndex = index;
+    this.handsPlayed++;
+    return { stakes: this.blindLevels[index], levelUp };
+  }
+
+  getStakes() {
+    return this.blindLevels[this.levelIndex];
+  }
+
+  isRebuyOpen(now = Date.now()) {
+    return this.isStarted && !this.isComplete && this.getClockLevelIndex(now) < this.rebuyLevels;
+  }
+
+  isAddOnOpen(now = Date.now()) {
+    return this.addOnChips > 0 && this.isRebuyOpen(now) && this.getClockLevelIndex(now) === this.rebuyLevels - 1;
+  }
+
+  // Why a player cannot rebuy right now, or null if they can
+  getRebuyError(player, startingChips, now = Date.now()) {
+    if (this.isEliminated(player.id)) return 'You are out of the tournament';
+    if (!this.isRebuyOpen(now)) return 'Rebuys are closed';
+    if (player.chips > startingChips) return `You can rebuy with ${startingChips} chips or less`;
+    return null;
+  }
+
+  getAddOnError(player, now = Date.now()) {
+    if (this.isEliminated(player.id)) return 'You are out of the tournament';
+    if (!this.isAddOnOpen(now)) return 'The add-on is only available in the last rebuy level';
+    if (this.addOns.includes(player.id)) return 'You have already taken the add-on';
+    return null;
+  }
+
+  rebuy(playerId) {
+    this.rebuys.push(playerId);
+  }
+
+  addOn(playerId) {
+    this.addOns.push(playerId);
+  }
+
+  // Record players who lost their last chip in the same hand. Whoever started
+  // that hand with the bigger stack finishes ahead. Returns the new entries.
+  eliminate(players, startingStacks = {}) {
+    const busted = players
+      .filter(p => !this.isEliminated(p.id) && this.entrants.some(e => e.playerId === p.id))
+      .sort((a, b) => (startingStacks[a.id] || 0) - (startingStacks[b.id] || 0));
+
+    const entries = busted.map(player => {
+      const entry = { playerId: player.id, name: player.name, place: this.playersRemaining };
+      this.eliminated.push(entry);
+      return entry;
+    });
+
+    if (this.isComplete && this.endedAt === null) {
+      this.endedAt = Date.now();
+    }
+    return entries;
+  }
+
+  getWinner() {
+    if (!this.isComplete) return null;
+    return this.entrants.find(e => !this.isEliminated(e.playerId)) || null;
+  }
+
+  // Prize for a finishing place. Payouts for places the field cannot fill are
+  // spread over the paid places; rounding leftovers go to first place.
+  getPrize(place) {
+    const paid = this.payouts.slice(0, this.entrants.length);
+    if (place > paid.length) return 0;
+
+    const totalPercent = paid.reduce((sum, pct) => sum + pct, 0);
+    const prizes = paid.map(pct => Math.floor(this.prizePool * pct / totalPercent));
+    prizes[0] += this.prizePool - prizes.reduce((sum, prize) => sum + prize, 0);
+    return prizes[place - 1];
+  }
+
+  // Finishing order so far, best place first
+  getStandings() {
+    const standings = [...this.eliminated].reverse();
+    const winner = this.getWinner();
+    if (winner) {
+      standings.unshift({ ...winner, place: 1 });
+    }
+    return standings.map(entry => ({ ...entry, prize: this.getPrize(entry.place) }));
+  }
+
+  // Snapshot for clients
+  getInfo(now = Date.now()) {
+    const clockIndex = this.isStarted ? this.getClockLevelIndex(now) : 0;
+    const isLastLevel = clockIndex >= this.blindLevels.length - 1;
+    const level = this.blindLevels[clockIndex];
+
+    let msToNextLevel = null;
+    let handsToNextLevel = null;
+    if (this.isStarted && !isLastLevel) {
+      if (this.levelBy === 'hands') {
+        handsToNextLevel = (clockIndex + 1) * this.levelLength - this.handsPlayed;
+      } else {
+        msToNextLevel = this.startedAt + (clockIndex + 1) * this.levelLength * MINUTE - now;
+      }
+    }
+
+    return {
+      id: this.id,
+      level: clockIndex + 1,
+      smallBlind: level.smallBlind,
+      bigBlind: level.bigBlind,
+      ante: level.ante,
+      levelBy: this.levelBy,
+      msToNextLevel,
+      handsToNextLevel,
+      entrants: this.entrants.length,
+      playersRemaining: this.isStarted ? this.playersRemaining : null,
+      prizePool: this.prizePool,
+      rebuyLevels: this.rebuyLevels,
+      addOnChips: this.addOnChips,
+      rebuys: this.rebuys.length,
+      addOns: this.addOns.length,
+      addOnPlayerIds: [...this.addOns],
+      isRebuyOpen: this.isRebuyOpen(now),
+      isAddOnOpen: this.isAddOnOpen(now),
+      isStarted: this.isStarted,
+      isComplete: this.isComplete,
+      standings: this.getStandings()
+    };
+  }
+}